@@ -14,6 +14,7 @@ import RepositoryExplorer from "./components/RepositoryExplorer/RepositoryExplor
 import TypeExplorer from "./components/TypeExplorer/TypeExplorer";
 import Dino from "./components/Dino/Dino";
 import ServerAuthor from "./components/ServerAuthor/ServerAuthor";
+import TenantAdmin from "./components/TenantAdmin/TenantAdmin";
 import { IdentificationContext } from "./contexts/IdentificationContext";
 import ServerAuthorContext from "./contexts/ServerAuthorContext";
 
@@ -36,6 +37,7 @@ export default function Frame() {
     getUser,
     setAuthenticated,
     userId,
+    user,
   } = useContext(IdentificationContext);
   const rootUrl = getBrowserURL("");
   const homeUrl = getBrowserURL("home");
@@ -44,6 +46,7 @@ export default function Frame() {
   const typeUrl = getBrowserURL("type-explorer");
   const serverUrl = getBrowserURL("server-author");
   const dinoUrl = getBrowserURL("dino");
+  const tenantAdminUrl = getBrowserURL("tenant-admin");
 
   const [isLoading, setLoading] = useState(true);
 
@@ -74,6 +77,11 @@ export default function Frame() {
 
   console.log(getBrowserURL('logout'));
 
+  // the server only lets the user call the services of the tools their role permits, so only offer those tools
+  const permittedTools = user.tools || [];
+  const canUse = tool => permittedTools.includes(tool);
+  const canUseEcosystemTools = ["repository-explorer", "type-explorer", "server-author", "dino"].some(canUse);
+
   return (
     <div className="container">
       <HeaderContainer
@@ -112,10 +120,15 @@ export default function Frame() {
                     onClick={async () => {
                       try {
                         console.log('logout!')
-                        await axios.get(getBrowserURL('logout'));
+                        const response = await axios.get(getBrowserURL('logout'));
                         sessionStorage.removeItem("egeria-userId");
                         setAuthenticated(false);
-                        window.location.href = getBrowserURL('login');
+                        // single sign-on users are sent to the identity provider to end its session too
+                        if (response.data && response.data.logoutURL) {
+                          window.location.href = response.data.logoutURL;
+                        } else {
+                          window.location.href = getBrowserURL('login');
+                        }
                       } catch(err) {
                         console.error(err);
                       }
@@ -133,30 +146,49 @@ export default function Frame() {
                   <SideNavLink element={Link} to={homeUrl} isActive>
                     Home
                   </SideNavLink>
-                  <SideNavMenu title="Solutions" defaultExpanded={true}>
-                    <SideNavLink
-                      // uncomment (and import) if we want to show the icon
-                      // renderIcon={EgeriaGlossAuth32}
-                      element={Link}
-                      to={glossaryAuthorUrl}
-                    >
-                      Glossary Author
-                    </SideNavLink>
-                  </SideNavMenu>
-                  <SideNavMenu title="Ecosystem Tools" defaultExpanded={true}>
-                    <SideNavLink element={Link} to={rexUrl}>
-                      Repository Explorer
-                    </SideNavLink>
-                    <SideNavLink element={Link} to={typeUrl}>
-                      Type Explorer
-                    </SideNavLink>
-                    <SideNavLink element={Link} to={serverUrl}>
-                      Server Author
-                    </SideNavLink>
-                    <SideNavLink element={Link} to={dinoUrl}>
-                      Dino
-                    </SideNavLink>
-                  </SideNavMenu>
+                  {canUse("glossary-author") && (
+                    <SideNavMenu title="Solutions" defaultExpanded={true}>
+                      <SideNavLink
+                        // uncomment (and import) if we want to show the icon
+                        // renderIcon={EgeriaGlossAuth32}
+                        element={Link}
+                        to={glossaryAuthorUrl}
+                      >
+                        Glossary Author
+                      </SideNavLink>
+                    </SideNavMenu>
+                  )}
+                  {canUseEcosystemTools && (
+                    <SideNavMenu title="Ecosystem Tools" defaultExpanded={true}>
+                      {canUse("repository-explorer") && (
+                        <SideNavLink element={Link} to={rexUrl}>
+                          Repository Explorer
+                        </SideNavLink>
+                      )}
+                      {canUse("type-explorer") && (
+                        <SideNavLink element={Link} to={typeUrl}>
+                          Type Explorer
+                        </SideNavLink>
+                      )}
+                      {canUse("server-author") && (
+                        <SideNavLink element={Link} to={serverUrl}>
+                          Server Author
+                        </SideNavLink>
+                      )}
+                      {canUse("dino") && (
+                        <SideNavLink element={Link} to={dinoUrl}>
+                          Dino
+                        </SideNavLink>
+                      )}
+                    </SideNavMenu>
+                  )}
+                  {canUse("tenant-admin") && (
+                    <SideNavMenu title="Administration" defaultExpanded={true}>
+                      <SideNavLink element={Link} to={tenantAdminUrl}>
+                        Tenants
+                      </SideNavLink>
+                    </SideNavMenu>
+                  )}
                 </SideNavItems>
               </SideNav>
             </Header>
@@ -170,23 +202,38 @@ export default function Frame() {
                   <Route path={homeUrl}>
                     <Home />
                   </Route>
-                  <Route path={glossaryAuthorUrl}>
-                    <GlossaryAuthor />
-                  </Route>
-                  <Route path={rexUrl}>
-                    <RepositoryExplorer />
-                  </Route>
-                  <Route path={typeUrl}>
-                    <TypeExplorer />
-                  </Route>
-                  <Route path={serverUrl}>
-                    <ServerAuthorContext>
-                      <ServerAuthor />
-                    </ServerAuthorContext>
-                  </Route>
-                  <Route path={dinoUrl}>
-                    <Dino />
-                  </Route>
+                  {canUse("glossary-author") && (
+                    <Route path={glossaryAuthorUrl}>
+                      <GlossaryAuthor />
+                    </Route>
+                  )}
+                  {canUse("repository-explorer") && (
+                    <Route path={rexUrl}>
+                      <RepositoryExplorer />
+                    </Route>
+                  )}
+                  {canUse("type-explorer") && (
+                    <Route path={typeUrl}>
+                      <TypeExplorer />
+                    </Route>
+                  )}
+                  {canUse("server-author") && (
+                    <Route path={serverUrl}>
+                      <ServerAuthorContext>
+                        <ServerAuthor />
+                      </ServerAuthorContext>
+                    </Route>
+                  )}
+                  {canUse("dino") && (
+                    <Route path={dinoUrl}>
+                      <Dino />
+                    </Route>
+                  )}
+                  {canUse("tenant-admin") && (
+                    <Route path={tenantAdminUrl}>
+                      <TenantAdmin />
+                    </Route>
+                  )}
                 </section>
               </div>
             </Content>
@@ -1,6 +1,6 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
-import React, { useState, useContext } from "react";
+import React, { useState, useContext, useEffect } from "react";
 import { useHistory } from "react-router-dom";
 import "./Login.css";
 import Egeriacolor from "../images/odpi/Egeria_logo_color";
@@ -21,8 +21,41 @@ const Login = () => {
   const [password, setPassword] = useState("");
   const [userId, setUserId] = useState("");
   const [errorMsg, setErrorMsg] = useState();
+  const [sso, setSso] = useState();
+  const [displayName, setDisplayName] = useState();
   let history = useHistory();
 
+  /**
+   * Ask the server for this tenant's display name and whether it offers single sign-on, and report a failed single sign-on
+   * (the server redirects back here with error=sso).
+   */
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).get("error") === "sso") {
+      setErrorMsg("Single sign-on failed");
+    }
+    fetch(identificationContext.getBrowserURL("login/options"), {
+      headers: {
+        Accept: "application/json"
+      }
+    })
+      .then(res => res.json())
+      .then(res => {
+        setDisplayName(res.displayName);
+        setSso(res.sso);
+      })
+      .catch(res => {
+        console.error("Could not get the login options");
+      });
+  }, [identificationContext]);
+
+  /**
+   * Single sign-on is a browser redirect to the identity provider, which redirects back to the server.
+   */
+  const handleOnSsoClick = e => {
+    e.preventDefault();
+    window.location.href = identificationContext.getBrowserURL("login/oidc");
+  };
+
   const handleOnClick = e => {
     console.log("login handleClick(()");
     e.preventDefault();
@@ -44,8 +77,10 @@ const Login = () => {
           identificationContext.setUserId(userId);
           identificationContext.setUser(res.user);
           identificationContext.setAuthenticated(true);
-          // TODO original url prop. 
-          const path = identificationContext.getBrowserURL(''); 
+          // stay on the page the user asked for, such as a link to an instance, unless it was the login page itself
+          const path = window.location.pathname.endsWith("/login")
+            ? identificationContext.getBrowserURL('')
+            : window.location.pathname + window.location.search;
           history.push(path);
         } else {
           if (res.errno) {
@@ -82,6 +117,7 @@ const Login = () => {
             md={{ span: 4, offset: 2 }}
             lg={{ span: 4, offset: 6 }}
           >
+            {displayName && <h2>{displayName}</h2>}
             <Form id="egeria-login-form">
               <FormGroup legendText="">
                 <TextInput
@@ -112,6 +148,14 @@ const Login = () => {
               >
                 Log In
               </Button>
+              {sso && (
+                <Button
+                  kind="secondary"
+                  onClick={handleOnSsoClick}
+                >
+                  {sso.label}
+                </Button>
+              )}
             </Form>
           </Column>
         </Row>
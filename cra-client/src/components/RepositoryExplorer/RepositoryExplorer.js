@@ -30,11 +30,13 @@ import InstancesContextProvider        from "./contexts/InstancesContext";
 
 import InstanceRetrieval               from "./components/instance-retrieval/InstanceRetrieval";
 import InstanceSearch                  from "./components/instance-retrieval/InstanceSearch";
+import InstanceLinkLoader              from "./components/instance-retrieval/InstanceLinkLoader";
 import DetailsPanel                    from "./components/details-panel/DetailsPanel";
 import DiagramManager                  from "./components/diagram/DiagramManager";
 import GraphControls                   from "./components/graph-controls/GraphControls";
 import ServerSelector                  from "./components/resource-selection/ServerSelector";
 import EnterpriseControl               from "./components/resource-selection/EnterpriseControl";
+import AsOfTimeControl                 from "./components/resource-selection/AsOfTimeControl";
 import HelpHandler                     from "./HelpHandler";
 import QuestionMarkImage               from "./question-mark-32.png";
 import HelpMarkdown                    from './HELP.md';
@@ -146,6 +148,8 @@ export default function RepositoryExplorer() {
           <TypesContextProvider>
             <InstancesContextProvider>
 
+              <InstanceLinkLoader />
+
               <div className="rex-top">
 
                 <div className="title">
@@ -161,6 +165,7 @@ export default function RepositoryExplorer() {
                                    onSubmit            = { submitHelpModal } />
 
                   <EnterpriseControl/>
+                  <AsOfTimeControl/>
                 </div>
 
                 <div className="rex-top-left">
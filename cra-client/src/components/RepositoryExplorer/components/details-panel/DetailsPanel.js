@@ -7,12 +7,15 @@ import PropTypes           from "prop-types";
 
 import InstanceDisplay     from "./InstanceDisplay";
 
+import InstanceEditControls from "../instance-editing/InstanceEditControls";
+
 
 export default function DetailsPanel(props) {
 
   return (
     
     <div className={props.className}>       
+        <InstanceEditControls />
         <InstanceDisplay />        
     </div>     
   
@@ -7,6 +7,8 @@ import PropTypes                      from "prop-types";
 
 import InstanceStatusDisplay          from "./InstanceStatusDisplay";
 
+import InstanceHistoryDisplay         from "./InstanceHistoryDisplay";
+
 import InstancePropertiesDisplay      from "./InstancePropertiesDisplay";
 
 import InstanceClassificationsDisplay from "./InstanceClassificationsDisplay";
@@ -97,6 +99,12 @@ export default function EntityDisplay(props) {
       </div>
 
 
+      <button className="collapsible-non-bold" id="versionHistory" onClick={flipSection}> Version History : </button>
+      <div className="content">
+        <InstanceHistoryDisplay key={entity.guid} category="Entity" guid={entity.guid} version={entity.version}
+                                serverName={serverName} platformName={platformName} enterprise={enterprise} />
+      </div>
+
       <button className="collapsible-non-bold" id="controlProps" onClick={flipSection}> OMRS Control Properties : </button>
       <div className="content">
         <ul className="details-sublist">
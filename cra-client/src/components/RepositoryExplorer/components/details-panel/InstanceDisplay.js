@@ -11,6 +11,8 @@ import EntityDisplay         from "./EntityDisplay";
 
 import RelationshipDisplay     from "./RelationshipDisplay";
 
+import InstanceLinkButton      from "./InstanceLinkButton";
+
 
 
 export default function InstanceDisplay() {
@@ -36,10 +38,24 @@ export default function InstanceDisplay() {
     const enterprise = focusGen.enterpriseOption;
 
     if (focusCategory === "Entity") {
-      return <EntityDisplay expEntity={instancesContext.getFocusEntity()} enterprise={enterprise} />
+      const expEntity = instancesContext.getFocusEntity();
+      return (
+        <div>
+          <InstanceLinkButton category="Entity" guid={expEntity.entityDetail.guid} serverName={expEntity.serverName}
+                              platformName={expEntity.platformName} enterprise={enterprise} />
+          <EntityDisplay expEntity={expEntity} enterprise={enterprise} />
+        </div>
+      );
     }
     else if (focusCategory === "Relationship") {
-      return <RelationshipDisplay expRelationship={instancesContext.getFocusRelationship()} enterprise={enterprise} />
+      const expRelationship = instancesContext.getFocusRelationship();
+      return (
+        <div>
+          <InstanceLinkButton category="Relationship" guid={expRelationship.relationship.guid} serverName={expRelationship.serverName}
+                              platformName={expRelationship.platformName} enterprise={enterprise} />
+          <RelationshipDisplay expRelationship={expRelationship} enterprise={enterprise} />
+        </div>
+      );
     }
   }
 
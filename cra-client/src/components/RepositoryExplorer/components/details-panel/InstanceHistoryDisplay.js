@@ -0,0 +1,167 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import React, { useContext, useEffect, useRef, useState }  from "react";
+
+import PropTypes                        from "prop-types";
+
+import { RepositoryServerContext }      from "../../contexts/RepositoryServerContext";
+
+import { InstancesContext }             from "../../contexts/InstancesContext";
+
+import { InteractionContext }           from "../../contexts/InteractionContext";
+
+import { versionTime, describeChanges } from "./InstanceHistoryUtils";
+
+import "./details-panel.scss";
+
+
+/*
+ * The InstanceHistoryDisplay shows the timeline of the versions of an entity or relationship, newest
+ * first, with what changed in each version. The history is retrieved from the server the instance was
+ * retrieved from, when the user asks for it.
+ *
+ * Each version can be explored: this sets the as of time of the whole graph to the time of the version
+ * (see RepositoryServerContext), and displays the instance as it was then.
+ */
+export default function InstanceHistoryDisplay(props) {
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const interactionContext      = useContext(InteractionContext);
+
+  /*
+   * versions is the list of versions of the instance, oldest first, or null if it has not been retrieved.
+   */
+  const [status,   setStatus]   = useState("idle");
+  const [versions, setVersions] = useState(null);
+
+  /*
+   * callPOST does not call back if the request cannot be sent or fails, so a retrieval that has not been answered
+   * after retrievalTimeout is reported as failed. timerRef holds the timer of the retrieval in progress, if any; a
+   * response that comes after its retrieval timed out is ignored.
+   */
+  const retrievalTimeout = 30000;
+  const timerRef         = useRef(null);
+
+  const category = props.category;
+
+
+  /*
+   * Stop waiting when the display is removed
+   */
+  useEffect(
+    () => () => clearTimeout(timerRef.current),
+    []
+  );
+
+
+  const _retrieveHistory = (timer, json) => {
+    if (timerRef.current !== timer) {
+      return;
+    }
+    clearTimeout(timer);
+    timerRef.current = null;
+    if (json !== null && json.relatedHTTPCode === 200) {
+      const history = category === "Entity" ? json.entityHistory : json.relationshipHistory;
+      setVersions(history ? history : []);
+      setStatus("complete");
+      return;
+    }
+    /*
+     * On failure ...
+     */
+    interactionContext.reportFailedOperation("get " + category.toLowerCase() + " history", json);
+    setStatus("idle");
+  };
+
+  /*
+   * Retrieve all the versions of the instance - the history is not limited by the as of time.
+   */
+  const retrieveHistory = () => {
+    setStatus("pending");
+    clearTimeout(timerRef.current);
+    const timer = setTimeout(() => {
+      timerRef.current = null;
+      interactionContext.reportFailedOperation("get " + category.toLowerCase() + " history", null);
+      setStatus("idle");
+    }, retrievalTimeout);
+    timerRef.current = timer;
+    const uri  = category === "Entity" ? "instances/entity/history" : "instances/relationship/history";
+    const body = category === "Entity" ? { entityGUID : props.guid } : { relationshipGUID : props.guid };
+    repositoryServerContext.callPOST(props.serverName, props.platformName, uri,
+      Object.assign(body, { enterpriseOption : props.enterprise,
+                            asOfTime         : null,
+                            fromTime         : null,
+                            toTime           : null,
+                            oldestFirst      : true }),
+      json => _retrieveHistory(timer, json));
+  };
+
+  /*
+   * Explore the graph as of the time of a version, starting with this instance as it was then.
+   */
+  const exploreVersion = (version) => {
+    const time = versionTime(version);
+    repositoryServerContext.setAsOfTime(time);
+    if (category === "Entity") {
+      instancesContext.loadEntityFromSpecifiedServer(props.serverName, props.platformName, props.enterprise, props.guid, time);
+    }
+    else {
+      instancesContext.loadRelationshipFromSpecifiedServer(props.serverName, props.platformName, props.enterprise, props.guid, time);
+    }
+  };
+
+
+  let timeline;
+  if (status === "pending") {
+    timeline = <div className="instance-details-item">Retrieving the history...</div>;
+  }
+  else if (versions !== null && versions.length === 0) {
+    timeline = <div className="instance-details-item">The server did not return any versions</div>;
+  }
+  else if (versions !== null) {
+    /*
+     * Describe each version against the one before it, then show the newest first
+     */
+    const entries = versions.map((version, i) => ({ version : version,
+                                                    changes : describeChanges(i === 0 ? null : versions[i-1], version) }));
+    timeline = (
+      <ul className="details-sublist">
+        {entries.reverse().map(entry => (
+          <li className="details-sublist-item instance-history-version" key={entry.version.version}>
+            Version {entry.version.version} : {new Date(versionTime(entry.version)).toLocaleString()}
+            {" by " + (entry.version.updatedBy ? entry.version.updatedBy : entry.version.createdBy)}
+            {entry.version.version === props.version ? " (displayed)" : ""}
+            <button className="linkable instance-history-button" onClick={() => exploreVersion(entry.version)}>
+              Explore as of this version
+            </button>
+            <ul className="details-sublist">
+              {entry.changes.map(change => <li className="details-sublist-item" key={change}>{change}</li>)}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div>
+      <button className="linkable instance-link-button" onClick={retrieveHistory} disabled={status === "pending"}>
+        {versions === null ? "Show version history" : "Refresh version history"}
+      </button>
+      {timeline}
+    </div>
+  );
+}
+
+InstanceHistoryDisplay.propTypes = {
+  category     : PropTypes.string,
+  guid         : PropTypes.string,
+  version      : PropTypes.number,
+  serverName   : PropTypes.string,
+  platformName : PropTypes.string,
+  enterprise   : PropTypes.bool
+};
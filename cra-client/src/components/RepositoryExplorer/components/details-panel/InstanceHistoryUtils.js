@@ -0,0 +1,97 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import { flattenProperties }        from "../graph-controls/GraphExportUtils";
+
+/*
+ * InstanceHistoryUtils provides a module for utility functions used to display the version history
+ * of an entity or relationship. These are stateless workers that compare successive versions of an
+ * instance (EntityDetail or Relationship objects) and describe what changed.
+ */
+
+
+/*
+ * The time a version of an instance was made, in milliseconds since the epoch.
+ */
+export function versionTime(instance) {
+  return new Date(instance.updateTime ? instance.updateTime : instance.createTime).getTime();
+}
+
+
+/*
+ * Describe the changes to a set of properties, each given as a map from property name to value
+ * (see flattenProperties). prefix is put before each description.
+ */
+function describePropertyChanges(prefix, previous, current) {
+  let changes = [];
+  const names = Array.from(new Set(Object.keys(previous).concat(Object.keys(current)))).sort();
+  names.forEach(name => {
+    if (previous[name] === undefined) {
+      changes.push(prefix + name + " set to " + current[name]);
+    }
+    else if (current[name] === undefined) {
+      changes.push(prefix + name + " removed (was " + previous[name] + ")");
+    }
+    else if (previous[name] !== current[name]) {
+      changes.push(prefix + name + " changed from " + previous[name] + " to " + current[name]);
+    }
+  });
+  return changes;
+}
+
+
+/*
+ * Get an entity's classifications as a map from classification name to its properties.
+ * Relationships have no classifications, so give an empty map.
+ */
+function classificationMap(instance) {
+  let classifications = {};
+  (instance.classifications || []).forEach(cls => {
+    classifications[cls.name] = flattenProperties(cls.properties);
+  });
+  return classifications;
+}
+
+
+/*
+ * Describe the changes from the previous version of an instance to the current version, as a list of
+ * descriptions. The previous version is null for the first version, which is described as created.
+ */
+export function describeChanges(previous, current) {
+
+  if (previous === null) {
+    return [ "created" ];
+  }
+
+  let changes = [];
+
+  if (previous.status !== current.status) {
+    changes.push("status changed from " + previous.status + " to " + current.status);
+  }
+
+  changes = changes.concat(describePropertyChanges("property ",
+                                                   flattenProperties(previous.properties),
+                                                   flattenProperties(current.properties)));
+
+  const previousClassifications = classificationMap(previous);
+  const currentClassifications  = classificationMap(current);
+  const names = Array.from(new Set(Object.keys(previousClassifications).concat(Object.keys(currentClassifications)))).sort();
+  names.forEach(name => {
+    if (previousClassifications[name] === undefined) {
+      changes.push("classification " + name + " added");
+    }
+    else if (currentClassifications[name] === undefined) {
+      changes.push("classification " + name + " removed");
+    }
+    else {
+      changes = changes.concat(describePropertyChanges("classification " + name + " property ",
+                                                       previousClassifications[name],
+                                                       currentClassifications[name]));
+    }
+  });
+
+  if (changes.length === 0) {
+    changes.push("no changes to the status, properties or classifications");
+  }
+  return changes;
+}
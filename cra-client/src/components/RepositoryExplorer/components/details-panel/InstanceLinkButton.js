@@ -0,0 +1,51 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import React, { useContext }         from "react";
+
+import PropTypes                     from "prop-types";
+
+import { IdentificationContext }     from "../../../../contexts/IdentificationContext";
+
+import { instanceLink }              from "../instance-retrieval/InstanceLinkLoader";
+
+import "./details-panel.scss";
+
+
+/*
+ * The InstanceLinkButton copies a link to the instance to the clipboard, so it can be pasted into
+ * tickets and chat. Opening the link opens Rex with the instance loaded from the same server.
+ */
+export default function InstanceLinkButton(props) {
+
+  const identificationContext = useContext(IdentificationContext);
+
+  const copyLink = () => {
+    const link = instanceLink(identificationContext.getBrowserURL("repository-explorer"),
+                              props.category, props.guid, props.serverName, props.platformName, props.enterprise);
+    /*
+     * The clipboard is only available to secure pages; otherwise show the link so the user can copy it.
+     */
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link)
+      .catch(() => window.prompt("Copy the link to the " + props.category.toLowerCase(), link));
+    }
+    else {
+      window.prompt("Copy the link to the " + props.category.toLowerCase(), link);
+    }
+  };
+
+  return (
+    <button className="linkable instance-link-button" onClick={copyLink}>
+      Copy link to this {props.category.toLowerCase()}
+    </button>
+  );
+}
+
+InstanceLinkButton.propTypes = {
+  category     : PropTypes.string,
+  guid         : PropTypes.string,
+  serverName   : PropTypes.string,
+  platformName : PropTypes.string,
+  enterprise   : PropTypes.bool
+};
@@ -7,6 +7,8 @@ import PropTypes                 from "prop-types";
 
 import InstanceStatusDisplay     from "./InstanceStatusDisplay";
 
+import InstanceHistoryDisplay    from "./InstanceHistoryDisplay";
+
 import InstancePropertiesDisplay from "./InstancePropertiesDisplay";
 
 import EntityProxyDisplay        from "./EntityProxyDisplay";
@@ -87,6 +89,12 @@ export default function RelationshipDisplay(props) {
           }
         </div>
 
+      <button className="collapsible-non-bold" id="versionHistory" onClick={flipSection}> Version History : </button>
+      <div className="content">
+        <InstanceHistoryDisplay key={relationship.guid} category="Relationship" guid={relationship.guid} version={relationship.version}
+                                serverName={serverName} platformName={platformName} enterprise={enterprise} />
+      </div>
+
       <button className="collapsible-non-bold" id="controlProps" onClick={flipSection}> OMRS Control Properties : </button>
       <div className="content">
         <ul className="details-sublist">
@@ -2,7 +2,7 @@
 /* Copyright Contributors to the ODPi Egeria project. */
 
 
-import React, { useRef, useState, useEffect, useContext, useCallback }  from "react";
+import React, { useRef, useState, useEffect, useContext, useCallback, useMemo }  from "react";
 
 import PropTypes                                           from "prop-types";
 
@@ -10,8 +10,18 @@ import * as d3                                             from "d3";
 
 import * as DiagramUtils                                   from "./DiagramUtils";
 
+import * as DiagramLayoutUtils                             from "./DiagramLayoutUtils";
+
+import * as DiagramColorUtils                              from "./DiagramColorUtils";
+
+import * as DiagramAccessibilityUtils                      from "./DiagramAccessibilityUtils";
+
+import GraphList                                           from "./GraphList";
+
 import { InstancesContext }                                from "../../contexts/InstancesContext";
 
+import "./diagram.scss";
+
 
 
 
@@ -19,45 +29,112 @@ export default function Diagram(props) {
 
 
   /*
-   * Access instancesContext to get access to focus information
+   * Access instancesContext to get access to focus information and the types of the instances
    */
   const instancesContext = useContext(InstancesContext);
   
   /*
-   * We need a force-directed sim, which ideally should be created on load of the component.
-   * and only restarted when the data is updated. Unfortunately it cannot be made part of the
-   * Diagram's state, otherwise animation does not work. This is true whether one attempts to
-   * use useState or useRef. So, unfortunately, it seeems to be necessary to make it soft.
-   * This will mean that every rendering will cause the first useEffect to re-create it and
-   * initialise it. It will be lost and recreated on each render.
+   * The force-directed sim is created when the component is mounted and kept in a ref. When the
+   * nodes, links or layout change, the sim is given the nodes and links being displayed and its
+   * forces are reconfigured (see configureSim), so there is only ever one sim running. The tick
+   * function is registered again each time, so it always sees the current render's state.
    */
-
-  let loc_force;
+  const simRef = useRef(null);
 
 
   /*
-   * layoutMode can be switched between Temporal and Proximal - the default is Temporal.
+   * layoutMode selects how the nodes are arranged - the default is Temporal.
    * Temporal layout mode will cascade generations down the diagram.
    * Proximal layout mode allows the graph to organise itself based on connections.
+   * Hierarchical layout mode places the nodes in layers by their distance from the focus.
+   * Radial layout mode places the nodes in rings around the focus, by their distance from it.
+   * Grid layout mode places the nodes in a grid, grouped by type.
+   * The Temporal and Proximal layouts are force-directed; the others compute a position for each
+   * node and the sim moves the nodes to their positions.
    */
   const [layoutMode, setLayoutMode] = useState("Temporal");
 
-  const changeLayoutMode = () => {
-   
-    if (layoutMode === "Proximal") {
-      setLayoutMode("Temporal");
-    }      
-    else {
-      setLayoutMode("Proximal"); 
-    }
-    /*
-     * Just a small nudge...
-     */
-    if (loc_force) {
-      loc_force.alpha(0.1);
-      loc_force.restart();
-    }
-  }
+  const changeLayoutMode = (e) => {
+    setLayoutMode(e.target.value);
+  };
+
+  /*
+   * groupBy selects whether the nodes are collapsed into clusters - by the type of entity ("Type") or
+   * by the gen they were added in ("Gen") - or not ("None"). A cluster is expanded by clicking on it; the
+   * groups that have been expanded are in expandedGroups. clusterCache holds the cluster nodes and links,
+   * so they keep their positions as the graph changes.
+   */
+  const [groupBy,        setGroupBy]        = useState("None");
+  const [expandedGroups, setExpandedGroups] = useState([]);
+  const clusterCache = useRef({});
+
+  const changeGroupBy = (e) => {
+    clusterCache.current = {};
+    setExpandedGroups([]);
+    setGroupBy(e.target.value);
+  };
+
+  const collapseGroups = () => {
+    setExpandedGroups([]);
+  };
+
+  /*
+   * renderer selects whether the diagram is drawn as SVG or on a canvas. "Automatic" draws large graphs
+   * (more than large_graph_size nodes) on a canvas, which is much faster for large graphs; SVG gives
+   * individually styled elements and can be exported as SVG.
+   */
+  const [renderer, setRenderer] = useState("Automatic");
+
+  const changeRenderer = (e) => {
+    setRenderer(e.target.value);
+  };
+
+  /*
+   * colorBy selects what the colors of the nodes show - the home repository ("Repository"), instance
+   * provenance type ("Provenance"), type ("Type") or gen ("Gen") of each entity. colorAssignments holds
+   * the color assigned to each key for each coloring, so that a key keeps its color as the graph changes.
+   */
+  const [colorBy, setColorBy] = useState("Repository");
+  const colorAssignments      = useRef({});
+
+  const changeColorBy = (e) => {
+    setColorBy(e.target.value);
+  };
+
+  /*
+   * hiddenCollections is the list of the ids of the home metadata collections whose instances are hidden
+   */
+  const [hiddenCollections, setHiddenCollections] = useState([]);
+
+  const toggleCollection = (metadataCollectionId) => {
+    setHiddenCollections(hidden => hidden.includes(metadataCollectionId)
+                                   ? hidden.filter(id => id !== metadataCollectionId)
+                                   : hidden.concat([metadataCollectionId]));
+  };
+
+  /*
+   * view selects whether the graph is shown as a diagram ("Diagram") or as a list ("List") - see GraphList.
+   * The diagram is kept (hidden) while the list is shown, so that it is unchanged when it is shown again.
+   */
+  const [view, setView] = useState("Diagram");
+
+  const changeView = (e) => {
+    setView(e.target.value);
+  };
+
+  /*
+   * cursorRef holds the id of the node the keyboard is on, if any. In the SVG each node can be tabbed to,
+   * so this is the node that has the browser's focus; on the canvas, the cursor is drawn as a ring.
+   * announcement is read out by screen readers (it is in a live region) - e.g. the node the cursor has
+   * moved to on the canvas, or the new focus.
+   */
+  const cursorRef                       = useRef(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  /*
+   * summaryStatus describes the retrieval of the summaries (types and provenance) of the entities, or is empty
+   */
+  const [summaryStatus, setSummaryStatus] = useState("");
 
   const [pinningOption, setPinningOption] = useState(true);
   const pinningRef = useRef();
@@ -68,9 +145,11 @@ export default function Diagram(props) {
   const node_radius                 = 10;
   const node_margin                 = 20;    // basis for computed margin
   const link_distance               = 200;
+  const cluster_radius              = 16;
+  const large_graph_size            = 300;   // larger graphs are drawn on a canvas (by default) and the sim settles
+  const canvas_label_limit          = 1000;  // the canvas only draws labels for graphs up to this size
   const egeria_primary_color_string = "#71ccdc";
-  const possibleColors              = ['#EEE','#CCC','#AAA','#888','#666','#444','#222',
-                                       '#0EE','#0CC','#0AA','#088','#066','#044','#022' ];
+  const path_color_string           = "#f28c28";
 
   /*
    *  To support dynamic theming of colors we need to detect what the primary color has been
@@ -97,41 +176,183 @@ export default function Diagram(props) {
    */ 
   let diagramFocusGUID = useRef("");
 
+  /*
+   * diagramPath holds the GUIDs of the entities and relationships on the path found by the path finder
+   * (instancesContext.highlightedPath), as sets, so that the tick function can highlight them.
+   */
+  let diagramPath = useRef({ entities : new Set(), relationships : new Set() });
+
 
   /*
-   * Color mappings are only maintained for the duration of the lifecycle of the Diagram - they are
-   * not stateful across renders. 
+   * colorRef holds the current coloring and the key of each displayed node, for the tick function.
    */
-  let repositoryToColor = {};
-  let colorToRepository = {};
+  const colorRef = useRef({ coloring : "Repository", keys : {} });
 
 
   /*
-   * Need to retain d3 across calls to render diagram
+   * Need to retain d3 across calls to render diagram. The diagram is drawn either in the SVG element
+   * (d3Container) or on the canvas (canvasContainer) - only one of them is rendered at a time.
    */
-  const d3Container = useRef(null);
+  const d3Container     = useRef(null);
+
+  const canvasContainer = useRef(null);
 
   const drgContainerDiv  = useRef();
 
   /*
-   * Databind the latest links and add/remove SVG elements accordingly
+   * displayed holds the nodes and links being drawn (after clustering) and layoutLabels holds the headings
+   * added by the layout, for the tick function. latest holds the current render's handlers for events on
+   * the drawing; d3 keeps the listeners it was given when the elements were created, so they call the
+   * handlers through the ref, to avoid seeing stale state.
    */
-  const updateLinks = () => {
-  
-    const svg = d3.select(d3Container.current);
+  const displayed    = useRef({ nodes : [], links : [], clusterOf : {} });
+  const layoutLabels = useRef([]);
+  const latest       = useRef({});
+  const settleRef    = useRef(0.0005);
 
-    /*
-     * Removal and replacement of links (and nodes, below) means that attributes like labels are updated.
-     * If we decide to avoid the removal and replacement then we will need to protect the asynchronous use
-     * of context states (like InstancesContext's focus state) so that it is refreshed and event handler
-     * closures get the current value, otherwise detecting that a node or link is already the focus (for
-     * highlighting or de-focussing) will not work.
-     */
 
-    svg.selectAll(".link").remove();
+  /*
+   * The summaries (types and provenance) of the entities, so far as they are known - see
+   * InstancesContext.retrieveEntitySummaries. A summary becomes known whenever an entity becomes the focus,
+   * so the graph is only regrouped, re-laid or recolored for new summaries when they are being used.
+   */
+  const summaries      = instancesContext.instanceSummaries;
+  const typeNameOf     = (id) => summaries[id] && summaries[id].typeName ? summaries[id].typeName : null;
+  const groupSummaries = groupBy    === "Type" ? summaries : null;
+  const gridSummaries  = layoutMode === "Grid" ? summaries : null;
+  const colorSummaries = (colorBy === "Type" || colorBy === "Provenance") ? summaries : null;
 
-    const links = svg.selectAll(".link")
-      .data(props.links)
+  /*
+   * The nodes and links from the DiagramManager, leaving out those from hidden collections
+   */
+  const shown = useMemo(
+    () => DiagramLayoutUtils.filterGraph(props.nodes, props.links, hiddenCollections),
+    [props.nodes, props.links, hiddenCollections]
+  );
+
+  /*
+   * The graph that is displayed - the shown nodes and links, with any groups collapsed into clusters.
+   * Only entities whose types are known are clustered by type.
+   */
+  const graph = useMemo(
+    () => {
+      const groupOf = (node) => {
+        if (groupSummaries) {
+          return groupSummaries[node.id] && groupSummaries[node.id].typeName ? groupSummaries[node.id].typeName : null;
+        }
+        if (groupBy === "Gen") {
+          return "Gen " + node.gen;
+        }
+        return null;
+      };
+      return DiagramLayoutUtils.clusterGraph(shown.nodes, shown.links, groupOf, expandedGroups, clusterCache.current);
+    },
+    [shown, groupBy, expandedGroups, groupSummaries]
+  );
+
+  /*
+   * The key of each displayed node for the coloring, and the legend for the keys
+   */
+  const colorKeys = useMemo(
+    () => {
+      let nodesById = {};
+      props.nodes.forEach(node => { nodesById[node.id] = node; });
+      let keys = {};
+      graph.nodes.forEach(node => {
+        keys[node.id] = DiagramColorUtils.colorKey(colorBy, node, colorSummaries ? colorSummaries : {}, nodesById);
+      });
+      return keys;
+    },
+    [props.nodes, graph, colorBy, colorSummaries]
+  );
+
+  if (props.nodes.length === 0) {
+    colorAssignments.current = {};
+  }
+  colorAssignments.current[colorBy] = colorAssignments.current[colorBy] ? colorAssignments.current[colorBy] : {};
+  const legend = DiagramColorUtils.legendEntries(colorBy, colorAssignments.current[colorBy], colorKeys);
+  colorRef.current = { coloring : colorBy, keys : colorKeys };
+
+  /*
+   * The home metadata collections of the instances in the graph (shown or hidden), as a list of
+   * { id, name, count } sorted by name, for the user to choose which to hide.
+   */
+  let collectionMap = {};
+  props.nodes.concat(props.links).forEach(instance => {
+    const id = instance.metadataCollectionId;
+    if (id) {
+      collectionMap[id] = collectionMap[id] ? collectionMap[id]
+                                            : { id : id, name : instance.metadataCollectionName ? instance.metadataCollectionName : id, count : 0 };
+      collectionMap[id].count = collectionMap[id].count + 1;
+    }
+  });
+  const collections = Object.values(collectionMap).sort((a, b) => a.name.localeCompare(b.name));
+
+  /*
+   * The text alternative for the diagram - a description of the graph and the focus, from the InstancesContext
+   */
+  const focus          = instancesContext.focus;
+  const focusDigest    = focus.instance ? (focus.instance.entityDigest ? focus.instance.entityDigest : focus.instance.relationshipDigest) : null;
+  const focusLabel     = focusDigest ? focusDigest.label : focus.instanceGUID;
+  const focusCategory  = focus.instanceGUID !== "" ? focus.instanceCategory : "";
+  const graphDescription = DiagramAccessibilityUtils.describeGraph(props.nodes.length, props.links.length, props.numGens,
+                                                                   focusCategory, focusLabel,
+                                                                   props.nodes.length - shown.nodes.length);
+
+  const useCanvas = renderer === "Canvas" || (renderer === "Automatic" && graph.nodes.length > large_graph_size);
+
+  /*
+   * The hierarchical and radial layouts are arranged around the focus, so they are re-laid when it changes
+   */
+  const layoutRoot = (layoutMode === "Hierarchical" || layoutMode === "Radial") ? instancesContext.focus.instanceGUID : "";
+
+
+  /*
+   * Whether a node is (or a cluster contains) the focus, and whether a node or link is (or a cluster
+   * contains) an instance on the highlighted path.
+   */
+  const isFocus = (d, focusGUID) => {
+    return d.id === focusGUID || (d.cluster === true && d.memberIds.includes(focusGUID));
+  };
+
+  const nodeOnPath = (d, path) => {
+    return path.entities.has(d.id) || (d.cluster === true && d.memberIds.some(id => path.entities.has(id)));
+  };
+
+  const linkOnPath = (d, path) => {
+    return path.relationships.has(d.id) || (d.cluster === true && d.members.some(link => path.relationships.has(link.id)));
+  };
+
+  const radiusOf = (d) => {
+    return d.cluster ? cluster_radius : node_radius;
+  };
+
+
+  /*
+   * Return the layer of the SVG with the supplied class, creating it if necessary. The layers keep the
+   * layout's headings behind the links, and the links behind the nodes.
+   */
+  const svgLayer = (svg, layerClass) => {
+    let layer = svg.select("g." + layerClass);
+    if (layer.empty()) {
+      layer = svg.append("g").attr("class", layerClass);
+    }
+    return layer;
+  };
+
+
+  /*
+   * Databind the latest links and add/remove SVG elements accordingly.
+   * The links are keyed by id, so only the elements for links that have been added or removed are changed.
+   * The labels of the remaining links are updated, and their elements are given the current link objects
+   * (a cluster's link is rebuilt when the cluster changes).
+   */
+  const updateLinks = () => {
+
+    const svg = d3.select(d3Container.current);
+
+    const links = svgLayer(svg, "links-layer").attr("aria-hidden", "true").selectAll(".link")
+      .data(graph.links, DiagramUtils.nodeId);
 
     links.exit().remove();
 
@@ -143,7 +364,7 @@ export default function Diagram(props) {
       .attr('y1', function(d) {return d.source.y;} )
       .attr('x2', function(d) {return d.target.x;} )
       .attr('y2', function(d) {return d.target.y;} )
-      ;  
+      ;
 
     enter_set.append('text')
       .attr('class',             'edgeLabel')
@@ -151,13 +372,13 @@ export default function Diagram(props) {
       .attr("stroke",            "none")
       .attr("font-family",       "sans-serif")
       .attr("font-size",         "10px")
-      .attr("stroke-width",      0)     
+      .attr("stroke-width",      0)
       .attr("dominant-baseline", function(d) { return (d.source.x > d.target.x) ? "baseline" : "hanging"; } )
       .attr("x",                 function(d) { return DiagramUtils.path_func(d, link_distance).midpoint.x; } )
-      .attr("y",                 function(d) { return DiagramUtils.path_func(d, link_distance).midpoint.y; } )      
+      .attr("y",                 function(d) { return DiagramUtils.path_func(d, link_distance).midpoint.y; } )
       .attr('text-anchor',       'middle')
       .text( function(d) { return d.label; } )
-      .on("click",                d => { linkClicked(d.id); })  // The link's id is the relationshipGUID
+      .on("click",                d => { latest.current.linkSelected(d); })
       .clone(true)
       .lower()
       .attr("stroke-linejoin",    "round")
@@ -171,13 +392,17 @@ export default function Diagram(props) {
        .attr("fill",              "none")
        .attr('stroke',            egeria_primary_color_string)
        .attr('stroke-width',      '2px')
+       .attr('stroke-dasharray',  function(d) { return d.cluster ? "6,3" : null; })
        .attr("marker-end",        function(d) { return (d.source===d.target)?"none":"url(#end)";})  // No arrow if link reflexive
-       .on("click",               d => { linkClicked(d.id); })  // The link's id is the relationshipGUID
+       .on("click",               d => { latest.current.linkSelected(d); })
        .lower()
        ;
 
-    links.merge(enter_set);
+    links.merge(enter_set)
+      .each(function(d) { d3.select(this).selectAll("text, path").datum(d); });
 
+    links.selectAll('text')
+      .text( function(d) { return d.label; } ) ;
   };
 
 
@@ -187,9 +412,9 @@ export default function Diagram(props) {
    */
   const placeNodes = () => {
 
-    if (props.nodes) {
+    if (graph.nodes) {
 
-      if (props.nodes.length > 0) {        
+      if (graph.nodes.length > 0) {
 
         /*
          * Assign starting position to any node that doesn't already have one...
@@ -197,7 +422,7 @@ export default function Diagram(props) {
          * a left-right flow which is easier for the user. Process the linked
          * nodes first, then mop up any that are still adrift.
          */
-        props.links.forEach( l => {
+        graph.links.forEach( l => {
           if (l.source.x === null || l.source.y === null) {
             l.source.x = width/4.0;
             l.source.y = DiagramUtils.yPlacement(l.source, height, props.numGens);
@@ -205,14 +430,14 @@ export default function Diagram(props) {
           if (l.target.x === null || l.target.y === null) {
             l.target.x = 3.0 * width/4.0;
             l.target.y = DiagramUtils.yPlacement(l.target, height, props.numGens);
-          }      
+          }
         });
         /* Catch any disconnected nodes */
-        props.nodes.forEach( n => {
+        graph.nodes.forEach( n => {
           if (n.x === null || n.y === null) {
              n.x = width/2;
              n.y = DiagramUtils.yPlacement(n, height, props.numGens);
-          }          
+          }
         });
       }
     }
@@ -220,76 +445,156 @@ export default function Diagram(props) {
 
 
   /*
-   * Databind the latest nodes and add/remove SVG elements accordingly
+   * Databind the latest nodes and add/remove SVG elements accordingly.
+   * The nodes are keyed by id, so only the elements for nodes that have been added or removed are changed.
    */
   const updateNodes = () => {
-  
+
     const svg = d3.select(d3Container.current);
 
-    svg.selectAll(".node").remove()
+    const nodes = svgLayer(svg, "nodes-layer").selectAll(".node")
+      .data(graph.nodes, DiagramUtils.nodeId);
 
-    const nodes = svg.selectAll(".node")
-      .data(props.nodes)
-          
     nodes.exit().remove();
 
     const enter_set = nodes.enter()
       .append("g")
-      .attr('class',  'node')
-      .attr("cursor", "pointer")
-      .attr('cx',     function(d) {return d.x;} )
-      .attr('cy',     function(d) {return d.y;} )
+      .attr('class',    'node')
+      .attr("cursor",   "pointer")
+      .attr("tabindex", 0)
+      .attr("role",     "button")
+      .attr('cx',       function(d) {return d.x;} )
+      .attr('cy',       function(d) {return d.y;} )
+      .on("focus",      d => { cursorRef.current = d.id; })
       .call(d3.drag()
           .container(d3Container.current)
           .on("start", dragstarted)
           .on("drag",  dragged)
-          .on("end",   dragended) )    
+          .on("end",   dragended) )
       ;
 
     enter_set.append('line')
       .attr('x1',            0)
       .attr('y1',            0)
       .attr('x2',            0)
-      .attr('y2',            node_radius*2.0)
-      .attr('stroke',       egeria_primary_color_string)       
-      .attr('stroke-width', '2px')        
-      .on("click", d => { if (d3.event.shiftKey) {unpin(d);} else {nodeClicked(d.id); }})   // The node's id is the entityGUID
+      .attr('y2',            d => radiusOf(d) * 2.0)
+      .attr('stroke',       egeria_primary_color_string)
+      .attr('stroke-width', '2px')
+      .on("click", d => { latest.current.nodeSelected(d, d3.event.shiftKey); })
       ;
 
     enter_set.append('circle')
-      .attr('r',            node_radius)
-      .attr('stroke',       egeria_primary_color_string)       
-      .attr('stroke-width', '2px')
-      .attr('fill',         'white')      
-      .on("click", d => { if (d3.event.shiftKey) {unpin(d);} else {nodeClicked(d.id); }})  // The node's id is the entityGUID
+      .attr('r',                d => radiusOf(d))
+      .attr('stroke',           egeria_primary_color_string)
+      .attr('stroke-width',     '2px')
+      .attr('stroke-dasharray', d => d.cluster ? "4,2" : null)
+      .attr('fill',             'white')
+      .on("click", d => { latest.current.nodeSelected(d, d3.event.shiftKey); })
       ;
 
-    enter_set.append('text')  
+    enter_set.append('text')
       .attr("fill",         "#444")
       .text( function(d) { return d.label; } )
       .attr("font-family",  "sans-serif")
       .attr("font-size",    "12px")
       .attr("stroke-width", "0")
-      .attr("dx",           20)
+      .attr("dx",           d => radiusOf(d) + 10)
       .attr("dy",           ".35em")
-      .on("click", d => { if (d3.event.shiftKey) {unpin(d);} else {nodeClicked(d.id); }})   // The node's id is the entityGUID
+      .on("click", d => { latest.current.nodeSelected(d, d3.event.shiftKey); })
       ;
 
+    /*
+     * Keep the nodes' elements in tab order, so that the keyboard moves through them predictably
+     */
+    nodes.merge(enter_set)
+      .each(function(d) { d3.select(this).selectAll("line, circle, text").datum(d); })
+      .sort(DiagramAccessibilityUtils.compareTabOrder);
+
     /* Check all labels are up to date.
      * This does not yet include the enter_set as they have only just been added
      * and are known to have correct labels
      */
     nodes.select('text')
       .text( function(d) { return d.label; } ) ;
+  };
+
+
+  /*
+   * Draw the headings added by the layout (e.g. the types in the grid layout)
+   */
+  const updateLayoutLabels = () => {
 
-    nodes.merge(enter_set);
+    const svg = d3.select(d3Container.current);
+
+    const labels = svgLayer(svg, "layout-labels").attr("aria-hidden", "true").selectAll(".layoutLabel")
+      .data(layoutLabels.current);
+
+    labels.exit().remove();
+
+    labels.enter()
+      .append("text")
+      .attr("class",        "layoutLabel")
+      .attr("fill",         "#444")
+      .attr("font-family",  "sans-serif")
+      .attr("font-size",    "12px")
+      .attr("font-weight",  "bold")
+      .merge(labels)
+      .attr("x",            d => d.x)
+      .attr("y",            d => d.y)
+      .text(d => d.text);
+  };
+
+
+  /*
+   * The node (or cluster) at a point on the canvas, or undefined
+   */
+  const findNode = (x, y) => {
+    return simRef.current.find(x, y, cluster_radius);
+  };
+
+  /*
+   * The link whose label is at a point on the canvas, or undefined
+   */
+  const findLink = (x, y) => {
+    return displayed.current.links.find(d => {
+      const midpoint = DiagramUtils.path_func(d, link_distance).midpoint;
+      return Math.abs(midpoint.x - x) < 20 && Math.abs(midpoint.y - y) < 8;
+    });
+  };
+
+  /*
+   * The canvas has no elements for the nodes and links, so clicks and drags are hit-tested against
+   * the positions of the nodes, and the labels of the links.
+   */
+  const bindCanvas = () => {
+
+    const canvas = d3.select(canvasContainer.current);
+
+    canvas.on("click", () => {
+      const point = d3.mouse(canvasContainer.current);
+      const node  = findNode(point[0], point[1]);
+      if (node) {
+        latest.current.nodeSelected(node, d3.event.shiftKey);
+        return;
+      }
+      const link  = findLink(point[0], point[1]);
+      if (link) {
+        latest.current.linkSelected(link);
+      }
+    });
+
+    canvas.call(d3.drag()
+      .subject(() => findNode(d3.event.x, d3.event.y))
+      .on("start", () => dragstarted(d3.event.subject))
+      .on("drag",  () => dragged(d3.event.subject))
+      .on("end",   () => dragended(d3.event.subject)) );
   };
 
- 
+
   const dragstarted = (d) => {
     if (!d3.event.active) {
-      if (loc_force) {
-        loc_force.alphaTarget(0.3).restart();
+      if (simRef.current) {
+        simRef.current.alphaTarget(0.3).restart();
       }
     }
     d.xinit = d3.event.x;
@@ -313,8 +618,8 @@ export default function Diagram(props) {
 
   const dragended = (d) => {
     if (!d3.event.active) {
-      if (loc_force) {
-        loc_force.alphaTarget(0.0005);
+      if (simRef.current) {
+        simRef.current.alphaTarget(settleRef.current);
       }
     }
     if (!pinningRef.current) {
@@ -328,7 +633,7 @@ export default function Diagram(props) {
     d.fy = null;
   }
 
- 
+
   const nodeClicked = (guid) => {
     props.onNodeClick(guid);
   }
@@ -337,82 +642,196 @@ export default function Diagram(props) {
     props.onLinkClick(guid);
   }
 
+  /*
+   * Expand a cluster, placing its members (unless they are pinned) around where the cluster was
+   */
+  const expandCluster = (cluster) => {
+    const memberIds = new Set(cluster.memberIds);
+    props.nodes.filter(node => memberIds.has(node.id)).forEach((node, i) => {
+      if (node.fx === undefined || node.fx === null) {
+        node.x = cluster.x + ((i % 5) - 2) * node_margin;
+        node.y = cluster.y + (Math.floor(i / 5) % 5 - 2) * node_margin;
+      }
+    });
+    setExpandedGroups(groups => groups.includes(cluster.group) ? groups : groups.concat([cluster.group]));
+  };
 
   /*
-   *  This function is called to determine the color of a node - if the node is selected then a decision
-   *  will already have been made about color. So assume it is not selected. Nodes from different repositories
-   *  are filled using different colors.
+   * Shift-click unpins a node or cluster. A click on an entity makes it the focus; a click on a
+   * cluster expands it.
    */
-  const nodeColor = (d) => {
+  const nodeSelected = (d, shiftKey) => {
+    if (shiftKey) {
+      unpin(d);
+    }
+    else if (d.cluster) {
+      expandCluster(d);
+    }
+    else {
+      nodeClicked(d.id);   // The node's id is the entityGUID
+    }
+  };
 
-    /*
-     * Look up repository name in repositoryColor map, if not found assign next color.
-     * This actually assigns gray-shades, starting with the #EEE and darkening by two
-     * stops for each new repository found - e.g. #AAA -> #888. There are therefore 8 shades
-     * that can be allocated, by which time we are at 100% black. If this number proves to
-     * be insufficient, we can shorten the two-stops or assign a single hue, e.g. green.
-     */
-    let colorString = repositoryToColor[d.metadataCollectionId];
-    if (colorString !== undefined) {
-      return colorString;
+  /*
+   * A click on a relationship makes it the focus. A cluster's link combines the relationships between
+   * its ends - if there is only one, it becomes the focus, otherwise the clusters at the ends are expanded.
+   */
+  const linkSelected = (d) => {
+    if (!d.cluster) {
+      linkClicked(d.id);   // The link's id is the relationshipGUID
+    }
+    else if (d.members.length === 1) {
+      linkClicked(d.members[0].id);
     }
     else {
+      [d.source, d.target].filter(end => end.cluster).forEach(end => expandCluster(end));
+    }
+  };
 
-      /*
-       * Assign first available color
-       */
-      let assigned = false;
-      for (let col in possibleColors) {
-        colorString = possibleColors[col];
-        if (colorToRepository[colorString] === undefined) {
-          /*
-           * Color is available
-           */
-          repositoryToColor[d.metadataCollectionId] = colorString;
-          colorToRepository[colorString] = d.metadataCollectionId;
-          return colorString;
+  latest.current = { nodeSelected, linkSelected };
+
+
+  /*
+   * Describe a node for a screen reader. In the SVG each node's description is its label (aria-label);
+   * on the canvas the description is announced when the cursor moves to the node.
+   */
+  const describeNode = (d, counts) => {
+    return DiagramAccessibilityUtils.describeNode(d, summaries[d.id], counts[d.id], isFocus(d, diagramFocusGUID.current));
+  };
+
+  const labelNodes = () => {
+    if (d3Container.current) {
+      const counts = DiagramAccessibilityUtils.linkCounts(displayed.current.links);
+      d3.select(d3Container.current).selectAll(".node")
+        .attr("aria-label", d => describeNode(d, counts));
+    }
+  };
+
+  /*
+   * The node the cursor starts on - the focus (or the cluster containing it) if it is displayed, otherwise
+   * the first node in tab order.
+   */
+  const startNode = () => {
+    const focusGUID = diagramFocusGUID.current;
+    const focussed  = displayed.current.nodes.find(d => isFocus(d, focusGUID));
+    return focussed ? focussed : DiagramAccessibilityUtils.tabOrder(displayed.current.nodes)[0];
+  };
+
+  const moveCursor = (d) => {
+    cursorRef.current = d.id;
+    if (d3Container.current) {
+      d3.select(d3Container.current).selectAll(".node").filter(n => n.id === d.id).node().focus();
+    }
+    else if (canvasContainer.current) {
+      drawCanvas();
+      setAnnouncement(describeNode(d, DiagramAccessibilityUtils.linkCounts(displayed.current.links)));
+    }
+  };
+
+  /*
+   * Keyboard navigation of the diagram. The arrow keys move the cursor to the neighbour in that direction,
+   * Home moves it to the focus, and Enter (or space) selects the node as a click would - shift-Enter unpins
+   * it. On the canvas, which is a single element, Tab and shift-Tab move through the nodes in tab order.
+   */
+  const keyPressed = (evt) => {
+
+    const nodes  = displayed.current.nodes;
+    const cursor = nodes.find(d => d.id === cursorRef.current);
+    if (nodes.length === 0) {
+      return;
+    }
+
+    if (evt.key === "Tab") {
+      if (canvasContainer.current) {
+        const order = DiagramAccessibilityUtils.tabOrder(nodes);
+        const index = cursor ? order.indexOf(cursor) : -1;
+        const next  = evt.shiftKey ? index - 1 : index + 1;
+        if ((cursor || !evt.shiftKey) && next >= 0 && next < order.length) {
+          evt.preventDefault();
+          moveCursor(order[next]);
+        }
+        else {
+          cursorRef.current = null;
+          drawCanvas();
         }
       }
-      if (!assigned) {
+      return;
+    }
 
-        /*
-         * Ran out of available colors for repositories!
-         *
-         * Assign a color that we know is not in the possible colors to this
-         * repo and any further ones we discover. Remember this for consistency
-         * - i.e. this repository will use this color for the remainder of this
-         * exploration. There may be multiple repositories sharing this same color
-         * so do not update the colorToRepository map. If a color frees up it will
-         * be allocated to a new repository, but not to repositories remembered below.
-         */
-        const col = '#000';
-        this.repositoryToColor[d.metadataCollectionId] = col;
-        return col;
+    if (DiagramAccessibilityUtils.isArrowKey(evt.key)) {
+      evt.preventDefault();
+      if (!cursor) {
+        moveCursor(startNode());
+        return;
+      }
+      const neighbour = DiagramAccessibilityUtils.neighbourInDirection(cursor, displayed.current.links, evt.key);
+      if (neighbour) {
+        moveCursor(neighbour);
+      }
+      else {
+        setAnnouncement("There is no neighbour " + DiagramAccessibilityUtils.arrowName(evt.key) + " " + cursor.label);
       }
     }
-  }
+    else if (evt.key === "Home") {
+      evt.preventDefault();
+      moveCursor(startNode());
+    }
+    else if ((evt.key === "Enter" || evt.key === " ") && cursor) {
+      evt.preventDefault();
+      latest.current.nodeSelected(cursor, evt.shiftKey);
+      if (evt.shiftKey) {
+        setAnnouncement("Unpinned " + cursor.label);
+      }
+    }
+  };
 
 
+  /*
+   *  This function is called to determine the color of a node - if the node is selected then a decision
+   *  will already have been made about color. So assume it is not selected. The color depends on the
+   *  coloring the user has chosen - see DiagramColorUtils.
+   */
+  const nodeColor = (d) => {
+    const coloring = colorRef.current.coloring;
+    const key      = colorRef.current.keys[d.id];
+    return DiagramColorUtils.assignColor(coloring, colorAssignments.current[coloring], key ? key : DiagramColorUtils.notKnownKey);
+  };
+
 
   /*
-   * tick function is responsible for updating SVG attributes to match the latest 
+   * tick function is responsible for updating the drawing to match the latest
    * positions of the nodes, as updated by the force sim.
    */
   const tick = () => {
 
+    /*
+     * Keep nodes in the viewbox, with a safety margin so that (curved) links are unlikely to stray...
+     */
+    displayed.current.nodes.forEach(d => {
+      d.x = Math.max(node_margin, Math.min(width  - 8 * node_margin, d.x));
+      d.y = Math.max(node_margin, Math.min(height -     node_margin, d.y));
+    });
+
+    if (canvasContainer.current) {
+      drawCanvas();
+    }
+    else if (d3Container.current) {
+      tickSVG();
+    }
+  };
+
+  const tickSVG = () => {
+
     const focusGUID = diagramFocusGUID.current;
-   
+
     const svg = d3.select(d3Container.current);
 
     const nodes = svg.selectAll(".node");
 
-    /*
-     * Keep nodes in the viewbox, with a safety margin so that (curved) links are unlikely to stray...
-     */
-    nodes.attr('cx',function(d) { return d.x = Math.max(node_margin, Math.min(width  - 8 * node_margin, d.x)); });
-    nodes.attr('cy',function(d) { return d.y = Math.max(node_margin, Math.min(height -     node_margin, d.y)); });
+    nodes.attr('cx', function(d) { return d.x; });
+    nodes.attr('cy', function(d) { return d.y; });
     nodes.attr('transform', function(d) { return "translate(" + d.x + "," + d.y + ")";});
-    
+
 
     /*
      * Highlight a selected node, if it is the instance that has been selected or just loaded
@@ -420,20 +839,22 @@ export default function Diagram(props) {
      */
 
     nodes.selectAll('circle')
-      .attr("fill", d => (d.id === focusGUID) ? egeria_primary_color_string : nodeColor(d) );
+      .attr("fill", d => isFocus(d, focusGUID) ? egeria_primary_color_string : nodeColor(d) );
 
-      nodes.selectAll('line')      
+      nodes.selectAll('line')
       .attr('stroke', d => (pinningRef.current && d.fx !== undefined && d.fx !== null) ? egeria_primary_color_string : "none");
 
     nodes.selectAll('text')
-      .attr("fill", d => (d.id === focusGUID) ? egeria_text_color_string : "#444" );
-    
+      .attr("fill", d => isFocus(d, focusGUID) ? egeria_text_color_string : "#444" );
+
     const links = svg.selectAll(".link")
 
     links.selectAll('path')
        .attr('d', function(d) { return DiagramUtils.path_func(d, link_distance).path; })
        .lower();
 
+    highlightPath();
+
     links.selectAll('text')
        .attr("x", function(d) { return d.x = DiagramUtils.path_func(d, link_distance).midpoint.x; } )
        .attr("y", function(d) { return d.y = DiagramUtils.path_func(d, link_distance).midpoint.y; } )
@@ -443,41 +864,217 @@ export default function Diagram(props) {
   };
 
 
-  const createSim = () => {
+  /*
+   * Outline the entities and thicken the relationships that are on the highlighted path
+   */
+  const highlightPath = () => {
+
+    const path = diagramPath.current;
+
+    const svg = d3.select(d3Container.current);
+
+    svg.selectAll(".node").selectAll('circle')
+      .attr('stroke',       d => nodeOnPath(d, path) ? path_color_string : egeria_primary_color_string)
+      .attr('stroke-width', d => nodeOnPath(d, path) ? '4px' : '2px');
+
+    svg.selectAll(".link").selectAll('path')
+      .attr('stroke',       d => linkOnPath(d, path) ? path_color_string : egeria_primary_color_string)
+      .attr('stroke-width', d => linkOnPath(d, path) ? '4px' : '2px');
+  };
+
+
+  /*
+   * Draw the whole diagram on the canvas - the same picture as the SVG, except that the labels of the
+   * links are not rotated, and labels are left out of very large graphs.
+   */
+  const drawCanvas = () => {
+
+    const focusGUID = diagramFocusGUID.current;
+    const path      = diagramPath.current;
+    const nodes     = displayed.current.nodes;
+    const links     = displayed.current.links;
+    const labelled  = nodes.length <= canvas_label_limit;
+    const context   = canvasContainer.current.getContext("2d");
+
+    context.fillStyle = "white";
+    context.fillRect(0, 0, width, height);
+    context.font         = "10px sans-serif";
+    context.textAlign    = "center";
+
+    links.forEach(d => {
+      const curve  = DiagramUtils.path_func(d, link_distance);
+      const onPath = linkOnPath(d, path);
+      context.strokeStyle = onPath ? path_color_string : egeria_primary_color_string;
+      context.fillStyle   = context.strokeStyle;
+      context.lineWidth   = onPath ? 4 : 2;
+      context.setLineDash(d.cluster ? [6, 3] : []);
+      context.stroke(new Path2D(curve.path));
+      if (d.source !== d.target) {
+        /*
+         * Arrowhead, at the edge of the target, pointing along the approach from the midpoint
+         */
+        const angle = Math.atan2(d.target.y - curve.midpoint.y, d.target.x - curve.midpoint.x);
+        const tipX  = d.target.x - (radiusOf(d.target) + 2) * Math.cos(angle);
+        const tipY  = d.target.y - (radiusOf(d.target) + 2) * Math.sin(angle);
+        context.beginPath();
+        context.moveTo(tipX, tipY);
+        context.lineTo(tipX - 8 * Math.cos(angle - 0.4), tipY - 8 * Math.sin(angle - 0.4));
+        context.lineTo(tipX - 8 * Math.cos(angle + 0.4), tipY - 8 * Math.sin(angle + 0.4));
+        context.closePath();
+        context.fill();
+      }
+      if (labelled) {
+        context.fillStyle = d.id === focusGUID ? egeria_text_color_string : "#888";
+        context.fillText(d.label, curve.midpoint.x, curve.midpoint.y);
+      }
+    });
+
+    context.setLineDash([]);
+    context.font      = "bold 12px sans-serif";
+    context.textAlign = "left";
+    context.fillStyle = "#444";
+    layoutLabels.current.forEach(label => context.fillText(label.text, label.x, label.y));
+
+    context.font = "12px sans-serif";
+    nodes.forEach(d => {
+      const focussed = isFocus(d, focusGUID);
+      const onPath   = nodeOnPath(d, path);
+      const radius   = radiusOf(d);
+      if (pinningRef.current && d.fx !== undefined && d.fx !== null) {
+        context.strokeStyle = egeria_primary_color_string;
+        context.lineWidth   = 2;
+        context.beginPath();
+        context.moveTo(d.x, d.y);
+        context.lineTo(d.x, d.y + radius * 2.0);
+        context.stroke();
+      }
+      context.beginPath();
+      context.arc(d.x, d.y, radius, 0, 2 * Math.PI);
+      context.fillStyle   = focussed ? egeria_primary_color_string : nodeColor(d);
+      context.fill();
+      context.strokeStyle = onPath ? path_color_string : egeria_primary_color_string;
+      context.lineWidth   = onPath ? 4 : 2;
+      context.setLineDash(d.cluster ? [4, 2] : []);
+      context.stroke();
+      if (labelled) {
+        context.fillStyle = focussed ? egeria_text_color_string : "#444";
+        context.fillText(d.label, d.x + radius + 10, d.y + 4);
+      }
+    });
+
+    /*
+     * The keyboard cursor, while the canvas has the browser's focus
+     */
+    const cursor = nodes.find(d => d.id === cursorRef.current);
+    if (cursor && document.activeElement === canvasContainer.current) {
+      context.strokeStyle = "#444";
+      context.lineWidth   = 2;
+      context.setLineDash([3, 3]);
+      context.beginPath();
+      context.arc(cursor.x, cursor.y, radiusOf(cursor) + 6, 0, 2 * Math.PI);
+      context.stroke();
+    }
+    context.setLineDash([]);
+  };
+
+
+  /*
+   * Compute the positions of the nodes for the hierarchical, radial and grid layouts. The hierarchical
+   * and radial layouts are arranged around the focus entity, or the cluster it is in.
+   */
+  const computeLayout = () => {
+
+    const bounds = { left   : 2 * node_margin,
+                     top    : 2 * node_margin,
+                     right  : width  - 9 * node_margin,
+                     bottom : height - 2 * node_margin };
+
+    const focusGUID = instancesContext.focus.instanceGUID;
+    const rootId    = graph.clusterOf[focusGUID] ? graph.clusterOf[focusGUID].id : focusGUID;
+
+    switch (layoutMode) {
+      case "Hierarchical":
+        return DiagramLayoutUtils.hierarchicalLayout(graph.nodes, graph.links, rootId, bounds);
+      case "Radial":
+        return DiagramLayoutUtils.radialLayout(graph.nodes, graph.links, rootId, bounds);
+      default:
+        return DiagramLayoutUtils.gridLayout(graph.nodes, node => {
+          if (node.cluster) {
+            return groupBy === "Type" ? node.group : "Clusters";
+          }
+          return typeNameOf(node.id) ? typeNameOf(node.id) : "Type not known";
+        }, bounds);
+    }
+  };
+
+
+  /*
+   * Give the sim the nodes and links being displayed and set up its forces for the layout mode.
+   * Large graphs are allowed to come to rest, rather than being kept gently moving, so that they
+   * do not use the browser continuously.
+   */
+  const configureSim = () => {
 
-    if (!loc_force) {
+    const sim   = simRef.current;
+    const large = graph.nodes.length > large_graph_size;
 
-      loc_force = d3.forceSimulation(props.nodes)
-        .force('horiz', d3.forceX(width/2).strength(0.05))
-        .force('repulsion', d3.forceManyBody().strength(-500))
-        .alphaDecay(.002)
-        .alphaMin(0.001)
-        .alphaTarget(0.0005)
+    settleRef.current = large ? 0 : 0.0005;
+
+    sim.nodes(graph.nodes);
+
+    if (layoutMode === "Temporal" || layoutMode === "Proximal") {
+
+      layoutLabels.current = [];
+
+      const repulsion = d3.forceManyBody().strength(-500);
+      if (large) {
+        repulsion.distanceMax(4 * link_distance);
+      }
+
+      sim.force('horiz', d3.forceX(width/2).strength(0.05))
+        .force('repulsion', repulsion)
         .velocityDecay(0.8)
         .force('link', d3.forceLink()
-          .links(props.links)
+          .links(graph.links)
           .id(DiagramUtils.nodeId)
           .distance(link_distance)
           .strength(function(d) { return DiagramUtils.ls(d);})) ;
 
-
       if (layoutMode === "Temporal") {
-        loc_force.force('vert', d3.forceY().strength(0.1).y(function(d) {return DiagramUtils.yPlacement(d, height, props.numGens);}));
+        sim.force('vert', d3.forceY().strength(0.1).y(function(d) {return DiagramUtils.yPlacement(d, height, props.numGens);}));
       }
       else {
-        loc_force.force('vert', d3.forceY(height/2).strength(0.05))
+        sim.force('vert', d3.forceY(height/2).strength(0.05))
       }
+    }
+    else {
 
-      loc_force.on('tick', tick);
+      const layout = computeLayout();
+      layoutLabels.current = layout.labels;
 
+      const target = (d, axis) => layout.positions[d.id] ? layout.positions[d.id][axis] : d[axis];
+
+      sim.force('horiz', d3.forceX(d => target(d, "x")).strength(0.3))
+        .force('vert',   d3.forceY(d => target(d, "y")).strength(0.3))
+        .force('repulsion', null)
+        .force('link',      null)
+        .velocityDecay(0.4);
     }
+
+    sim.alphaDecay(large ? 0.0228 : 0.002)
+      .alphaMin(0.001)
+      .alphaTarget(settleRef.current)
+      .on('tick', tick)
+      .alpha(1)
+      .restart();
   };
 
+
   /*
    * Define arrowhead for links
    */
-  const createMarker = () => { 
-    const svg = d3.select(d3Container.current); 
+  const createMarker = () => {
+    const svg = d3.select(d3Container.current);
     svg.append("svg:defs").selectAll("marker")
       .data(["end"])
       .enter().append("svg:marker")
@@ -495,24 +1092,31 @@ export default function Diagram(props) {
 
   };
 
-  const startSim = //useCallback(
-    () => {
-    if (loc_force) {
-      loc_force.restart();
-    }
-  };
 
-  
   /*
-   * Function to update all SVG node and link elements. Nodes must be initially positioned,
-   * then links can be rendered. Nodes are rendered last so that they appear to be 'in front'
-   * of links - this has better aesthetics and makes node and link selection simpler because
-   * it avoids having link ends overlapping nodes.
+   * Function to update the drawing. Nodes must be initially positioned, then links can be rendered.
+   * In the SVG, nodes are rendered last so that they appear to be 'in front' of links - this has better
+   * aesthetics and makes node and link selection simpler because it avoids having link ends overlapping nodes.
    */
   const updateData = () => {
+    displayed.current = graph;
     placeNodes();
-    updateLinks();
-    updateNodes();
+    if (d3Container.current) {
+      if (d3.select(d3Container.current).select("defs").empty()) {
+        createMarker();
+      }
+      svgLayer(d3.select(d3Container.current), "layout-labels");
+      updateLinks();
+      updateNodes();
+    }
+    else if (canvasContainer.current) {
+      bindCanvas();
+    }
+    configureSim();
+    if (d3Container.current) {
+      updateLayoutLabels();
+      labelNodes();
+    }
   };
 
   const setDiagramFocus = useCallback(
@@ -523,71 +1127,133 @@ export default function Diagram(props) {
   );
 
   const updatedPinningOption = () => {
-   
+
     setPinningOption(!pinningOption);
     if (pinningOption) {
       /*
-       * If pinning was true, nodes may be pinned, so ensure all nodes are unpinned
+       * If pinning was true, nodes may be pinned, so ensure all nodes (and clusters) are unpinned
        */
       props.nodes.forEach(n => unpin(n));
+      graph.nodes.forEach(n => unpin(n));
     }
   };
 
 
- useEffect(
+  /*
+   * Retrieve the summaries of the entities that have not been retrieved, so that they can be grouped
+   * and colored by their types and provenance
+   */
+  const summariesUsed    = groupBy === "Type" || layoutMode === "Grid" || colorBy === "Type" || colorBy === "Provenance";
+  const unknownSummaries = props.nodes.filter(node => summaries[node.id] === undefined).length;
+
+  const retrieveSummaries = () => {
+    instancesContext.retrieveEntitySummaries(setSummaryStatus)
+    .then(failures => {
+      setSummaryStatus(failures > 0 ? failures + " entities could not be retrieved." : "");
+    });
+  };
+
+
+useEffect(
   () => {
-    if ( d3Container.current ) {
-      if ( !loc_force ) {
-        createSim();        
-        createMarker();                           
-        startSim();
+    simRef.current = d3.forceSimulation().alphaMin(0.001);
+    return () => simRef.current.stop();
+  },
+  []
+)
+
+
+useEffect(
+  () => {
+    if ( d3Container.current || canvasContainer.current ) {
+      try {
+        updateData();
+      }
+      catch(err) {
+        alert("Exception from diagram data, sim update  : " + err);
       }
     }
   },
   /*
-   * Disable the linter's full dependency check - this is because if you specify createSim for example,
-   * then to avoid further linter checks you need to make createSim a useCallback - which prevents the
-   * animation from working.
+   * Disable the linter's full dependency check - this is because if you specify updateData for example,
+   * then it is recreated on each render and the sim would be reconfigured (and restarted) on every render.
    */
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  [ loc_force, createMarker  ]
+  [  graph, layoutMode, layoutRoot, gridSummaries, useCanvas, props.numGens ]
 )
 
-
 useEffect(
   () => {
-    if ( d3Container.current ) {
-      if ( props.nodes || props.links) {
-        try {
-          updateData();
-          startSim();
-        }
-        catch(err) {
-          alert("Exception from diagram data, sim update  : " + err);
-        }
-      }
+    /*
+     * Recolor straight away - the sim may have come to rest, in which case there will be no tick
+     */
+    if ( d3Container.current || canvasContainer.current ) {
+      tick();
     }
   },
   /*
-   * Disable the linter's full dependency check - this is because if you specify startSim for example,
-   * then to avoid further linter checks you need to make startSim a useCallback - which prevents the
-   * animation from working.
+   * Disable the linter's full dependency check - tick is recreated on each render
    */
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  [  props.nodes, props.links, updateData ]
+  [  colorKeys ]
 )
 
 useEffect(
   () => {
-    if ( d3Container.current ) {
+    if ( d3Container.current || canvasContainer.current ) {
       if ( instancesContext.focus ) {
         setDiagramFocus();
+        /*
+         * Redraw straight away - a large graph's sim may have come to rest, in which case there will be no tick
+         */
+        tick();
+        labelNodes();
+        if ( focusCategory !== "" ) {
+          setAnnouncement("The focus is the " + focusCategory.toLowerCase() + " " + focusLabel);
+        }
       }
     }
   },
+  /*
+   * Disable the linter's full dependency check - tick is recreated on each render
+   */
+  // eslint-disable-next-line react-hooks/exhaustive-deps
   [  instancesContext.focus, setDiagramFocus ]
 )
 
+useEffect(
+  () => {
+    labelNodes();
+  },
+  /*
+   * Disable the linter's full dependency check - labelNodes is recreated on each render
+   */
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  [  summaries ]
+)
+
+useEffect(
+  () => {
+    const path = instancesContext.highlightedPath;
+    diagramPath.current = { entities      : new Set(path ? path.entityGUIDs       : []),
+                            relationships : new Set(path ? path.relationshipGUIDs : []) };
+    /*
+     * Highlight straight away - the sim may have come to rest, in which case there will be no tick
+     */
+    if ( d3Container.current ) {
+      highlightPath();
+    }
+    else if ( canvasContainer.current ) {
+      drawCanvas();
+    }
+  },
+  /*
+   * Disable the linter's full dependency check - highlightPath is recreated on each render
+   */
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  [  instancesContext.highlightedPath ]
+)
+
 useEffect(
   () => {
     drgContainerDiv.current.style.width=""+props.outerWidth+"px";
@@ -597,60 +1263,171 @@ useEffect(
 )
 
 
- 
+
   return (
     <div>
 
       <div>
         <label htmlFor="layoutMode">Layout : </label>
-        <input type="radio" 
-               id="modeTemporal" 
-               name="layoutMode" 
-               value="Temporal" 
-               checked={layoutMode === "Temporal"}
-               onChange={changeLayoutMode}/>
-        <label htmlFor="modeTemporal">Time-based</label>
-        
-        <input type="radio" 
-               id="modeProximal" 
-               name="layoutMode" 
-               value="Proximal" 
-               checked={layoutMode === "Proximal"}
-               onChange={changeLayoutMode} />
-        <label htmlFor="modeProximal">Proximity-based</label>
+        <select id="layoutMode"
+                name="layoutMode"
+                value={layoutMode}
+                onChange={changeLayoutMode}>
+          <option value="Temporal">Time-based</option>
+          <option value="Proximal">Proximity-based</option>
+          <option value="Hierarchical">Hierarchical</option>
+          <option value="Radial">Radial around focus</option>
+          <option value="Grid">Grid by type</option>
+        </select>
+
+        <label htmlFor="groupBy"> Group : </label>
+        <select id="groupBy"
+                name="groupBy"
+                value={groupBy}
+                onChange={changeGroupBy}>
+          <option value="None">None</option>
+          <option value="Type">By type</option>
+          <option value="Gen">By gen</option>
+        </select>
+        {expandedGroups.length > 0 &&
+          <button onClick={collapseGroups}>Collapse groups</button>
+        }
 
+        <label htmlFor="renderer"> Renderer : </label>
+        <select id="renderer"
+                name="renderer"
+                value={renderer}
+                onChange={changeRenderer}>
+          <option value="Automatic">Automatic</option>
+          <option value="SVG">SVG</option>
+          <option value="Canvas">Canvas</option>
+        </select>
+
+        <label htmlFor="view"> View : </label>
+        <select id="view"
+                name="view"
+                value={view}
+                onChange={changeView}>
+          <option value="Diagram">Diagram</option>
+          <option value="List">List</option>
+        </select>
       </div>
 
+      <div className="diagram-legend">
+        <label htmlFor="colorBy">Color : </label>
+        <select id="colorBy"
+                name="colorBy"
+                value={colorBy}
+                onChange={changeColorBy}>
+          <option value="Repository">By home repository</option>
+          <option value="Provenance">By provenance</option>
+          <option value="Type">By type</option>
+          <option value="Gen">By gen</option>
+        </select>
+        {" "}
+        {legend.map(entry => (
+          <span className="diagram-legend-entry" key={entry.key}>
+            <span className="diagram-legend-swatch" style={{ backgroundColor : entry.color }}></span>
+            {entry.key} ({entry.count})
+          </span>
+        ))}
+      </div>
+
+      {collections.length > 1 &&
+        <div className="diagram-legend">
+          <span>Show home metadata collections : </span>
+          {collections.map(collection => (
+            <span className="diagram-legend-entry" key={collection.id}>
+              <input type="checkbox"
+                     id={"collection-" + collection.id}
+                     className="diagram-collection-filter"
+                     checked={!hiddenCollections.includes(collection.id)}
+                     onChange={() => toggleCollection(collection.id)} />
+              <label htmlFor={"collection-" + collection.id} title={collection.id}>
+                {collection.name} ({collection.count})
+              </label>
+            </span>
+          ))}
+        </div>
+      }
+
+      {summariesUsed && (unknownSummaries > 0 || summaryStatus !== "") &&
+        <div>
+          <br />
+          {unknownSummaries > 0 &&
+            <span>The types and provenance of {unknownSummaries} entities are not known. </span>
+          }
+          {unknownSummaries > 0 &&
+            <button onClick={retrieveSummaries}>Retrieve types and provenance</button>
+          }
+          <span> {summaryStatus}</span>
+        </div>
+      }
+
       <br />
 
       <div>
 
         <label htmlFor="cbPinning">Pin dragged entities : </label>
-        <input type="checkbox" 
-               id="cbPinning" 
-               name="cbPinning" 
+        <input type="checkbox"
+               id="cbPinning"
+               name="cbPinning"
                checked={ pinningOption }
-               onChange={updatedPinningOption} 
+               onChange={updatedPinningOption}
                value={ pinningOption }  />
       </div>
-      
+
       <br />
-      
-      <div className="drawing-container" id="drawingContainer" ref={drgContainerDiv}>
-        <svg className="d3-component"
-             width={width} 
-             height={height} 
-             ref={d3Container}>        
-        </svg>              
+
+      <p id="diagramDescription" className="diagram-sr-only">
+        {graphDescription} Tab to an entity, use the arrow keys to move to its neighbours, Home to move
+        to the focus and Enter to make an entity the focus. The graph is also available as a list.
+      </p>
+      <div className="diagram-sr-only" aria-live="polite">{announcement}</div>
+
+      {view === "List" &&
+        <GraphList nodes={shown.nodes}
+                   links={shown.links}
+                   summaries={summaries}
+                   focusGUID={focus.instanceGUID}
+                   onNodeClick={nodeClicked}
+                   onLinkClick={linkClicked} />
+      }
+
+      <div className={"drawing-container" + (view === "List" ? " diagram-hidden" : "")}
+           id="drawingContainer"
+           ref={drgContainerDiv}
+           onKeyDown={keyPressed}>
+        {useCanvas ?
+          <canvas className="d3-component"
+                  width={width}
+                  height={height}
+                  tabIndex="0"
+                  role="application"
+                  aria-label="Diagram of the graph"
+                  aria-describedby="diagramDescription"
+                  onBlur={drawCanvas}
+                  ref={canvasContainer}>
+          </canvas>
+          :
+          <svg className="d3-component"
+               width={width}
+               height={height}
+               role="application"
+               aria-label="Diagram of the graph"
+               aria-describedby="diagramDescription"
+               ref={d3Container}>
+          </svg>
+        }
       </div>
 
     </div>
-    
+
   );
 }
 
 
-Diagram.propTypes = {  
+Diagram.propTypes = {
   nodes       : PropTypes.array,
   links       : PropTypes.array,
   numGens     : PropTypes.number,
@@ -658,5 +1435,5 @@ Diagram.propTypes = {
   onLinkClick : PropTypes.func,
   outerHeight: PropTypes.number,
   outerWidth: PropTypes.number
-  
-};
\ No newline at end of file
+
+};
@@ -0,0 +1,172 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/*
+ * DiagramAccessibilityUtils provides a module for the utility functions that let the user move around the
+ * diagram with the keyboard, and that describe the diagram in words for screen readers. These are all
+ * stateless workers.
+ *
+ * The nodes and links are those of the diagram - see DiagramLayoutUtils. The summaries (types and
+ * provenance) of the entities come from the InstancesContext's instanceSummaries.
+ */
+
+
+/*
+ * The direction of each arrow key, as a unit vector in the coordinates of the diagram (y increases downward)
+ */
+const arrowDirections = {
+  ArrowRight : { x :  1, y :  0 },
+  ArrowLeft  : { x : -1, y :  0 },
+  ArrowUp    : { x :  0, y : -1 },
+  ArrowDown  : { x :  0, y :  1 }
+};
+
+const arrowNames = {
+  ArrowRight : "to the right",
+  ArrowLeft  : "to the left",
+  ArrowUp    : "above",
+  ArrowDown  : "below"
+};
+
+
+function plural(count, noun, nouns) {
+  return count + " " + (count === 1 ? noun : (nouns ? nouns : noun + "s"));
+}
+
+
+/*
+ * The order in which the keyboard moves through the nodes (or links) - by gen, then by label.
+ */
+export function compareTabOrder(a, b) {
+  return (a.gen - b.gen) || (a.label ? a.label : "").localeCompare(b.label ? b.label : "");
+}
+
+export function tabOrder(nodes) {
+  return nodes.slice().sort(compareTabOrder);
+}
+
+
+/*
+ * True if the key is one of the arrow keys.
+ */
+export function isArrowKey(key) {
+  return arrowDirections[key] !== undefined;
+}
+
+/*
+ * Describe the direction of an arrow key, e.g. "to the right".
+ */
+export function arrowName(key) {
+  return arrowNames[key];
+}
+
+
+/*
+ * The neighbour of a node (a node it is linked to) that is in the direction of an arrow key, or null if
+ * it has no neighbour in that direction. Of the neighbours within 45 degrees either side of the direction,
+ * the one closest to the direction is chosen, then the nearest.
+ */
+export function neighbourInDirection(node, links, key) {
+
+  const direction = arrowDirections[key];
+  let best      = null;
+  let bestScore = null;
+  links.forEach(link => {
+    const neighbour = link.source === node ? link.target : (link.target === node ? link.source : null);
+    if (neighbour === null || neighbour === node) {
+      return;
+    }
+    const dx       = neighbour.x - node.x;
+    const dy       = neighbour.y - node.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0) {
+      return;
+    }
+    const alignment = (dx * direction.x + dy * direction.y) / distance;
+    if (alignment < Math.SQRT1_2) {
+      return;
+    }
+    const score = { alignment : Math.round(alignment * 10), distance : distance };
+    if (bestScore === null || score.alignment > bestScore.alignment ||
+        (score.alignment === bestScore.alignment && score.distance < bestScore.distance)) {
+      best      = neighbour;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+
+/*
+ * The number of links that each node is an end of, as a map from node id to count.
+ */
+export function linkCounts(links) {
+  let counts = {};
+  links.forEach(link => {
+    counts[link.source.id] = (counts[link.source.id] ? counts[link.source.id] : 0) + 1;
+    if (link.target !== link.source) {
+      counts[link.target.id] = (counts[link.target.id] ? counts[link.target.id] : 0) + 1;
+    }
+  });
+  return counts;
+}
+
+
+/*
+ * Describe a node for a screen reader - e.g. "Entity Harry, type Person, home collection Cocomine1,
+ * gen 2, 3 relationships, focus". summary is the entity's summary, if it is known.
+ */
+export function describeNode(node, summary, relationshipCount, focussed) {
+  let parts = [];
+  if (node.cluster) {
+    parts.push("Cluster " + node.label);
+  }
+  else {
+    parts.push("Entity " + node.label);
+    if (summary && summary.typeName) {
+      parts.push("type " + summary.typeName);
+    }
+  }
+  if (node.metadataCollectionName) {
+    parts.push("home collection " + node.metadataCollectionName);
+  }
+  parts.push("gen " + node.gen);
+  parts.push(plural(relationshipCount ? relationshipCount : 0, "relationship"));
+  if (focussed) {
+    parts.push("focus");
+  }
+  return parts.join(", ");
+}
+
+
+/*
+ * Describe a link for a screen reader - e.g. "Relationship Employment from Harry to Coco Pharmaceuticals, gen 2".
+ */
+export function describeLink(link, focussed) {
+  const noun = link.cluster ? "Combined relationship " : "Relationship ";
+  return noun + link.label + " from " + link.source.label + " to " + link.target.label + ", gen " + link.gen +
+         (focussed ? ", focus" : "");
+}
+
+
+/*
+ * Describe the graph as a whole - its size and the focus. focusCategory is "Entity" or "Relationship", or
+ * empty if there is no focus; hidden is the number of entities hidden by the collection filter.
+ */
+export function describeGraph(entityCount, relationshipCount, numGens, focusCategory, focusLabel, hidden) {
+  if (entityCount === 0) {
+    return "The graph is empty.";
+  }
+  let description = "The graph has " + plural(entityCount, "entity", "entities") + " and " +
+                    plural(relationshipCount, "relationship") + ", from " + plural(numGens, "gen") + ".";
+  if (hidden > 0) {
+    description = description + " " + hidden + " of the entities are hidden.";
+  }
+  if (focusCategory === "Entity" || focusCategory === "Relationship") {
+    description = description + " The focus is the " + focusCategory.toLowerCase() + " " + focusLabel + ".";
+  }
+  else {
+    description = description + " There is no focus.";
+  }
+  return description;
+}
@@ -0,0 +1,110 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import * as d3  from "d3";  // using the color schemes
+
+/*
+ * DiagramColorUtils provides a module for the utility functions that color the nodes of the diagram and
+ * describe the colors in a legend. These are all stateless workers.
+ *
+ * The nodes can be colored by:
+ *   Repository  - the home metadata collection of the entity
+ *   Provenance  - the instance provenance type of the entity (local cohort, external source, ...)
+ *   Type        - the type of the entity
+ *   Gen         - the gen the entity was added to the graph in
+ * The provenance and type are not in the digests - they come from the InstancesContext's instanceSummaries,
+ * so are only known for entities that have been retrieved.
+ */
+
+
+/*
+ * Repositories are colored with gray-shades, starting with #EEE and darkening by two stops for each new
+ * repository found, then teal shades - so that the focus (in the primary color) stands out. The other
+ * colorings use categorical color schemes. If a palette runs out, the remaining keys are all black.
+ */
+const repositoryColors = ['#EEE','#CCC','#AAA','#888','#666','#444','#222',
+                          '#0EE','#0CC','#0AA','#088','#066','#044','#022' ];
+const categoryColors   = d3.schemeTableau10.concat(d3.schemeSet3);
+const spareColor       = '#000';
+
+/*
+ * The keys for nodes whose key is not known, and for clusters whose members have different keys,
+ * have fixed colors.
+ */
+export const notKnownKey  = "Not known";
+export const mixedKey     = "Mixed";
+const fixedColors         = { [notKnownKey] : "#FFF", [mixedKey] : "#999" };
+
+const provenanceLabels = {
+  LOCAL_COHORT            : "Local cohort",
+  EXPORT_ARCHIVE          : "Export archive",
+  CONTENT_PACK            : "Content pack",
+  DEREGISTERED_REPOSITORY : "Deregistered repository",
+  CONFIGURATION           : "Configuration",
+  EXTERNAL_SOURCE         : "External source",
+  UNKNOWN                 : "Unknown"
+};
+
+
+/*
+ * The key of a node for a coloring - the nodes with the same key have the same color. A cluster's key is
+ * the key its members share, or mixedKey if they do not all have the same key. nodesById maps a node id to
+ * the node, so that the members of a cluster can be found.
+ */
+export function colorKey(coloring, node, summaries, nodesById) {
+
+  if (node.cluster) {
+    const keys = new Set(node.memberIds.map(id => colorKey(coloring, nodesById[id], summaries, nodesById)));
+    return keys.size === 1 ? keys.values().next().value : mixedKey;
+  }
+
+  const summary = summaries[node.id];
+  switch (coloring) {
+    case "Provenance":
+      if (!summary || !summary.instanceProvenanceType) {
+        return notKnownKey;
+      }
+      return provenanceLabels[summary.instanceProvenanceType] ? provenanceLabels[summary.instanceProvenanceType]
+                                                               : summary.instanceProvenanceType;
+    case "Type":
+      return summary && summary.typeName ? summary.typeName : notKnownKey;
+    case "Gen":
+      return "Gen " + node.gen;
+    default:
+      if (node.metadataCollectionName) {
+        return node.metadataCollectionName;
+      }
+      return node.metadataCollectionId ? node.metadataCollectionId : notKnownKey;
+  }
+}
+
+
+/*
+ * The color of a key. assignments is the map from key to color for the coloring - a key that has no color
+ * is assigned the next color from the coloring's palette, and keeps it.
+ */
+export function assignColor(coloring, assignments, key) {
+  if (fixedColors[key] !== undefined) {
+    return fixedColors[key];
+  }
+  if (assignments[key] === undefined) {
+    const palette    = coloring === "Repository" ? repositoryColors : categoryColors;
+    const used       = Object.keys(assignments).length;
+    assignments[key] = used < palette.length ? palette[used] : spareColor;
+  }
+  return assignments[key];
+}
+
+
+/*
+ * The legend for the keys of the nodes (a map from node id to key) - a list of { key, color, count }
+ * sorted by key. The keys are assigned colors in order, so that the colors are assigned predictably.
+ */
+export function legendEntries(coloring, assignments, keys) {
+  let counts = {};
+  Object.keys(keys).forEach(id => {
+    counts[keys[id]] = (counts[keys[id]] ? counts[keys[id]] : 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => a.localeCompare(b, undefined, { numeric : true }))
+    .map(key => ({ key : key, color : assignColor(coloring, assignments, key), count : counts[key] }));
+}
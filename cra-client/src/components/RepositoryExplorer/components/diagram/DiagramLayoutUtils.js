@@ -0,0 +1,312 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/*
+ * DiagramLayoutUtils provides a module for the utility functions that arrange the nodes of the diagram,
+ * filter them and group them into clusters. These are all stateless workers.
+ *
+ * The nodes and links are those of the diagram - a node has an id, label and gen, and a link has a
+ * source and a target node. A layout computes a target position for each node within the bounds
+ * { left, top, right, bottom }; the Diagram's sim moves the nodes to their targets. Each layout returns
+ * { positions, labels } - positions maps a node's id to { x, y } and labels are any headings the layout
+ * adds to the diagram, as { text, x, y }.
+ */
+
+
+/*
+ * The greatest gap between the layers of the hierarchical layout and the rows of the grid layout, so that
+ * a small graph is not spread across the whole diagram.
+ */
+const maxLayerGap    = 150;
+const gridCellWidth  = 180;
+const gridRowHeight  = 60;
+
+
+function compareLabels(a, b) {
+  return (a.label ? a.label : "").localeCompare(b.label ? b.label : "");
+}
+
+
+/*
+ * The neighbours of each node, as a map from node id to an array of node ids, ignoring the direction of links.
+ */
+function neighbourMap(nodes, links) {
+  let neighbours = {};
+  nodes.forEach(node => { neighbours[node.id] = []; });
+  links.forEach(link => {
+    const sourceId = link.source.id;
+    const targetId = link.target.id;
+    if (sourceId !== targetId && neighbours[sourceId] && neighbours[targetId]) {
+      neighbours[sourceId].push(targetId);
+      neighbours[targetId].push(sourceId);
+    }
+  });
+  return neighbours;
+}
+
+
+/*
+ * Place each node at its distance (in links) from the root of the part of the graph it is in. The graph
+ * may be in several disconnected parts. The node with rootId (if there is one) is the root of the first
+ * part; the root of each other part is its earliest, and then most connected, node.
+ * Returns a map from node id to { distance, part, parent } - parent is the id of the node it was reached from.
+ */
+export function distancesFromRoots(nodes, links, rootId) {
+
+  const neighbours = neighbourMap(nodes, links);
+
+  const candidates = nodes.slice().sort((a, b) => {
+    if (a.id === rootId || b.id === rootId) {
+      return a.id === rootId ? -1 : 1;
+    }
+    return (a.gen - b.gen) || (neighbours[b.id].length - neighbours[a.id].length) || compareLabels(a, b);
+  });
+
+  let placed = {};
+  let part   = 0;
+  candidates.forEach(root => {
+    if (placed[root.id]) {
+      return;
+    }
+    const rootPart  = part;
+    placed[root.id] = { distance : 0, part : rootPart, parent : null };
+    let queue = [root.id];
+    for (let next = 0; next < queue.length; next++) {
+      const id = queue[next];
+      neighbours[id].forEach(neighbourId => {
+        if (!placed[neighbourId]) {
+          placed[neighbourId] = { distance : placed[id].distance + 1, part : rootPart, parent : id };
+          queue.push(neighbourId);
+        }
+      });
+    }
+    part = part + 1;
+  });
+  return placed;
+}
+
+
+/*
+ * Sort the nodes into layers, where layerOf gives the layer of a node. Each layer is ordered by part, then
+ * by the order of the parents in the layer before, then by label - so that the branches do not cross.
+ * Returns an array of layers, each an array of nodes.
+ */
+function orderedLayers(nodes, placed, layerOf) {
+  let layers = [];
+  nodes.forEach(node => {
+    const layer = layerOf(node);
+    layers[layer] = layers[layer] ? layers[layer] : [];
+    layers[layer].push(node);
+  });
+  let order = {};
+  const parentOrder = (node) => {
+    const parent = placed[node.id].parent;
+    return parent !== null && order[parent] !== undefined ? order[parent] : -1;
+  };
+  layers = layers.filter(layer => layer !== undefined);
+  layers.forEach(layer => {
+    layer.sort((a, b) => (placed[a.id].part - placed[b.id].part) || (parentOrder(a) - parentOrder(b)) || compareLabels(a, b));
+    layer.forEach((node, i) => { order[node.id] = i; });
+  });
+  return layers;
+}
+
+
+/*
+ * Arrange the nodes in layers down the diagram by their distance from the root (the focus, if it is in
+ * the diagram), so that each node is in the layer below the node it is reached from.
+ */
+export function hierarchicalLayout(nodes, links, rootId, bounds) {
+
+  const placed  = distancesFromRoots(nodes, links, rootId);
+  const layers  = orderedLayers(nodes, placed, node => placed[node.id].distance);
+  const gap     = layers.length > 1 ? Math.min(maxLayerGap, (bounds.bottom - bounds.top) / (layers.length - 1)) : 0;
+
+  let positions = {};
+  layers.forEach((layer, depth) => {
+    const spacing = (bounds.right - bounds.left) / (layer.length + 1);
+    layer.forEach((node, i) => {
+      positions[node.id] = { x : bounds.left + (i + 1) * spacing,
+                             y : bounds.top  + depth * gap };
+    });
+  });
+  return { positions, labels : [] };
+}
+
+
+/*
+ * Arrange the nodes in rings around the root (the focus, if it is in the diagram) by their distance from
+ * it. The parts of the graph that are not connected to the root are placed in the rings beyond its part.
+ */
+export function radialLayout(nodes, links, rootId, bounds) {
+
+  const placed    = distancesFromRoots(nodes, links, rootId);
+
+  /*
+   * The ring of a node is its distance from the root of its part, shifted outward for each part
+   */
+  let partDepths  = [];
+  nodes.forEach(node => {
+    const p = placed[node.id];
+    partDepths[p.part] = Math.max(partDepths[p.part] !== undefined ? partDepths[p.part] : 0, p.distance);
+  });
+  let partOffsets = [];
+  partDepths.reduce((offset, depth, part) => {
+    partOffsets[part] = offset;
+    return offset + depth + 1;
+  }, 0);
+  const ringOf    = node => partOffsets[placed[node.id].part] + placed[node.id].distance;
+
+  const rings     = orderedLayers(nodes, placed, ringOf);
+  const centre    = { x : (bounds.left + bounds.right) / 2, y : (bounds.top + bounds.bottom) / 2 };
+  const maxRadius = Math.min(bounds.right - bounds.left, bounds.bottom - bounds.top) / 2;
+  const gap       = rings.length > 1 ? maxRadius / (rings.length - 1) : 0;
+
+  let positions = {};
+  rings.forEach((ring, r) => {
+    ring.forEach((node, i) => {
+      const angle = 2 * Math.PI * i / ring.length;
+      positions[node.id] = { x : centre.x + r * gap * Math.cos(angle),
+                             y : centre.y + r * gap * Math.sin(angle) };
+    });
+  });
+  return { positions, labels : [] };
+}
+
+
+/*
+ * Arrange the nodes in a grid, grouped by groupOf and sorted by label within each group. Each group starts
+ * a new row, under a heading giving the group and the number of nodes in it.
+ */
+export function gridLayout(nodes, groupOf, bounds) {
+
+  let groups = {};
+  nodes.forEach(node => {
+    const key = groupOf(node);
+    groups[key] = groups[key] ? groups[key] : [];
+    groups[key].push(node);
+  });
+  const keys    = Object.keys(groups).sort();
+  const columns = Math.max(1, Math.floor((bounds.right - bounds.left) / gridCellWidth));
+  const rows    = keys.reduce((count, key) => count + 1 + Math.ceil(groups[key].length / columns), 0);
+  const gap     = Math.min(gridRowHeight, (bounds.bottom - bounds.top) / Math.max(1, rows));
+  const width   = (bounds.right - bounds.left) / columns;
+
+  let positions = {};
+  let labels    = [];
+  let y         = bounds.top;
+  keys.forEach(key => {
+    labels.push({ text : key + " (" + groups[key].length + ")", x : bounds.left, y : y });
+    y = y + gap;
+    groups[key].sort(compareLabels).forEach((node, i) => {
+      positions[node.id] = { x : bounds.left + (i % columns) * width + width / 4,
+                             y : y + Math.floor(i / columns) * gap };
+    });
+    y = y + Math.ceil(groups[key].length / columns) * gap;
+  });
+  return { positions, labels };
+}
+
+
+/*
+ * Leave out the nodes and links whose home metadata collections are hidden, and the links to nodes
+ * that are left out. hiddenCollections is a list of metadata collection ids.
+ */
+export function filterGraph(nodes, links, hiddenCollections) {
+  if (hiddenCollections.length === 0) {
+    return { nodes, links };
+  }
+  const hidden       = new Set(hiddenCollections);
+  const shownNodes   = nodes.filter(node => !hidden.has(node.metadataCollectionId));
+  const shownNodeIds = new Set(shownNodes.map(node => node.id));
+  const shownLinks   = links.filter(link => !hidden.has(link.metadataCollectionId) &&
+                                            shownNodeIds.has(link.source.id) && shownNodeIds.has(link.target.id));
+  return { nodes : shownNodes, links : shownLinks };
+}
+
+
+/*
+ * Get (or make) the cluster node for a group, from the cache of the clusters made before - so that a
+ * cluster keeps its position as the graph changes. A new cluster is placed among its members.
+ */
+function clusterNode(key, members, cache) {
+  const id    = "cluster:" + key;
+  let cluster = cache[id];
+  if (!cluster) {
+    const placed = members.filter(member => member.x !== null && member.y !== null);
+    cluster = { id      : id,
+                cluster : true,
+                group   : key,
+                x       : placed.length > 0 ? placed.reduce((sum, member) => sum + member.x, 0) / placed.length : null,
+                y       : placed.length > 0 ? placed.reduce((sum, member) => sum + member.y, 0) / placed.length : null };
+    cache[id] = cluster;
+  }
+  const collections              = new Set(members.map(member => member.metadataCollectionId));
+  cluster.label                  = key + " (" + members.length + ")";
+  cluster.memberIds              = members.map(member => member.id);
+  cluster.gen                    = members.reduce((gen, member) => Math.min(gen, member.gen), members[0].gen);
+  cluster.metadataCollectionId   = collections.size === 1 ? members[0].metadataCollectionId   : undefined;
+  cluster.metadataCollectionName = collections.size === 1 ? members[0].metadataCollectionName : undefined;
+  return cluster;
+}
+
+
+/*
+ * Collapse the nodes of each group with more than one member into a single cluster node, unless the group
+ * is one of expandedGroups. groupOf returns the group of a node, or null if it is not in a group.
+ * Links between the members of a cluster are left out, and the links between a cluster and each other node
+ * (or cluster) are combined into a single link, which has the combined links as its members.
+ * cache is a map from id to the cluster nodes and links made before, which are reused.
+ * Returns { nodes, links, clusterOf } - clusterOf maps the id of each collapsed node to its cluster.
+ */
+export function clusterGraph(nodes, links, groupOf, expandedGroups, cache) {
+
+  let groups = {};
+  nodes.forEach(node => {
+    const key = groupOf(node);
+    if (key !== null && !expandedGroups.includes(key)) {
+      groups[key] = groups[key] ? groups[key] : [];
+      groups[key].push(node);
+    }
+  });
+
+  let clusterOf    = {};
+  let displayNodes = nodes.filter(node => {
+    const key = groupOf(node);
+    return key === null || !groups[key] || groups[key].length < 2;
+  });
+  Object.keys(groups).sort().filter(key => groups[key].length > 1).forEach(key => {
+    const cluster = clusterNode(key, groups[key], cache);
+    groups[key].forEach(member => { clusterOf[member.id] = cluster; });
+    displayNodes.push(cluster);
+  });
+
+  let displayLinks = [];
+  let combined     = {};
+  links.forEach(link => {
+    const source = clusterOf[link.source.id] ? clusterOf[link.source.id] : link.source;
+    const target = clusterOf[link.target.id] ? clusterOf[link.target.id] : link.target;
+    if (source === link.source && target === link.target) {
+      displayLinks.push(link);
+      return;
+    }
+    if (source === target) {
+      return;
+    }
+    const id = "cluster-link:" + source.id + ":" + target.id;
+    if (!combined[id]) {
+      combined[id] = cache[id] ? cache[id] : { id : id, cluster : true, idx : 0 };
+      cache[id]    = combined[id];
+      Object.assign(combined[id], { source : source, target : target, members : [], gen : link.gen });
+      displayLinks.push(combined[id]);
+    }
+    combined[id].members.push(link);
+    combined[id].gen = Math.min(combined[id].gen, link.gen);
+  });
+  Object.keys(combined).forEach(id => {
+    const members      = combined[id].members;
+    combined[id].label = members.length === 1 ? members[0].label : members.length + " relationships";
+  });
+
+  return { nodes : displayNodes, links : displayLinks, clusterOf };
+}
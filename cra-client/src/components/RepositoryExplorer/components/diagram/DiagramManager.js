@@ -11,6 +11,99 @@ import { InstancesContext }               from "../../contexts/InstancesContext"
 
 
 
+/*
+ * The addGenToGraph function accepts a gen and adds the associated nodes and links, based on the 
+ * entities and relationships in the gen, to the supplied (local, not yet stateful) nodes array, 
+ * nodes map and links array. A node is placed at its position in positions, if it has one. 
+ */
+const addGenToGraph = (gen, newNodesArray, newNodesMap, newLinksArray, positions) => {
+
+  /*
+   * Parse Entities
+   */
+
+  /*
+   * Retrieve the entity digests from the gen 
+   */
+  const entsMap = gen.entities;
+
+  Object.keys(entsMap).forEach(k => {
+   
+    const entityDigest = gen.entities[k];  
+
+    var newNode = {};
+    newNode.id                     = entityDigest.entityGUID;
+    newNode.label                  = entityDigest.label;
+    newNode.gen                    = entityDigest.gen;
+    newNode.metadataCollectionName = entityDigest.metadataCollectionName;
+    newNode.metadataCollectionId   = entityDigest.metadataCollectionId;
+    /*
+     * Initialise position to null so that node is given appropriate starting posiiton 
+     * by the diagram - unless it has a saved position, in which case it is put back there,
+     * and pinned there if it was pinned.
+     */            
+    const position                 = positions[newNode.id];
+    newNode.x                      = position ? position.x : null;
+    newNode.y                      = position ? position.y : null;
+    if (position && position.pinned) {
+      newNode.fx                   = position.x;
+      newNode.fy                   = position.y;
+    }
+
+   
+    newNodesArray.push(newNode);     
+    newNodesMap[newNode.id] = newNode;     
+  });      
+
+
+  /*
+   * Parse Relationships
+   */
+
+  /*
+   * Retrieve the relationship digests from the gen
+   */
+  const relsMap = gen.relationships;
+  Object.keys(relsMap).forEach(k => {
+    /*
+     * gen.relationships is the map of digests - pull out the relationshipGUID from the digest.
+     */
+    const relationshipDigest = gen.relationships[k];  
+
+    var newLink = {};
+    newLink.id                     = relationshipDigest.relationshipGUID;
+    newLink.label                  = relationshipDigest.label;
+    /*
+     * Need to get each node from its GUID...it must already be in the gens but you would need to 
+     * ask InstancesContext to map the guid to the gen and then again to look up the guid in that gen
+     * OR you perform parseEntities and parseRelationships together and look in newNodesMap.
+     * If the entity is in this latest gen (quite likely given exploration) the asynchronous state
+     * update to allNodes - performed when parsing entities (above) - will not have happened yet.
+     */
+    newLink.source                 = newNodesMap[relationshipDigest.end1GUID];  
+    newLink.target                 = newNodesMap[relationshipDigest.end2GUID];
+    newLink.gen                    = relationshipDigest.gen;
+    newLink.metadataCollectionName = relationshipDigest.metadataCollectionName;  
+    newLink.metadataCollectionId   = relationshipDigest.metadataCollectionId;
+
+    /*
+     * Look through existing links (newlinksArray) to find multi-edges and set idx accordingly
+     */
+    var count = 0;
+    newLinksArray.forEach(link => {
+      if (link.source === newLink.source && link.target === newLink.target) {
+        count = count+1;
+      }
+    });
+    newLink.idx                    = count;
+  
+    
+    newLinksArray.push(newLink);     
+     
+  });      
+};
+
+
 export default function DiagramManager(props) {
 
 
@@ -49,6 +142,12 @@ export default function DiagramManager(props) {
    */
   const [lastGenProcessed, setLastGenProcessed] = useState(0);
 
+  /*
+   * lastRestoreProcessed allows DiagramManager to detect that a saved session has been restored, 
+   * in which case the whole diagram is rebuilt rather than just the latest gen processed.
+   */
+  const [lastRestoreProcessed, setLastRestoreProcessed] = useState(0);
+
   
  
 
@@ -60,115 +159,44 @@ export default function DiagramManager(props) {
     (gen) => {
 
     /*
-     * Parse Entities
-     */
-  
-    /*
-     * Corral new nodes into local array variable for atomic update of nodeArray.
+     * Corral new nodes and links into local variables for atomic update of nodeArray, allNodes and linkArray.
      */
     let newNodesArray = Object.assign([],nodeArray);  
-
-    /*
-     * Corral new nodes into local map for atomic update of allNodes.
-     */
     let newNodesMap   = Object.assign({},allNodes);   
+    let newLinksArray = Object.assign([],linkArray);  
 
-    /*
-     * Retrieve the entity digests from the gen 
-     */
-    const entsMap = gen.entities;
-
-    Object.keys(entsMap).forEach(k => {
-     
-      const entityDigest = gen.entities[k];  
-
-      var newNode = {};
-      newNode.id                     = entityDigest.entityGUID;
-      newNode.label                  = entityDigest.label;
-      newNode.gen                    = entityDigest.gen;
-      newNode.metadataCollectionName = entityDigest.metadataCollectionName;
-      newNode.metadataCollectionId   = entityDigest.metadataCollectionId;
-      /*
-       * Initialise position to null so that node is given appropriate starting posiiton 
-       * by the diagram
-       */            
-      newNode.x                      = null;
-      newNode.y                      = null;
-
-     
-      newNodesArray.push(newNode);     
-      newNodesMap[newNode.id] = newNode;     
-    });      
-   
+    addGenToGraph(gen, newNodesArray, newNodesMap, newLinksArray, {});
 
     /*
-     *  Update the states of nodeArray and allNodes ...
+     *  Update the states of nodeArray, allNodes and linkArray ...
      */
     setNodeArray(newNodesArray);
     setAllNodes(newNodesMap);  
-
-
-    /*
-     * Parse Relationships
-     */
+    setLinkArray(newLinksArray);
     
+  },
+  [nodeArray, setNodeArray, allNodes, setAllNodes, linkArray, setLinkArray]
+  );
 
 
-    /* 
-     * Corral new nodes into local array variable for atomic update of nodeArray.
-     */
-    let newLinksArray = Object.assign([],linkArray);  
+  /*
+   * The rebuildGraph function replaces all the nodes and links with those from the supplied gens,
+   * placing the nodes at their saved positions. It is used when a saved session is restored.
+   */
+  const rebuildGraph = useCallback(
+    (gens, positions) => {
 
-  
-    /*
-     * Retrieve the relationship digests from the gen
-     */
-    const relsMap = gen.relationships;
-    Object.keys(relsMap).forEach(k => {
-      /*
-       * gen.relationships is the map of digests - pull out the relationshipGUID from the digest.
-       */
-      const relationshipDigest = gen.relationships[k];  
+    let newNodesArray = [];  
+    let newNodesMap   = {};   
+    let newLinksArray = [];  
 
-      var newLink = {};
-      newLink.id                     = relationshipDigest.relationshipGUID;
-      newLink.label                  = relationshipDigest.label;
-      /*
-       * Need to get each node from its GUID...it must already be in the gens but you would need to 
-       * ask InstancesContext to map the guid to the gen and then again to look up the guid in that gen
-       * OR you perform parseEntities and parseRelationships together and look in newNodesMap.
-       * If the entity is in this latest gen (quite likely given exploration) the asynchronous state
-       * update to allNodes - performed when parsing entities (above) - will not have happened yet.
-       */
-      newLink.source                 = newNodesMap[relationshipDigest.end1GUID];  
-      newLink.target                 = newNodesMap[relationshipDigest.end2GUID];
-      newLink.gen                    = relationshipDigest.gen;
-      newLink.metadataCollectionName = relationshipDigest.metadataCollectionName;  
-      newLink.metadataCollectionId   = relationshipDigest.metadataCollectionId;
+    gens.forEach(gen => addGenToGraph(gen, newNodesArray, newNodesMap, newLinksArray, positions));
 
-      /*
-       * Look through existing links (newlinksArray) to find multi-edges and set idx accordingly
-       */
-      var count = 0;
-      newLinksArray.forEach(link => {
-        if (link.source === newLink.source && link.target === newLink.target) {
-          count = count+1;
-        }
-      });
-      newLink.idx                    = count;
-    
-      
-      newLinksArray.push(newLink);     
-       
-    });      
-  
-    /*
-     *  Update the state of linkArray ...
-     */
+    setNodeArray(newNodesArray);
+    setAllNodes(newNodesMap);  
     setLinkArray(newLinksArray);
-    
   },
-  [nodeArray, setNodeArray, allNodes, setAllNodes, linkArray, setLinkArray]
+  [setNodeArray, setAllNodes, setLinkArray]
   );
 
 
@@ -342,7 +370,13 @@ export default function DiagramManager(props) {
 
       const latestActiveGenId = instancesContext.getLatestActiveGenId();
 
-      if (latestActiveGenId > lastGenProcessed) {
+      if (instancesContext.restoreCount !== lastRestoreProcessed) {
+        /* A session has been restored - rebuild the diagram from all of its gens */
+        rebuildGraph(instancesContext.gens, instancesContext.restoredPositions);
+        setLastGenProcessed(latestActiveGenId);
+        setLastRestoreProcessed(instancesContext.restoreCount);
+      }
+      else if (latestActiveGenId > lastGenProcessed) {
         /* Additional gen */
         /* Get the last gen and add it to the nodes array and allNodes map. */
         parseGen(instancesContext.getLatestGen());
@@ -364,7 +398,29 @@ export default function DiagramManager(props) {
       }
 
     },
-    [instancesContext, lastGenProcessed, parseGen, removeGen, clearGraph]
+    [instancesContext, lastGenProcessed, lastRestoreProcessed, parseGen, removeGen, clearGraph, rebuildGraph]
+  )
+
+
+  /*
+   * Give the InstancesContext access to the positions of the nodes, so they can be saved with a session.
+   * The diagram moves the nodes by updating them in place, so nodeArray always holds their current positions.
+   */
+  const setDiagramPositionsSource = instancesContext.setDiagramPositionsSource;
+
+  useEffect(
+    () => {
+      setDiagramPositionsSource(() => {
+        let positions = {};
+        nodeArray.forEach(node => {
+          positions[node.id] = { x      : node.x,
+                                 y      : node.y,
+                                 pinned : node.fx !== undefined && node.fx !== null };
+        });
+        return positions;
+      });
+    },
+    [nodeArray, setDiagramPositionsSource]
   )
 
 
@@ -0,0 +1,103 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React                                  from "react";
+
+import PropTypes                              from "prop-types";
+
+import * as DiagramAccessibilityUtils         from "./DiagramAccessibilityUtils";
+
+
+/*
+ * The GraphList shows the graph as a list - a table of the entities and a table of the relationships - as
+ * an alternative to the diagram, for users who cannot use the diagram, e.g. with a screen reader. Each
+ * entity and relationship has a button that makes it the focus, as clicking on it in the diagram does.
+ */
+export default function GraphList(props) {
+
+  const counts        = DiagramAccessibilityUtils.linkCounts(props.links);
+  const entities      = DiagramAccessibilityUtils.tabOrder(props.nodes);
+  const relationships = DiagramAccessibilityUtils.tabOrder(props.links);
+
+  const summary = (id) => props.summaries[id] ? props.summaries[id] : {};
+
+  return (
+    <div className="graph-list">
+
+      <table className="graph-list-table">
+        <caption>Entities ({entities.length})</caption>
+        <thead>
+          <tr>
+            <th scope="col">Entity</th>
+            <th scope="col">Type</th>
+            <th scope="col">Home metadata collection</th>
+            <th scope="col">Provenance</th>
+            <th scope="col">Gen</th>
+            <th scope="col">Relationships</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entities.map(node => (
+            <tr key={node.id} className={node.id === props.focusGUID ? "graph-list-focus" : ""}>
+              <th scope="row">
+                <button className="graph-list-button"
+                        aria-current={node.id === props.focusGUID ? "true" : undefined}
+                        title={node.id}
+                        onClick={() => props.onNodeClick(node.id)}>
+                  {node.label}
+                </button>
+              </th>
+              <td>{summary(node.id).typeName ? summary(node.id).typeName : "Not known"}</td>
+              <td>{node.metadataCollectionName ? node.metadataCollectionName : node.metadataCollectionId}</td>
+              <td>{summary(node.id).instanceProvenanceType ? summary(node.id).instanceProvenanceType : "Not known"}</td>
+              <td>{node.gen}</td>
+              <td>{counts[node.id] ? counts[node.id] : 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table className="graph-list-table">
+        <caption>Relationships ({relationships.length})</caption>
+        <thead>
+          <tr>
+            <th scope="col">Relationship</th>
+            <th scope="col">From</th>
+            <th scope="col">To</th>
+            <th scope="col">Home metadata collection</th>
+            <th scope="col">Gen</th>
+          </tr>
+        </thead>
+        <tbody>
+          {relationships.map(link => (
+            <tr key={link.id} className={link.id === props.focusGUID ? "graph-list-focus" : ""}>
+              <th scope="row">
+                <button className="graph-list-button"
+                        aria-current={link.id === props.focusGUID ? "true" : undefined}
+                        title={link.id}
+                        onClick={() => props.onLinkClick(link.id)}>
+                  {link.label}
+                </button>
+              </th>
+              <td>{link.source.label}</td>
+              <td>{link.target.label}</td>
+              <td>{link.metadataCollectionName ? link.metadataCollectionName : link.metadataCollectionId}</td>
+              <td>{link.gen}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+    </div>
+  );
+}
+
+GraphList.propTypes = {
+  nodes       : PropTypes.array.isRequired,
+  links       : PropTypes.array.isRequired,
+  summaries   : PropTypes.object.isRequired,
+  focusGUID   : PropTypes.string,
+  onNodeClick : PropTypes.func.isRequired,
+  onLinkClick : PropTypes.func.isRequired
+};
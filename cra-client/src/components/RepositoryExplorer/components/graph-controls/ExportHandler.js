@@ -0,0 +1,300 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect, useRef, useState }   from "react";
+
+import PropTypes                              from "prop-types";
+
+import { InstancesContext }                   from "../../contexts/InstancesContext";
+
+import { RepositoryServerContext }            from "../../contexts/RepositoryServerContext";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import * as GraphExportUtils                  from "./GraphExportUtils";
+
+
+/*
+ * The ExportHandler lets the user export the graph:
+ *   SVG and PNG     - a picture of the diagram, as it is drawn (only PNG if it is drawn on a canvas)
+ *   GraphML and CSV - the entities and relationships in the graph, with their types, home metadata
+ *                     collections and properties. These are retrieved from the repository server each
+ *                     instance was found on, as the gens only hold digests of the instances.
+ */
+export default function ExportHandler(props) {
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const interactionContext      = useContext(InteractionContext);
+
+  /*
+   * progress describes the retrieval of the instances for a GraphML or CSV export, or is empty.
+   */
+  const [progress, setProgress] = useState("");
+
+  /*
+   * exportRef identifies the export in progress. Closing the dialog changes it, which stops the export - no more
+   * instances are retrieved and no files are written.
+   */
+  const exportRef               = useRef(0);
+
+  /*
+   * The number of instances retrieved at a time, and how long to wait for each before counting it as not retrieved -
+   * callPOST does not call back if the request cannot be sent or fails.
+   */
+  const retrievalBatchSize      = 10;
+  const retrievalTimeout        = 30000;
+
+
+  /*
+   * Get the diagram's SVG element.
+   */
+  const getDiagramSVG = () => {
+    return document.querySelector("#drawingContainer svg");
+  };
+
+  /*
+   * Get the diagram's canvas element - large graphs are drawn on a canvas rather than as SVG.
+   */
+  const getDiagramCanvas = () => {
+    return document.querySelector("#drawingContainer canvas");
+  };
+
+  const fileName = (extension) => {
+    return "rex-graph-" + new Date().toISOString().replace(/[:.]/g, "-") + "." + extension;
+  };
+
+  const exportSVG = () => {
+    const svg = getDiagramSVG();
+    if (!svg && getDiagramCanvas()) {
+      alert("The diagram is drawn on a canvas, so it can only be exported as PNG. Select the SVG renderer to export it as SVG.");
+      return;
+    }
+    if (!svg) {
+      alert("There is no diagram to export");
+      return;
+    }
+    GraphExportUtils.downloadFile(GraphExportUtils.serializeSVG(svg), fileName("svg"), "image/svg+xml");
+  };
+
+  const exportPNG = () => {
+    const canvas = getDiagramCanvas();
+    if (canvas) {
+      canvas.toBlob(blob => GraphExportUtils.downloadFile(blob, fileName("png")));
+      return;
+    }
+    const svg = getDiagramSVG();
+    if (!svg) {
+      alert("There is no diagram to export");
+      return;
+    }
+    GraphExportUtils.svgToPNG(GraphExportUtils.serializeSVG(svg), svg.width.baseVal.value, svg.height.baseVal.value)
+    .then(blob => GraphExportUtils.downloadFile(blob, fileName("png")))
+    .catch(error => alert("Could not export the diagram as PNG. " + error.message));
+  };
+
+
+  /*
+   * Retrieve an instance from the repository server of the gen it was found in, as of the time of the gen.
+   * Returns a promise of the expanded entity or relationship, or null if it could not be retrieved in time.
+   */
+  const retrieveInstance = (gen, category, guid) => {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), retrievalTimeout);
+      const uri  = category === "Entity" ? "instances/entity" : "instances/relationship";
+      const body = category === "Entity" ? { entityGUID : guid } : { relationshipGUID : guid };
+      body.enterpriseOption = gen.enterpriseOption;
+      body.asOfTime         = gen.asOfTime === undefined ? null : gen.asOfTime;
+      repositoryServerContext.callPOST(gen.serverName, gen.platformName, uri, body, json => {
+        clearTimeout(timer);
+        if (json !== null && json.relatedHTTPCode === 200) {
+          resolve(category === "Entity" ? json.expandedEntityDetail : json.expandedRelationship);
+        }
+        else {
+          resolve(null);
+        }
+      });
+    });
+  };
+
+
+  /*
+   * Build the node and edge records from the gens, retrieving each instance for its details.
+   * Returns a promise of { nodes, edges, failures } where failures is the number of instances that could
+   * not be retrieved - these are exported with the details in their digests - or null if the export, identified
+   * by exportId, has been stopped.
+   */
+  const buildGraphRecords = (exportId) => {
+
+    let requests = [];
+    instancesContext.gens.forEach(gen => {
+      Object.values(gen.entities).forEach(digest => {
+        requests.push({ gen, category : "Entity", guid : digest.entityGUID, digest });
+      });
+      Object.values(gen.relationships).forEach(digest => {
+        requests.push({ gen, category : "Relationship", guid : digest.relationshipGUID, digest });
+      });
+    });
+
+    let nodes    = [];
+    let edges    = [];
+    let failures = 0;
+
+    const toRecord = (request, instance) => {
+      const record = { guid                       : request.guid,
+                       label                      : request.digest.label,
+                       gen                        : request.digest.gen,
+                       typeName                   : instance ? instance.type.typeDefName : undefined,
+                       homeMetadataCollectionName : instance ? instance.metadataCollectionName : request.digest.metadataCollectionName,
+                       homeMetadataCollectionId   : instance ? instance.metadataCollectionId : request.digest.metadataCollectionId,
+                       provenance                 : request.digest.provenance,
+                       serverName                 : request.gen.serverName,
+                       properties                 : instance ? GraphExportUtils.flattenProperties(instance.properties) : {} };
+      if (request.category === "Relationship") {
+        record.end1GUID = request.digest.end1GUID;
+        record.end2GUID = request.digest.end2GUID;
+      }
+      return record;
+    };
+
+    /*
+     * Retrieve the instances a batch at a time, so that a large graph does not flood the view server.
+     */
+    const retrieveBatch = (start) => {
+      if (exportRef.current !== exportId) {
+        return Promise.resolve(null);
+      }
+      if (start >= requests.length) {
+        return Promise.resolve({ nodes, edges, failures });
+      }
+      setProgress("Retrieving instances " + (start + 1) + " to " + Math.min(start + retrievalBatchSize, requests.length) +
+                  " of " + requests.length + "...");
+      const batch = requests.slice(start, start + retrievalBatchSize);
+      return Promise.all(batch.map(request => retrieveInstance(request.gen, request.category, request.guid)))
+      .then(expInstances => {
+        batch.forEach((request, i) => {
+          const expInstance = expInstances[i];
+          const instance    = expInstance ? (request.category === "Entity" ? expInstance.entityDetail : expInstance.relationship) : null;
+          if (!instance) {
+            failures = failures + 1;
+          }
+          if (request.category === "Entity") {
+            nodes.push(toRecord(request, instance));
+          }
+          else {
+            edges.push(toRecord(request, instance));
+          }
+        });
+        return retrieveBatch(start + retrievalBatchSize);
+      });
+    };
+
+    return retrieveBatch(0);
+  };
+
+
+  /*
+   * Export the graph's entities and relationships, using the supplied function to write the files.
+   */
+  const exportRecords = (write) => {
+    if (instancesContext.gens.length === 0) {
+      alert("There is nothing in the graph to export");
+      return;
+    }
+    const exportId = exportRef.current + 1;
+    exportRef.current = exportId;
+    buildGraphRecords(exportId)
+    .then(records => {
+      if (records === null || exportRef.current !== exportId) {
+        return;
+      }
+      setProgress("");
+      write(records.nodes, records.edges);
+      if (records.failures > 0) {
+        alert(records.failures + " of the instances could not be retrieved, so are exported without their type and properties");
+      }
+    });
+  };
+
+  const exportGraphML = () => {
+    exportRecords((nodes, edges) => {
+      GraphExportUtils.downloadFile(GraphExportUtils.toGraphML(nodes, edges), fileName("graphml"), "application/xml");
+    });
+  };
+
+  const exportCSV = () => {
+    exportRecords((nodes, edges) => {
+      GraphExportUtils.downloadFile(GraphExportUtils.nodesToCSV(nodes), fileName("entities.csv"), "text/csv");
+      GraphExportUtils.downloadFile(GraphExportUtils.edgesToCSV(edges), fileName("relationships.csv"), "text/csv");
+    });
+  };
+
+  const closeCallback = () => {
+    exportRef.current = exportRef.current + 1;
+    setProgress("");
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+
+  const triggerPortal = () => {
+
+    const dialogDisplay = (
+
+      <div className="dialog-text">
+
+        <p className="dialog-text">
+        Export a picture of the diagram, as SVG or PNG.
+        </p>
+        <button className="multiselect-button" onClick={exportSVG}>  SVG  </button>
+        <button className="multiselect-button" onClick={exportPNG}>  PNG  </button>
+
+        <hr></hr>
+
+        <p className="dialog-text">
+        Export the entities and relationships in the graph, with their types, home metadata collections and
+        properties, as GraphML or as CSV files (one for the entities and one for the relationships). Each instance
+        is retrieved from the repository server it was found on, which may take a while for a large graph.
+        </p>
+        <button className="multiselect-button" disabled={progress !== ""} onClick={exportGraphML}>  GraphML  </button>
+        <button className="multiselect-button" disabled={progress !== ""} onClick={exportCSV}>  CSV  </button>
+
+        <p className="dialog-text">
+        {progress}
+        </p>
+
+        <div className="dismiss-1-button-container">
+          <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+        </div>
+
+      </div>
+    );
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the export progresses
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, progress ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+ExportHandler.propTypes = {
+  status               : PropTypes.string,
+  onClose              : PropTypes.func.isRequired
+};
@@ -1,7 +1,7 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
 
-import React, { useContext, useState, useRef }   from "react";
+import React, { useContext, useState, useRef, useEffect }   from "react";
 
 import PropTypes                                 from "prop-types";
 
@@ -15,6 +15,14 @@ import TraversalResultHandler                    from "./TraversalResultHandler"
 
 import HistoryResultHandler                      from "./HistoryResultHandler";
 
+import SessionHandler                            from "./SessionHandler";
+
+import ExportHandler                             from "./ExportHandler";
+
+import PathFinderHandler                         from "./PathFinderHandler";
+
+import InstanceCompareHandler                    from "./InstanceCompareHandler";
+
 import "../../rex.scss";
 
 
@@ -49,10 +57,61 @@ export default function GraphControls(props) {
 
   const [history, setHistory]          = useState([]); 
 
+  /*
+   * sessionStatus : { "idle", "complete" }
+   */
+  const [sessionStatus, setSessionStatus] = useState("idle");
+
+  /*
+   * exportStatus : { "idle", "complete" }
+   */
+  const [exportStatus, setExportStatus]   = useState("idle");
+
+  /*
+   * pathStatus : { "idle", "complete" }
+   */
+  const [pathStatus, setPathStatus]       = useState("idle");
+
+  /*
+   * compareStatus : { "idle", "complete" }
+   */
+  const [compareStatus, setCompareStatus] = useState("idle");
+
   const [preTraversalEntityTypes, setPreTraversalEntityTypes]                  = useState([]); 
   const [preTraversalRelationshipTypes, setPreTraversalRelationshipTypes]      = useState([]); 
   const [preTraversalClassificationTypes, setPreTraversalClassificationTypes]  = useState([]); 
 
+  /*
+   * traversalDepth is the number of hops the traversal will make from the focus entity. The
+   * pre-traversal is made to the same depth, so its counts are for the whole of the traversal.
+   */
+  const [traversalDepth, setTraversalDepth]    = useState(1);
+
+  /*
+   * preTraversalRef identifies the latest pre-traversal, so that the response to an earlier one - e.g. for a
+   * depth the user has since changed - is ignored rather than shown for the current depth.
+   */
+  const preTraversalRef                        = useRef(0);
+
+  /*
+   * The projected size of the traversal, as { entities, relationships }. preTraversalSize is the
+   * size with no filters, from the pre-traversal; previewSize is the size with the selected filters,
+   * which is null until the user asks for a preview, and is cleared when the selection changes.
+   */
+  const [preTraversalSize, setPreTraversalSize] = useState(null);
+  const [previewSize, setPreviewSize]           = useState(null);
+
+  /*
+   * previewRef identifies the latest preview, so that the response to an earlier one - for a selection or depth
+   * the user has since changed - is ignored. Clearing the preview makes any preview in flight out of date.
+   */
+  const previewRef                              = useRef(0);
+
+  const clearPreview = () => {
+    previewRef.current = previewRef.current + 1;
+    setPreviewSize(null);
+  };
+
 
 
   /*
@@ -81,17 +140,44 @@ export default function GraphControls(props) {
     /*
      * No filtering is applied to the pre-traversal...
      */
+    const request = preTraversalRef.current + 1;
+    preTraversalRef.current = request;
     repositoryServerContext.repositoryPOST("instances/pre-traversal",
       { entityGUID : entityGUID,
-        depth      : 1            },  // depth is always limited to 1
-        _preTraversal); 
+        depth      : traversalDepth },
+        (json) => _preTraversal(json, false, request)); 
+  }
+
+
+  /*
+   * Handler for a change of depth in the traversal dialog - repeat the pre-traversal to the new
+   * depth, keeping the types the user has already selected.
+   */
+  const changeTraversalDepth = (depth) => {
+
+    setTraversalDepth(depth);
+    setStatus("pending");
+    clearPreview();
+
+    const request = preTraversalRef.current + 1;
+    preTraversalRef.current = request;
+    repositoryServerContext.repositoryPOST("instances/pre-traversal",
+      { entityGUID : instancesContext.getFocusGUID(),
+        depth      : depth          },
+        (json) => _preTraversal(json, true, request));
   }
 
 
   /*
    * Handle completion of explore
+   * keepSelections is true if the types that were selected should still be selected
+   * request identifies the pre-traversal - the response is ignored if a later one has been made
    */
-  const _preTraversal = (json) => {  
+  const _preTraversal = (json, keepSelections, request) => {  
+
+    if (request !== preTraversalRef.current) {
+      return;
+    }
 
     if (statusRef.current !== "cancelled" && statusRef.current !== "complete") {
 
@@ -104,7 +190,7 @@ export default function GraphControls(props) {
            */
           let rexPreTraversal = json.rexPreTraversal;
           if (rexPreTraversal !== null) {
-            processPreTraversalResponse(rexPreTraversal);
+            processPreTraversalResponse(rexPreTraversal, keepSelections);
           }
           setStatus("complete");
           return;
@@ -122,7 +208,7 @@ export default function GraphControls(props) {
   };
   
  
-  const processPreTraversalResponse = (rexPreTraversal) => {
+  const processPreTraversalResponse = (rexPreTraversal, keepSelections) => {
     /*
      * Display traversal filters. On the submit handler launch the real (filtered) traversal
      * and push the result up to the InstancesContext.
@@ -137,6 +223,8 @@ export default function GraphControls(props) {
 
     let localPreTraversalResults = {};
 
+    const wasChecked = (types, typeName) => keepSelections && types.some(type => type.name === typeName && type.checked);
+
     /*
      * Process the entity instance stats...
      */
@@ -150,7 +238,7 @@ export default function GraphControls(props) {
         /*
          * Stash the typeName, typeGUID (and count) in this.preTraversal for later access
          */
-        localPreTraversalResults.entityTypes.push( { 'name' : typeName  , 'guid' : typeGUID , 'count' : count , 'checked' : false });
+        localPreTraversalResults.entityTypes.push( { 'name' : typeName  , 'guid' : typeGUID , 'count' : count , 'checked' : wasChecked(preTraversalEntityTypes, typeName) });
       });
       localPreTraversalResults.entityTypes.sort((a, b) => (a.name > b.name) ? 1 : -1);
     }
@@ -168,7 +256,7 @@ export default function GraphControls(props) {
         /*
          * Stash the typeName, typeGUID (and count) in this.preTraversal for later access
          */
-        localPreTraversalResults.relationshipTypes.push( { 'name' : typeName, 'guid' : typeGUID  , 'count' : count , 'checked' : false });
+        localPreTraversalResults.relationshipTypes.push( { 'name' : typeName, 'guid' : typeGUID  , 'count' : count , 'checked' : wasChecked(preTraversalRelationshipTypes, typeName) });
       });
       localPreTraversalResults.relationshipTypes.sort((a, b) => (a.name > b.name) ? 1 : -1);
     }
@@ -186,7 +274,7 @@ export default function GraphControls(props) {
          * Stash the typeName (and count) in this.preTraversal for later access
          * typeGUID is not used for classifications
          */
-        localPreTraversalResults.classificationTypes.push( { 'name' : typeName, 'guid' : null  , 'count' : count , 'checked' : false });
+        localPreTraversalResults.classificationTypes.push( { 'name' : typeName, 'guid' : null  , 'count' : count , 'checked' : wasChecked(preTraversalClassificationTypes, typeName) });
       });
       localPreTraversalResults.classificationTypes.sort((a, b) => (a.name > b.name) ? 1 : -1);
     }
@@ -195,21 +283,28 @@ export default function GraphControls(props) {
     setPreTraversalRelationshipTypes(localPreTraversalResults.relationshipTypes);
     setPreTraversalClassificationTypes(localPreTraversalResults.classificationTypes);
 
+    setPreTraversalSize(projectedSize(rexPreTraversal));
+    clearPreview();
   };
 
 
-
   /*
-   * Handler for submit of traversal results modal
+   * The projected size of a traversal from the instance counts of a pre-traversal - the number of
+   * entities and relationships of each type added up.
    */
-  const submitTraversalModal = (evt) => {
+  const projectedSize = (rexPreTraversal) => {
+    const total = (counts) => Object.values(counts || {}).reduce((sum, stats) => sum + stats.count, 0);
+    return { entities      : total(rexPreTraversal.entityInstanceCounts),
+             relationships : total(rexPreTraversal.relationshipInstanceCounts) };
+  };
 
-    /*     
-     * Invoke the InstancesComtext explore operation - passing it the filters which 
-     * for entities and relationships are converted to typeGUIDs. Classifcations are 
-     * passed as a list of names, so don't need conversion but we just want the 'name'.
-     * The explore will perform the full traversal and processes the retrieved instance graph.
-     */
+
+  /*
+   * Get the filters the user has selected in the traversal dialog. For entities and relationships
+   * these are converted to typeGUIDs. Classifcations are passed as a list of names, so don't need
+   * conversion but we just want the 'name'.
+   */
+  const selectedFilters = () => {
 
     let selectedEntityTypeGUIDs = [];
     preTraversalEntityTypes.forEach( (type) => {
@@ -232,7 +327,56 @@ export default function GraphControls(props) {
       }
     });
 
-    instancesContext.explore(selectedEntityTypeGUIDs, selectedRelationshipTypeGUIDs, selectedClassificationTypeNames);
+    return { entityTypeGUIDs       : selectedEntityTypeGUIDs,
+             relationshipTypeGUIDs : selectedRelationshipTypeGUIDs,
+             classificationNames   : selectedClassificationTypeNames };
+  };
+
+
+  /*
+   * Handler for the preview button in the traversal dialog - repeat the pre-traversal with the
+   * selected filters, to project the size of the result before it is added to the graph.
+   */
+  const previewTraversal = () => {
+
+    const request = previewRef.current + 1;
+    previewRef.current = request;
+    repositoryServerContext.repositoryPOST("instances/pre-traversal",
+      Object.assign({ entityGUID : instancesContext.getFocusGUID(),
+                      depth      : traversalDepth }, selectedFilters()),
+      (json) => _previewTraversal(json, request));
+  };
+
+  const _previewTraversal = (json, request) => {
+
+    /*
+     * Ignore the preview if the dialog has been closed, or the selection or depth has changed since it was asked for
+     */
+    if (statusRef.current !== "complete" || request !== previewRef.current) {
+      return;
+    }
+    if (json !== null && json.relatedHTTPCode === 200 && json.rexPreTraversal) {
+      setPreviewSize(projectedSize(json.rexPreTraversal));
+      return;
+    }
+    interactionContext.reportFailedOperation("preview traversal",json);
+  };
+
+
+
+  /*
+   * Handler for submit of traversal results modal
+   */
+  const submitTraversalModal = (evt) => {
+
+    /*     
+     * Invoke the InstancesComtext explore operation - passing it the selected filters and depth.
+     * The explore will perform the full traversal and processes the retrieved instance graph.
+     */
+    const filters = selectedFilters();
+
+    instancesContext.explore(filters.entityTypeGUIDs, filters.relationshipTypeGUIDs, filters.classificationNames,
+                             traversalDepth);
 
     /*
      * Clear the traversal results
@@ -240,6 +384,8 @@ export default function GraphControls(props) {
     setPreTraversalEntityTypes([]);
     setPreTraversalRelationshipTypes([]);
     setPreTraversalClassificationTypes([]);
+    setPreTraversalSize(null);
+    clearPreview();
 
     /* 
      * Hide the traversal dialog
@@ -271,6 +417,8 @@ export default function GraphControls(props) {
    */
   const selectCallback = (category, name) => {
 
+    clearPreview();
+
     if (category === "Entity") {
       let updates = [];
       preTraversalEntityTypes.forEach((type) => {
@@ -320,6 +468,8 @@ export default function GraphControls(props) {
 
   const setAllCallback = (checked) => {
 
+    clearPreview();
+
     /*
      * Set all entity types to checked...
      */
@@ -356,6 +506,19 @@ export default function GraphControls(props) {
     setHistStatus("complete");
   };
 
+  /*
+   * Keep the history up to date while it is displayed - the user can undo, redo and restore from it
+   */
+  const getLatestHistory = instancesContext.getHistory;
+  useEffect(
+    () => {
+      if (histStatus === "complete") {
+        setHistory(getLatestHistory());
+      }
+    },
+    [histStatus, getLatestHistory]
+  );
+
   const cancelHistoryModal = () => {
     setHistStatus("idle");
   };
@@ -364,6 +527,56 @@ export default function GraphControls(props) {
     setHistStatus("idle");
   };
 
+  const closeSessionModal = () => {
+    setSessionStatus("idle");
+  };
+
+  const closeExportModal = () => {
+    setExportStatus("idle");
+  };
+
+  const closePathModal = () => {
+    setPathStatus("idle");
+  };
+
+  const closeCompareModal = () => {
+    setCompareStatus("idle");
+  };
+
+
+  /*
+   * Keyboard shortcuts for the graph controls - E to explore, U to undo, R to redo and C to clear. They are ignored
+   * while the user is typing into a field or a dialog is open, and when a modifier key is held, so they do
+   * not get in the way of the browser's own shortcuts. shortcutsRef holds the current render's handlers,
+   * for the listener that is added when the component is mounted.
+   */
+  const shortcutsRef = useRef({});
+  shortcutsRef.current = { e : () => preTraversal(),
+                           u : () => instancesContext.undo(),
+                           r : () => instancesContext.redo(),
+                           c : () => instancesContext.clear(),
+                           portalVisible : interactionContext.portalVisible };
+
+  useEffect(
+    () => {
+      const shortcut = (evt) => {
+        const target = evt.target;
+        const typing = target && (target.isContentEditable || ["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName));
+        if (evt.defaultPrevented || typing || evt.ctrlKey || evt.metaKey || evt.altKey || shortcutsRef.current.portalVisible) {
+          return;
+        }
+        const handler = shortcutsRef.current[evt.key.toLowerCase()];
+        if (typeof handler === "function") {
+          evt.preventDefault();
+          handler();
+        }
+      };
+      document.addEventListener("keydown", shortcut);
+      return () => document.removeEventListener("keydown", shortcut);
+    },
+    []
+  );
+
 
 
   
@@ -375,14 +588,36 @@ export default function GraphControls(props) {
           Traversal count : {instancesContext.getLatestActiveGenId()}
         </p>
         <button className="graph-control-button"
+          title = "Explore (E)"
+          aria-keyshortcuts = "E"
           onClick = { () => preTraversal() }  >
           Explore
         </button>
         <button className="graph-control-button"
-          onClick = { () => instancesContext.removeGen() }  >
+          onClick = { () => setPathStatus("complete") }  >
+          Find Path
+        </button>
+        <button className="graph-control-button"
+          onClick = { () => setCompareStatus("complete") }  >
+          Compare
+        </button>
+        <button className="graph-control-button"
+          title = "Undo (U)"
+          aria-keyshortcuts = "U"
+          disabled = { instancesContext.commandHistory.position === 0 }
+          onClick = { () => instancesContext.undo() }  >
           Undo
         </button>
         <button className="graph-control-button"
+          title = "Redo (R)"
+          aria-keyshortcuts = "R"
+          disabled = { instancesContext.commandHistory.position === instancesContext.commandHistory.entries.length - 1 }
+          onClick = { () => instancesContext.redo() }  >
+          Redo
+        </button>
+        <button className="graph-control-button"
+          title = "Clear (C)"
+          aria-keyshortcuts = "C"
           onClick = { () => instancesContext.clear() }  >
           Clear
         </button>
@@ -390,6 +625,14 @@ export default function GraphControls(props) {
           onClick = { () => getHistory() }  >
           History
         </button>
+        <button className="graph-control-button" 
+          onClick = { () => setSessionStatus("complete") }  >
+          Sessions
+        </button>
+        <button className="graph-control-button" 
+          onClick = { () => setExportStatus("complete") }  >
+          Export
+        </button>
 
         <TraversalResultHandler status                = { status }
                                 //spec                  = { traversalSpecification }
@@ -398,14 +641,34 @@ export default function GraphControls(props) {
                                 entityTypes           = {preTraversalEntityTypes}
                                 relationshipTypes     = {preTraversalRelationshipTypes}
                                 classificationTypes   = {preTraversalClassificationTypes}
+                                depth                 = { traversalDepth }
+                                depthCallback         = { changeTraversalDepth }
+                                preTraversalSize      = { preTraversalSize }
+                                previewSize           = { previewSize }
+                                previewCallback       = { previewTraversal }
                                 onCancel              = { cancelTraversalModal }
                                 onSubmit              = { submitTraversalModal } />
 
         <HistoryResultHandler   status                = { histStatus }
                                 history               = { history }
+                                commands              = { instancesContext.commandHistory }
+                                onRestore             = { instancesContext.restoreCommand }
+                                onRemoveGen           = { instancesContext.removeGen }
                                 onCancel              = { cancelHistoryModal }
                                 onSubmit              = { submitHistoryModal } />
 
+        <SessionHandler         status                = { sessionStatus }
+                                onClose               = { closeSessionModal } />
+
+        <ExportHandler          status                = { exportStatus }
+                                onClose               = { closeExportModal } />
+
+        <PathFinderHandler      status                = { pathStatus }
+                                onClose               = { closePathModal } />
+
+        <InstanceCompareHandler status                = { compareStatus }
+                                onClose               = { closeCompareModal } />
+
     </div>
 
   );
@@ -0,0 +1,232 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/*
+ * GraphExportUtils provides a module for utility functions used to export the graph.
+ * These are all stateless workers that convert the graph into the export formats
+ * (SVG, PNG, GraphML and CSV) and download the results.
+ *
+ * The graph is passed as lists of node and edge records, built by the ExportHandler from the
+ * gens and the retrieved instances. Each record has:
+ *   guid, label, gen, typeName, homeMetadataCollectionName, homeMetadataCollectionId, provenance,
+ *   serverName and properties (a map from property name to a string value)
+ * and each edge record also has end1GUID and end2GUID.
+ */
+
+
+/*
+ * The columns of the node and edge lists, in the order they are exported.
+ */
+const nodeColumns = ["guid", "label", "gen", "typeName", "homeMetadataCollectionName", "homeMetadataCollectionId",
+                     "provenance", "serverName"];
+const edgeColumns = ["guid", "label", "gen", "typeName", "end1GUID", "end2GUID", "homeMetadataCollectionName",
+                     "homeMetadataCollectionId", "provenance", "serverName"];
+
+
+/*
+ * Convert an instance property value to a string. Maps and arrays are converted to JSON.
+ */
+export function propertyValue(prop) {
+  switch (prop.instancePropertyCategory) {
+    case "PRIMITIVE" :
+      return String(prop.primitiveValue);
+    case "ENUM" :
+      return prop.symbolicName;
+    case "MAP" :
+      return JSON.stringify(flattenProperties(prop.mapValues));
+    case "ARRAY" :
+      {
+        /*
+         * The array's elements are properties named by their index
+         */
+        const elements = prop.arrayValues && prop.arrayValues.instanceProperties ? prop.arrayValues.instanceProperties : {};
+        return JSON.stringify(Object.keys(elements).sort((a, b) => a - b).map(i => propertyValue(elements[i])));
+      }
+    default:
+      return "";
+  }
+}
+
+
+/*
+ * Convert an instance's properties to a map from property name to string value.
+ */
+export function flattenProperties(instanceProperties) {
+  let flattened = {};
+  if (instanceProperties && instanceProperties.instanceProperties) {
+    Object.keys(instanceProperties.instanceProperties).sort().forEach(propName => {
+      flattened[propName] = propertyValue(instanceProperties.instanceProperties[propName]);
+    });
+  }
+  return flattened;
+}
+
+
+/*
+ * Escape a string for use in XML content or attributes.
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g,  "&amp;")
+    .replace(/</g,  "&lt;")
+    .replace(/>/g,  "&gt;")
+    .replace(/"/g,  "&quot;")
+    .replace(/'/g,  "&apos;");
+}
+
+
+/*
+ * Escape a value for use as a CSV field.
+ */
+function escapeCSV(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+
+/*
+ * Get the names of all the properties in a list of records.
+ */
+function propertyNames(records) {
+  let names = new Set();
+  records.forEach(record => Object.keys(record.properties).forEach(name => names.add(name)));
+  return Array.from(names).sort();
+}
+
+
+/*
+ * Convert records to CSV, with a header row. Each property has its own column.
+ */
+function toCSV(records, columns) {
+  const props = propertyNames(records);
+  let lines = [ columns.concat(props).map(escapeCSV).join(",") ];
+  records.forEach(record => {
+    const values = columns.map(column => record[column]).concat(props.map(name => record.properties[name]));
+    lines.push(values.map(escapeCSV).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function nodesToCSV(nodes) {
+  return toCSV(nodes, nodeColumns);
+}
+
+export function edgesToCSV(edges) {
+  return toCSV(edges, edgeColumns);
+}
+
+
+/*
+ * Convert the graph to GraphML. The node and edge columns, and each property, are declared as keys.
+ * Property keys are named after the property; they are declared separately for nodes and edges.
+ */
+export function toGraphML(nodes, edges) {
+
+  let lines = [ "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\"" +
+                " xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\"" +
+                " xsi:schemaLocation=\"http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd\">" ];
+
+  const declareKeys = (target, prefix, columns, props) => {
+    let keys = {};
+    columns.concat(props.map(name => "property:" + name)).forEach((name, i) => {
+      const id = prefix + i;
+      keys[name] = id;
+      const type = name === "gen" ? "int" : "string";
+      lines.push("  <key id=\"" + id + "\" for=\"" + target + "\" attr.name=\"" + escapeXML(name) + "\" attr.type=\"" + type + "\"/>");
+    });
+    return keys;
+  };
+
+  const nodeProps = propertyNames(nodes);
+  const edgeProps = propertyNames(edges);
+  // the ends of an edge are its source and target, so are not repeated as data
+  const edgeDataColumns = edgeColumns.filter(column => column !== "end1GUID" && column !== "end2GUID");
+  const nodeKeys  = declareKeys("node", "n", nodeColumns, nodeProps);
+  const edgeKeys  = declareKeys("edge", "e", edgeDataColumns, edgeProps);
+
+  const dataLines = (record, keys, columns, props) => {
+    let data = [];
+    columns.forEach(column => {
+      if (record[column] !== undefined && record[column] !== null) {
+        data.push("      <data key=\"" + keys[column] + "\">" + escapeXML(record[column]) + "</data>");
+      }
+    });
+    props.forEach(name => {
+      if (record.properties[name] !== undefined) {
+        data.push("      <data key=\"" + keys["property:" + name] + "\">" + escapeXML(record.properties[name]) + "</data>");
+      }
+    });
+    return data;
+  };
+
+  lines.push("  <graph id=\"rex\" edgedefault=\"directed\">");
+  nodes.forEach(node => {
+    lines.push("    <node id=\"" + escapeXML(node.guid) + "\">");
+    lines = lines.concat(dataLines(node, nodeKeys, nodeColumns, nodeProps));
+    lines.push("    </node>");
+  });
+  edges.forEach(edge => {
+    lines.push("    <edge id=\"" + escapeXML(edge.guid) + "\" source=\"" + escapeXML(edge.end1GUID) +
+               "\" target=\"" + escapeXML(edge.end2GUID) + "\">");
+    lines = lines.concat(dataLines(edge, edgeKeys, edgeDataColumns, edgeProps));
+    lines.push("    </edge>");
+  });
+  lines.push("  </graph>");
+  lines.push("</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+
+/*
+ * Serialize the diagram's SVG element as a standalone SVG document. The diagram sets its colours and
+ * fonts as attributes, so the copy looks the same as the diagram - apart from the background, which
+ * is added as a white rectangle.
+ */
+export function serializeSVG(svgElement) {
+  const copy = svgElement.cloneNode(true);
+  copy.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  copy.removeAttribute("class");
+  const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  background.setAttribute("width",  "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill",   "white");
+  copy.insertBefore(background, copy.firstChild);
+  return new XMLSerializer().serializeToString(copy);
+}
+
+
+/*
+ * Render a serialized SVG document as a PNG image.
+ * Returns a promise of the PNG blob.
+ */
+export function svgToPNG(svgText, width, height) {
+  return new Promise((resolve, reject) => {
+    const image  = new Image();
+    image.onload = () => {
+      const canvas  = document.createElement("canvas");
+      canvas.width  = width;
+      canvas.height = height;
+      canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The image could not be created")), "image/png");
+    };
+    image.onerror = () => reject(new Error("The diagram could not be drawn as an image"));
+    image.src     = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgText);
+  });
+}
+
+
+/*
+ * Download content as a file.
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const blob    = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const link    = document.createElement("a");
+  link.href     = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
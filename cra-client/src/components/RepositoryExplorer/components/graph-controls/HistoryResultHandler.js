@@ -28,96 +28,137 @@ export default function HistoryResultHandler(props) {
     props.onSubmit();
   }
 
+  /*
+   * The operations that have changed the graph, from the command history - clicking on one returns the graph
+   * to its state after that operation. The latest operations are at the top.
+   */
+  const operationsDisplay = () => {
+
+    const commands = props.commands;
+    const entries  = commands.entries.map((entry, index) => ({ entry, index })).reverse();
+
+    return (
+      <div>
+        <p className="dialog-text">
+        Click on an operation to return the graph to how it was after the operation. Operations that
+        have been undone are shown in italics, and can be redone until another operation is made.
+        </p>
+        <div className="history-operations-area">
+          <ol className="history-operations" reversed>
+            {entries.map(item => (
+              <li key={item.entry.id}>
+                <button className={"history-operation" +
+                                   (item.index === commands.position ? " history-current" : "") +
+                                   (item.index >  commands.position ? " history-undone"  : "")}
+                        aria-current={item.index === commands.position ? "true" : undefined}
+                        onClick={() => props.onRestore(item.index)}>
+                  {item.entry.description}
+                </button>
+                {item.index === commands.position ? " (current)" : ""}
+              </li>
+            ))}
+          </ol>
+        </div>
+        <div>
+          <button className="multiselect-button"
+                  disabled={commands.position === 0}
+                  onClick={() => props.onRestore(commands.position - 1)}>  Undo  </button>
+          <button className="multiselect-button"
+                  disabled={commands.position === commands.entries.length - 1}
+                  onClick={() => props.onRestore(commands.position + 1)}>  Redo  </button>
+        </div>
+      </div>
+    );
+  };
+
   const triggerPortal = () => {
 
-    let dialogDisplay;
+    let gensDisplay;
 
     if (!history || history.length === 0) {
 
       /* 
-       * There is nothing to display... 
+       * There are no gens to display... 
        */
      
-      dialogDisplay = (
-      
-      <div className="dialog-text">
-            
-        <p>
-        There is no history yet, as no operations have been performed and saved into the graph.
+      gensDisplay = (
+        <p className="dialog-text">
+        The graph is empty, as no operations have added instances to it.
         </p>  
-  
-        <div className="dismiss-button-container">                     
-          <button className="multiselect-button" onClick={cancelCallback}>  Cancel  </button>
-          <button className="multiselect-button" onClick={submitCallback}>  OK     </button>
-        </div>
-              
-      </div>
-        
       );
     }
     
     else {
 
       /* 
-       * There is history to display... 
+       * There are gens to display - the latest gen can be removed
        */
 
-      let resultsDisplay = (         
-
-        <div className="history-table" >
-          {history.map( item => (
-            <div key={item.gen} className="row">
-              <div className="gencolumn">
-                {item.gen}
-              </div>
-              <div className="qrycolumn">
-                <div className="query-text">
-                  {item.query}
-                </div>
-              </div>
-              <div className="inscolumn">
-                <ul>
-                  {item.instances.map(inst => (
-                    <li key={inst.label}>{inst.category} {inst.label} ({inst.guid})
-                           { (inst.provenance === "refCopy" ||
-                             inst.provenance === "home"     ||
-                             inst.provenance === "proxy")
-                             ? " ("+inst.provenance+")" : "" }
-                    </li>
-                  ))}                                     
-                </ul>
-              </div>
-            </div>
-          ))}
-        </div>
-      );
+      gensDisplay = (         
 
+        <div>
 
-      dialogDisplay = (
-      
-        <div className="dialog-text">
-          
           <p  className="dialog-text">
-          The following operations have been performed, each adding the instances listed:
+          The graph is made up of the following gens, each adding the instances listed:
           </p>    
-   
-          <hr></hr>
-               
+
           <div className="history-results-area">                        
-            {resultsDisplay}
+            <div className="history-table" >
+              {history.map( item => (
+                <div key={item.gen} className="row">
+                  <div className="gencolumn">
+                    {item.gen}
+                  </div>
+                  <div className="qrycolumn">
+                    <div className="query-text">
+                      {item.query}
+                    </div>
+                    {item.gen === history.length &&
+                      <button className="history-remove-button" onClick={props.onRemoveGen}>Remove gen</button>
+                    }
+                  </div>
+                  <div className="inscolumn">
+                    <ul>
+                      {item.instances.map(inst => (
+                        <li key={inst.label}>{inst.category} {inst.label} ({inst.guid})
+                               { (inst.provenance === "refCopy" ||
+                                 inst.provenance === "home"     ||
+                                 inst.provenance === "proxy")
+                                 ? " ("+inst.provenance+")" : "" }
+                        </li>
+                      ))}                                     
+                    </ul>
+                  </div>
+                </div>
+              ))}
+            </div>
           </div>
 
-          <div className="dismiss-button-container">                     
-            <button className="multiselect-button" onClick={cancelCallback}>  Cancel  </button>
-            <button className="multiselect-button" onClick={submitCallback}>  OK     </button>
-          </div>
-            
         </div>
-      
       );
     }
 
 
+    const dialogDisplay = (
+    
+      <div className="dialog-text">
+
+        {operationsDisplay()}
+
+        <hr></hr>
+
+        {gensDisplay}
+
+        <div className="dismiss-button-container">                     
+          <button className="multiselect-button" onClick={cancelCallback}>  Cancel  </button>
+          <button className="multiselect-button" onClick={submitCallback}>  OK     </button>
+        </div>
+          
+      </div>
+    
+    );
+
+
     interactionContext.showPortal(dialogDisplay);
   };
 
@@ -130,7 +171,7 @@ export default function HistoryResultHandler(props) {
       triggerPortal();
     }   
   };
-  useEffect (componentDidMount ,[ props.status, props.history ]);
+  useEffect (componentDidMount ,[ props.status, props.history, props.commands ]);
   
   /*
    * Render nothing - this component is invisible but controls what is displayed by the portal
@@ -143,6 +184,9 @@ HistoryResultHandler.propTypes = {
   status               : PropTypes.string,
   onCancel             : PropTypes.func.isRequired, 
   onSubmit             : PropTypes.func.isRequired, 
-  history              : PropTypes.array
+  onRestore            : PropTypes.func.isRequired,
+  onRemoveGen          : PropTypes.func.isRequired,
+  history              : PropTypes.array,
+  commands             : PropTypes.object.isRequired
    
 };
\ No newline at end of file
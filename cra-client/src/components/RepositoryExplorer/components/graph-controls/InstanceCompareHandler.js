@@ -0,0 +1,316 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect, useState, useRef }   from "react";
+
+import PropTypes                              from "prop-types";
+
+import { InstancesContext }                   from "../../contexts/InstancesContext";
+
+import { RepositoryServerContext }            from "../../contexts/RepositoryServerContext";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import { compareInstances, countDifferences } from "./InstanceCompareUtils";
+
+import "./instance-compare.scss";
+
+
+/*
+ * The InstanceCompareHandler shows two entities, or two relationships, from the graph side by side - their
+ * types, statuses, provenance, properties and (for entities) classifications - and highlights the fields
+ * that differ. It helps the user to decide whether two instances, e.g. from different cohort members,
+ * are duplicates.
+ *
+ * Each instance is retrieved from the server it was retrieved from when it was added to the graph, with
+ * the same enterprise option and as of time, so it is compared as it appears in the graph.
+ */
+export default function InstanceCompareHandler(props) {
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const interactionContext      = useContext(InteractionContext);
+
+  const [category,        setCategory]        = useState("Entity");
+  const [firstGUID,       setFirstGUID]       = useState("");
+  const [secondGUID,      setSecondGUID]      = useState("");
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+
+  /*
+   * comparison is { category, first, second, sections } once the instances have been compared - first and
+   * second are the labels of the instances - otherwise null. pending is true while they are retrieved.
+   * requestRef identifies the latest comparison, so that the responses to an earlier one are ignored.
+   */
+  const [comparison, setComparison] = useState(null);
+  const [pending,    setPending]    = useState(false);
+  const requestRef                  = useRef(0);
+
+  /*
+   * How long to wait for each instance before counting it as not retrieved - callPOST does not call back if the
+   * request cannot be sent or fails.
+   */
+  const retrievalTimeout            = 30000;
+
+
+  /*
+   * The digests of the instances of the category in the graph, for the user to choose from
+   */
+  const graphInstances = (instanceCategory) => {
+    let digests = [];
+    instancesContext.gens.slice(0, instancesContext.getLatestActiveGenId()).forEach(gen => {
+      const instances = instanceCategory === "Entity" ? gen.entities : gen.relationships;
+      Object.values(instances).forEach(digest => digests.push(digest));
+    });
+    return digests.sort((a, b) => (a.label > b.label) ? 1 : -1);
+  };
+
+  const digestGUID = (digest) => {
+    return category === "Entity" ? digest.entityGUID : digest.relationshipGUID;
+  };
+
+  /*
+   * Get the gen and digest of an instance in the graph, or null if it is not in the graph
+   */
+  const findInGraph = (guid) => {
+    const genId = instancesContext.guidToGenId[guid];
+    if (genId === undefined || genId > instancesContext.getLatestActiveGenId()) {
+      return null;
+    }
+    const gen    = instancesContext.gens[genId - 1];
+    const digest = category === "Entity" ? gen.entities[guid] : gen.relationships[guid];
+    return digest ? { gen, digest } : null;
+  };
+
+
+  /*
+   * Retrieve an instance from the repository server of the gen it was found in.
+   * Returns a promise of the instance (EntityDetail or Relationship), or null if it could not be retrieved in time.
+   */
+  const retrieveInstance = (gen, guid) => {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), retrievalTimeout);
+      const uri  = category === "Entity" ? "instances/entity" : "instances/relationship";
+      const body = category === "Entity" ? { entityGUID : guid } : { relationshipGUID : guid };
+      body.enterpriseOption = gen.enterpriseOption;
+      body.asOfTime         = gen.asOfTime === undefined ? null : gen.asOfTime;
+      repositoryServerContext.callPOST(gen.serverName, gen.platformName, uri, body, json => {
+        clearTimeout(timer);
+        if (json !== null && json.relatedHTTPCode === 200) {
+          resolve(category === "Entity"
+                  ? (json.expandedEntityDetail ? json.expandedEntityDetail.entityDetail : null)
+                  : (json.expandedRelationship ? json.expandedRelationship.relationship : null));
+        }
+        else {
+          resolve(null);
+        }
+      });
+    });
+  };
+
+  const compare = () => {
+
+    const first  = findInGraph(firstGUID.trim());
+    const second = findInGraph(secondGUID.trim());
+    const noun   = category === "Entity" ? "entities" : "relationships";
+    if (!first || !second) {
+      alert("Please choose two " + noun + " from the graph");
+      return;
+    }
+    if (firstGUID.trim() === secondGUID.trim()) {
+      alert("Please choose two different " + noun);
+      return;
+    }
+
+    const request = requestRef.current + 1;
+    requestRef.current = request;
+    setPending(true);
+
+    Promise.all([ retrieveInstance(first.gen,  firstGUID.trim()),
+                  retrieveInstance(second.gen, secondGUID.trim()) ])
+    .then(instances => {
+      if (requestRef.current !== request) {
+        return;
+      }
+      setPending(false);
+      if (!instances[0] || !instances[1]) {
+        setComparison(null);
+        const failed = instances[0] ? second.digest.label : first.digest.label;
+        alert("The " + category.toLowerCase() + " " + failed + " could not be retrieved, so the " + noun + " cannot be compared");
+        return;
+      }
+      setComparison({ category : category,
+                      first    : first.digest.label,
+                      second   : second.digest.label,
+                      sections : compareInstances(category, instances[0], instances[1]) });
+    });
+  };
+
+  const changeCategory = (newCategory) => {
+    requestRef.current = requestRef.current + 1;
+    setPending(false);
+    setCategory(newCategory);
+    setFirstGUID("");
+    setSecondGUID("");
+    setComparison(null);
+  };
+
+  const swapInstances = () => {
+    setFirstGUID(secondGUID);
+    setSecondGUID(firstGUID);
+    setComparison(null);
+  };
+
+  const closeCallback = () => {
+    requestRef.current = requestRef.current + 1;
+    setPending(false);
+    setComparison(null);
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+
+  const triggerPortal = () => {
+
+    const instances = graphInstances(category);
+
+    let results = null;
+    if (pending) {
+      results = <p className="status-update">Retrieving the {category === "Entity" ? "entities" : "relationships"}...</p>;
+    }
+    else if (comparison !== null) {
+      const differences = countDifferences(comparison.sections);
+      results = (
+        <div>
+          <p className="dialog-text">
+          {differences === 0 ? "There are no differences" :
+            differences + (differences === 1 ? " field differs" : " fields differ") + " - highlighted below"}
+          {" (the GUIDs are not compared)"}
+          </p>
+          <div className="compare-results-area">
+            <table className="compare-table">
+              <thead>
+                <tr>
+                  <th className="compare-name">Field</th>
+                  <th className="compare-value">{comparison.first}</th>
+                  <th className="compare-value">{comparison.second}</th>
+                </tr>
+              </thead>
+              {comparison.sections.map(section => (
+                <tbody key={section.title}>
+                  <tr><th className="compare-section" colSpan="3">{section.title}</th></tr>
+                  {section.rows.length === 0 &&
+                    <tr><td className="compare-name" colSpan="3">None</td></tr>
+                  }
+                  {section.rows.filter(r => r.different || !differencesOnly).map(r => (
+                    <tr key={r.name} className={r.different ? "compare-different" : ""}>
+                      <td className="compare-name">{r.name}</td>
+                      <td className="compare-value">{r.first}</td>
+                      <td className="compare-value">{r.second}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              ))}
+            </table>
+          </div>
+        </div>
+      );
+    }
+
+    const dialogDisplay = (
+      <div className="dialog-text">
+
+        <p className="dialog-text">
+        Compare two entities or two relationships from the graph, side by side. The fields that differ are highlighted.
+        </p>
+
+        <div className="compare-row">
+          <label className="compare-label" htmlFor="compareCategory">Compare : </label>
+          <select id="compareCategory" value={category} onChange={evt => changeCategory(evt.target.value)} >
+            <option value="Entity">Entities</option>
+            <option value="Relationship">Relationships</option>
+          </select>
+          <input type="checkbox"
+                 id="compareDifferencesOnly"
+                 className="compare-option"
+                 checked={differencesOnly}
+                 onChange={() => setDifferencesOnly(!differencesOnly)} />
+          <label htmlFor="compareDifferencesOnly">Only show differences</label>
+        </div>
+
+        <div className="compare-row">
+          <label className="compare-label" htmlFor="compareFirstGUID">First : </label>
+          <input type="text"
+                 id="compareFirstGUID"
+                 className="compare-guid"
+                 list="compareInstances"
+                 value={firstGUID}
+                 onChange={evt => setFirstGUID(evt.target.value)} />
+        </div>
+
+        <div className="compare-row">
+          <label className="compare-label" htmlFor="compareSecondGUID">Second : </label>
+          <input type="text"
+                 id="compareSecondGUID"
+                 className="compare-guid"
+                 list="compareInstances"
+                 value={secondGUID}
+                 onChange={evt => setSecondGUID(evt.target.value)} />
+          <button className="compare-button" onClick={swapInstances}>  Swap  </button>
+          <button className="compare-button" onClick={compare} disabled={pending}>  Compare  </button>
+        </div>
+
+        <datalist id="compareInstances">
+          {instances.map(digest => <option key={digestGUID(digest)} value={digestGUID(digest)}>{digest.label}</option>)}
+        </datalist>
+
+        {results}
+
+        <div className="dismiss-1-button-container">
+          <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+        </div>
+
+      </div>
+    );
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * When the dialog is opened, start from the focus instance if there is one
+   */
+  const dialogOpened = () => {
+    const focusCategory = instancesContext.getFocusCategory();
+    if (props.status === "complete" && firstGUID === "" && secondGUID === "" &&
+        (focusCategory === "Entity" || focusCategory === "Relationship")) {
+      setCategory(focusCategory);
+      setFirstGUID(instancesContext.getFocusGUID());
+    }
+  };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect (dialogOpened, [ props.status ]);
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the comparison changes
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, category, firstGUID, secondGUID, differencesOnly, comparison, pending ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+InstanceCompareHandler.propTypes = {
+  status               : PropTypes.string,
+  onClose              : PropTypes.func.isRequired
+};
@@ -0,0 +1,125 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import { flattenProperties }        from "./GraphExportUtils";
+
+/*
+ * InstanceCompareUtils provides a module for utility functions used to compare two instances side by side.
+ * These are stateless workers that align the fields of two entities (EntityDetail objects) or two
+ * relationships (Relationship objects) and mark the fields whose values differ.
+ *
+ * A comparison is a list of sections, each { title, rows }. Each row is { name, first, second, different },
+ * where first and second are the values (as strings, "" for no value) of the field in each instance.
+ */
+
+
+function displayValue(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function displayTime(time) {
+  return time ? new Date(time).toLocaleString() : "";
+}
+
+/*
+ * A row comparing a field. A field that is expected to differ, like the GUID, is not marked as different.
+ */
+function row(name, first, second, compared) {
+  const firstValue  = displayValue(first);
+  const secondValue = displayValue(second);
+  return { name      : name,
+           first     : firstValue,
+           second    : secondValue,
+           different : compared !== false && firstValue !== secondValue };
+}
+
+/*
+ * Rows comparing two sets of properties, each a map from property name to value (see flattenProperties).
+ * There is a row for each property either instance has, in name order; prefix is put before each name.
+ */
+function propertyRows(prefix, first, second) {
+  const names = Array.from(new Set(Object.keys(first).concat(Object.keys(second)))).sort();
+  return names.map(name => row(prefix + name, first[name], second[name]));
+}
+
+/*
+ * Get an entity's classifications as a map from classification name to the classification.
+ */
+function classificationMap(instance) {
+  let classifications = {};
+  (instance.classifications || []).forEach(cls => {
+    classifications[cls.name] = cls;
+  });
+  return classifications;
+}
+
+function describeProxy(proxy) {
+  return proxy ? proxy.guid + (proxy.type ? " (" + proxy.type.typeDefName + ")" : "") : "";
+}
+
+
+/*
+ * Compare two instances of a category ("Entity" or "Relationship").
+ */
+export function compareInstances(category, first, second) {
+
+  let sections = [];
+
+  let instanceRows = [
+    row("GUID",    first.guid, second.guid, false),
+    row("Type",    first.type ? first.type.typeDefName : "", second.type ? second.type.typeDefName : ""),
+    row("Status",  first.status,  second.status),
+    row("Version", first.version, second.version)
+  ];
+  if (category === "Relationship") {
+    instanceRows.push(row("Entity one", describeProxy(first.entityOneProxy), describeProxy(second.entityOneProxy)));
+    instanceRows.push(row("Entity two", describeProxy(first.entityTwoProxy), describeProxy(second.entityTwoProxy)));
+  }
+  sections.push({ title : "Instance", rows : instanceRows });
+
+  sections.push({ title : "Provenance", rows : [
+    row("Home metadata collection id",   first.metadataCollectionId,   second.metadataCollectionId),
+    row("Home metadata collection name", first.metadataCollectionName, second.metadataCollectionName),
+    row("Instance provenance type",      first.instanceProvenanceType, second.instanceProvenanceType),
+    row("Replicated by",                 first.replicatedBy,           second.replicatedBy),
+    row("Created by",                    first.createdBy,              second.createdBy),
+    row("Create time",                   displayTime(first.createTime), displayTime(second.createTime)),
+    row("Updated by",                    first.updatedBy,              second.updatedBy),
+    row("Update time",                   displayTime(first.updateTime), displayTime(second.updateTime)),
+    row("Maintained by",                 (first.maintainedBy  || []).slice().sort().join(", "),
+                                         (second.maintainedBy || []).slice().sort().join(", ")),
+    row("Instance license",              first.instanceLicense,        second.instanceLicense)
+  ]});
+
+  sections.push({ title : "Properties",
+                  rows  : propertyRows("", flattenProperties(first.properties), flattenProperties(second.properties)) });
+
+  if (category === "Entity") {
+    const firstClassifications  = classificationMap(first);
+    const secondClassifications = classificationMap(second);
+    const names = Array.from(new Set(Object.keys(firstClassifications).concat(Object.keys(secondClassifications)))).sort();
+    let classificationRows = [];
+    names.forEach(name => {
+      const firstCls  = firstClassifications[name];
+      const secondCls = secondClassifications[name];
+      classificationRows.push(row(name, firstCls ? "classified" : "", secondCls ? "classified" : ""));
+      classificationRows.push(row(name + " : home metadata collection",
+                                  firstCls  ? firstCls.metadataCollectionName  : "",
+                                  secondCls ? secondCls.metadataCollectionName : ""));
+      classificationRows = classificationRows.concat(propertyRows(name + " : ",
+                                                                  flattenProperties(firstCls  ? firstCls.properties  : null),
+                                                                  flattenProperties(secondCls ? secondCls.properties : null)));
+    });
+    sections.push({ title : "Classifications", rows : classificationRows });
+  }
+
+  return sections;
+}
+
+
+/*
+ * The number of rows of a comparison whose values differ.
+ */
+export function countDifferences(sections) {
+  return sections.reduce((count, section) => count + section.rows.filter(r => r.different).length, 0);
+}
@@ -0,0 +1,313 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect, useState, useRef }   from "react";
+
+import PropTypes                              from "prop-types";
+
+import { InstancesContext }                   from "../../contexts/InstancesContext";
+
+import { RepositoryServerContext }            from "../../contexts/RepositoryServerContext";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import * as PathFinderUtils                   from "./PathFinderUtils";
+
+import "./path-finder.scss";
+
+
+/*
+ * The depths the user can choose for a path search, and the number of entities the search will explore
+ * before it gives up - each explored entity is a request to the repository.
+ */
+const pathDepths            = [1, 2, 3, 4, 5];
+const maxEntitiesExplored   = 200;
+
+
+/*
+ * The PathFinderHandler finds how two entities are connected. It searches the repository breadth-first
+ * from one entity, exploring the neighbors of one entity at a time, until it reaches the other entity or
+ * has explored every entity within the chosen depth. The path it finds is added to the graph as a new gen
+ * and highlighted in the diagram.
+ *
+ * The entities can be chosen from the graph, or their GUIDs can be entered (e.g. from a search). The
+ * search uses the server, enterprise option and as of time that are set when it is started.
+ */
+export default function PathFinderHandler(props) {
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const interactionContext      = useContext(InteractionContext);
+
+  const [fromGUID, setFromGUID] = useState("");
+  const [toGUID,   setToGUID]   = useState("");
+  const [maxDepth, setMaxDepth] = useState(3);
+
+  /*
+   * progress is { depth, explored } while a search is running, otherwise null.
+   * searchRef holds the running search with the server it is searching, or null. It is a ref so that the
+   * callbacks from the POSTs see whether the search has been cancelled.
+   */
+  const [progress, setProgress] = useState(null);
+  const searchRef               = useRef(null);
+
+
+  /*
+   * The entities in the graph, for the user to choose from
+   */
+  const graphEntities = () => {
+    let entities = [];
+    instancesContext.gens.forEach(gen => {
+      Object.values(gen.entities).forEach(digest => entities.push(digest));
+    });
+    return entities.sort((a, b) => (a.label > b.label) ? 1 : -1);
+  };
+
+
+  const stopSearch = () => {
+    searchRef.current = null;
+    setProgress(null);
+  };
+
+  const startSearch = () => {
+
+    const from = fromGUID.trim();
+    const to   = toGUID.trim();
+    if (from === "" || to === "") {
+      alert("Please enter the GUIDs of the entities to find a path between");
+      return;
+    }
+    if (from === to) {
+      alert("Please enter two different entities");
+      return;
+    }
+    if (!repositoryServerContext.repositoryServer.serverName) {
+      alert("Please select a repository server");
+      return;
+    }
+
+    searchRef.current = { search           : PathFinderUtils.newSearch(from, to, maxDepth),
+                          serverName       : repositoryServerContext.repositoryServer.serverName,
+                          platformName     : repositoryServerContext.repositoryServer.platformName,
+                          enterpriseOption : repositoryServerContext.enterpriseOption,
+                          asOfTime         : repositoryServerContext.asOfTime };
+    exploreNext();
+  };
+
+  /*
+   * Explore the next entity in the search - retrieve its neighbors with a traversal of depth 1.
+   */
+  const exploreNext = () => {
+
+    const current = searchRef.current;
+    const search  = current.search;
+
+    const entityGUID = PathFinderUtils.nextEntity(search);
+    if (entityGUID === null) {
+      stopSearch();
+      alert("There is no path of " + search.maxDepth + " relationships or fewer between the entities");
+      return;
+    }
+    if (search.explored >= maxEntitiesExplored) {
+      stopSearch();
+      alert("The search was stopped after exploring " + search.explored + " entities without finding a path. "
+            + "Try a smaller depth, or entities that are closer together.");
+      return;
+    }
+
+    setProgress({ depth : search.depth + 1, explored : search.explored });
+
+    repositoryServerContext.callPOST(current.serverName, current.platformName, "instances/traversal",
+      { entityGUID       : entityGUID,
+        depth            : 1,
+        enterpriseOption : current.enterpriseOption,
+        asOfTime         : current.asOfTime },
+      (json) => _exploreNext(json, current));
+  };
+
+  const _exploreNext = (json, current) => {
+
+    /*
+     * Ignore the response if the search has been cancelled
+     */
+    if (searchRef.current !== current) {
+      return;
+    }
+    if (json === null || json.relatedHTTPCode !== 200 || !json.rexTraversal) {
+      stopSearch();
+      interactionContext.reportFailedOperation("find a path between the entities", json);
+      return;
+    }
+    if (PathFinderUtils.addNeighbours(current.search, json.rexTraversal)) {
+      pathFound(current);
+      return;
+    }
+    exploreNext();
+  };
+
+  /*
+   * Add the path to the graph. Each entity on the path must either have been returned by the search or
+   * already be in the graph, so that the relationships on the path can be drawn.
+   */
+  const pathFound = (current) => {
+
+    const search = current.search;
+    const path   = PathFinderUtils.buildPath(search);
+    stopSearch();
+
+    const missing = path.entityGUIDs.filter(guid => path.entities[guid] === undefined &&
+                                                    instancesContext.guidToGenId[guid] === undefined);
+    if (missing.length > 0) {
+      alert("A path was found, but the server did not return the entity " + missing[0] + " on it");
+      return;
+    }
+
+    const label = (guid) => search.entities[guid] ? search.entities[guid].label : guid;
+
+    const rexTraversal = { entities         : path.entities,
+                           relationships    : path.relationships,
+                           operation        : "pathFind",
+                           entityGUID       : search.fromGUID,
+                           targetGUID       : search.toGUID,
+                           fromLabel        : label(search.fromGUID),
+                           toLabel          : label(search.toGUID),
+                           depth            : path.relationshipGUIDs.length,
+                           maxDepth         : search.maxDepth,
+                           serverName       : current.serverName,
+                           platformName     : current.platformName,
+                           enterpriseOption : current.enterpriseOption,
+                           asOfTime         : current.asOfTime };
+
+    instancesContext.processRetrievedPath(rexTraversal, path.entityGUIDs, path.relationshipGUIDs);
+    closeCallback();
+  };
+
+
+  const swapEntities = () => {
+    setFromGUID(toGUID);
+    setToGUID(fromGUID);
+  };
+
+  const closeCallback = () => {
+    stopSearch();
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+
+  const triggerPortal = () => {
+
+    let dialogDisplay;
+
+    if (progress !== null) {
+
+      dialogDisplay = (
+        <div className="dialog-text">
+          <p className="dialog-text">
+          Searching for a path from {fromGUID} to {toGUID}...
+          </p>
+          <p className="status-update">
+          Exploring entities {progress.depth} relationship{progress.depth === 1 ? "" : "s"} away
+          ({progress.explored} entities explored)
+          </p>
+          <div className="dismiss-1-button-container">
+            <button className="multiselect-button" onClick={stopSearch}>  Cancel  </button>
+          </div>
+        </div>
+      );
+    }
+
+    else {
+
+      const entities = graphEntities();
+
+      dialogDisplay = (
+        <div className="dialog-text">
+
+          <p className="dialog-text">
+          Find the shortest path between two entities. Choose the entities from the graph, or enter their GUIDs.
+          The repository is searched outward from the first entity, one relationship at a time, until the second
+          entity is reached or every entity within the depth has been explored. The search explores at
+          most {maxEntitiesExplored} entities. The path is added to the graph and highlighted in the diagram.
+          </p>
+
+          <div className="path-finder-row">
+            <label className="path-finder-label" htmlFor="pathFromGUID">From entity : </label>
+            <input type="text"
+                   id="pathFromGUID"
+                   className="path-finder-guid"
+                   list="pathFinderEntities"
+                   value={fromGUID}
+                   onChange={evt => setFromGUID(evt.target.value)} />
+          </div>
+
+          <div className="path-finder-row">
+            <label className="path-finder-label" htmlFor="pathToGUID">To entity : </label>
+            <input type="text"
+                   id="pathToGUID"
+                   className="path-finder-guid"
+                   list="pathFinderEntities"
+                   value={toGUID}
+                   onChange={evt => setToGUID(evt.target.value)} />
+            <button className="path-finder-button" onClick={swapEntities}>  Swap  </button>
+          </div>
+
+          <datalist id="pathFinderEntities">
+            {entities.map(digest => <option key={digest.entityGUID} value={digest.entityGUID}>{digest.label}</option>)}
+          </datalist>
+
+          <div className="path-finder-row">
+            <label className="path-finder-label" htmlFor="pathMaxDepth">Maximum depth : </label>
+            <select id="pathMaxDepth" value={maxDepth} onChange={evt => setMaxDepth(Number(evt.target.value))} >
+              {pathDepths.map(depth => <option key={depth} value={depth}>{depth}</option>)}
+            </select>
+          </div>
+
+          <div className="dismiss-button-container">
+            <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+            <button className="multiselect-button" onClick={startSearch}>  Find  </button>
+          </div>
+
+        </div>
+      );
+    }
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * When the dialog is opened, start from the focus entity if there is one
+   */
+  const dialogOpened = () => {
+    if (props.status === "complete" && fromGUID === "" && instancesContext.getFocusCategory() === "Entity") {
+      setFromGUID(instancesContext.getFocusGUID());
+    }
+  };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect (dialogOpened, [ props.status ]);
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the search progresses
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, fromGUID, toGUID, maxDepth, progress ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+PathFinderHandler.propTypes = {
+  status               : PropTypes.string,
+  onClose              : PropTypes.func.isRequired
+};
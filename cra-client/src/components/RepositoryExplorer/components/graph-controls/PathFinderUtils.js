@@ -0,0 +1,128 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/*
+ * PathFinderUtils provides a module for utility functions used by the path finder. These are workers
+ * that keep the record of a breadth-first search of a repository, one entity at a time, and build the
+ * traversal containing the path once the search reaches the entity it is looking for. They hold no
+ * state of their own - each function updates or reads the search it is given.
+ *
+ * A search has the following fields:
+ *   fromGUID       - the GUID of the entity the search starts from
+ *   toGUID         - the GUID of the entity the search is looking for
+ *   maxDepth       - the most relationships the path may have
+ *   depth          - the number of relationships between fromGUID and the entities in the frontier
+ *   frontier       - the entities at the current depth that have not yet been explored
+ *   next           - the entities discovered at the next depth
+ *   reachedBy      - a map from the GUID of each entity discovered to { entityGUID, relationshipGUID } - the
+ *                    entity it was discovered from and the relationship that connects them (null for fromGUID)
+ *   entities       - a map from entity GUID to entity digest, for the entities discovered
+ *   relationships  - a map from relationship GUID to relationship digest, for the relationships followed
+ *   explored       - the number of entities that have been explored
+ */
+
+
+/*
+ * Start a search for a path of at most maxDepth relationships from one entity to another.
+ */
+export function newSearch(fromGUID, toGUID, maxDepth) {
+  return { fromGUID       : fromGUID,
+           toGUID         : toGUID,
+           maxDepth       : maxDepth,
+           depth          : 0,
+           frontier       : [ fromGUID ],
+           next           : [],
+           reachedBy      : { [fromGUID] : null },
+           entities       : {},
+           relationships  : {},
+           explored       : 0 };
+}
+
+
+/*
+ * Get the next entity to explore, moving on to the next depth when all of the entities at the current
+ * depth have been explored. Returns null if every entity within the maximum depth has been explored.
+ */
+export function nextEntity(search) {
+  if (search.frontier.length === 0) {
+    if (search.next.length === 0 || search.depth + 1 >= search.maxDepth) {
+      return null;
+    }
+    search.depth    = search.depth + 1;
+    search.frontier = search.next;
+    search.next     = [];
+  }
+  return search.frontier[0];
+}
+
+
+/*
+ * Record the result of exploring the next entity - a traversal of depth 1 from that entity, whose
+ * relationships lead to its neighbours. Neighbours that have already been discovered are not recorded
+ * again, so the first (shortest) way of reaching each entity is kept.
+ * Returns true if the search has reached the entity it is looking for.
+ */
+export function addNeighbours(search, rexTraversal) {
+
+  const entityGUID    = search.frontier.shift();
+  const entities      = rexTraversal.entities      || {};
+  const relationships = rexTraversal.relationships || {};
+
+  search.explored = search.explored + 1;
+  if (entities[entityGUID]) {
+    search.entities[entityGUID] = entities[entityGUID];
+  }
+
+  Object.keys(relationships).forEach(relationshipGUID => {
+    const relationship = relationships[relationshipGUID];
+    let neighbourGUID  = null;
+    if (relationship.end1GUID === entityGUID) {
+      neighbourGUID = relationship.end2GUID;
+    }
+    else if (relationship.end2GUID === entityGUID) {
+      neighbourGUID = relationship.end1GUID;
+    }
+    if (neighbourGUID === null || search.reachedBy[neighbourGUID] !== undefined) {
+      return;
+    }
+    search.reachedBy[neighbourGUID]      = { entityGUID : entityGUID, relationshipGUID : relationshipGUID };
+    search.relationships[relationshipGUID] = relationship;
+    if (entities[neighbourGUID]) {
+      search.entities[neighbourGUID] = entities[neighbourGUID];
+    }
+    search.next.push(neighbourGUID);
+  });
+
+  return search.reachedBy[search.toGUID] !== undefined;
+}
+
+
+/*
+ * Get the path the search found, from fromGUID to toGUID, as { entityGUIDs, relationshipGUIDs, entities,
+ * relationships } - the GUIDs in the order they are on the path, and maps from GUID to a copy of the
+ * digest of each instance on it (copies, because processing a traversal updates the digests in it).
+ */
+export function buildPath(search) {
+
+  let entityGUIDs       = [ search.toGUID ];
+  let relationshipGUIDs = [];
+  let step              = search.reachedBy[search.toGUID];
+  while (step) {
+    relationshipGUIDs.unshift(step.relationshipGUID);
+    entityGUIDs.unshift(step.entityGUID);
+    step = search.reachedBy[step.entityGUID];
+  }
+
+  let entities = {};
+  entityGUIDs.forEach(guid => {
+    if (search.entities[guid]) {
+      entities[guid] = Object.assign({}, search.entities[guid]);
+    }
+  });
+  let relationships = {};
+  relationshipGUIDs.forEach(guid => {
+    relationships[guid] = Object.assign({}, search.relationships[guid]);
+  });
+
+  return { entityGUIDs, relationshipGUIDs, entities, relationships };
+}
@@ -0,0 +1,248 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect, useState, useRef }   from "react";
+
+import PropTypes                              from "prop-types";
+
+import { InstancesContext }                   from "../../contexts/InstancesContext";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import { IdentificationContext }              from "../../../../contexts/IdentificationContext";
+
+import { downloadFile }                       from "./GraphExportUtils";
+
+import "./session.scss";
+
+
+/*
+ * The SessionHandler lets the user save the graph as a named session, and restore a saved session.
+ * Sessions are saved in the presentation server, where each user has their own (see rexSessionRoutes
+ * in cra-server), or downloaded as a JSON file that can be loaded later, or by someone else.
+ */
+export default function SessionHandler(props) {
+
+  const instancesContext      = useContext(InstancesContext);
+
+  const interactionContext    = useContext(InteractionContext);
+
+  const identificationContext = useContext(IdentificationContext);
+
+  const sessionsURL           = identificationContext.getBrowserURL("rex-sessions");
+
+  const [sessionName, setSessionName]  = useState("");
+  const [sessions,    setSessions]     = useState([]);
+
+  /*
+   * The file input is hidden, and opened by the "Load from file" button.
+   */
+  const fileInput                      = useRef(null);
+
+
+  /*
+   * Call the presentation server's session store. The name, if supplied, identifies the session.
+   * Returns a promise of the response's JSON, or is rejected with an error carrying the response text.
+   */
+  const callSessionStore = (method, name, session) => {
+    const url = name === undefined ? sessionsURL : sessionsURL + "?name=" + encodeURIComponent(name);
+    return fetch(url, {
+      method     : method,
+      headers    : { Accept: "application/json", "Content-Type": "application/json" },
+      body       : session ? JSON.stringify(session) : undefined
+    })
+    .then(response => {
+      if (!response.ok) {
+        return response.text().then(text => { throw new Error(text || response.statusText); });
+      }
+      const contentType = response.headers.get("Content-Type");
+      return contentType && contentType.includes("application/json") ? response.json() : null;
+    });
+  };
+
+  const listSessions = () => {
+    callSessionStore("GET")
+    .then(json => setSessions(json.sessions))
+    .catch(error => alert("Could not list the saved sessions. " + error.message));
+  };
+
+  const updatedSessionName = (evt) => {
+    setSessionName(evt.target.value);
+  };
+
+  const saveSession = () => {
+    const name = sessionName.trim();
+    if (name === "") {
+      alert("Please enter a name for the session");
+      return;
+    }
+    if (sessions.some(s => s.name === name) && !window.confirm("Replace the saved session " + name + "?")) {
+      return;
+    }
+    callSessionStore("PUT", name, instancesContext.getSession())
+    .then(() => {
+      setSessionName("");
+      listSessions();
+    })
+    .catch(error => alert("Could not save the session " + name + ". " + error.message));
+  };
+
+  /*
+   * Restore a session into the graph, reporting if it cannot be restored.
+   */
+  const restore = (session, description) => {
+    const problem = instancesContext.restoreSession(session);
+    if (problem) {
+      alert("Could not load " + description + ". " + problem);
+      return;
+    }
+    closeCallback();
+  };
+
+  const loadSession = (name) => {
+    callSessionStore("GET", name)
+    .then(session => restore(session, "the session " + name))
+    .catch(error => alert("Could not load the session " + name + ". " + error.message));
+  };
+
+  const removeSession = (name) => {
+    if (!window.confirm("Remove the saved session " + name + "?")) {
+      return;
+    }
+    callSessionStore("DELETE", name)
+    .then(() => listSessions())
+    .catch(error => alert("Could not remove the session " + name + ". " + error.message));
+  };
+
+  /*
+   * Download the graph as a JSON file, named after the session name if one has been entered.
+   */
+  const downloadSession = () => {
+    const session = instancesContext.getSession();
+    const name    = sessionName.trim() || "rex-session-" + session.savedAt.replace(/[:.]/g, "-");
+    downloadFile(JSON.stringify(session, null, 2), name + ".json", "application/json");
+  };
+
+  const uploadSession = (evt) => {
+    const file = evt.target.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      let session;
+      try {
+        session = JSON.parse(reader.result);
+      }
+      catch (error) {
+        alert("Could not load the file " + file.name + ". It does not contain JSON.");
+        return;
+      }
+      restore(session, "the file " + file.name);
+    };
+    reader.readAsText(file);
+    /*
+     * Clear the input so that the same file can be chosen again.
+     */
+    evt.target.value = "";
+  };
+
+  const closeCallback = () => {
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+
+  const triggerPortal = () => {
+
+    const dialogDisplay = (
+
+      <div className="dialog-text">
+
+        <p className="dialog-text">
+        Save the graph as a session, so that the exploration can be resumed later, or load a saved session
+        to replace the graph.
+        </p>
+
+        <div className="session-save">
+          <label htmlFor="sessionName">Session name : </label>
+          <input type="text"
+                 id="sessionName"
+                 name="sessionName"
+                 value={sessionName}
+                 onChange={updatedSessionName} />
+          <button className="multiselect-button" onClick={saveSession}>  Save  </button>
+          <button className="multiselect-button" onClick={downloadSession}>  Download  </button>
+        </div>
+
+        <hr></hr>
+
+        <div className="session-list">
+          { sessions.length === 0
+            ? <p>There are no saved sessions.</p>
+            : <ul>
+                {sessions.map(s => (
+                  <li key={s.name} className="session-list-item">
+                    <span className="session-name">{s.name}</span>
+                    <span className="session-saved-at">{new Date(s.savedAt).toLocaleString()}</span>
+                    <button className="session-button" onClick={() => loadSession(s.name)}>  Load  </button>
+                    <button className="session-button" onClick={() => removeSession(s.name)}>  Remove  </button>
+                  </li>
+                ))}
+              </ul>
+          }
+        </div>
+
+        <input type="file"
+               accept=".json,application/json"
+               className="session-file-input"
+               ref={fileInput}
+               onChange={uploadSession} />
+
+        <div className="dismiss-button-container">
+          <button className="multiselect-button" onClick={() => fileInput.current.click()}>  Load from file  </button>
+          <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+        </div>
+
+      </div>
+    );
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * When the dialog is opened, fetch the saved sessions.
+   */
+  useEffect(
+    () => {
+      if (props.status === "complete") {
+        listSessions();
+      }
+    },
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [props.status]
+  );
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the name and list change
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, sessionName, sessions ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+SessionHandler.propTypes = {
+  status               : PropTypes.string,
+  onClose              : PropTypes.func.isRequired
+};
@@ -11,6 +11,14 @@ import { InteractionContext }                 from "../../contexts/InteractionCo
 import "./traversal.scss";
 
 
+/*
+ * The depths the user can choose for a traversal, and the projected number of instances above which
+ * the user is asked to confirm the traversal before the result is added to the graph.
+ */
+const traversalDepths      = [1, 2, 3, 4, 5];
+const largeTraversalSize   = 500;
+
+
 export default function TraversalResultHandler(props) {
 
   const interactionContext    = useContext(InteractionContext);
@@ -47,7 +55,21 @@ export default function TraversalResultHandler(props) {
     props.onCancel();
   }
 
+  const depthChanged = (evt) => {
+    props.depthCallback(Number(evt.target.value));
+  }
+
   const submitCallback = () => {
+    /*
+     * The preview (if there is one) projects the size with the selected filters; otherwise the
+     * size from the pre-traversal is the most the traversal could return.
+     */
+    const size = props.previewSize ? props.previewSize : props.preTraversalSize;
+    if (size && size.entities + size.relationships > largeTraversalSize &&
+        !window.confirm("The traversal could add up to " + size.entities + " entities and " +
+                        size.relationships + " relationships to the graph. Do you want to continue?")) {
+      return;
+    }
     interactionContext.hidePortal();
     props.onSubmit();
   }
@@ -177,6 +199,28 @@ export default function TraversalResultHandler(props) {
         );
 
 
+        const projection = props.previewSize
+          ? "with the selected filters, up to " + props.previewSize.entities + " entities and " +
+            props.previewSize.relationships + " relationships"
+          : (props.preTraversalSize
+             ? "with no filters, up to " + props.preTraversalSize.entities + " entities and " +
+               props.preTraversalSize.relationships + " relationships"
+             : "unknown");
+
+        let depthDisplay = (
+
+          <div className="traversal-depth-row">
+            <label htmlFor="traversalDepth">Depth : </label>
+            <select id="traversalDepth" value={props.depth} onChange={depthChanged} >
+              {traversalDepths.map(depth => <option key={depth} value={depth}>{depth}</option>)}
+            </select>
+            <span className="traversal-projection">Projected result : {projection}</span>
+            <button className="traversal-preview-button" onClick={props.previewCallback}>  Preview  </button>
+          </div>
+
+        );
+
+
         dialogDisplay = (
       
           <div className="dialog-text">          
@@ -193,8 +237,12 @@ export default function TraversalResultHandler(props) {
             <p  className="dialog-text">
             A neighboring entity can be reached if its entity type is permitted, it has one or more of any
             required classifications and the connecting relationship type is permitted.
+            The depth is the number of relationships the traversal can follow from the focus entity; the counts
+            are for all the instances within that depth. Preview projects the size of the result with the
+            selected types.
             </p>   
             <hr></hr>               
+            {depthDisplay}
             <div className="traversal-results-area">                            
               {resultsDisplay}
             </div>            
@@ -242,7 +290,8 @@ export default function TraversalResultHandler(props) {
 
    
   };
-  useEffect (componentDidMount ,[ props.status, props.entityTypes, props.relationshipTypes, props.classificationTypes ]);
+  useEffect (componentDidMount ,[ props.status, props.entityTypes, props.relationshipTypes, props.classificationTypes,
+                                  props.depth, props.preTraversalSize, props.previewSize ]);
   
   /*
    * Render nothing - this component is invisible but controls what is displayed by the portal
@@ -257,6 +306,11 @@ TraversalResultHandler.propTypes = {
   onSubmit             : PropTypes.func.isRequired, 
   selectCallback       : PropTypes.func.isRequired, 
   setAllCallback       : PropTypes.func.isRequired, 
+  depthCallback        : PropTypes.func.isRequired,
+  previewCallback      : PropTypes.func.isRequired,
+  depth                : PropTypes.number,
+  preTraversalSize     : PropTypes.object,
+  previewSize          : PropTypes.object,
   //spec                 : PropTypes.object,
   entityTypes          : PropTypes.array,                    
   relationshipTypes    : PropTypes.array,   
@@ -0,0 +1,178 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useState }      from "react";
+
+import { InstancesContext }                 from "../../contexts/InstancesContext";
+
+import { RepositoryServerContext }          from "../../contexts/RepositoryServerContext";
+
+import { InteractionContext }               from "../../contexts/InteractionContext";
+
+import { IdentificationContext }            from "../../../../contexts/IdentificationContext";
+
+import InstanceEditHandler                  from "./InstanceEditHandler";
+
+import { canEditInstances }                 from "./InstanceEditUtils";
+
+import "./instance-edit.scss";
+
+
+/*
+ * The InstanceEditControls let a steward change the instances in a repository: create entities and
+ * relationships, edit the properties of the focus instance, add and remove its classifications, and
+ * soft-delete or restore it. They are only displayed to users whose role permits editing; the
+ * presentation server checks the role again for each change.
+ *
+ * Each change is made in the repository of the server the focus instance was retrieved from (new
+ * entities are created in the repository of the selected server), never at enterprise scope, and
+ * only when the repositories are being explored as they are now. The user confirms every change.
+ * The instance returned by the server replaces the focus instance, and new instances are added to the graph.
+ */
+export default function InstanceEditControls() {
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const interactionContext      = useContext(InteractionContext);
+
+  const identificationContext   = useContext(IdentificationContext);
+
+  /*
+   * editStatus : { "idle", "complete" } and editMode is the form the InstanceEditHandler displays
+   */
+  const [editStatus, setEditStatus] = useState("idle");
+  const [editMode,   setEditMode]   = useState("");
+
+  if (!canEditInstances(identificationContext.user)) {
+    return null;
+  }
+
+  const focusCategory = instancesContext.getFocusCategory();
+  const expEntity     = focusCategory === "Entity"       ? instancesContext.getFocusEntity()       : null;
+  const expRelation   = focusCategory === "Relationship" ? instancesContext.getFocusRelationship() : null;
+  const focusInstance = expEntity ? expEntity.entityDetail : (expRelation ? expRelation.relationship : null);
+  const focusLabel    = expEntity ? expEntity.entityDigest.label : (expRelation ? expRelation.relationshipDigest.label : "");
+
+  /*
+   * Changes cannot be made to the past
+   */
+  const historical    = repositoryServerContext.asOfTime !== null;
+
+
+  /*
+   * Make a change to a repository, once the user has confirmed it. A change has the fields:
+   *   target        - the server (and platform) whose repository is changed
+   *   uri, body     - the rex operation and its parameters
+   *   confirmation  - the question the user is asked
+   *   description   - the operation, as a phrase, for reporting a failure
+   *   operation     - the operation recorded in the gen if the change adds an instance to the graph
+   * The server returns the changed (or created) instance. onSuccess is called once it has been processed.
+   */
+  const writeInstance = (change, onSuccess) => {
+
+    if (!window.confirm(change.confirmation)) {
+      return;
+    }
+    repositoryServerContext.callPOST(change.target.serverName, change.target.platformName, change.uri,
+      Object.assign({ enterpriseOption : false, asOfTime : null }, change.body),
+      (json) => _writeInstance(json, change, onSuccess));
+  };
+
+  const _writeInstance = (json, change, onSuccess) => {
+    if (json !== null && json.relatedHTTPCode === 200) {
+      if (json.expandedEntityDetail) {
+        instancesContext.processRetrievedEntity(json.expandedEntityDetail, change.operation);
+        if (onSuccess) {
+          onSuccess();
+        }
+        return;
+      }
+      if (json.expandedRelationship) {
+        instancesContext.processRetrievedRelationship(json.expandedRelationship, change.operation);
+        if (onSuccess) {
+          onSuccess();
+        }
+        return;
+      }
+    }
+    /*
+     * On failure ...
+     */
+    interactionContext.reportFailedOperation(change.description, json);
+  };
+
+
+  const openEditor = (mode) => {
+    setEditMode(mode);
+    setEditStatus("complete");
+  };
+
+  const closeEditor = () => {
+    setEditStatus("idle");
+  };
+
+  /*
+   * Soft-delete the focus instance, or restore it if it has been soft-deleted
+   */
+  const deleteOrRestore = () => {
+
+    const entity   = focusCategory === "Entity";
+    const category = focusCategory.toLowerCase();
+    const guidName = entity ? "entityGUID" : "relationshipGUID";
+
+    if (focusInstance.status === "DELETED") {
+      writeInstance({ target       : entity ? expEntity : expRelation,
+                      uri          : "instances/" + category + "/restore",
+                      body         : { [guidName] : focusInstance.guid },
+                      confirmation : "Restore the " + category + " " + focusLabel + "?",
+                      description  : "restore the " + category });
+    }
+    else {
+      writeInstance({ target       : entity ? expEntity : expRelation,
+                      uri          : "instances/" + category + "/delete",
+                      body         : { [guidName]   : focusInstance.guid,
+                                       typeDefGUID  : focusInstance.type.typeDefGUID,
+                                       typeDefName  : focusInstance.type.typeDefName },
+                      confirmation : "Delete the " + category + " " + focusLabel + "? It is soft-deleted, so it can be"
+                                     + " restored until it is purged from the repository.",
+                      description  : "delete the " + category });
+    }
+  };
+
+
+  return (
+    <div className="instance-edit-controls">
+      <button className="instance-edit-button" disabled={historical}
+              onClick={() => openEditor("createEntity")} >
+        Create Entity
+      </button>
+      <button className="instance-edit-button" disabled={historical || !expEntity}
+              onClick={() => openEditor("createRelationship")} >
+        Create Relationship
+      </button>
+      <button className="instance-edit-button" disabled={historical || !focusInstance}
+              onClick={() => openEditor("updateProperties")} >
+        Edit Properties
+      </button>
+      <button className="instance-edit-button" disabled={historical || !expEntity}
+              onClick={() => openEditor("classifications")} >
+        Classifications
+      </button>
+      <button className="instance-edit-button" disabled={historical || !focusInstance}
+              onClick={deleteOrRestore} >
+        {focusInstance && focusInstance.status === "DELETED" ? "Restore" : "Delete"}
+      </button>
+      {historical &&
+        <p className="instance-edit-note">Instances cannot be changed while the graph is explored as of a time.</p>
+      }
+
+      <InstanceEditHandler status  = { editStatus }
+                           mode    = { editMode }
+                           onWrite = { writeInstance }
+                           onClose = { closeEditor } />
+    </div>
+  );
+}
@@ -0,0 +1,475 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect, useState }   from "react";
+
+import PropTypes                              from "prop-types";
+
+import { InstancesContext }                   from "../../contexts/InstancesContext";
+
+import { RepositoryServerContext }            from "../../contexts/RepositoryServerContext";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import { TypesContext }                       from "../../contexts/TypesContext";
+
+import * as InstanceEditUtils                 from "./InstanceEditUtils";
+
+import { describeChanges }                    from "../details-panel/InstanceHistoryUtils";
+
+import "./instance-edit.scss";
+
+
+/*
+ * The InstanceEditHandler displays the forms of the instance editor. The form is generated from the type
+ * definitions in the TypesContext - one field for each attribute of the type, with enums offered as lists
+ * of their values. The mode says which form is displayed:
+ *   createEntity        - create an entity, of any type, in the repository of the selected server
+ *   createRelationship  - create a relationship from the focus entity to another entity, of one of the
+ *                         types the focus entity can be at one end of
+ *   updateProperties    - edit the properties of the focus entity or relationship
+ *   classifications     - add classifications to, or remove them from, the focus entity
+ *
+ * The changes are made by the onWrite function (see InstanceEditControls), which asks the user to
+ * confirm each one; the dialog is closed once the change has been made.
+ */
+export default function InstanceEditHandler(props) {
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const interactionContext      = useContext(InteractionContext);
+
+  const typesContext            = useContext(TypesContext);
+
+  /*
+   * typeName is the type of the instance being created, or the classification being added
+   * endIndex is the index (in the valid ends) of the relationship type and end chosen for a new relationship
+   */
+  const [typeName,       setTypeName]       = useState("");
+  const [instanceStatus, setInstanceStatus] = useState("");
+  const [values,         setValues]         = useState({});
+  const [endIndex,       setEndIndex]       = useState("");
+  const [otherGUID,      setOtherGUID]      = useState("");
+
+  const mode          = props.mode;
+  const focusCategory = instancesContext.getFocusCategory();
+  const expEntity     = focusCategory === "Entity"       ? instancesContext.getFocusEntity()       : null;
+  const expRelation   = focusCategory === "Relationship" ? instancesContext.getFocusRelationship() : null;
+  const focusInstance = expEntity ? expEntity.entityDetail : (expRelation ? expRelation.relationship : null);
+  const focusTarget   = expEntity ? expEntity : expRelation;
+  const focusLabel    = expEntity ? expEntity.entityDigest.label : (expRelation ? expRelation.relationshipDigest.label : "");
+
+  const entityTypes         = typesContext.getEntityTypes();
+  const relationshipTypes   = typesContext.getRelationshipTypes();
+  const classificationTypes = typesContext.getClassificationTypes();
+
+  const relationshipEnds = expEntity
+    ? InstanceEditUtils.validRelationshipEnds(entityTypes, relationshipTypes, expEntity.entityDetail.type.typeDefName)
+    : [];
+  const chosenEnd        = endIndex === "" ? null : relationshipEnds[Number(endIndex)];
+
+
+  /*
+   * The types of the instances the form is for, and the type whose attributes are in the form
+   */
+  const formTypes = () => {
+    switch (mode) {
+      case "createEntity"       : return entityTypes;
+      case "createRelationship" : return relationshipTypes;
+      case "classifications"    : return classificationTypes;
+      default                   : return focusCategory === "Entity" ? entityTypes : relationshipTypes;
+    }
+  };
+
+  const formTypeName = () => {
+    switch (mode) {
+      case "createRelationship" : return chosenEnd ? chosenEnd.typeName : "";
+      case "updateProperties"   : return focusInstance ? focusInstance.type.typeDefName : "";
+      default                   : return typeName;
+    }
+  };
+
+  const attributes = formTypeName() === "" ? [] : InstanceEditUtils.formAttributes(formTypes(), formTypeName());
+
+
+  /*
+   * Start each form afresh when the dialog is opened - the properties of an instance being edited
+   * start with its current values.
+   */
+  const dialogOpened = () => {
+    if (props.status !== "complete") {
+      return;
+    }
+    setTypeName("");
+    setEndIndex("");
+    setOtherGUID("");
+    setInstanceStatus("");
+    setValues(mode === "updateProperties" && focusInstance
+              ? InstanceEditUtils.formValues(attributes, focusInstance.properties)
+              : {});
+  };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect (dialogOpened, [ props.status, props.mode ]);
+
+
+  /*
+   * A change of type starts the properties again, with the type's initial status
+   */
+  const typeChanged = (types, name) => {
+    setTypeName(name);
+    setValues({});
+    setInstanceStatus(name === "" ? "" : InstanceEditUtils.validStatuses(types, name).initialStatus);
+  };
+
+  const endChanged = (index) => {
+    setEndIndex(index);
+    setValues({});
+    setInstanceStatus(index === "" ? "" : InstanceEditUtils.validStatuses(relationshipTypes, relationshipEnds[Number(index)].typeName).initialStatus);
+  };
+
+  const valueChanged = (name, value) => {
+    setValues(Object.assign({}, values, { [name] : value }));
+  };
+
+
+  /*
+   * Build the properties from the form, reporting to the user if they are not valid
+   */
+  const formProperties = (instanceProperties) => {
+    try {
+      return InstanceEditUtils.buildInstanceProperties(attributes, values, typesContext.getEnumType, instanceProperties);
+    }
+    catch (error) {
+      alert(error.message);
+      return null;
+    }
+  };
+
+  const closeCallback = () => {
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+
+  const createEntity = () => {
+    if (typeName === "") {
+      alert("Please select the type of entity to create");
+      return;
+    }
+    const properties = formProperties(null);
+    if (properties === null) {
+      return;
+    }
+    const server = repositoryServerContext.repositoryServer;
+    props.onWrite({ target       : server,
+                    uri          : "instances/entity/create",
+                    body         : { entityTypeGUID    : entityTypes[typeName].entityDef.guid,
+                                     entityTypeName    : typeName,
+                                     initialProperties : properties,
+                                     initialStatus     : instanceStatus },
+                    confirmation : "Create a " + typeName + " entity in the repository of server " + server.serverName + "?",
+                    description  : "create the entity",
+                    operation    : "createEntity" },
+                  closeCallback);
+  };
+
+  const createRelationship = () => {
+    if (chosenEnd === null) {
+      alert("Please select the type of relationship to create");
+      return;
+    }
+    const other = otherGUID.trim();
+    if (other === "") {
+      alert("Please enter the GUID of the entity at the other end of the relationship");
+      return;
+    }
+    const properties = formProperties(null);
+    if (properties === null) {
+      return;
+    }
+    const focusGUID = expEntity.entityDetail.guid;
+    props.onWrite({ target       : expEntity,
+                    uri          : "instances/relationship/create",
+                    body         : { relationshipTypeGUID : relationshipTypes[chosenEnd.typeName].relationshipDef.guid,
+                                     relationshipTypeName : chosenEnd.typeName,
+                                     entityOneGUID        : chosenEnd.end === 1 ? focusGUID : other,
+                                     entityTwoGUID        : chosenEnd.end === 1 ? other : focusGUID,
+                                     initialProperties    : properties,
+                                     initialStatus        : instanceStatus },
+                    confirmation : "Create a " + chosenEnd.typeName + " relationship between " + focusLabel + " and " + other
+                                   + " in the repository of server " + expEntity.serverName + "?",
+                    description  : "create the relationship",
+                    operation    : "createRelationship" },
+                  closeCallback);
+  };
+
+  /*
+   * The confirmation of an update lists the changes to the properties
+   */
+  const updateProperties = () => {
+    const properties = formProperties(focusInstance.properties);
+    if (properties === null) {
+      return;
+    }
+    const changes = describeChanges(focusInstance, Object.assign({}, focusInstance, { properties : properties }));
+    if (changes.every(change => !change.startsWith("property "))) {
+      alert("The properties have not been changed");
+      return;
+    }
+    const entity = focusCategory === "Entity";
+    props.onWrite({ target       : focusTarget,
+                    uri          : entity ? "instances/entity/update-properties" : "instances/relationship/update-properties",
+                    body         : entity ? { entityGUID       : focusInstance.guid, properties : properties }
+                                          : { relationshipGUID : focusInstance.guid, properties : properties },
+                    confirmation : "Update the properties of " + focusLabel + "?\n\n" + changes.join("\n"),
+                    description  : "update the properties of the " + focusCategory.toLowerCase() },
+                  closeCallback);
+  };
+
+  const classify = () => {
+    if (typeName === "") {
+      alert("Please select the classification to add");
+      return;
+    }
+    const properties = formProperties(null);
+    if (properties === null) {
+      return;
+    }
+    props.onWrite({ target       : expEntity,
+                    uri          : "instances/entity/classify",
+                    body         : { entityGUID               : focusInstance.guid,
+                                     classificationName       : typeName,
+                                     classificationProperties : properties },
+                    confirmation : "Classify " + focusLabel + " as " + typeName + "?",
+                    description  : "classify the entity" },
+                  closeCallback);
+  };
+
+  const declassify = (classificationName) => {
+    props.onWrite({ target       : expEntity,
+                    uri          : "instances/entity/declassify",
+                    body         : { entityGUID : focusInstance.guid, classificationName : classificationName },
+                    confirmation : "Remove the " + classificationName + " classification from " + focusLabel + "?",
+                    description  : "remove the classification" },
+                  closeCallback);
+  };
+
+
+  /*
+   * One field for each attribute - enums and booleans are chosen from their values
+   */
+  const attributeField = (attribute) => {
+
+    const name  = attribute.attributeName;
+    const value = values[name] === undefined ? "" : values[name];
+    const type  = attribute.attributeType;
+
+    let field;
+    if (!attribute.editable) {
+      field = <span className="instance-edit-note">{type.name} - cannot be edited here, and is kept unchanged</span>;
+    }
+    else if (type.category === "ENUM_DEF") {
+      const enumType = typesContext.getEnumType(type.name);
+      const elements = enumType && enumType.enumDef && enumType.enumDef.elementDefs ? enumType.enumDef.elementDefs : [];
+      field = (
+        <select id={"edit-" + name} value={value} onChange={evt => valueChanged(name, evt.target.value)} >
+          <option value="">(no value)</option>
+          {elements.map(element => <option key={element.value} value={element.value}>{element.value}</option>)}
+        </select>
+      );
+    }
+    else if (type.primitiveDefCategory === "OM_PRIMITIVE_TYPE_BOOLEAN") {
+      field = (
+        <select id={"edit-" + name} value={value} onChange={evt => valueChanged(name, evt.target.value)} >
+          <option value="">(no value)</option>
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      );
+    }
+    else {
+      field = (
+        <input type="text"
+               id={"edit-" + name}
+               className="instance-edit-value"
+               placeholder={type.name}
+               value={value}
+               onChange={evt => valueChanged(name, evt.target.value)} />
+      );
+    }
+
+    return (
+      <div className="instance-edit-row" key={name}>
+        <label className="instance-edit-label" htmlFor={"edit-" + name}
+               title={attribute.attributeDescription}>{name}{attribute.required ? " *" : ""} : </label>
+        {field}
+      </div>
+    );
+  };
+
+  const statusField = (types, name) => (
+    <div className="instance-edit-row">
+      <label className="instance-edit-label" htmlFor="editStatus">Status : </label>
+      <select id="editStatus" value={instanceStatus} onChange={evt => setInstanceStatus(evt.target.value)} >
+        {InstanceEditUtils.validStatuses(types, name).statuses.map(status =>
+          <option key={status} value={status}>{status}</option>)}
+      </select>
+    </div>
+  );
+
+  const propertiesArea = (
+    <div className="instance-edit-properties">
+      { formTypeName() === "" ? <p>Select a type to enter its properties.</p>
+        : attributes.length === 0 ? <p>The type has no properties.</p>
+        : attributes.map(attributeField) }
+    </div>
+  );
+
+
+  const triggerPortal = () => {
+
+    let title;
+    let form;
+    let submit;
+
+    switch (mode) {
+
+      case "createEntity":
+        title  = "Create an entity in the repository of server " + repositoryServerContext.repositoryServer.serverName + ".";
+        submit = createEntity;
+        form   = (
+          <div>
+            <div className="instance-edit-row">
+              <label className="instance-edit-label" htmlFor="editEntityType">Entity type : </label>
+              <select id="editEntityType" value={typeName} onChange={evt => typeChanged(entityTypes, evt.target.value)} >
+                <option value="">(select a type)</option>
+                {Object.keys(entityTypes || {}).sort().map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+            {typeName !== "" && statusField(entityTypes, typeName)}
+            {propertiesArea}
+          </div>
+        );
+        break;
+
+      case "createRelationship":
+        title  = "Create a relationship between the entity " + focusLabel + " and another entity.";
+        submit = createRelationship;
+        form   = (
+          <div>
+            <div className="instance-edit-row">
+              <label className="instance-edit-label" htmlFor="editRelationshipType">Relationship type : </label>
+              <select id="editRelationshipType" value={endIndex} onChange={evt => endChanged(evt.target.value)} >
+                <option value="">(select a type)</option>
+                {relationshipEnds.map((end, index) => (
+                  <option key={end.typeName + end.end} value={String(index)}>
+                    {end.typeName} - {focusLabel} at end {end.end}, {end.otherEndType} at end {3 - end.end}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="instance-edit-row">
+              <label className="instance-edit-label" htmlFor="editOtherGUID">
+                {chosenEnd ? chosenEnd.otherEndType : "Other entity"} GUID : </label>
+              <input type="text"
+                     id="editOtherGUID"
+                     className="instance-edit-value"
+                     list="editGraphEntities"
+                     value={otherGUID}
+                     onChange={evt => setOtherGUID(evt.target.value)} />
+              <datalist id="editGraphEntities">
+                {instancesContext.gens.map(gen => Object.values(gen.entities).map(digest =>
+                  <option key={digest.entityGUID} value={digest.entityGUID}>{digest.label}</option>))}
+              </datalist>
+            </div>
+            {chosenEnd && statusField(relationshipTypes, chosenEnd.typeName)}
+            {propertiesArea}
+          </div>
+        );
+        break;
+
+      case "updateProperties":
+        title  = "Edit the properties of the " + focusCategory.toLowerCase() + " " + focusLabel
+                 + ". Properties left empty are removed.";
+        submit = updateProperties;
+        form   = propertiesArea;
+        break;
+
+      case "classifications":
+        {
+          const current   = focusInstance.classifications || [];
+          const available = InstanceEditUtils.validClassifications(entityTypes, classificationTypes,
+                                                                   focusInstance.type.typeDefName,
+                                                                   current.map(cls => cls.name));
+          title  = "Add classifications to the entity " + focusLabel + ", or remove them.";
+          submit = classify;
+          form   = (
+            <div>
+              <div className="instance-edit-row">
+                <span className="instance-edit-label">Classifications : </span>
+                { current.length === 0 ? "none" : current.map(cls => (
+                  <span key={cls.name} className="instance-edit-classification">
+                    {cls.name}
+                    <button className="instance-edit-button" onClick={() => declassify(cls.name)}>  Remove  </button>
+                  </span>
+                ))}
+              </div>
+              <div className="instance-edit-row">
+                <label className="instance-edit-label" htmlFor="editClassification">Add classification : </label>
+                <select id="editClassification" value={typeName} onChange={evt => typeChanged(classificationTypes, evt.target.value)} >
+                  <option value="">(select a classification)</option>
+                  {available.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              {propertiesArea}
+            </div>
+          );
+        }
+        break;
+
+      default:
+        return;
+    }
+
+    const dialogDisplay = (
+      <div className="dialog-text">
+        <p className="dialog-text">{title} Properties marked * must have a value.</p>
+        {form}
+        <div className="dismiss-button-container">
+          <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+          <button className="multiselect-button" onClick={submit}>  {mode === "classifications" ? "Add" : "Save"}  </button>
+        </div>
+      </div>
+    );
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the form is filled in
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, props.mode, typeName, instanceStatus, values, endIndex, otherGUID,
+                                  instancesContext.focus ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+InstanceEditHandler.propTypes = {
+  status               : PropTypes.string,
+  mode                 : PropTypes.string,
+  onWrite              : PropTypes.func.isRequired,
+  onClose              : PropTypes.func.isRequired
+};
@@ -0,0 +1,179 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import { toPropertyValue }          from "../instance-retrieval/PropertySearchUtils";
+
+import { flattenProperties }        from "../graph-controls/GraphExportUtils";
+
+/*
+ * InstanceEditUtils provides a module for utility functions used by the instance editor. These are all
+ * stateless workers that derive the editing forms from the type definitions held in the TypesContext
+ * (a map from type name to type explorer for each category), and convert what the user enters in a form
+ * into the instance properties understood by Egeria.
+ *
+ * The values of a form are a map from attribute name to the text entered for it ("" for no value).
+ */
+
+
+/*
+ * The roles that can create, update and delete instances. The presentation server checks the role of
+ * each request that changes a repository; the editor is only offered to users who have one of these.
+ */
+const editingRoles = ["steward", "operator", "admin"];
+
+export function canEditInstances(user) {
+  return !!user && editingRoles.includes(user.role);
+}
+
+
+function typeDefOf(explorer) {
+  return explorer.entityDef || explorer.relationshipDef || explorer.classificationDef;
+}
+
+
+/*
+ * The names of a type and each of its supertypes, starting with the type itself.
+ */
+export function typeLineage(types, typeName) {
+  let lineage = [];
+  let name    = typeName;
+  while (name && types && types[name] && !lineage.includes(name)) {
+    lineage.push(name);
+    const typeDef = typeDefOf(types[name]);
+    name = typeDef && typeDef.superType ? typeDef.superType.name : null;
+  }
+  return lineage;
+}
+
+
+/*
+ * The attributes of a type, including those it inherits, sorted by name. Each is the attribute's
+ * definition (a TypeDefAttribute) with two added fields:
+ *   editable  - false for collections (maps and arrays), which cannot be entered in the form
+ *   required  - true if the type needs the attribute to have a value
+ */
+export function formAttributes(types, typeName) {
+  let attributes = {};
+  typeLineage(types, typeName).reverse().forEach(name => {
+    const typeDef = typeDefOf(types[name]);
+    (typeDef.propertiesDefinition || []).forEach(attribute => {
+      attributes[attribute.attributeName] = attribute;
+    });
+  });
+  return Object.keys(attributes).sort().map(name => Object.assign({}, attributes[name], {
+    editable : attributes[name].attributeType.category !== "COLLECTION",
+    required : attributes[name].valuesMinCount > 0
+  }));
+}
+
+
+/*
+ * The initial values of a form - the current values of the properties of an instance (or "" if the
+ * property is not set, or the instance is being created). Dates are shown as ISO times, rather than
+ * the milliseconds they are held as.
+ */
+export function formValues(attributes, instanceProperties) {
+  const current = flattenProperties(instanceProperties);
+  let values = {};
+  attributes.forEach(attribute => {
+    let value = current[attribute.attributeName];
+    if (value === undefined || !attribute.editable) {
+      value = "";
+    }
+    else if (attribute.attributeType.primitiveDefCategory === "OM_PRIMITIVE_TYPE_DATE" && /^-?\d+$/.test(value)) {
+      value = new Date(Number(value)).toISOString();
+    }
+    values[attribute.attributeName] = value;
+  });
+  return values;
+}
+
+
+/*
+ * Build the instance properties from the values of a form. Properties with no value are left out, so
+ * an update removes them. Collections cannot be edited, so their values are copied from the current
+ * properties of the instance (instanceProperties, or null when creating an instance).
+ * Throws an error, with a message for the user, if a value is not valid or a required property is empty.
+ */
+export function buildInstanceProperties(attributes, values, getEnumType, instanceProperties) {
+
+  const currentValues = instanceProperties && instanceProperties.instanceProperties
+                        ? instanceProperties.instanceProperties : {};
+  let properties = {};
+
+  attributes.forEach(attribute => {
+    const name = attribute.attributeName;
+    if (!attribute.editable) {
+      if (currentValues[name] !== undefined) {
+        properties[name] = currentValues[name];
+      }
+      return;
+    }
+    const text = values[name] === undefined ? "" : values[name];
+    if (text.trim() === "") {
+      if (attribute.required) {
+        throw new Error("Please enter a value for " + name);
+      }
+      return;
+    }
+    properties[name] = toPropertyValue(name, text, attribute.attributeType, getEnumType);
+  });
+
+  return { class : "InstanceProperties", instanceProperties : properties };
+}
+
+
+/*
+ * The relationships an entity of a type can be at one end of. Returns a list of
+ * { typeName, end, otherEndType } - the relationship type, the end (1 or 2) the entity would be at and
+ * the type of entity needed at the other end - sorted by relationship type.
+ */
+export function validRelationshipEnds(entityTypes, relationshipTypes, entityTypeName) {
+  const lineage = typeLineage(entityTypes, entityTypeName);
+  let ends = [];
+  Object.keys(relationshipTypes || {}).sort().forEach(typeName => {
+    const relationshipDef = relationshipTypes[typeName].relationshipDef;
+    [1, 2].forEach(end => {
+      const endDef      = end === 1 ? relationshipDef.endDef1 : relationshipDef.endDef2;
+      const otherEndDef = end === 1 ? relationshipDef.endDef2 : relationshipDef.endDef1;
+      if (endDef && endDef.entityType && lineage.includes(endDef.entityType.name)) {
+        ends.push({ typeName     : typeName,
+                    end          : end,
+                    otherEndType : otherEndDef && otherEndDef.entityType ? otherEndDef.entityType.name : "" });
+      }
+    });
+  });
+  return ends;
+}
+
+
+/*
+ * The classifications that can be added to an entity of a type, sorted by name - those that are valid
+ * for the type or one of its supertypes (or for any type), leaving out those the entity already has.
+ * A classification that does not list its valid entity types inherits them from its supertype.
+ */
+export function validClassifications(entityTypes, classificationTypes, entityTypeName, currentNames) {
+  const lineage = typeLineage(entityTypes, entityTypeName);
+  return Object.keys(classificationTypes || {}).sort().filter(name => {
+    if (currentNames.includes(name)) {
+      return false;
+    }
+    const validEntityDefs = typeLineage(classificationTypes, name)
+                              .map(typeName => classificationTypes[typeName].classificationDef.validEntityDefs)
+                              .find(defs => defs && defs.length > 0);
+    return !validEntityDefs || validEntityDefs.some(def => lineage.includes(def.name));
+  });
+}
+
+
+/*
+ * The statuses an instance of a type can be created with, and the one it is created with by default.
+ */
+export function validStatuses(types, typeName) {
+  const typeDef = types && types[typeName] ? typeDefOf(types[typeName]) : null;
+  if (!typeDef || !typeDef.validInstanceStatusList || typeDef.validInstanceStatusList.length === 0) {
+    return { statuses : ["ACTIVE"], initialStatus : "ACTIVE" };
+  }
+  return { statuses      : typeDef.validInstanceStatusList,
+           initialStatus : typeDef.initialStatus ? typeDef.initialStatus : typeDef.validInstanceStatusList[0] };
+}
@@ -0,0 +1,99 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+import { useContext, useEffect, useState }  from "react";
+
+import { useLocation, useRouteMatch }       from "react-router-dom";
+
+import { IdentificationContext }            from "../../../../contexts/IdentificationContext";
+
+import { RepositoryServerContext }          from "../../contexts/RepositoryServerContext";
+
+import { TypesContext }                     from "../../contexts/TypesContext";
+
+import { InstancesContext }                 from "../../contexts/InstancesContext";
+
+
+/*
+ * Build the link to an instance, which opens Rex with the instance loaded from the server and
+ * made the focus. The link is of the form
+ *   <origin>/<tenant>/repository-explorer/entity/<guid>?server=<server>&platform=<platform>&enterprise=<true|false>
+ * (or relationship in place of entity). rexURL is the Rex page's path, from getBrowserURL.
+ */
+export function instanceLink(rexURL, category, guid, serverName, platformName, enterpriseOption) {
+  const params = new URLSearchParams({ server     : serverName,
+                                       platform   : platformName,
+                                       enterprise : enterpriseOption ? "true" : "false" });
+  return window.location.origin + rexURL + "/" + category.toLowerCase() + "/" + encodeURIComponent(guid) + "?" + params;
+}
+
+
+/*
+ * The InstanceLinkLoader loads the instance named by the page's url, if it is a link to an instance
+ * (see instanceLink). The server in the link is selected - and its types loaded - as if the user
+ * had chosen it in the ServerSelector, and the enterprise option is set if the link has one.
+ * The instance is then retrieved and made the focus, as if the user had entered its GUID.
+ */
+export default function InstanceLinkLoader() {
+
+  const identificationContext   = useContext(IdentificationContext);
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const typesContext            = useContext(TypesContext);
+
+  const instancesContext        = useContext(InstancesContext);
+
+  const match    = useRouteMatch(identificationContext.getBrowserURL("repository-explorer") + "/:category(entity|relationship)/:guid");
+  const location = useLocation();
+
+  /*
+   * The link most recently loaded, so that each link is only loaded once - not each time Rex re-renders.
+   */
+  const [linkLoaded, setLinkLoaded] = useState("");
+
+  const category = match ? match.params.category : undefined;
+  const guid     = match ? match.params.guid : undefined;
+  const link     = location.pathname + location.search;
+
+  useEffect(
+    () => {
+
+      if (!category || link === linkLoaded) {
+        return;
+      }
+      setLinkLoaded(link);
+
+      const params       = new URLSearchParams(location.search);
+      const serverName   = params.get("server");
+      const platformName = params.get("platform");
+      if (!serverName || !platformName) {
+        alert("The link to the " + category + " does not say which server and platform to retrieve it from");
+        return;
+      }
+
+      /*
+       * Without an enterprise parameter, the current enterprise option is used.
+       */
+      const enterprise       = params.get("enterprise");
+      const enterpriseOption = enterprise === null ? repositoryServerContext.getEnterpriseOption() : enterprise === "true";
+
+      repositoryServerContext.setRepositoryServer({ serverName : serverName, platformName : platformName });
+      repositoryServerContext.setEnterpriseOption(enterpriseOption);
+      typesContext.loadTypeInfo(serverName, platformName);
+
+      if (category === "entity") {
+        instancesContext.loadEntityFromSpecifiedServer(serverName, platformName, enterpriseOption, guid);
+      }
+      else {
+        instancesContext.loadRelationshipFromSpecifiedServer(serverName, platformName, enterpriseOption, guid);
+      }
+    },
+    [category, guid, link, linkLoaded, location.search, repositoryServerContext, typesContext, instancesContext]
+  );
+
+  /*
+   * Render nothing - this component only loads the instance
+   */
+  return null;
+}
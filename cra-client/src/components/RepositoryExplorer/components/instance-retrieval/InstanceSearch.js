@@ -15,6 +15,10 @@ import FilterManager                           from "./FilterManager";
 
 import SearchResultHandler                     from "./SearchResultHandler";
 
+import PropertySearchHandler                   from "./PropertySearchHandler";
+
+import { emptyQuery, describeQuery }           from "./PropertySearchUtils";
+
 import "./instance-retriever.scss"
 
 
@@ -57,8 +61,29 @@ export default function InstanceSearch(props) {
   const [searchClassifications, setSearchClassifications]   = useState({});    // map of selected class'ns
   const [searchResults,         setSearchResults]           = useState([]); 
 
-  const [searchResultLimit,     setSearchResultLimit]       = useState(100);
-  const [searchResultCount,     setSearchResultCount]       = useState(0);
+  /*
+   * Search results are retrieved a page at a time. currentSearch is the search being paged through:
+   * { uri, body, callback, pageSize, asOfTime } where body does not include the paging parameters, and
+   * asOfTime is the time the repository is searched as of (so that every page is searched as of the same time). fromElement
+   * is the index of the first result on the current page. The results the user has selected, on any
+   * page, are kept in selectedResults - a map from GUID to result - and there is a useRef so that
+   * the callbacks from the POSTs see the current selection (see status above).
+   */
+  const [searchPageSize,        setSearchPageSize]          = useState(100);
+  const [currentSearch,         setCurrentSearch]           = useState(null);
+  const [fromElement,           setFromElement]             = useState(0);
+  const [selectedResults,       setSelectedResults]         = useState({});
+  const selectedResultsRef                                  = useRef();
+  selectedResultsRef.current                                = selectedResults;
+
+  /*
+   * The property search query is built in the PropertySearchHandler dialog, which is shown when
+   * propertySearchStatus is "complete". searchDescription describes the query of the current search,
+   * or is empty if the current search is by search text.
+   */
+  const [propertySearchStatus,  setPropertySearchStatus]    = useState("idle");
+  const [propertyQuery,         setPropertyQuery]           = useState(emptyQuery());
+  const [searchDescription,     setSearchDescription]       = useState("");
 
   
   
@@ -108,18 +133,69 @@ export default function InstanceSearch(props) {
   }
 
   /*
-   * Handler for change to search limit field
+   * Handler for change to page size field
    */
-  const updatedSearchResultLimit = (evt) => {
-    setSearchResultLimit(evt.target.value);
+  const updatedSearchPageSize = (evt) => {
+    setSearchPageSize(evt.target.value);
   }
 
+
+  /*
+   * Start a search, retrieving the first page of results. The callback handles the results of each page.
+   */
+  const startSearch = (uri, body, callback) => {
+
+    const pageSize = Number(searchPageSize);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      alert("The page size should be a whole number greater than zero");
+      return;
+    }
+
+    const search = { uri      : uri,
+                     body     : body,
+                     callback : callback,
+                     pageSize : pageSize,
+                     asOfTime : body.asOfTime !== undefined ? body.asOfTime : repositoryServerContext.asOfTime };
+    setCurrentSearch(search);
+    setSelectedResults({});
+    requestPage(search, 0);
+  };
+
+  /*
+   * Retrieve the page of results that starts at fromElement.
+   */
+  const requestPage = (search, from) => {
+
+    setFromElement(from);
+
+    /*
+     * Clear the searchResults before the operation.
+     */
+    setSearchResults([]);
+
+    setStatus("pending");
+
+    repositoryServerContext.repositoryPOST(search.uri,
+      Object.assign({}, search.body, { fromElement : from, pageSize : search.pageSize, asOfTime : search.asOfTime }),
+      search.callback);
+  };
+
+  const previousPage = () => {
+    requestPage(currentSearch, Math.max(0, fromElement - currentSearch.pageSize));
+  };
+
+  const nextPage = () => {
+    requestPage(currentSearch, fromElement + currentSearch.pageSize);
+  };
+
   /*
    * Handler for search button - depending on search category, initiate a search
    * either for entities or relationships
    */
   const searchForInstances = () => {    
 
+    setSearchDescription("");
+
     if (searchCategory === "Entity") {
       findEntities();
     }
@@ -127,6 +203,58 @@ export default function InstanceSearch(props) {
       findRelationships();
     }
   };
+
+  /*
+   * Handler for property search button - open the dialog to build the query
+   */
+  const openPropertySearch = () => {
+    setPropertySearchStatus("complete");
+  };
+
+  const closePropertySearch = () => {
+    setPropertySearchStatus("idle");
+  };
+
+  /*
+   * Start a property search, using the find parameters built from the query by the PropertySearchHandler.
+   * An entity search whose conditions test a classification's properties is a find by classification.
+   * A query without an as of time is searched as of the time set for the whole graph.
+   */
+  const searchByProperties = (findParameters) => {
+
+    setPropertySearchStatus("idle");
+    setSearchDescription(describeQuery(propertyQuery));
+
+    let typeName = searchType || null;
+
+    let requestParameters = {
+      typeName             : typeName,
+      limitResultsByStatus : findParameters.limitResultsByStatus,
+      sequencingOrder      : findParameters.sequencingOrder,
+      sequencingProperty   : findParameters.sequencingProperty
+    };
+    if (findParameters.asOfTime !== null) {
+      requestParameters.asOfTime = findParameters.asOfTime;
+    }
+
+    if (searchCategory === "Relationship") {
+      startSearch("instances/relationships/by-property",
+        Object.assign(requestParameters, { matchProperties : findParameters.searchProperties }),
+        _findRelationships);
+    }
+    else if (propertyQuery.classificationName !== "") {
+      startSearch("instances/entities/by-classification",
+        Object.assign(requestParameters, { classificationName            : propertyQuery.classificationName,
+                                           matchClassificationProperties : findParameters.searchProperties }),
+        _findEntities);
+    }
+    else {
+      startSearch("instances/entities/by-property",
+        Object.assign(requestParameters, { classificationNames : Object.keys(searchClassifications),
+                                           matchProperties     : findParameters.searchProperties }),
+        _findEntities);
+    }
+  };
   
 
   /*
@@ -137,14 +265,7 @@ export default function InstanceSearch(props) {
     let typeName = searchType || null;
     let classificationList = Object.keys(searchClassifications);
 
-    /*
-     * Clear the searchResults before the operation.
-     */
-    setSearchResults([]);
-
-    setStatus("pending");
-
-    repositoryServerContext.repositoryPOST("instances/entities/by-property-value", 
+    startSearch("instances/entities/by-property-value", 
       { searchText           : searchText, 
         typeName             : typeName,
         classificationNames  : classificationList
@@ -152,7 +273,7 @@ export default function InstanceSearch(props) {
   };
 
   /*
-   * Handle completion of entity search
+   * Handle completion of a page of an entity search
    */
   const _findEntities = (json) => {    
 
@@ -163,18 +284,16 @@ export default function InstanceSearch(props) {
           if (entityDigests) {
             let entityGUIDs = Object.keys(entityDigests);
             let instances = [];
-            let count = Math.min(entityGUIDs.length, searchResultLimit);
-            for (let i=0; i<count; i++) {
+            for (let i=0; i<entityGUIDs.length; i++) {
               let entityGUID = entityGUIDs[i];
               let entityDigest = entityDigests[entityGUID];
-              entityDigest.checked = false;
+              entityDigest.checked = selectedResultsRef.current[entityGUID] !== undefined;
               instances.push(entityDigest);
             }
 
             /*
              * Store the results
              */
-            setSearchResultCount(entityGUIDs.length);
             setSearchResults(instances);
           }
           setStatus("complete");
@@ -203,24 +322,17 @@ export default function InstanceSearch(props) {
 
     let typeName = searchType || null;
 
-    /*
-     * Clear the searchResults before the operation.
-     */
-    setSearchResults([]);
-
-    setStatus("pending");
-
     /* 
      * Add the typeName and classifications list to the body here....
      */   
-    repositoryServerContext.repositoryPOST("instances/relationships/by-property-value", 
+    startSearch("instances/relationships/by-property-value", 
       { searchText : searchText, 
         typeName   : typeName 
       }, _findRelationships); 
   };
 
   /*
-   * Handle completion of relationship search
+   * Handle completion of a page of a relationship search
    */
   const _findRelationships = (json) => {   
    
@@ -231,18 +343,16 @@ export default function InstanceSearch(props) {
           if (relationshipDigests) {
             let relationshipGUIDs = Object.keys(relationshipDigests);
             let instances = [];
-            let count = Math.min(relationshipGUIDs.length, searchResultLimit);
-            for (let i=0; i<count; i++) {
+            for (let i=0; i<relationshipGUIDs.length; i++) {
               let relationshipGUID = relationshipGUIDs[i];
               var relationshipDigest = relationshipDigests[relationshipGUID];
-              relationshipDigest.checked = false;
+              relationshipDigest.checked = selectedResultsRef.current[relationshipGUID] !== undefined;
               instances.push(relationshipDigest);
             }
 
             /*
              * Store the results
              */
-            setSearchResultCount(relationshipGUIDs.length);
             setSearchResults(instances);
           }
           setStatus("complete");
@@ -269,9 +379,10 @@ export default function InstanceSearch(props) {
   const submitSearchModal = useCallback(
     (evt) => {
 
-    let selectedInstances = searchResults.filter(function(instance) {
-      return instance['checked'];
-    });  
+    /*
+     * The selected instances may be on any of the pages of results
+     */
+    let selectedInstances = Object.values(selectedResults);
 
     /*
      * At this point you could process the list of selectedInstances and ask instancesContext
@@ -341,7 +452,8 @@ export default function InstanceSearch(props) {
       rexTraversal.serverName = repositoryServerContext.repositoryServer.serverName;
       rexTraversal.platformName = repositoryServerContext.repositoryServer.platformName;
       rexTraversal.enterpriseOption = repositoryServerContext.enterpriseOption;
-      rexTraversal.searchText = searchText;
+      rexTraversal.searchText = searchDescription || searchText;
+      rexTraversal.asOfTime = currentSearch.asOfTime;
       
 
       /*
@@ -400,10 +512,12 @@ export default function InstanceSearch(props) {
      *  Clear the search results
      */
     setSearchResults( [] );    
+    setSelectedResults( {} );
+    setCurrentSearch(null);
     setStatus("idle");
     
   },
-  [searchResults, instancesContext, repositoryServerContext, searchText, searchCategory]
+  [selectedResults, currentSearch, instancesContext, repositoryServerContext, searchText, searchDescription, searchCategory]
   );
 
   
@@ -426,6 +540,29 @@ export default function InstanceSearch(props) {
   };
 
 
+  /*
+   * Store the results on the current page, after the user has checked or unchecked some of them, and
+   * record their selection in selectedResults so that it is kept when the user moves to another page.
+   */
+  const updateSelection = useCallback(
+    (list) => {
+      let selection = Object.assign({}, selectedResults);
+      list.forEach((item) => {
+        const guid = searchCategory === "Entity" ? item.entityGUID : item.relationshipDigest.relationshipGUID;
+        if (item.checked) {
+          selection[guid] = item;
+        }
+        else {
+          delete selection[guid];
+        }
+      });
+      setSelectedResults( selection );
+      setSearchResults( list );
+    },
+    [searchCategory, selectedResults]
+  );
+
+
   /*
    * Handler for updating search results when user checks or unchecks an instance in the search results.
    * Toggles the checked state of an individual instance.
@@ -461,9 +598,9 @@ export default function InstanceSearch(props) {
           }
         });
       }
-      setSearchResults( list );
+      updateSelection( list );
     },
-    [searchCategory, searchResults, setSearchResults]
+    [searchCategory, searchResults, updateSelection]
   );
 
 
@@ -477,9 +614,9 @@ export default function InstanceSearch(props) {
       let newInst = Object.assign(instance, {checked : checked});
       updates.push( newInst );                
     });   
-    setSearchResults(updates);
+    updateSelection(updates);
   },
-  [searchResults]
+  [searchResults, updateSelection]
   );
 
   
@@ -526,15 +663,19 @@ export default function InstanceSearch(props) {
 
         <div className="retrieval-group">
 
-        <label htmlFor="searchLimitField">Max search results : </label>
-        <input name="searchLimitField" className="search-limit-text"
-               value = { searchResultLimit }
-               onChange = { updatedSearchResultLimit } >
+        <label htmlFor="searchPageSizeField">Results per page : </label>
+        <input name="searchPageSizeField" className="search-limit-text"
+               value = { searchPageSize }
+               onChange = { updatedSearchPageSize } >
         </input>
 
         <button className="retrieval-button" onClick = { searchForInstances } >
           Search for instances
         </button>
+
+        <button className="retrieval-button" onClick = { openPropertySearch } >
+          Search by properties
+        </button>
         </div>
 
       </div>
@@ -543,17 +684,29 @@ export default function InstanceSearch(props) {
                            searchCategory        = { searchCategory }
                            searchType            = { searchType }
                            searchText            = { searchText }
+                           searchDescription     = { searchDescription }
                            searchClassifications = { Object.keys(searchClassifications) }
                            serverName            = { repositoryServerContext.repositoryServer.serverName }
                            enterpriseOption      = { repositoryServerContext.enterpriseOption }
                            results               = { searchResults }
-                           searchResultCount     = { searchResultCount }
-                           searchResultLimit     = { searchResultLimit }
+                           fromElement           = { fromElement }
+                           pageSize              = { currentSearch ? currentSearch.pageSize : 0 }
+                           selectedCount         = { Object.keys(selectedResults).length }
+                           onPreviousPage        = { previousPage }
+                           onNextPage            = { nextPage }
                            selectCallback        = { selectCallback }
                            setAllCallback        = { setAllCallback }
                            onCancel              = { cancelSearchModal }
                            onSubmit              = { submitSearchModal } />
 
+      <PropertySearchHandler status                = { propertySearchStatus }
+                             query                 = { propertyQuery }
+                             searchCategory        = { searchCategory }
+                             searchType            = { searchType }
+                             onQueryChange         = { setPropertyQuery }
+                             onSearch              = { searchByProperties }
+                             onClose               = { closePropertySearch } />
+
     </div>      
 
   );
@@ -0,0 +1,264 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect }       from "react";
+
+import PropTypes                              from "prop-types";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import { TypesContext }                       from "../../contexts/TypesContext";
+
+import * as PropertySearchUtils               from "./PropertySearchUtils";
+
+import "./property-search.scss"
+
+
+/*
+ * The PropertySearchHandler lets the user build a property search - a set of conditions on specific
+ * properties, combined by the match criteria, with optional status filters, as of time and sorting.
+ * For an entity search the conditions can test the properties of one of the entity's classifications,
+ * in place of the entity's own properties.
+ *
+ * The query (see PropertySearchUtils) belongs to the InstanceSearch, so that it is kept when the dialog
+ * is closed; each change is passed back through onQueryChange. The type filter set in the FilterManager
+ * still applies, and is used to suggest the names of the properties.
+ */
+export default function PropertySearchHandler(props) {
+
+  const interactionContext    = useContext(InteractionContext);
+
+  const typesContext          = useContext(TypesContext);
+
+  const query                 = props.query;
+  const searchCategory        = props.searchCategory;
+
+  const classificationTypes   = typesContext.getClassificationTypes();
+  const classificationNames   = classificationTypes ? Object.keys(classificationTypes).sort() : [];
+
+
+  /*
+   * The properties the conditions can test - those of the selected classification, or of the selected type
+   * (or all the types of the search category if no type is selected).
+   */
+  const getAttributes = () => {
+    if (searchCategory === "Entity" && query.classificationName !== "") {
+      return PropertySearchUtils.searchableAttributes(classificationTypes, query.classificationName);
+    }
+    const types = searchCategory === "Entity" ? typesContext.getEntityTypes() : typesContext.getRelationshipTypes();
+    return PropertySearchUtils.searchableAttributes(types, props.searchType);
+  };
+
+
+  const updateQuery = (changes) => {
+    props.onQueryChange(Object.assign({}, query, changes));
+  };
+
+  const addCondition = () => {
+    const id = query.conditions.reduce((max, condition) => Math.max(max, condition.id), 0) + 1;
+    updateQuery({ conditions : query.conditions.concat([ { id, property : "", operator : "EQ", value : "", valueTo : "" } ]) });
+  };
+
+  const removeCondition = (id) => {
+    updateQuery({ conditions : query.conditions.filter(condition => condition.id !== id) });
+  };
+
+  const updateCondition = (id, field, value) => {
+    updateQuery({ conditions : query.conditions.map(condition =>
+      condition.id === id ? Object.assign({}, condition, { [field] : value }) : condition) });
+  };
+
+  const statusToggled = (evt) => {
+    const status = evt.target.value;
+    updateQuery({ statuses : evt.target.checked ? query.statuses.concat([status])
+                                                : query.statuses.filter(s => s !== status) });
+  };
+
+  const clearQuery = () => {
+    props.onQueryChange(PropertySearchUtils.emptyQuery());
+  };
+
+  const closeCallback = () => {
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+  /*
+   * Check the query and, if it is valid, start the search with its find parameters.
+   */
+  const searchCallback = () => {
+    let findParameters;
+    try {
+      findParameters = PropertySearchUtils.buildFindParameters(query, getAttributes(), typesContext.getEnumType);
+    }
+    catch (error) {
+      alert(error.message);
+      return;
+    }
+    interactionContext.hidePortal();
+    props.onSearch(findParameters);
+  };
+
+
+  const triggerPortal = () => {
+
+    const attributeNames = Object.keys(getAttributes()).sort();
+
+    const conditionRow = (condition) => (
+      <div className="property-search-condition" key={condition.id}>
+        <input type="text"
+               className="property-search-property"
+               list="propertySearchAttributes"
+               placeholder="property"
+               value={condition.property}
+               onChange={evt => updateCondition(condition.id, "property", evt.target.value)} />
+        <select value={condition.operator}
+                onChange={evt => updateCondition(condition.id, "operator", evt.target.value)} >
+          {Object.keys(PropertySearchUtils.operators).map(op =>
+            <option key={op} value={op}>{PropertySearchUtils.operators[op]}</option>)}
+        </select>
+        { condition.operator !== "IS_NULL" && condition.operator !== "NOT_NULL" &&
+          <input type="text"
+                 className="property-search-value"
+                 placeholder={condition.operator === "RANGE" ? "from" : "value"}
+                 value={condition.value}
+                 onChange={evt => updateCondition(condition.id, "value", evt.target.value)} />
+        }
+        { condition.operator === "RANGE" &&
+          <input type="text"
+                 className="property-search-value"
+                 placeholder="to"
+                 value={condition.valueTo}
+                 onChange={evt => updateCondition(condition.id, "valueTo", evt.target.value)} />
+        }
+        <button className="property-search-button" onClick={() => removeCondition(condition.id)}>  Remove  </button>
+      </div>
+    );
+
+    const dialogDisplay = (
+
+      <div className="dialog-text">
+
+        <p className="dialog-text">
+        Search for {searchCategory === "Entity" ? "entities" : "relationships"}
+        {props.searchType ? " of type " + props.searchType : ""} by the values of their properties.
+        </p>
+
+        { searchCategory === "Entity" &&
+          <div className="property-search-row">
+            <label htmlFor="propertySearchClassification">Conditions test the properties of : </label>
+            <select id="propertySearchClassification"
+                    value={query.classificationName}
+                    onChange={evt => updateQuery({ classificationName : evt.target.value })} >
+              <option value="">the entity</option>
+              {classificationNames.map(name => <option key={name} value={name}>classification {name}</option>)}
+            </select>
+          </div>
+        }
+
+        <div className="property-search-conditions">
+          { query.conditions.length === 0
+            ? <p>There are no conditions - all instances will match.</p>
+            : query.conditions.map(conditionRow)
+          }
+        </div>
+        <datalist id="propertySearchAttributes">
+          {attributeNames.map(name => <option key={name} value={name} />)}
+        </datalist>
+
+        <div className="property-search-row">
+          <button className="property-search-button" onClick={addCondition}>  Add condition  </button>
+          <button className="property-search-button" onClick={clearQuery}>  Clear  </button>
+          <span className="property-search-label">Match : </span>
+          {PropertySearchUtils.matchCriteria.map(criteria => (
+            <label key={criteria}>
+              <input type="radio"
+                     name="propertySearchMatchCriteria"
+                     value={criteria}
+                     checked={query.matchCriteria === criteria}
+                     onChange={evt => updateQuery({ matchCriteria : evt.target.value })} />
+              {criteria}
+            </label>
+          ))}
+        </div>
+
+        <div className="property-search-row">
+          <span className="property-search-label">Status : </span>
+          {PropertySearchUtils.instanceStatuses.map(status => (
+            <label key={status}>
+              <input type="checkbox"
+                     value={status}
+                     checked={query.statuses.includes(status)}
+                     onChange={statusToggled} />
+              {status}
+            </label>
+          ))}
+          {query.statuses.length === 0 ? " (any)" : ""}
+        </div>
+
+        <div className="property-search-row">
+          <label htmlFor="propertySearchAsOfTime">As of : </label>
+          <input type="datetime-local"
+                 id="propertySearchAsOfTime"
+                 value={query.asOfTime}
+                 onChange={evt => updateQuery({ asOfTime : evt.target.value })} />
+          {query.asOfTime === "" ? " (the as of time of the graph)" : ""}
+        </div>
+
+        <div className="property-search-row">
+          <label htmlFor="propertySearchOrder">Sort by : </label>
+          <select id="propertySearchOrder"
+                  value={query.sequencingOrder}
+                  onChange={evt => updateQuery({ sequencingOrder : evt.target.value })} >
+            {Object.keys(PropertySearchUtils.sequencingOrders).map(order =>
+              <option key={order} value={order}>{PropertySearchUtils.sequencingOrders[order]}</option>)}
+          </select>
+          { query.sequencingOrder.startsWith("PROPERTY_") &&
+            <input type="text"
+                   className="property-search-property"
+                   list="propertySearchAttributes"
+                   placeholder="property"
+                   value={query.sequencingProperty}
+                   onChange={evt => updateQuery({ sequencingProperty : evt.target.value })} />
+          }
+        </div>
+
+        <div className="dismiss-button-container">
+          <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+          <button className="multiselect-button" onClick={searchCallback}>  Search  </button>
+        </div>
+
+      </div>
+    );
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the query is built
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, props.query, props.searchCategory, props.searchType ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+PropertySearchHandler.propTypes = {
+  status               : PropTypes.string,
+  query                : PropTypes.object.isRequired,
+  searchCategory       : PropTypes.string,
+  searchType           : PropTypes.string,
+  onQueryChange        : PropTypes.func.isRequired,
+  onSearch             : PropTypes.func.isRequired,
+  onClose              : PropTypes.func.isRequired
+};
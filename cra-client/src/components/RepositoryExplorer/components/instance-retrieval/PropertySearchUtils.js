@@ -0,0 +1,332 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/*
+ * PropertySearchUtils provides a module for utility functions used by the property search.
+ * These are all stateless workers that convert the query the user builds in the PropertySearchHandler
+ * into the find request parameters understood by Egeria, and describe the query for display.
+ *
+ * A query has the following fields:
+ *   classificationName  - for an entity search, the classification whose properties the conditions test,
+ *                         or "" if they test the entity's own properties
+ *   conditions          - a list of { id, property, operator, value, valueTo } where operator is one of
+ *                         the keys of operators (below); valueTo is only used by a range
+ *   matchCriteria       - "ALL", "ANY" or "NONE" - how many of the conditions an instance must match
+ *   statuses            - the instance statuses to limit the results to, or empty for any status
+ *   asOfTime            - the time (as entered in a datetime-local field) the repository is searched as of,
+ *                         or "" for the as of time of the whole graph (see RepositoryServerContext)
+ *   sequencingOrder     - one of the keys of sequencingOrders (below)
+ *   sequencingProperty  - the property the results are sorted by, for the PROPERTY_ orders
+ */
+
+
+/*
+ * The operators a condition can use, with the text used to describe them.
+ * A range is sent as a nested pair of conditions (greater than or equal to the lower bound
+ * and less than or equal to the upper bound), so that it means the same whatever the match criteria.
+ */
+export const operators = {
+  "EQ"        : "equals",
+  "NEQ"       : "does not equal",
+  "LIKE"      : "matches regex",
+  "RANGE"     : "is in range",
+  "IS_NULL"   : "is null",
+  "NOT_NULL"  : "is not null"
+};
+
+export const matchCriteria = ["ALL", "ANY", "NONE"];
+
+export const instanceStatuses = ["DRAFT", "PREPARED", "PROPOSED", "APPROVED", "REJECTED", "ACTIVE", "DEPRECATED",
+                                 "OTHER", "DELETED"];
+
+export const sequencingOrders = {
+  "ANY"                   : "any order",
+  "GUID"                  : "GUID",
+  "CREATION_DATE_RECENT"  : "newest created first",
+  "CREATION_DATE_OLDEST"  : "oldest created first",
+  "LAST_UPDATE_RECENT"    : "most recently updated first",
+  "LAST_UPDATE_OLDEST"    : "least recently updated first",
+  "PROPERTY_ASCENDING"    : "property, ascending",
+  "PROPERTY_DESCENDING"   : "property, descending"
+};
+
+
+/*
+ * Return a query with no conditions, that finds instances with any status, in any order.
+ */
+export function emptyQuery() {
+  return { classificationName  : "",
+           conditions          : [],
+           matchCriteria       : "ALL",
+           statuses            : [],
+           asOfTime            : "",
+           sequencingOrder     : "ANY",
+           sequencingProperty  : "" };
+}
+
+
+/*
+ * Get the attributes of a type, including the attributes it inherits, from the type's explorer
+ * (an entry in the TypesContext). Returns a map from attribute name to attribute type.
+ */
+function typeAttributes(explorer) {
+  let attributes = {};
+  const typeDef  = explorer.entityDef || explorer.relationshipDef || explorer.classificationDef;
+  const addAttributes = (attributeList) => {
+    if (attributeList) {
+      attributeList.forEach(attribute => {
+        attributes[attribute.attributeName] = attribute.attributeType;
+      });
+    }
+  };
+  addAttributes(explorer.inheritedAttributes);
+  addAttributes(typeDef ? typeDef.propertiesDefinition : undefined);
+  return attributes;
+}
+
+
+/*
+ * Get the attributes that can be searched. types is a map from type name to type explorer (such as
+ * the entity types in the TypesContext). If a type is named, its attributes are returned; otherwise
+ * those of all the types are returned. Returns a map from attribute name to attribute type.
+ */
+export function searchableAttributes(types, typeName) {
+  if (!types) {
+    return {};
+  }
+  if (typeName) {
+    return types[typeName] ? typeAttributes(types[typeName]) : {};
+  }
+  let attributes = {};
+  Object.keys(types).forEach(name => {
+    attributes = Object.assign(typeAttributes(types[name]), attributes);
+  });
+  return attributes;
+}
+
+
+/*
+ * Convert the text of a value to a property value of the attribute's type. Properties whose type is
+ * not known are treated as strings. Throws an error if the text is not a valid value.
+ * This is also used by the instance editor (see InstanceEditUtils).
+ */
+export function toPropertyValue(property, text, attributeType, getEnumType) {
+
+  if (attributeType && attributeType.category === "ENUM_DEF") {
+    const enumType = getEnumType(attributeType.name);
+    const elements = enumType && enumType.enumDef ? enumType.enumDef.elementDefs : [];
+    const element  = (elements || []).find(e => e.value === text);
+    if (!element) {
+      throw new Error("The value of " + property + " should be one of the values of " + attributeType.name);
+    }
+    return { class                    : "EnumPropertyValue",
+             instancePropertyCategory : "ENUM",
+             typeName                 : attributeType.name,
+             ordinal                  : element.ordinal,
+             symbolicName             : element.value };
+  }
+
+  const primitiveDefCategory = attributeType && attributeType.primitiveDefCategory
+                               ? attributeType.primitiveDefCategory
+                               : "OM_PRIMITIVE_TYPE_STRING";
+  let value;
+  switch (primitiveDefCategory) {
+    case "OM_PRIMITIVE_TYPE_BOOLEAN" :
+      if (text !== "true" && text !== "false") {
+        throw new Error("The value of " + property + " should be true or false");
+      }
+      value = text === "true";
+      break;
+    case "OM_PRIMITIVE_TYPE_BYTE" :
+    case "OM_PRIMITIVE_TYPE_SHORT" :
+    case "OM_PRIMITIVE_TYPE_INT" :
+    case "OM_PRIMITIVE_TYPE_LONG" :
+    case "OM_PRIMITIVE_TYPE_BIGINTEGER" :
+      if (!/^-?\d+$/.test(text)) {
+        throw new Error("The value of " + property + " should be a whole number");
+      }
+      value = Number(text);
+      /*
+       * Larger numbers would be rounded when they are sent, so a different value would be used
+       */
+      if (!Number.isSafeInteger(value)) {
+        throw new Error("The value of " + property + " should be a whole number between -" + Number.MAX_SAFE_INTEGER +
+                        " and " + Number.MAX_SAFE_INTEGER);
+      }
+      break;
+    case "OM_PRIMITIVE_TYPE_FLOAT" :
+    case "OM_PRIMITIVE_TYPE_DOUBLE" :
+    case "OM_PRIMITIVE_TYPE_BIGDECIMAL" :
+      if (text.trim() === "" || isNaN(Number(text))) {
+        throw new Error("The value of " + property + " should be a number");
+      }
+      value = Number(text);
+      break;
+    case "OM_PRIMITIVE_TYPE_DATE" :
+      /*
+       * Dates are sent as milliseconds since the epoch
+       */
+      value = Date.parse(text);
+      if (isNaN(value)) {
+        throw new Error("The value of " + property + " should be a date, such as 2021-06-30 or 2021-06-30T12:00");
+      }
+      break;
+    case "OM_PRIMITIVE_TYPE_CHAR" :
+      if (text.length !== 1) {
+        throw new Error("The value of " + property + " should be a single character");
+      }
+      value = text;
+      break;
+    default:
+      value = text;
+      break;
+  }
+  return { class                    : "PrimitivePropertyValue",
+           instancePropertyCategory : "PRIMITIVE",
+           primitiveDefCategory     : primitiveDefCategory,
+           primitiveValue           : value };
+}
+
+
+/*
+ * Convert a condition to the Egeria property conditions it means.
+ */
+function toPropertyCondition(condition, attributes, getEnumType) {
+
+  const property      = condition.property.trim();
+  if (property === "") {
+    throw new Error("Each condition needs the name of the property it tests");
+  }
+  const attributeType = attributes[property];
+
+  switch (condition.operator) {
+    case "IS_NULL" :
+    case "NOT_NULL" :
+      return { class : "PropertyCondition", property : property, operator : condition.operator };
+
+    case "LIKE" :
+      if (attributeType && attributeType.primitiveDefCategory !== "OM_PRIMITIVE_TYPE_STRING") {
+        throw new Error("Only string properties can be matched with a regex, and " + property + " is a " + attributeType.name);
+      }
+      return { class    : "PropertyCondition",
+               property : property,
+               operator : "LIKE",
+               value    : toPropertyValue(property, condition.value, attributeType, getEnumType) };
+
+    case "RANGE" :
+      {
+        let bounds = [];
+        if (condition.value !== "") {
+          bounds.push({ class    : "PropertyCondition",
+                        property : property,
+                        operator : "GTE",
+                        value    : toPropertyValue(property, condition.value, attributeType, getEnumType) });
+        }
+        if (condition.valueTo !== "") {
+          bounds.push({ class    : "PropertyCondition",
+                        property : property,
+                        operator : "LTE",
+                        value    : toPropertyValue(property, condition.valueTo, attributeType, getEnumType) });
+        }
+        if (bounds.length === 0) {
+          throw new Error("The range for " + property + " needs a lower bound, an upper bound or both");
+        }
+        return { class            : "PropertyCondition",
+                 nestedConditions : { class : "SearchProperties", conditions : bounds, matchCriteria : "ALL" } };
+      }
+
+    default:
+      return { class    : "PropertyCondition",
+               property : property,
+               operator : condition.operator,
+               value    : toPropertyValue(property, condition.value, attributeType, getEnumType) };
+  }
+}
+
+
+/*
+ * Build the parameters of a find request from a query. attributes is the map of the attributes that
+ * can be searched (see searchableAttributes), used to type the values; getEnumType gets an enum type
+ * by name (from the TypesContext).
+ * Returns { searchProperties, limitResultsByStatus, asOfTime, sequencingOrder, sequencingProperty }, where
+ * searchProperties is null if there are no conditions.
+ * Throws an error, with a message for the user, if the query is not valid.
+ */
+export function buildFindParameters(query, attributes, getEnumType) {
+
+  const conditions = query.conditions.map(condition => toPropertyCondition(condition, attributes, getEnumType));
+
+  let asOfTime = null;
+  if (query.asOfTime !== "") {
+    asOfTime = Date.parse(query.asOfTime);
+    if (isNaN(asOfTime)) {
+      throw new Error("The as of time is not a valid time");
+    }
+  }
+
+  const sequencingProperty = query.sequencingProperty.trim();
+  const byProperty         = query.sequencingOrder.startsWith("PROPERTY_");
+  if (byProperty && sequencingProperty === "") {
+    throw new Error("Please enter the property to sort the results by");
+  }
+
+  return { searchProperties      : conditions.length === 0 ? null : { class         : "SearchProperties",
+                                                                       conditions    : conditions,
+                                                                       matchCriteria : query.matchCriteria },
+           limitResultsByStatus  : query.statuses.length === 0 ? null : query.statuses,
+           asOfTime              : asOfTime,
+           sequencingOrder       : query.sequencingOrder,
+           sequencingProperty    : byProperty ? sequencingProperty : null };
+}
+
+
+/*
+ * Describe a condition, such as: qualifiedName matches regex ".*egeria.*"
+ */
+function describeCondition(condition) {
+  const property = condition.property.trim();
+  switch (condition.operator) {
+    case "IS_NULL" :
+    case "NOT_NULL" :
+      return property + " " + operators[condition.operator];
+    case "RANGE" :
+      return property + " " + operators[condition.operator] + " [" + condition.value + " .. " + condition.valueTo + "]";
+    default:
+      return property + " " + operators[condition.operator] + " \"" + condition.value + "\"";
+  }
+}
+
+
+/*
+ * Describe a query, for the search dialogs and the history.
+ */
+export function describeQuery(query) {
+
+  let parts = [];
+
+  const described = query.conditions.map(describeCondition);
+  if (described.length === 0) {
+    parts.push("no property conditions");
+  }
+  else if (query.matchCriteria === "NONE") {
+    parts.push("NOT (" + described.join(" OR ") + ")");
+  }
+  else {
+    parts.push(described.join(query.matchCriteria === "ANY" ? " OR " : " AND "));
+  }
+  if (query.classificationName !== "") {
+    parts[0] = "classification " + query.classificationName + " with " + parts[0];
+  }
+  if (query.statuses.length > 0) {
+    parts.push("status " + query.statuses.join(" or "));
+  }
+  if (query.asOfTime !== "") {
+    parts.push("as of " + new Date(query.asOfTime).toLocaleString());
+  }
+  if (query.sequencingOrder !== "ANY") {
+    parts.push("sorted by " + (query.sequencingOrder.startsWith("PROPERTY_")
+                               ? query.sequencingProperty.trim() + ", " + (query.sequencingOrder === "PROPERTY_ASCENDING" ? "ascending" : "descending")
+                               : sequencingOrders[query.sequencingOrder]));
+  }
+  return parts.join("; ");
+}
@@ -25,8 +25,15 @@ export default function SearchResultHandler(props) {
   const results               = props.results; 
   const selectCallback        = props.selectCallback;
   const setAllCallback        = props.setAllCallback;
-  const searchResultCount     = props.searchResultCount;
-  const searchResultLimit     = props.searchResultLimit;
+  const fromElement           = props.fromElement;
+  const pageSize              = props.pageSize;
+  const selectedCount         = props.selectedCount;
+
+  /*
+   * A property search is described by its query, a search by search text by its expression
+   */
+  const searchCriteria        = props.searchDescription ? "using properties : " + props.searchDescription
+                                                        : "using expression \"" + searchText + "\"";
  
   
 
@@ -53,6 +60,19 @@ export default function SearchResultHandler(props) {
     props.onSubmit();
   }
 
+  /*
+   * A full page of results may not be the last page, so the next page can be requested
+   */
+  const hasPreviousPage = fromElement > 0;
+  const hasNextPage     = results !== undefined && results !== null && results.length === pageSize;
+
+  const pageButtons = (
+    <div className="page-button-container">
+      <button className="multiselect-button" disabled={!hasPreviousPage} onClick={props.onPreviousPage}>  Previous  </button>
+      <button className="multiselect-button" disabled={!hasNextPage} onClick={props.onNextPage}>  Next  </button>
+    </div>
+  );
+
 
 
   const triggerPortal = () => {
@@ -69,7 +89,7 @@ export default function SearchResultHandler(props) {
         <div  className="dialog-text">       
           <p  className="dialog-text">
             {enterpriseOption ? "Enterprise " : "Local "}
-            {searchCategory} search on server {serverName} using expression &quot;{searchText}&quot;
+            {searchCategory} search on server {serverName} {searchCriteria}
           </p>
           <p  className="dialog-text">
           Type filter : 
@@ -109,7 +129,7 @@ export default function SearchResultHandler(props) {
         <div  className="dialog-text">
           <p  className="dialog-text">
           {enterpriseOption ? "Enterprise " : "Local "}
-          {searchCategory} search on server {serverName} using expression &quot;{searchText}&quot;
+          {searchCategory} search on server {serverName} {searchCriteria}
           </p>
           <p className="dialog-text">
           Type filter : 
@@ -122,8 +142,9 @@ export default function SearchResultHandler(props) {
               : " none"}
           </p>
           <p className="status-update">
-          No matching instances were found.  
+          { hasPreviousPage ? "There are no more matching instances." : "No matching instances were found." }
           </p>
+          { hasPreviousPage && pageButtons }
           <div className="dismiss-button-container">               
             <button className="multiselect-button" onClick={cancelCallback}>  Cancel  </button>
              <button className="multiselect-button" onClick={submitCallback}>  OK     </button>
@@ -193,7 +214,7 @@ export default function SearchResultHandler(props) {
          <div  className="dialog-text">
            <p  className="dialog-text">
            {enterpriseOption ? "Enterprise " : "Local "}
-           {searchCategory} search on server {serverName} using expression &quot;{searchText}&quot;
+           {searchCategory} search on server {serverName} {searchCriteria}
            </p>
            <p  className="dialog-text">
            Type filter : 
@@ -206,18 +227,13 @@ export default function SearchResultHandler(props) {
                : " none"}
            </p>
 
-           {
-             (searchResultCount > searchResultLimit) ?
-             <p  className="dialog-text">
-               Search found {searchResultCount} instances but was limited to {searchResultLimit}
-             </p>
-             :
-             <p  className="dialog-text">
-                Search returned {searchResultCount} instances
-             </p>
-           }
            <p  className="dialog-text">
-           Please select instances to add to the graph.  
+           Showing results {fromElement + 1} to {fromElement + results.length}
+           { hasNextPage ? " - there may be more" : "" }
+           </p>
+           <p  className="dialog-text">
+           Please select instances to add to the graph. Selections are kept when you move between pages
+           ({selectedCount} selected).
            </p>     
            <hr></hr>
            <div className="search-results-area">
@@ -227,6 +243,7 @@ export default function SearchResultHandler(props) {
              <button  className="multiselect-button" id="noneButton" onClick = { uncheckAll } >Clear All  </button>
              <button  className="multiselect-button" id="allButton" onClick = { checkAll } >Select All  </button>
            </div>
+           { (hasPreviousPage || hasNextPage) && pageButtons }
            <div className="dismiss-button-container">               
              <button className="multiselect-button" onClick={cancelCallback}>  Cancel  </button>
              <button className="multiselect-button" onClick={submitCallback}>  OK     </button>
@@ -282,10 +299,14 @@ SearchResultHandler.propTypes = {
   selectCallback        : PropTypes.func.isRequired, 
   setAllCallback        : PropTypes.func.isRequired,   
   results               : PropTypes.array,
-  searchResultCount     : PropTypes.number,
-  searchResultLimit     : PropTypes.number,
+  fromElement           : PropTypes.number,
+  pageSize              : PropTypes.number,
+  selectedCount         : PropTypes.number,
+  onPreviousPage        : PropTypes.func.isRequired,
+  onNextPage            : PropTypes.func.isRequired,
   searchCategory        : PropTypes.string,
   searchText            : PropTypes.string,
+  searchDescription     : PropTypes.string,
   searchClassifications : PropTypes.array,
   searchType            : PropTypes.string,
   serverName            : PropTypes.string,
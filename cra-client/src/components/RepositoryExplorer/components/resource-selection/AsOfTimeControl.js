@@ -0,0 +1,62 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext }                    from "react";
+
+import { RepositoryServerContext }              from "../../contexts/RepositoryServerContext";
+
+import "./resource-selector.scss"
+
+
+/*
+ * Format a time (in milliseconds since the epoch) for a datetime-local field, in local time.
+ */
+const toFieldValue = (time) => {
+  const date = new Date(time);
+  const pad  = (n) => String(n).padStart(2, "0");
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) +
+         "T" + pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds());
+};
+
+
+/*
+ * The AsOfTimeControl lets the user explore the repositories as they were at an earlier time. When a
+ * time is set, instances are retrieved, searched for and explored as of that time; clearing it (with
+ * the Now button) returns to exploring the repositories as they are now.
+ */
+export default function AsOfTimeControl() {
+
+
+  const repositoryServerContext = useContext(RepositoryServerContext);
+
+  const asOfTime                = repositoryServerContext.asOfTime;
+
+  const updateAsOfTime = (evt) => {
+    const time = Date.parse(evt.target.value);
+    repositoryServerContext.setAsOfTime(isNaN(time) ? null : time);
+  };
+
+  const clearAsOfTime = () => {
+    repositoryServerContext.setAsOfTime(null);
+  };
+
+
+  return (
+
+    <div className="resource-controls">
+
+      <label htmlFor="asOfTime">As of : </label>
+      <input type="datetime-local"
+             id="asOfTime"
+             name="asOfTime"
+             step="1"
+             value={ asOfTime === null ? "" : toFieldValue(asOfTime) }
+             onChange={ updateAsOfTime } />
+      <button className="as-of-now-button" disabled={ asOfTime === null } onClick={ clearAsOfTime }>  Now  </button>
+      <br />
+
+    </div>
+
+  );
+}
@@ -2,7 +2,7 @@
 /* Copyright Contributors to the ODPi Egeria project. */
 
 
-import React, { createContext, useContext, useState, useCallback } from "react";
+import React, { createContext, useContext, useState, useCallback, useRef } from "react";
 
 import PropTypes                                      from "prop-types";
 
@@ -22,6 +22,43 @@ export const InstancesContext         = createContext();
 
 export const InstancesContextConsumer = InstancesContext.Consumer;
 
+/*
+ * The version of the saved session format (see getSession). Increment it if the format of gens changes.
+ */
+const SESSION_VERSION = 1;
+
+/*
+ * Summarise a retrieved instance (an entity detail or relationship) for the instanceSummaries
+ */
+const summarizeInstance = (instance) => {
+  return { typeName               : instance.type ? instance.type.typeDefName : undefined,
+           instanceProvenanceType : instance.instanceProvenanceType };
+};
+
+/*
+ * The number of operations kept in the command history (see commandHistory) - the oldest are dropped
+ */
+const COMMAND_HISTORY_LIMIT = 100;
+
+/*
+ * Describe the operation that added a gen, for the command history
+ */
+const operationDescriptions = {
+  getEntity          : "Retrieved an entity",
+  getRelationship    : "Retrieved a relationship",
+  createEntity       : "Created an entity",
+  createRelationship : "Created a relationship",
+  traversal          : "Explored",
+  pathFind           : "Found a path",
+  entitySearch       : "Searched for entities",
+  relationshipSearch : "Searched for relationships"
+};
+
+const describeGen = (traversal, genId) => {
+  const description = operationDescriptions[traversal.operation] ? operationDescriptions[traversal.operation] : "Added instances";
+  return description + " (gen " + genId + ")";
+};
+
 
 
 const InstancesContextProvider = (props) => {
@@ -62,10 +99,13 @@ const InstancesContextProvider = (props) => {
    *   entities       - a map from entity GUID to entity digest containing the instances
    *   relationships  - a map from relaitonship GUID to relationship digest containing the instances
    *   operation      - the operation that was performed to retrieve this traversal, e.g:
-   *                      "entitySearch", "relationshipSearch"
+   *                      "entitySearch", "relationshipSearch", "pathFind", "createEntity"
    *                    This is recorded in the traversal, to provide an informative summary in history
    *   serverName     - the name of the server whose repository returned the instances in the traversal
    *   searchText     - the searchText that was used to find the set of instance in the traversal
+   *                    (or, for a property search, a description of its query)
+   *   asOfTime       - the time the repository was explored as of, in milliseconds since the epoch, or null
+   *                    if it was explored as it was at the time of the operation (see RepositoryServerContext)
    *                    (The search category is implicit from the operaton and the nature of the instances)
    * 
    * Initial State and Progress:
@@ -107,6 +147,106 @@ const InstancesContextProvider = (props) => {
    */
   const [latestActiveGenId,  setLatestActiveGenId]    = useState(0);
 
+  /*
+   * highlightedPath is the path most recently found by the path finder (see processRetrievedPath), as
+   * { entityGUIDs, relationshipGUIDs } in the order they are on the path, or null. The Diagram highlights
+   * the instances on it. It is cleared when the graph is cleared or replaced, or the gen it added is removed.
+   */
+  const [highlightedPath,    setHighlightedPath]      = useState(null);
+
+  /*
+   * instanceSummaries maps the GUID of an instance in the graph to a summary of the instance that is not
+   * in its digest - { typeName, instanceProvenanceType } - for each instance that has been retrieved. The
+   * digests in the gens do not carry these, so they are only known once the instance has been retrieved
+   * (when it becomes the focus) or retrieveEntitySummaries has been used. The Diagram uses them to arrange,
+   * group and color the entities.
+   */
+  const [instanceSummaries,  setInstanceSummaries]    = useState({});
+
+  /*
+   * Sessions
+   * --------
+   * The graph can be saved as a session and restored later (see getSession and restoreSession).
+   * The positions of the entities in the diagram are held by the DiagramManager, which registers a 
+   * function that returns them, so they can be saved with the session. A ref is used because the
+   * positions change with every tick of the diagram and must not cause a re-render.
+   * When a session is restored, restoredPositions holds the saved positions and restoreCount is 
+   * incremented, which tells the DiagramManager to rebuild the diagram from all of the gens.
+   */
+  const diagramPositionsSource                        = useRef(null);
+  const [restoredPositions,  setRestoredPositions]    = useState({});
+  const [restoreCount,       setRestoreCount]         = useState(0);
+
+  /*
+   * commandHistory
+   * --------------
+   * The operations that have changed the graph - adding and removing gens, clearing the graph, changing the
+   * focus and loading sessions - so that they can be undone and redone, and any earlier state of the graph
+   * restored. It is { entries, position }, where each entry is { id, description, state } and state is the
+   * graph after the operation - { gens, guidToGenId, focus, highlightedPath }. The gens and maps are replaced
+   * rather than changed, so an entry shares them with the graph rather than copying them. position is the
+   * index of the entry for the current state; undo and redo move it back and forward (see restoreCommand),
+   * and an operation made after an undo replaces the entries after it. The first entry is the empty graph.
+   *
+   * An operation calls recordCommand before it changes the graph. It may make several state changes, which
+   * are not necessarily rendered together, so the entry is added from the live state once the operation has
+   * returned. If an operation calls others that record (e.g. a retrieval adds a gen and changes the focus),
+   * the first description is kept. knownPositions holds the last known positions of the entities in the
+   * diagram, so that an entity that is brought back by undo or redo is put back where it was.
+   */
+  const [commandHistory, setCommandHistory] = useState({ entries  : [{ id          : 0,
+                                                                       description : "Started with an empty graph",
+                                                                       state       : { gens            : [],
+                                                                                       guidToGenId     : {},
+                                                                                       focus           : focus,
+                                                                                       highlightedPath : null } }],
+                                                         position : 0 });
+  const liveState      = useRef(null);
+  const pendingCommand = useRef(null);
+  const nextCommandId  = useRef(1);
+  const knownPositions = useRef({});
+
+  liveState.current = { gens, guidToGenId, focus, highlightedPath };
+
+
+  /*
+   * Remember where the entities are in the diagram
+   */
+  const rememberPositions = useCallback(
+    () => {
+    if (diagramPositionsSource.current) {
+      Object.assign(knownPositions.current, diagramPositionsSource.current());
+    }
+  },
+  []
+  );
+
+  /*
+   * recordCommand - called by an operation before it changes the graph, with a description of the operation
+   */
+  const recordCommand = useCallback(
+    (description) => {
+
+    rememberPositions();
+    if (pendingCommand.current !== null) {
+      return;
+    }
+    pendingCommand.current = description;
+    setTimeout(() => {
+      const entry = { id          : nextCommandId.current,
+                      description : pendingCommand.current,
+                      state       : liveState.current };
+      nextCommandId.current  = nextCommandId.current + 1;
+      pendingCommand.current = null;
+      setCommandHistory(history => {
+        const entries = history.entries.slice(0, history.position + 1).concat([entry]).slice(-COMMAND_HISTORY_LIMIT);
+        return { entries, position : entries.length - 1 };
+      });
+    }, 0);
+  },
+  [rememberPositions]
+  );
+
   /*
    * getLatestActiveGenId  - returns the most recent gen number that is active
    */
@@ -184,6 +324,10 @@ const InstancesContextProvider = (props) => {
     /*
      * Do not mutate the current array - must replace for state update to register
      */
+    if (traversal.asOfTime === undefined) {
+      traversal.asOfTime = repositoryServerContext.asOfTime;
+    }
+    recordCommand(describeGen(traversal, gens.length + 1));
     const newList = gens.concat(traversal);
     setGens( newList );   
     setLatestActiveGenId(newList.length);
@@ -217,11 +361,32 @@ const InstancesContextProvider = (props) => {
     setGuidToGenId(newEntries);
   
   },
-  [gens,setGens,guidToGenId,setGuidToGenId,setLatestActiveGenId ]
+  [gens,setGens,guidToGenId,setGuidToGenId,setLatestActiveGenId,repositoryServerContext.asOfTime,recordCommand ]
   );
 
 
 
+  /*
+   * Record the summary of a retrieved instance in instanceSummaries
+   */
+  const recordInstanceSummary = useCallback(
+    (instance) => {
+
+    if (instance && instance.guid) {
+      const summary = summarizeInstance(instance);
+      setInstanceSummaries(summaries => {
+        const known = summaries[instance.guid];
+        if (known && known.typeName === summary.typeName && known.instanceProvenanceType === summary.instanceProvenanceType) {
+          return summaries;
+        }
+        return Object.assign({}, summaries, { [instance.guid] : summary });
+      });
+    }
+  },
+  []
+  );
+
+
   /*
    * setFocusEntity sets the category, instance, guid for the focus instance.
    * This operation is atomic (all three aspects are updated as one state change) to avoid sequqncing,
@@ -231,12 +396,14 @@ const InstancesContextProvider = (props) => {
   const setFocusEntity = useCallback(
     (expEntity) => {
 
+    recordCommand("Focused on entity " + expEntity.entityDigest.label);
     const newFocus = { instanceCategory : "Entity",
                        instanceGUID : expEntity.entityDetail.guid,
                        instance : expEntity };
     setFocus( newFocus );
+    recordInstanceSummary(expEntity.entityDetail);
   },
-  []
+  [recordInstanceSummary, recordCommand]
   );
 
   /*
@@ -248,12 +415,14 @@ const InstancesContextProvider = (props) => {
   const setFocusRelationship = useCallback(
     (expRelationship) => {
 
+    recordCommand("Focused on relationship " + expRelationship.relationshipDigest.label);
     const newFocus = { instanceCategory : "Relationship",
                        instanceGUID     : expRelationship.relationship.guid,
                        instance         : expRelationship };
     setFocus( newFocus );
+    recordInstanceSummary(expRelationship.relationship);
   },
-  [setFocus]
+  [setFocus, recordInstanceSummary, recordCommand]
   );
 
   /*
@@ -298,10 +467,11 @@ const InstancesContextProvider = (props) => {
 
   /*
    * processRetrievedEntity accepts an expEntity, checks whether it is already known and if not,
-   * creates a traversal to add the entity to a new gen
+   * creates a traversal to add the entity to a new gen. The operation recorded in the gen defaults
+   * to "getEntity"; the instance editor passes "createEntity".
    */
   const processRetrievedEntity = useCallback(
-    (expEntity) => {
+    (expEntity, operation) => {
 
     const serverName = expEntity.serverName;
     const platformName = expEntity.platformName;
@@ -337,7 +507,7 @@ const InstancesContextProvider = (props) => {
       rexTraversal.entities[entityGUID] = expEntity.entityDigest;
       rexTraversal.serverName           = serverName;
       rexTraversal.platformName         = platformName;
-      rexTraversal.operation            = "getEntity";
+      rexTraversal.operation            = operation ? operation : "getEntity";
       rexTraversal.enterpriseOption     = expEntity.entityDigest.provenance === "ent";
       
       /*
@@ -357,10 +527,11 @@ const InstancesContextProvider = (props) => {
 
   /*
    * processRetrievedRelationship accepts an expRelationship, checks whether it is already known and if not,
-   * creates a traversal to add the relationship to a new gen
+   * creates a traversal to add the relationship to a new gen. The operation recorded in the gen defaults
+   * to "getRelationship"; the instance editor passes "createRelationship".
    */
   const processRetrievedRelationship = useCallback(
-    (expRelationship) => {
+    (expRelationship, operation) => {
 
 
     const serverName       = expRelationship.serverName;
@@ -391,7 +562,7 @@ const InstancesContextProvider = (props) => {
       rexTraversal.relationships[relationshipGUID]  = expRelationship.relationshipDigest;
       rexTraversal.serverName                       = serverName;
       rexTraversal.platformName                     = platformName;
-      rexTraversal.operation                        = "getRelationship";
+      rexTraversal.operation                        = operation ? operation : "getRelationship";
       rexTraversal.enterpriseOption                 = expRelationship.relationshipDigest.provenance === "ent";
 
 
@@ -620,6 +791,27 @@ const InstancesContextProvider = (props) => {
   );
 
 
+  /*
+   * processRetrievedPath accepts a traversal containing a path found between two entities, and the GUIDs
+   * of the entities and relationships on the path, in order. The path is highlighted, and the instances on it
+   * that are not already in the graph are added as a new gen. If they are all in the graph, the path is just
+   * highlighted.
+   */
+  const processRetrievedPath = useCallback(
+    (rexTraversal, entityGUIDs, relationshipGUIDs) => {
+
+      recordCommand("Found a path from entity " + rexTraversal.fromLabel + " to entity " + rexTraversal.toLabel);
+      setHighlightedPath({ entityGUIDs : entityGUIDs, relationshipGUIDs : relationshipGUIDs });
+
+      const allKnown = entityGUIDs.concat(relationshipGUIDs).every(guid => guidToGenId[guid] !== undefined);
+      if (!allKnown) {
+        processRetrievedTraversal(rexTraversal);
+      }
+    },
+    [processRetrievedTraversal, guidToGenId, recordCommand]
+  );
+
+
 
 
   /*
@@ -653,13 +845,19 @@ const InstancesContextProvider = (props) => {
 
   /*
    * Function to get entity by GUID from the specified repository server
+   * If asOfTime is supplied the entity is retrieved as of that time (null meaning now), otherwise the
+   * current as of time is used.
    */
   const loadEntityFromSpecifiedServer = useCallback(
-    (serverName, platformName, enterpriseOption, entityGUID) => {
+    (serverName, platformName, enterpriseOption, entityGUID, asOfTime) => {
+    let body = { entityGUID : entityGUID , enterpriseOption : enterpriseOption};
+    if (asOfTime !== undefined) {
+      body.asOfTime = asOfTime;
+    }
     repositoryServerContext.callPOST(serverName,
                                      platformName,
                                      "instances/entity",
-                                     { entityGUID : entityGUID , enterpriseOption : enterpriseOption},
+                                     body,
                                      _loadEntity);
   },
   [_loadEntity, repositoryServerContext]
@@ -706,13 +904,19 @@ const InstancesContextProvider = (props) => {
 
   /*
    * Function to get relationship by GUID from the specified repository server
+   * If asOfTime is supplied the relationship is retrieved as of that time (null meaning now), otherwise
+   * the current as of time is used.
    */
   const loadRelationshipFromSpecifiedServer = useCallback(
-    (serverName, platformName, enterpriseOption, relationshipGUID) => {
+    (serverName, platformName, enterpriseOption, relationshipGUID, asOfTime) => {
+      let body = { relationshipGUID : relationshipGUID , enterpriseOption : enterpriseOption};
+      if (asOfTime !== undefined) {
+        body.asOfTime = asOfTime;
+      }
       repositoryServerContext.callPOST(serverName,
                                        platformName,
                                        "instances/relationship",
-                                       { relationshipGUID : relationshipGUID , enterpriseOption : enterpriseOption},
+                                       body,
                                        _loadRelationship);
     },
     [_loadRelationship, repositoryServerContext]
@@ -742,12 +946,13 @@ const InstancesContextProvider = (props) => {
   const clearFocusInstance = useCallback(
     () => {
     
+      recordCommand("Cleared the focus");
       const newFocus = { instanceCategory : "Entity",
                          instanceGUID     : "",
                          instance         : null };
       setFocus( newFocus );
     },
-    [setFocus]
+    [setFocus, recordCommand]
   );
 
   /*
@@ -801,6 +1006,7 @@ const InstancesContextProvider = (props) => {
           const serverName       = gen.serverName;
           const platformName     = gen.platformName;
           const enterpriseOption = gen.enterpriseOption;
+          const asOfTime         = gen.asOfTime === undefined ? null : gen.asOfTime;
 
           switch (provenance)
           {
@@ -814,7 +1020,7 @@ const InstancesContextProvider = (props) => {
                * ref copy that is found must be at least the same version as the home instance. There
                * seems little point using enterprise though when we think we know where to look...)
                */
-              loadEntityFromSpecifiedServer(serverName, platformName, false, entityGUID);
+              loadEntityFromSpecifiedServer(serverName, platformName, false, entityGUID, asOfTime);
               break;
 
             case "refCopy":
@@ -830,7 +1036,7 @@ const InstancesContextProvider = (props) => {
                * may specifically want to see the copy on the specified server. Therefore leave enterprise
                * as it was on the original operation.
                */
-              loadEntityFromSpecifiedServer(serverName, platformName, enterpriseOption, entityGUID);
+              loadEntityFromSpecifiedServer(serverName, platformName, enterpriseOption, entityGUID, asOfTime);
               break;
 
             case "proxy":
@@ -843,7 +1049,7 @@ const InstancesContextProvider = (props) => {
                * try to get the entity (using the original server) with the enterprise option enabled
                * and provide an advisory message to the user if the entity is not found.
                */
-              loadEntityFromSpecifiedServer(serverName, platformName, true, entityGUID);
+              loadEntityFromSpecifiedServer(serverName, platformName, true, entityGUID, asOfTime);
               break;
 
             case "ent":
@@ -855,7 +1061,7 @@ const InstancesContextProvider = (props) => {
                * It's not a problem, it just means that to stand the best chance of reloading the entity
                * Rex should use the same server and set the enterprise option.
                */
-              loadEntityFromSpecifiedServer(serverName, platformName, true, entityGUID);
+              loadEntityFromSpecifiedServer(serverName, platformName, true, entityGUID, asOfTime);
               break;
 
             default:
@@ -906,6 +1112,7 @@ const InstancesContextProvider = (props) => {
           const serverName         = gen.serverName;
           const platformName       = gen.platformName;
           const enterpriseOption   = gen.enterpriseOption;
+          const asOfTime           = gen.asOfTime === undefined ? null : gen.asOfTime;
 
           switch (provenance)
           {
@@ -919,7 +1126,7 @@ const InstancesContextProvider = (props) => {
                * ref copy that is found must be at least the same version as the home instance. There
                * seems little point using enterprise though when we think we know where to look...)
                */
-              loadRelationshipFromSpecifiedServer(serverName, platformName, false, relationshipGUID);
+              loadRelationshipFromSpecifiedServer(serverName, platformName, false, relationshipGUID, asOfTime);
               break;
 
             case "refCopy":
@@ -935,7 +1142,7 @@ const InstancesContextProvider = (props) => {
                * may specifically want to see the copy on the specified server. Therefore leave enterprise
                * as it was on the original operation.
                */
-              loadRelationshipFromSpecifiedServer(serverName, platformName, enterpriseOption, relationshipGUID);
+              loadRelationshipFromSpecifiedServer(serverName, platformName, enterpriseOption, relationshipGUID, asOfTime);
               break;
 
             case "ent":
@@ -947,7 +1154,7 @@ const InstancesContextProvider = (props) => {
                * It's not a problem, it just means that to stand the best chance of reloading the relationship
                * Rex should use the same server and set the enterprise option.
                */
-              loadRelationshipFromSpecifiedServer(serverName, platformName, true, relationshipGUID);
+              loadRelationshipFromSpecifiedServer(serverName, platformName, true, relationshipGUID, asOfTime);
               break;
 
             default:
@@ -1036,15 +1243,16 @@ const InstancesContextProvider = (props) => {
 
   /*
    * Function to explore the neighborhood around the current focus entity
-   * Parmeters: list of typeGUIDs for each of te three categories.
+   * Parmeters: list of typeGUIDs for each of te three categories, and the number of hops
+   * to traverse from the focus entity (defaults to 1).
    */
   const explore = useCallback(
-    ( selectedEntityTypes, selectedRelationshipTypes, selectedClassificationTypes ) => {
+    ( selectedEntityTypes, selectedRelationshipTypes, selectedClassificationTypes, depth ) => {
    
       repositoryServerContext.repositoryPOST(
         "instances/traversal",
         { entityGUID             :  getFocusGUID(),
-          depth                  :  1,                             // depth is always limited to 1
+          depth                  :  depth ? depth : 1,
           entityTypeGUIDs        :  selectedEntityTypes,
           relationshipTypeGUIDs  :  selectedRelationshipTypes,
           classificationNames    :  selectedClassificationTypes
@@ -1073,6 +1281,8 @@ const InstancesContextProvider = (props) => {
         return;
       }
 
+      recordCommand("Removed gen " + gens.length);
+
       /*
        * If the gen to be popped contains the focus instance, clear the focus.
        */
@@ -1087,6 +1297,10 @@ const InstancesContextProvider = (props) => {
       let newList = Object.assign([],gens);
       const removedGen = newList.pop();
 
+      if (removedGen.operation === "pathFind") {
+        setHighlightedPath(null);
+      }
+
       setGens( newList );
       setLatestActiveGenId(newList.length);
 
@@ -1110,7 +1324,7 @@ const InstancesContextProvider = (props) => {
       setGuidToGenId(newGUIDMap);
 
     },
-    [clearFocusInstance, focus.instanceGUID, gens, guidToGenId]
+    [clearFocusInstance, focus.instanceGUID, gens, guidToGenId, recordCommand]
   );
 
   
@@ -1124,6 +1338,8 @@ const InstancesContextProvider = (props) => {
   const clear = useCallback(
     () => {
 
+      recordCommand("Cleared the graph");
+
       /*
        * Reset the focusInstance
        */
@@ -1141,9 +1357,199 @@ const InstancesContextProvider = (props) => {
        */
       const emptymap = {};
       setGuidToGenId(emptymap);
+
+      setHighlightedPath(null);
+      setInstanceSummaries({});
     
     },
-    [clearFocusInstance]
+    [clearFocusInstance, recordCommand]
+  );
+
+
+  /*
+   * Retrieve the summaries of the entities in the graph that have not been retrieved, a batch at a time so
+   * that a large graph does not flood the view server. Each entity is retrieved the way its gen was - from the
+   * same server, with the same enterprise option and as of the same time. onProgress (if supplied) is
+   * called with a description of each batch. Returns a promise of the number of entities that could not
+   * be retrieved.
+   */
+  const retrieveEntitySummaries = useCallback(
+    (onProgress) => {
+
+      /*
+       * callPOST does not call back if the request cannot be sent or fails, so an entity that has not been
+       * retrieved after the timeout is counted as not retrieved.
+       */
+      const batchSize = 10;
+      const timeout   = 30000;
+
+      let requests = [];
+      gens.slice(0, latestActiveGenId).forEach(gen => {
+        Object.keys(gen.entities).forEach(entityGUID => {
+          if (instanceSummaries[entityGUID] === undefined) {
+            requests.push({ gen, entityGUID });
+          }
+        });
+      });
+
+      const retrieveSummary = (request) => {
+        return new Promise(resolve => {
+          const gen   = request.gen;
+          const timer = setTimeout(() => resolve(null), timeout);
+          repositoryServerContext.callPOST(gen.serverName, gen.platformName, "instances/entity",
+            { entityGUID       : request.entityGUID,
+              enterpriseOption : gen.enterpriseOption,
+              asOfTime         : gen.asOfTime === undefined ? null : gen.asOfTime },
+            json => {
+              clearTimeout(timer);
+              const entityDetail = json !== null && json.relatedHTTPCode === 200 && json.expandedEntityDetail
+                                   ? json.expandedEntityDetail.entityDetail : null;
+              resolve(entityDetail ? summarizeInstance(entityDetail) : null);
+            });
+        });
+      };
+
+      let failures = 0;
+      const retrieveBatch = (start) => {
+        if (start >= requests.length) {
+          return Promise.resolve(failures);
+        }
+        if (onProgress) {
+          onProgress("Retrieving entities " + (start + 1) + " to " + Math.min(start + batchSize, requests.length) +
+                     " of " + requests.length + "...");
+        }
+        const batch = requests.slice(start, start + batchSize);
+        return Promise.all(batch.map(retrieveSummary))
+        .then(summaries => {
+          let retrieved = {};
+          batch.forEach((request, i) => {
+            if (summaries[i]) {
+              retrieved[request.entityGUID] = summaries[i];
+            }
+            else {
+              failures = failures + 1;
+            }
+          });
+          setInstanceSummaries(known => Object.assign({}, known, retrieved));
+          return retrieveBatch(start + batchSize);
+        });
+      };
+
+      return retrieveBatch(0);
+    },
+    [gens, latestActiveGenId, instanceSummaries, repositoryServerContext]
+  );
+
+
+  /*
+   * The DiagramManager registers a function that returns the positions of the entities in the
+   * diagram, as a map from entity GUID to { x, y, pinned }.
+   */
+  const setDiagramPositionsSource = useCallback(
+    (source) => {
+      diagramPositionsSource.current = source;
+    },
+    []
+  );
+
+
+  /*
+   * getSession returns the state of the graph as an object that can be saved and later passed to
+   * restoreSession. Each gen carries the serverName and enterpriseOption it was retrieved with.
+   */
+  const getSession = useCallback(
+    () => {
+      return { version     : SESSION_VERSION,
+               savedAt     : new Date().toISOString(),
+               gens        : gens,
+               guidToGenId : guidToGenId,
+               focus       : focus,
+               positions   : diagramPositionsSource.current ? diagramPositionsSource.current() : {} };
+    },
+    [gens, guidToGenId, focus]
+  );
+
+
+  /*
+   * restoreSession replaces the graph with one previously returned by getSession. The diagram is
+   * rebuilt from all of the restored gens, with the entities where they were when the session was saved.
+   * Returns an error message if the session cannot be restored, in which case the graph is unchanged.
+   */
+  const restoreSession = useCallback(
+    (session) => {
+
+      if (session === null || typeof session !== "object" || session.version !== SESSION_VERSION) {
+        return "This is not a Repository Explorer session, or it was saved by a different version.";
+      }
+      if (!Array.isArray(session.gens) || session.guidToGenId === null || typeof session.guidToGenId !== "object") {
+        return "The session does not contain a graph.";
+      }
+
+      recordCommand("Loaded a saved session");
+      setGens(session.gens);
+      setLatestActiveGenId(session.gens.length);
+      setGuidToGenId(session.guidToGenId);
+      setRestoredPositions(session.positions || {});
+      setRestoreCount(restoreCount + 1);
+      setHighlightedPath(null);
+      setInstanceSummaries({});
+
+      /*
+       * Only restore the focus if it is in the restored graph.
+       */
+      if (session.focus && session.guidToGenId[session.focus.instanceGUID] !== undefined) {
+        setFocus(session.focus);
+      }
+      else {
+        clearFocusInstance();
+      }
+      return null;
+    },
+    [restoreCount, clearFocusInstance, recordCommand]
+  );
+
+
+  /*
+   * restoreCommand returns the graph to its state after the operation at index in the command history.
+   * The diagram is rebuilt from the restored gens, with the entities where they were last seen.
+   * The state is set before restoreCount, so that the DiagramManager rebuilds from the restored gens.
+   */
+  const restoreCommand = useCallback(
+    (index) => {
+
+      if (index < 0 || index >= commandHistory.entries.length || index === commandHistory.position) {
+        return;
+      }
+      const state = commandHistory.entries[index].state;
+      rememberPositions();
+
+      setGens(state.gens);
+      setGuidToGenId(state.guidToGenId);
+      setHighlightedPath(state.highlightedPath);
+      setFocus(state.focus);
+      setLatestActiveGenId(state.gens.length);
+      setCommandHistory(history => Object.assign({}, history, { position : index }));
+      setRestoredPositions(Object.assign({}, knownPositions.current));
+      setRestoreCount(restoreCount + 1);
+    },
+    [commandHistory, restoreCount, rememberPositions]
+  );
+
+  /*
+   * Undo the latest operation, or redo the operation that was undone last
+   */
+  const undo = useCallback(
+    () => {
+      restoreCommand(commandHistory.position - 1);
+    },
+    [restoreCommand, commandHistory.position]
+  );
+
+  const redo = useCallback(
+    () => {
+      restoreCommand(commandHistory.position + 1);
+    },
+    [restoreCommand, commandHistory.position]
   );
 
 
@@ -1196,6 +1602,9 @@ const InstancesContextProvider = (props) => {
         let querySummary = "["+serverName+"]";
         const enterpriseOption = genContent.enterpriseOption;
         querySummary = querySummary.concat(enterpriseOption ? " Enterprise" : " Local");
+        if (genContent.asOfTime) {
+          querySummary = querySummary.concat(" as of "+new Date(genContent.asOfTime).toLocaleString());
+        }
 
         switch (genContent.operation) {
 
@@ -1213,6 +1622,14 @@ const InstancesContextProvider = (props) => {
             querySummary = querySummary.concat(" Relationship retrieval using GUID");
             break;
 
+          case "createEntity":
+            querySummary = querySummary.concat(" Entity created");
+            break;
+
+          case "createRelationship":
+            querySummary = querySummary.concat(" Relationship created");
+            break;
+
           case "traversal":
             /*
              * Format querySummary as "Traversal"
@@ -1294,6 +1711,15 @@ const InstancesContextProvider = (props) => {
             break;
 
 
+          case "pathFind":
+            /*
+             * Format querySummary as "Path from entity <label> to entity <label> (<n> relationships, ...)"
+             */
+            querySummary = querySummary.concat(" Path from entity "+genContent.fromLabel+" to entity "+genContent.toLabel);
+            querySummary = querySummary.concat(" ("+genContent.depth+" relationships, searched to depth "+genContent.maxDepth+")");
+            break;
+
+
           case "entitySearch":
             /*
              * Format querySummary as "Entity Search Expression [<expr>] <guid>"
@@ -1377,16 +1803,33 @@ const InstancesContextProvider = (props) => {
         clear,
         getHistory,
         loadEntity,
+        loadEntityFromSpecifiedServer,
         _loadEntity,
         loadRelationship,
+        loadRelationshipFromSpecifiedServer,
         _loadRelationship,
+        processRetrievedEntity,
+        processRetrievedRelationship,
         processRetrievedTraversal,
+        processRetrievedPath,
+        highlightedPath,
+        instanceSummaries,
+        retrieveEntitySummaries,
         explore,
         _explore,
         setGens,
         getLatestActiveGenId,
         removeGen,
-        getLatestGen
+        commandHistory,
+        restoreCommand,
+        undo,
+        redo,
+        getLatestGen,
+        restoredPositions,
+        restoreCount,
+        setDiagramPositionsSource,
+        getSession,
+        restoreSession
      }}
     >      
       {props.children}
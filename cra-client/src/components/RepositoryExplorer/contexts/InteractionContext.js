@@ -126,6 +126,7 @@ const InteractionContextProvider = (props) => {
   return (
     <InteractionContext.Provider
       value={{
+        portalVisible,
         showPortal,
         hidePortal,
         getPortalAnchor,
@@ -27,6 +27,13 @@ const RepositoryServerContextProvider = (props) => {
 
   const [enterpriseOption, setEnterpriseOption]  = useState(true);
 
+  /*
+   * The time the repositories are explored as of, in milliseconds since the epoch, or null to explore
+   * them as they are now. It is sent with every request, like enterpriseOption, so that the whole graph
+   * can be explored as it was at an earlier time.
+   */
+  const [asOfTime, setAsOfTime]                  = useState(null);
+
 
 
   /*
@@ -51,7 +58,8 @@ const RepositoryServerContextProvider = (props) => {
     const base = {
       serverName       : repositoryServer.serverName,
       platformName     : repositoryServer.platformName,
-      enterpriseOption : enterpriseOption };
+      enterpriseOption : enterpriseOption,
+      asOfTime         : asOfTime };
     return base;
   };
 
@@ -68,7 +76,8 @@ const RepositoryServerContextProvider = (props) => {
    *   callPOST(serverName, platformName, "types", { searchText: <String> , typeName : <String> , etc.. }, _findEntitiesByPropertyValue)
    * 
    * This call is provided for initial operations such as loadTypes for which the repositoryServer in the context will not already have been set.
-   * It therefore requires that the caller pass the serverName and platformName. The current value of enterpriseOption is used.
+   * It therefore requires that the caller pass the serverName and platformName. The current values of enterpriseOption
+   * and asOfTime are used, unless they are in the bodyParms.
    */ 
   const callPOST = (serverName, platformName, uri, bodyParms, callback) => {
 
@@ -86,7 +95,8 @@ const RepositoryServerContextProvider = (props) => {
     let base = {
       serverName        : serverName,
       platformName      : platformName,
-      enterpriseOption  : enterpriseOption
+      enterpriseOption  : enterpriseOption,
+      asOfTime          : asOfTime
     }
     
     
@@ -158,7 +168,7 @@ const RepositoryServerContextProvider = (props) => {
    * repositoryPOST("types", { searchText: <String> , typeName : <String> , etc ... }, _findEntitiesByPropertyValue)
    * 
    * The context must already have the serverName and platformName in repositiryServer. 
-   * The current value of enterpriseOption is used.
+   * The current values of enterpriseOption and asOfTime are used.
    */ 
   const repositoryPOST = (uri, bodyParms, callback) => {
 
@@ -307,7 +317,10 @@ const RepositoryServerContextProvider = (props) => {
         setRepositoryServer,
         updateEnterpriseOption,
         getEnterpriseOption,
+        setEnterpriseOption,
         enterpriseOption,   
+        asOfTime,
+        setAsOfTime,
         repositoryPOST,
         callGET,
         callPOST     
@@ -0,0 +1,300 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import {
+  Button,
+  Checkbox,
+  DataTable,
+  InlineNotification,
+  OverflowMenu,
+  OverflowMenuItem,
+  TextInput,
+} from "carbon-components-react";
+import axios from "axios";
+import { IdentificationContext } from "../../contexts/IdentificationContext";
+
+// the tools a tenant can enable, as the presentation server knows them (see authorization.js in cra-server)
+const tools = [
+  { id: "repository-explorer", label: "Repository Explorer" },
+  { id: "type-explorer", label: "Type Explorer" },
+  { id: "glossary-author", label: "Glossary Author" },
+  { id: "dino", label: "Dino" },
+  { id: "server-author", label: "Server Author" },
+  { id: "tenant-admin", label: "Tenant Administration" },
+];
+
+const emptyForm = {
+  name: "",
+  displayName: "",
+  remoteServerName: "",
+  remoteURL: "",
+  timeout: "",
+  tools: [],
+};
+
+/**
+ * Administration of the presentation server's tenants: list them, add, update and remove them. Tenants configured by
+ * environment variables are shown, but can only be changed by changing the environment and restarting.
+ */
+export default function TenantAdmin() {
+
+  const { getBrowserURL, serverName } = useContext(IdentificationContext);
+  const tenantsURL = getBrowserURL("tenants");
+
+  const [tenants, setTenants] = useState([]);
+  // the tenant being edited, undefined when adding a tenant or null when the form is hidden
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [notification, setNotification] = useState(null);
+
+  const showError = useCallback((title, error) => {
+    console.error(title, { error });
+    const subtitle = (error.response && error.response.data) || error.message;
+    setNotification({ kind: "error", title, subtitle: String(subtitle) });
+  }, []);
+
+  const fetchTenants = useCallback(() => {
+    axios.get(tenantsURL)
+      .then((response) => setTenants(response.data.tenants))
+      .catch((error) => showError("Error fetching the tenants", error));
+  }, [tenantsURL, showError]);
+
+  useEffect(() => {
+    fetchTenants();
+  }, [fetchTenants]);
+
+  const showSaved = (title, persisted) => {
+    setNotification(persisted
+      ? { kind: "success", title, subtitle: "" }
+      : { kind: "warning", title, subtitle: "The change is not saved to a tenant configuration file, so will be lost when the presentation server restarts." });
+  };
+
+  const showForm = (tenant) => {
+    setNotification(null);
+    setEditing(tenant);
+    setForm(tenant ? {
+      name: tenant.name,
+      displayName: tenant.displayName || "",
+      remoteServerName: tenant.remoteServerName,
+      remoteURL: tenant.remoteURL,
+      timeout: tenant.timeout ? String(tenant.timeout) : "",
+      tools: tenant.tools || [],
+    } : emptyForm);
+  };
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const setTool = (tool) => (checked) => setForm({
+    ...form,
+    tools: checked ? form.tools.concat(tool) : form.tools.filter((t) => t !== tool),
+  });
+
+  const saveTenant = () => {
+    // keep the configuration the form does not show, such as the user store and TLS settings
+    const { name, source, displayName, timeout, tools: previousTools, ...rest } = editing || {};
+    const details = { ...rest, remoteServerName: form.remoteServerName, remoteURL: form.remoteURL };
+    if (form.displayName) details.displayName = form.displayName;
+    if (form.timeout) details.timeout = Number(form.timeout);
+    // no tools ticked means the tenant has all the tools apart from Tenant Administration
+    if (form.tools.length > 0) details.tools = form.tools;
+    const request = editing
+      ? axios.put(`${tenantsURL}/${encodeURIComponent(editing.name)}`, details)
+      : axios.post(tenantsURL, { name: form.name, ...details });
+    request
+      .then((response) => {
+        showSaved(`Tenant ${form.name} saved`, response.data.persisted);
+        setEditing(null);
+        fetchTenants();
+      })
+      .catch((error) => showError(`Error saving tenant ${form.name}`, error));
+  };
+
+  const deleteTenant = (tenant) => () => {
+    axios.delete(`${tenantsURL}/${encodeURIComponent(tenant.name)}`)
+      .then((response) => {
+        showSaved(`Tenant ${tenant.name} removed`, response.data.persisted);
+        fetchTenants();
+      })
+      .catch((error) => showError(`Error removing tenant ${tenant.name}`, error));
+  };
+
+  const headers = [
+    { key: "name", header: "Tenant" },
+    { key: "displayName", header: "Display Name" },
+    { key: "remoteServerName", header: "View Server" },
+    { key: "remoteURL", header: "Platform URL" },
+    { key: "tools", header: "Tools" },
+    { key: "source", header: "Configured By" },
+  ];
+
+  const rows = tenants.map((tenant) => ({
+    id: tenant.name,
+    name: tenant.name,
+    displayName: tenant.displayName || "",
+    remoteServerName: tenant.remoteServerName,
+    remoteURL: tenant.remoteURL,
+    tools: tenant.tools ? tenant.tools.join(", ") : "all",
+    source: tenant.source,
+  }));
+
+  const tenantNamed = (name) => tenants.find((tenant) => tenant.name === name);
+
+  return (
+
+    <div style={{ textAlign: "left" }}>
+
+      {notification && (
+        <InlineNotification
+          kind={notification.kind}
+          title={notification.title}
+          subtitle={notification.subtitle}
+          onCloseButtonClick={() => setNotification(null)}
+        />
+      )}
+
+      <DataTable rows={rows} headers={headers} isSortable>
+        {({
+          rows,
+          headers,
+          getHeaderProps,
+          getRowProps,
+          getTableProps,
+          getTableContainerProps,
+        }) => (
+          <DataTable.TableContainer
+            title="Tenants"
+            description="The tenants of this presentation server, each the view server a set of users works with"
+            {...getTableContainerProps()}
+          >
+            <DataTable.TableToolbar>
+              <DataTable.TableToolbarContent>
+                <Button onClick={() => showForm(undefined)} size="small" kind="primary">
+                  Add tenant
+                </Button>
+              </DataTable.TableToolbarContent>
+            </DataTable.TableToolbar>
+            <DataTable.Table {...getTableProps()}>
+              <DataTable.TableHead>
+                <DataTable.TableRow>
+                  {headers.map((header, i) => (
+                    <DataTable.TableHeader key={`tenants-table-header-${i}`} {...getHeaderProps({ header })}>
+                      {header.header}
+                    </DataTable.TableHeader>
+                  ))}
+                  <DataTable.TableHeader />
+                </DataTable.TableRow>
+              </DataTable.TableHead>
+              <DataTable.TableBody>
+                {rows.map((row) => {
+                  const tenant = tenantNamed(row.id);
+                  const changeable = tenant.source !== "environment";
+                  return (
+                    <DataTable.TableRow key={row.id} {...getRowProps({ row })}>
+                      {row.cells.map((cell) => (
+                        <DataTable.TableCell key={cell.id}>{cell.value}</DataTable.TableCell>
+                      ))}
+                      <DataTable.TableCell className="bx--table-column-menu">
+                        {changeable && (
+                          <OverflowMenu flipped>
+                            <OverflowMenuItem itemText="Edit tenant" onClick={() => showForm(tenant)} />
+                            <OverflowMenuItem
+                              itemText="Remove tenant"
+                              onClick={deleteTenant(tenant)}
+                              disabled={tenant.name === serverName}
+                              isDelete
+                              requireTitle
+                            />
+                          </OverflowMenu>
+                        )}
+                      </DataTable.TableCell>
+                    </DataTable.TableRow>
+                  );
+                })}
+              </DataTable.TableBody>
+            </DataTable.Table>
+          </DataTable.TableContainer>
+        )}
+      </DataTable>
+
+      {editing !== null && (
+        <fieldset className="bx--fieldset" style={{ marginTop: "32px" }}>
+          <legend className="bx--label">{editing ? `Edit tenant ${editing.name}` : "Add a tenant"}</legend>
+
+          <TextInput
+            id="tenant-name"
+            labelText="Tenant name"
+            helperText="The first segment of the tenant's urls"
+            value={form.name}
+            onChange={setField("name")}
+            placeholder="coco"
+            disabled={!!editing}
+            invalid={form.name === ""}
+            style={{ marginBottom: "16px" }}
+            autoComplete="off"
+          />
+          <TextInput
+            id="tenant-display-name"
+            labelText="Display name (optional)"
+            value={form.displayName}
+            onChange={setField("displayName")}
+            placeholder="Coco Pharmaceuticals"
+            style={{ marginBottom: "16px" }}
+          />
+          <TextInput
+            id="tenant-remote-server-name"
+            labelText="View server name"
+            value={form.remoteServerName}
+            onChange={setField("remoteServerName")}
+            placeholder="cocoView1"
+            invalid={form.remoteServerName === ""}
+            style={{ marginBottom: "16px" }}
+          />
+          <TextInput
+            id="tenant-remote-url"
+            labelText="Platform URL"
+            value={form.remoteURL}
+            onChange={setField("remoteURL")}
+            placeholder="https://localhost:9443"
+            invalid={form.remoteURL === ""}
+            style={{ marginBottom: "16px" }}
+          />
+          <TextInput
+            id="tenant-timeout"
+            labelText="Timeout in milliseconds (optional)"
+            value={form.timeout}
+            onChange={setField("timeout")}
+            placeholder="30000"
+            invalid={form.timeout !== "" && !(Number.isInteger(Number(form.timeout)) && Number(form.timeout) > 0)}
+            style={{ marginBottom: "16px" }}
+          />
+          <fieldset className="bx--fieldset" style={{ marginBottom: "16px" }}>
+            <legend className="bx--label">Tools (none ticked enables all but Tenant Administration)</legend>
+            {tools.map((tool) => (
+              <Checkbox
+                key={`tenant-tool-${tool.id}`}
+                id={`tenant-tool-${tool.id}`}
+                labelText={tool.label}
+                checked={form.tools.includes(tool.id)}
+                onChange={setTool(tool.id)}
+              />
+            ))}
+          </fieldset>
+
+          <Button kind="secondary" onClick={() => setEditing(null)} style={{ marginRight: "16px" }}>
+            Cancel
+          </Button>
+          <Button
+            kind="primary"
+            onClick={saveTenant}
+            disabled={form.name === "" || form.remoteServerName === "" || form.remoteURL === ""}
+          >
+            Save
+          </Button>
+        </fieldset>
+      )}
+
+    </div>
+
+  );
+
+}
@@ -41,6 +41,8 @@ import DetailsPanel                             from "./components/details-panel
 
 import DiagramManager                           from "./components/diagram/DiagramManager";
 
+import TypeExportHandler                        from "./components/type-export/TypeExportHandler";
+
 import HelpHandler                              from "./HelpHandler";
 
 import QuestionMarkImage                        from "./question-mark-32.png";
@@ -68,6 +70,8 @@ export default function TypeExplorer() {
   const [help, setHelp]             = useState( { markdown : '' } );
   const [helpStatus, setHelpStatus] = useState("idle");
 
+  const [exportStatus, setExportStatus] = useState("idle");
+
   let workingHeight = dimensions.cltHeight - 50;
   let workingWidth  = dimensions.cltWidth - 265;
 
@@ -120,6 +124,15 @@ export default function TypeExplorer() {
   };
 
 
+  const displayExport = () => {
+    setExportStatus("complete");
+  };
+
+  const closeExportModal = () => {
+    setExportStatus("idle");
+  };
+
+
   /*
    * useEffect to set size of container... 
    */
@@ -187,6 +200,15 @@ export default function TypeExplorer() {
                   <div className="tex-top-middle">
                     <FocusControls />
                   </div>        
+
+                  <div className="tex-top-right">
+                    <p className="descriptive-text">Export types</p>
+                    <button className="export-button" onClick = { () => displayExport() } >
+                      Export...
+                    </button>
+                    <TypeExportHandler status = { exportStatus }
+                                       onClose = { closeExportModal } />
+                  </div>
                 </div>
 
                 <div className="tex-content">
@@ -0,0 +1,189 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+
+import React, { useContext, useEffect, useState }   from "react";
+
+import PropTypes                              from "prop-types";
+
+import { TypesContext }                       from "../../contexts/TypesContext";
+
+import { FocusContext }                       from "../../contexts/FocusContext";
+
+import { InteractionContext }                 from "../../contexts/InteractionContext";
+
+import * as TypeExportUtils                   from "./TypeExportUtils";
+
+import "./type-export.scss";
+
+
+/*
+ * The TypeExportHandler lets the user export the types that have been loaded from the server:
+ *   Markdown     - browsable documentation of each type
+ *   JSON Schema  - a schema for each entity, relationship and classification type, including the
+ *                  attributes it inherits and the values of the enums it uses
+ *   OpenAPI      - a components section with a schema for each type
+ * The user can export all of the types, or just the type that is being viewed.
+ */
+export default function TypeExportHandler(props) {
+
+  const typesContext       = useContext(TypesContext);
+
+  const focusContext       = useContext(FocusContext);
+
+  const interactionContext = useContext(InteractionContext);
+
+  const [format, setFormat] = useState("Markdown");
+  const [scope,  setScope]  = useState("All");
+
+  const formats = {
+    "Markdown"    : { extension : "md",          mimeType : "text/markdown"    },
+    "JSON Schema" : { extension : "schema.json", mimeType : "application/json" },
+    "OpenAPI"     : { extension : "openapi.json", mimeType : "application/json" }
+  };
+
+
+  const typesLoaded = () => {
+    return typesContext.getEntityTypes() !== null;
+  };
+
+  const viewedType = () => {
+    return focusContext.view.typeName ? focusContext.view : null;
+  };
+
+  const exportTypes = () => {
+
+    const selection = scope === "Viewed" ? { category : viewedType().category, typeName : viewedType().typeName } : null;
+    const subject   = selection ? selection.typeName : "types";
+    const title     = (selection ? selection.category + " type " + selection.typeName + " from " : "Types of ") +
+                      "server " + typesContext.serverName;
+
+    let content;
+    switch (format) {
+      case "JSON Schema":
+        content = JSON.stringify(TypeExportUtils.toJSONSchema(typesContext.tex, selection, title), null, 2);
+        break;
+      case "OpenAPI":
+        content = JSON.stringify(TypeExportUtils.toOpenAPI(typesContext.tex, selection, title), null, 2);
+        break;
+      default:
+        content = TypeExportUtils.toMarkdown(typesContext.tex, selection, title);
+        break;
+    }
+    TypeExportUtils.downloadFile(content, "tex-" + typesContext.serverName + "-" + subject + "." + formats[format].extension,
+                                 formats[format].mimeType);
+  };
+
+  const closeCallback = () => {
+    interactionContext.hidePortal();
+    props.onClose();
+  };
+
+
+  const triggerPortal = () => {
+
+    let dialogDisplay;
+
+    if (!typesLoaded()) {
+
+      dialogDisplay = (
+        <div className="dialog-text">
+
+          <p className="dialog-text">
+          There are no types to export. Please select a server to load its types.
+          </p>
+
+          <div className="dismiss-1-button-container">
+            <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+          </div>
+
+        </div>
+      );
+    }
+
+    else {
+
+      const viewed = viewedType();
+
+      dialogDisplay = (
+        <div className="dialog-text">
+
+          <p className="dialog-text">
+          Export the types of server {typesContext.serverName} as Markdown documentation, as JSON Schema or as an
+          OpenAPI components section. The schemas of the entity, relationship and classification types include the
+          attributes each type inherits, and refer to schemas for the enums they use.
+          </p>
+
+          <div className="type-export-row">
+            <label className="type-export-label" htmlFor="typeExportFormat">Format : </label>
+            <select id="typeExportFormat" value={format} onChange={evt => setFormat(evt.target.value)} >
+              {Object.keys(formats).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </div>
+
+          <div className="type-export-row">
+            <span className="type-export-label">Types : </span>
+            <input type="radio"
+                   id="typeExportAll"
+                   name="typeExportScope"
+                   checked={scope === "All"}
+                   onChange={() => setScope("All")} />
+            <label htmlFor="typeExportAll">All types</label>
+            <input type="radio"
+                   id="typeExportViewed"
+                   name="typeExportScope"
+                   className="type-export-option"
+                   disabled={viewed === null}
+                   checked={scope === "Viewed" && viewed !== null}
+                   onChange={() => setScope("Viewed")} />
+            <label htmlFor="typeExportViewed">
+              {viewed === null ? "The type being viewed (none)" : "The " + viewed.category.toLowerCase() + " type " + viewed.typeName}
+            </label>
+          </div>
+
+          <div className="dismiss-button-container">
+            <button className="multiselect-button" onClick={closeCallback}>  Close  </button>
+            <button className="multiselect-button" onClick={exportTypes}>  Export  </button>
+          </div>
+
+        </div>
+      );
+    }
+
+    interactionContext.showPortal(dialogDisplay);
+  };
+
+
+  /*
+   * If the type being viewed goes away (e.g. the types are reloaded) go back to exporting all of the types
+   */
+  useEffect(
+    () => {
+      if (!focusContext.view.typeName) {
+        setScope("All");
+      }
+    },
+    [focusContext.view]
+  );
+
+  /*
+   * Emulate componentDidMount - to append the wrapper element, and refresh it as the options change
+   */
+  const componentDidMount = () => {
+    if (props.status === "complete") {
+      triggerPortal();
+    }
+  };
+  useEffect (componentDidMount ,[ props.status, format, scope, typesContext.tex, focusContext.view ]);
+
+  /*
+   * Render nothing - this component is invisible but controls what is displayed by the portal
+   */
+  return null;
+
+}
+
+TypeExportHandler.propTypes = {
+  status               : PropTypes.string,
+  onClose              : PropTypes.func.isRequired
+};
@@ -0,0 +1,525 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/*
+ * TypeExportUtils provides a module for the utility functions that export the type system held by the
+ * TypesContext (the tex) as:
+ *   Markdown     - browsable documentation, with a section for each type and links between the types
+ *   JSON Schema  - a schema for each entity, relationship and classification type, with $defs for the enums
+ *   OpenAPI      - a components section with a schema for each type, for API designers to refer to
+ * These are all stateless workers.
+ *
+ * The tex has a map for each category of type - entities, relationships, classifications and enums - from
+ * type name to the type's explorer. An explorer holds the TypeDef (entityDef, relationshipDef,
+ * classificationDef or enumDef) and, for entities and relationships, the attributes the type inherits.
+ * The schemas include the inherited attributes, so that each schema describes the whole of an instance's
+ * properties; the supertype is recorded in the x-egeria-supertype extension.
+ *
+ * A selection is { category, typeName } to export just one type (and the enums it uses), or null to
+ * export all of the types.
+ */
+
+
+/*
+ * The map in the tex and the name of the TypeDef in the explorer, for each category of type
+ */
+const categories = {
+  Entity         : { key : "entities",        def : "entityDef"         },
+  Relationship   : { key : "relationships",   def : "relationshipDef"   },
+  Classification : { key : "classifications", def : "classificationDef" },
+  Enum           : { key : "enums",           def : "enumDef"           }
+};
+
+const schemaCategories = [ "Entity", "Relationship", "Classification" ];
+
+/*
+ * The JSON Schema for each primitive type, by primitiveDefCategory and by the name of the attribute type.
+ * Egeria dates are held as the number of milliseconds since the epoch.
+ */
+const primitiveSchemas = {
+  OM_PRIMITIVE_TYPE_BOOLEAN    : { type : "boolean" },
+  OM_PRIMITIVE_TYPE_BYTE       : { type : "integer", format : "int32" },
+  OM_PRIMITIVE_TYPE_CHAR       : { type : "string",  maxLength : 1 },
+  OM_PRIMITIVE_TYPE_SHORT      : { type : "integer", format : "int32" },
+  OM_PRIMITIVE_TYPE_INT        : { type : "integer", format : "int32" },
+  OM_PRIMITIVE_TYPE_LONG       : { type : "integer", format : "int64" },
+  OM_PRIMITIVE_TYPE_FLOAT      : { type : "number",  format : "float" },
+  OM_PRIMITIVE_TYPE_DOUBLE     : { type : "number",  format : "double" },
+  OM_PRIMITIVE_TYPE_BIGINTEGER : { type : "integer" },
+  OM_PRIMITIVE_TYPE_BIGDECIMAL : { type : "number" },
+  OM_PRIMITIVE_TYPE_STRING     : { type : "string" },
+  OM_PRIMITIVE_TYPE_DATE       : { type : "integer", format : "int64", description : "Milliseconds since the epoch" }
+};
+
+const primitiveNames = {
+  boolean    : "OM_PRIMITIVE_TYPE_BOOLEAN",
+  byte       : "OM_PRIMITIVE_TYPE_BYTE",
+  char       : "OM_PRIMITIVE_TYPE_CHAR",
+  short      : "OM_PRIMITIVE_TYPE_SHORT",
+  int        : "OM_PRIMITIVE_TYPE_INT",
+  long       : "OM_PRIMITIVE_TYPE_LONG",
+  float      : "OM_PRIMITIVE_TYPE_FLOAT",
+  double     : "OM_PRIMITIVE_TYPE_DOUBLE",
+  biginteger : "OM_PRIMITIVE_TYPE_BIGINTEGER",
+  bigdecimal : "OM_PRIMITIVE_TYPE_BIGDECIMAL",
+  string     : "OM_PRIMITIVE_TYPE_STRING",
+  date       : "OM_PRIMITIVE_TYPE_DATE"
+};
+
+export const jsonSchemaDialect = "https://json-schema.org/draft/2020-12/schema";
+export const openAPIVersion    = "3.0.3";
+
+
+function explorers(tex, category) {
+  return tex && tex[categories[category].key] ? tex[categories[category].key] : {};
+}
+
+function typeDef(tex, category, typeName) {
+  const explorer = explorers(tex, category)[typeName];
+  return explorer ? explorer[categories[category].def] : undefined;
+}
+
+function sortedNames(names) {
+  return names ? names.slice().sort() : [];
+}
+
+function isDeprecated(def) {
+  return def !== undefined && def.status === "DEPRECATED_TYPEDEF";
+}
+
+
+/*
+ * The values of an enum type, in ordinal order, as { ordinal, value, description }.
+ */
+export function enumValues(tex, enumName) {
+  const explorer = explorers(tex, "Enum")[enumName];
+  if (!explorer) {
+    return [];
+  }
+  const elements = explorer.enumDef && explorer.enumDef.elementDefs ? explorer.enumDef.elementDefs : explorer.elementDefs;
+  return elements ? elements.slice().sort((a, b) => a.ordinal - b.ordinal) : [];
+}
+
+/*
+ * True if the attribute type is one of the enum types in the tex.
+ */
+function isEnumType(tex, attributeType) {
+  return attributeType !== undefined && explorers(tex, "Enum")[attributeType.name] !== undefined;
+}
+
+
+/*
+ * The attributes of a type, including those it inherits, as a list of { attribute, inheritedFrom } sorted by
+ * attribute name - inheritedFrom is the name of the supertype that defines the attribute, or null for the
+ * type's own attributes. The inherited attributes are found by following the supertypes; if a supertype is
+ * not in the tex (e.g. it is deprecated and deprecated types are not shown) the rest are taken from the
+ * attributes the view service found the type inherits.
+ */
+export function typeAttributes(tex, category, typeName) {
+
+  const def      = typeDef(tex, category, typeName);
+  let attributes = {};
+  const add = (properties, inheritedFrom) => {
+    (properties ? properties : []).forEach(attribute => {
+      if (attributes[attribute.attributeName] === undefined) {
+        attributes[attribute.attributeName] = { attribute, inheritedFrom };
+      }
+    });
+  };
+  if (def === undefined) {
+    return [];
+  }
+
+  add(def.propertiesDefinition, null);
+  let superType = def.superType;
+  let visited   = new Set([ typeName ]);
+  while (superType && !visited.has(superType.name)) {
+    visited.add(superType.name);
+    const superDef = typeDef(tex, category, superType.name);
+    if (superDef === undefined) {
+      const explorer = explorers(tex, category)[typeName];
+      add(explorer.inheritedAttributes, superType.name);
+      break;
+    }
+    add(superDef.propertiesDefinition, superType.name);
+    superType = superDef.superType;
+  }
+  return Object.keys(attributes).sort().map(name => attributes[name]);
+}
+
+
+/*
+ * The names of the types in the selection, for each category. A single type brings in the enums it uses.
+ */
+export function selectedTypeNames(tex, selection) {
+
+  let names = {};
+  Object.keys(categories).forEach(category => { names[category] = []; });
+  if (!selection) {
+    Object.keys(categories).forEach(category => { names[category] = sortedNames(Object.keys(explorers(tex, category))); });
+    return names;
+  }
+  if (selection.category === "Enum" || typeDef(tex, selection.category, selection.typeName) === undefined) {
+    if (selection.category === "Enum" && explorers(tex, "Enum")[selection.typeName]) {
+      names.Enum = [ selection.typeName ];
+    }
+    return names;
+  }
+  names[selection.category] = [ selection.typeName ];
+  let enums = new Set();
+  typeAttributes(tex, selection.category, selection.typeName).forEach(entry => {
+    collectEnums(tex, entry.attribute.attributeType, enums);
+  });
+  names.Enum = sortedNames(Array.from(enums));
+  return names;
+}
+
+function collectEnums(tex, attributeType, enums) {
+  if (isEnumType(tex, attributeType)) {
+    enums.add(attributeType.name);
+  }
+  else if (attributeType && attributeType.argumentTypes) {
+    attributeType.argumentTypes.forEach(argumentType => collectEnums(tex, argumentType, enums));
+  }
+}
+
+
+/*
+ * The schema of an attribute type. Enums are referred to with a $ref, made by adding the enum's name to
+ * refPrefix. Collections are parsed from the name of the type (e.g. "map<string,int>") if their argument
+ * types are not given.
+ */
+export function attributeTypeSchema(tex, attributeType, refPrefix) {
+
+  if (!attributeType) {
+    return {};
+  }
+  if (isEnumType(tex, attributeType)) {
+    return { $ref : refPrefix + attributeType.name };
+  }
+  if (attributeType.category === "ENUM_DEF") {
+    return { type : "string" };   /* an enum that is not in the tex */
+  }
+  if (attributeType.primitiveDefCategory && primitiveSchemas[attributeType.primitiveDefCategory]) {
+    return Object.assign({}, primitiveSchemas[attributeType.primitiveDefCategory]);
+  }
+
+  const name = attributeType.name ? attributeType.name : "";
+  const args = attributeType.argumentTypes;
+  const collection = attributeType.collectionDefCategory ? attributeType.collectionDefCategory
+                   : name.startsWith("array<") ? "OM_COLLECTION_ARRAY"
+                   : name.startsWith("map<")   ? "OM_COLLECTION_MAP"
+                   : null;
+  if (collection === "OM_COLLECTION_ARRAY") {
+    const item = args && args.length > 0 ? args[0] : { name : name.slice(6, -1) };
+    return { type : "array", items : attributeTypeSchema(tex, item, refPrefix) };
+  }
+  if (collection === "OM_COLLECTION_MAP") {
+    const value = args && args.length > 1 ? args[1] : { name : name.slice(4, -1).split(",").pop() };
+    return { type : "object", additionalProperties : attributeTypeSchema(tex, value, refPrefix) };
+  }
+  if (collection === "OM_COLLECTION_STRUCT") {
+    return { type : "object" };
+  }
+  if (primitiveNames[name.toLowerCase()]) {
+    return Object.assign({}, primitiveSchemas[primitiveNames[name.toLowerCase()]]);
+  }
+  return {};
+}
+
+
+/*
+ * The schema of an attribute - its type, with its description and whether it is deprecated.
+ */
+function attributeSchema(tex, entry, refPrefix) {
+  const attribute = entry.attribute;
+  let schema      = attributeTypeSchema(tex, attribute.attributeType, refPrefix);
+  if (schema.$ref) {
+    schema = { allOf : [ schema ] };   /* a $ref cannot have siblings in OpenAPI 3.0 */
+  }
+  if (attribute.attributeDescription) {
+    schema.description = attribute.attributeDescription;
+  }
+  if (attribute.attributeStatus === "DEPRECATED_ATTRIBUTE") {
+    schema.deprecated = true;
+    if (attribute.replacedByAttribute) {
+      schema["x-egeria-replaced-by"] = attribute.replacedByAttribute;
+    }
+  }
+  if (entry.inheritedFrom) {
+    schema["x-egeria-inherited-from"] = entry.inheritedFrom;
+  }
+  return schema;
+}
+
+
+/*
+ * The schema of an entity, relationship or classification type. The properties are all of the type's
+ * attributes, including those it inherits; an attribute is required if it must have at least one value.
+ */
+export function typeSchema(tex, category, typeName, refPrefix) {
+
+  const def     = typeDef(tex, category, typeName);
+  const entries = typeAttributes(tex, category, typeName);
+
+  let schema = { title : typeName };
+  if (def.description) {
+    schema.description = def.description;
+  }
+  schema.type       = "object";
+  schema.properties = {};
+  entries.forEach(entry => {
+    schema.properties[entry.attribute.attributeName] = attributeSchema(tex, entry, refPrefix);
+  });
+  const required = entries.filter(entry => entry.attribute.valuesMinCount > 0).map(entry => entry.attribute.attributeName);
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  if (isDeprecated(def)) {
+    schema.deprecated = true;
+  }
+
+  schema["x-egeria-category"] = category;
+  if (def.guid) {
+    schema["x-egeria-guid"] = def.guid;
+  }
+  if (def.superType) {
+    schema["x-egeria-supertype"] = def.superType.name;
+  }
+  if (category === "Relationship") {
+    schema["x-egeria-ends"] = [ def.endDef1, def.endDef2 ].filter(end => end).map(end => ({
+      entityType  : end.entityType.name,
+      attribute   : end.attributeName,
+      cardinality : end.attributeCardinality
+    }));
+  }
+  if (category === "Classification" && def.validEntityDefs) {
+    schema["x-egeria-valid-entity-types"] = sortedNames(def.validEntityDefs.map(typeDefLink => typeDefLink.name));
+  }
+  return schema;
+}
+
+
+/*
+ * The schema of an enum type - the enum's values are strings.
+ */
+export function enumSchema(tex, enumName) {
+  const def    = typeDef(tex, "Enum", enumName);
+  const values = enumValues(tex, enumName);
+  let schema   = { title : enumName };
+  if (def && def.description) {
+    schema.description = def.description;
+  }
+  schema.type = "string";
+  schema.enum = values.map(element => element.value);
+  if (def && def.defaultValue && def.defaultValue.value !== undefined) {
+    schema.default = def.defaultValue.value;
+  }
+  if (isDeprecated(def)) {
+    schema.deprecated = true;
+  }
+  schema["x-egeria-category"] = "Enum";
+  schema["x-egeria-values"]   = values.map(element => ({ ordinal     : element.ordinal,
+                                                         value       : element.value,
+                                                         description : element.description }));
+  return schema;
+}
+
+
+/*
+ * The schemas of the selected types, as a map from type name to schema - in category order then by name.
+ */
+function selectedSchemas(tex, selection, refPrefix) {
+  const names = selectedTypeNames(tex, selection);
+  let schemas = {};
+  schemaCategories.forEach(category => {
+    names[category].forEach(typeName => { schemas[typeName] = typeSchema(tex, category, typeName, refPrefix); });
+  });
+  names.Enum.forEach(enumName => { schemas[enumName] = enumSchema(tex, enumName); });
+  return schemas;
+}
+
+
+/*
+ * A JSON Schema document for the selection. For a single type, the document is the type's schema, with the
+ * enums it uses in $defs; otherwise the schema of each type is in $defs.
+ */
+export function toJSONSchema(tex, selection, title) {
+
+  const schemas = selectedSchemas(tex, selection, "#/$defs/");
+  if (selection && selection.category !== "Enum" && schemas[selection.typeName]) {
+    let document = Object.assign({ $schema : jsonSchemaDialect }, schemas[selection.typeName]);
+    delete schemas[selection.typeName];
+    if (Object.keys(schemas).length > 0) {
+      document.$defs = schemas;
+    }
+    return document;
+  }
+  return { $schema     : jsonSchemaDialect,
+           title       : title,
+           description : "The types of the Egeria type system, exported from the Type Explorer",
+           $defs       : schemas };
+}
+
+
+/*
+ * An OpenAPI document whose components section has a schema for each of the selected types. It has no
+ * paths - it is intended to be referred to from the API designer's own documents.
+ */
+export function toOpenAPI(tex, selection, title) {
+  return { openapi    : openAPIVersion,
+           info       : { title       : title,
+                          description : "The types of the Egeria type system, exported from the Type Explorer",
+                          version     : "1.0.0" },
+           paths      : {},
+           components : { schemas : selectedSchemas(tex, selection, "#/components/schemas/") } };
+}
+
+
+/*
+ * Markdown helpers - the anchor of a type's section, a link to a type (or just its name if the type is not
+ * in the document), and the text of a table cell.
+ */
+function anchor(category, typeName) {
+  return (category + "-" + typeName).toLowerCase();
+}
+
+function escapeMarkdown(text) {
+  return text === undefined || text === null ? "" : String(text).replace(/([\\`*_[\]|<>])/g, "\\$1");
+}
+
+function cell(text) {
+  return escapeMarkdown(text).replace(/\r?\n/g, " ");
+}
+
+
+/*
+ * Browsable Markdown documentation of the selected types - a contents list, then a section for each type
+ * with its description, supertype and subtypes, attributes (including those it inherits) and, for entities,
+ * the relationships and classifications it can have, for relationships its ends and for classifications
+ * the entity types it can be attached to. Enums are documented with their values.
+ */
+export function toMarkdown(tex, selection, title) {
+
+  const names    = selectedTypeNames(tex, selection);
+  const included = (category, typeName) => names[category].includes(typeName);
+  const link     = (category, typeName) => included(category, typeName)
+                                           ? "[" + escapeMarkdown(typeName) + "](#" + anchor(category, typeName) + ")"
+                                           : escapeMarkdown(typeName);
+  const headings = { Entity         : "Entity Types",
+                     Relationship   : "Relationship Types",
+                     Classification : "Classification Types",
+                     Enum           : "Enum Types" };
+
+  let lines = [ "# " + escapeMarkdown(title), "" ];
+
+  Object.keys(categories).filter(category => names[category].length > 0).forEach(category => {
+    lines.push("- " + headings[category] + " : " + names[category].map(typeName => link(category, typeName)).join(", "));
+  });
+
+  const nameList = (category, typeNames) => typeNames.length > 0
+                                            ? typeNames.map(typeName => link(category, typeName)).join(", ")
+                                            : "none";
+
+  const attributeTable = (category, typeName) => {
+    const entries = typeAttributes(tex, category, typeName);
+    if (entries.length === 0) {
+      return [ "Attributes : none", "" ];
+    }
+    let table = [ "| Attribute | Type | Description | Inherited from |", "| --- | --- | --- | --- |" ];
+    entries.forEach(entry => {
+      const attribute = entry.attribute;
+      const attributeTypeName = attribute.attributeType ? attribute.attributeType.name : "";
+      const name      = attribute.attributeStatus === "DEPRECATED_ATTRIBUTE"
+                        ? "\\[" + cell(attribute.attributeName) + "\\]" +
+                          (attribute.replacedByAttribute ? " (use " + cell(attribute.replacedByAttribute) + ")" : " (deprecated)")
+                        : cell(attribute.attributeName);
+      table.push("| " + name +
+                 " | " + (isEnumType(tex, attribute.attributeType) ? link("Enum", attributeTypeName) : cell(attributeTypeName)) +
+                 " | " + cell(attribute.attributeDescription) +
+                 " | " + (entry.inheritedFrom ? link(category, entry.inheritedFrom) : "") + " |");
+    });
+    return table.concat([ "" ]);
+  };
+
+  schemaCategories.concat([ "Enum" ]).filter(category => names[category].length > 0).forEach(category => {
+
+    lines.push("", "## " + headings[category]);
+
+    names[category].forEach(typeName => {
+
+      const explorer = explorers(tex, category)[typeName];
+      const def      = typeDef(tex, category, typeName);
+
+      lines.push("", "<a id=\"" + anchor(category, typeName) + "\"></a>", "",
+                 "### " + (isDeprecated(def) ? "\\[" + escapeMarkdown(typeName) + "\\]" : escapeMarkdown(typeName)), "");
+      if (def.description) {
+        lines.push(escapeMarkdown(def.description), "");
+      }
+      lines.push("- Status : " + (def.status ? def.status : "not known"));
+      if (def.guid) {
+        lines.push("- GUID : `" + def.guid + "`");
+      }
+      if (category !== "Enum") {
+        lines.push("- Supertype : " + (def.superType ? link(category, def.superType.name) : "none"));
+      }
+      if (category === "Entity") {
+        lines.push("- Subtypes : " + nameList("Entity", sortedNames(explorer.subTypeNames)));
+        lines.push("- Relationships : " + nameList("Relationship",
+                     sortedNames((explorer.relationshipNames ? explorer.relationshipNames : [])
+                                 .concat(explorer.inheritedRelationshipNames ? explorer.inheritedRelationshipNames : []))));
+        lines.push("- Classifications : " + nameList("Classification",
+                     sortedNames((explorer.classificationNames ? explorer.classificationNames : [])
+                                 .concat(explorer.inheritedClassificationNames ? explorer.inheritedClassificationNames : []))));
+      }
+      if (category === "Classification") {
+        lines.push("- Valid entity types : " + nameList("Entity",
+                     sortedNames(def.validEntityDefs ? def.validEntityDefs.map(typeDefLink => typeDefLink.name) : [])));
+      }
+      lines.push("");
+
+      if (category === "Relationship") {
+        lines.push("| End | Entity type | Attribute | Cardinality |", "| --- | --- | --- | --- |");
+        [ def.endDef1, def.endDef2 ].forEach((end, i) => {
+          if (end) {
+            lines.push("| " + (i + 1) + " | " + link("Entity", end.entityType.name) + " | " + cell(end.attributeName) +
+                       " | " + cell(end.attributeCardinality) + " |");
+          }
+        });
+        lines.push("");
+      }
+
+      if (category === "Enum") {
+        const values = enumValues(tex, typeName);
+        if (values.length === 0) {
+          lines.push("Values : none", "");
+        }
+        else {
+          lines.push("| Ordinal | Value | Description |", "| --- | --- | --- |");
+          values.forEach(element => {
+            lines.push("| " + element.ordinal + " | " + cell(element.value) + " | " + cell(element.description) + " |");
+          });
+          lines.push("");
+        }
+      }
+      else {
+        lines = lines.concat(attributeTable(category, typeName));
+      }
+    });
+  });
+
+  return lines.join("\n");
+}
+
+
+/*
+ * Download content as a file.
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const blob    = new Blob([content], { type: mimeType });
+  const link    = document.createElement("a");
+  link.href     = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
@@ -302,6 +302,7 @@ const TypesContextProvider = (props) => {
         getClassificationType,
         getEnumType,
         isTypeDeprecated,
+        serverName,
         setPlatformName,
         setServerName,
         deprecatedAttributeOption,
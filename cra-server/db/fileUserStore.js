@@ -0,0 +1,45 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const memoryUserStore = require("./memoryUserStore");
+const logger = require("../functions/logger");
+
+/**
+ * Create a user store from a JSON or YAML file. Files ending in .yaml or .yml are parsed as YAML, anything else as JSON.
+ * The file contains either an array of user records or an object with a users array, for example
+ *   { "users": [ { "id": 1, "username": "garygeeke", "passwordHash": "scrypt$...", "displayName": "Gary Geeke",
+ *                  "emails": [ { "value": "gary@coco.com" } ], "organizationName": "myOrg" } ] }
+ * The file is read once when the store is created; an error is thrown if it cannot be read or is not valid.
+ * @param {*} filePath path of the user store file, relative paths are resolved against the current directory
+ */
+const fileUserStore = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+  const content = fs.readFileSync(resolvedPath, "utf8");
+  const extension = path.extname(resolvedPath).toLowerCase();
+  const parsed =
+    extension === ".yaml" || extension === ".yml"
+      ? yaml.safeLoad(content)
+      : JSON.parse(content);
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.users;
+  if (!Array.isArray(records)) {
+    throw new Error("User store file " + resolvedPath + " does not contain a list of users");
+  }
+  const usernames = new Set();
+  records.forEach((record, index) => {
+    if (record.id === undefined || !record.username || !record.passwordHash) {
+      throw new Error(
+        "User store file " + resolvedPath + " user at position " + index + " needs an id, username and passwordHash"
+      );
+    }
+    if (usernames.has(record.username)) {
+      throw new Error("User store file " + resolvedPath + " has duplicate username " + record.username);
+    }
+    usernames.add(record.username);
+  });
+  logger.info("Loaded users", { count: records.length, file: resolvedPath });
+  return memoryUserStore(records);
+};
+
+module.exports = fileUserStore;
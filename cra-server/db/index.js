@@ -1,5 +1,35 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
 const users = require('./users.js');
+const fileUserStore = require('./fileUserStore');
+
+// file user stores are cached by path so tenants sharing a file share a store
+const fileUserStores = {};
+
+/**
+ * Get the user store for a tenant. The store is chosen by the optional userStore property of the tenant's
+ * server details (see getServerInfoFromEnv), for example
+ *   "userStore": { "type": "file", "path": "/etc/egeria/users.yaml" }
+ * If there is no userStore, or its type is "demo", the built in demo users are used.
+ * An error is thrown if the userStore is not valid.
+ * @param {*} serverDetails the tenant's server details
+ */
+const getUserStore = (serverDetails) => {
+  const userStoreConfig = serverDetails && serverDetails.userStore;
+  if (!userStoreConfig || userStoreConfig.type === undefined || userStoreConfig.type === "demo") {
+    return users;
+  }
+  if (userStoreConfig.type === "file") {
+    if (!userStoreConfig.path) {
+      throw new Error("File user store configured without a path");
+    }
+    if (!fileUserStores[userStoreConfig.path]) {
+      fileUserStores[userStoreConfig.path] = fileUserStore(userStoreConfig.path);
+    }
+    return fileUserStores[userStoreConfig.path];
+  }
+  throw new Error("Unknown user store type " + userStoreConfig.type);
+};
 
 exports.users = users;
+exports.getUserStore = getUserStore;
@@ -0,0 +1,39 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/**
+ * Create a user store over an in memory array of user records. Every user store exposes
+ *   findById(id, cb)             - cb(err, user), err if there is no such user
+ *   findByUsername(username, cb) - cb(err, user), user is null if there is no such user
+ * A user record has an id, username, passwordHash (see passwords.js), displayName, emails and organizationName.
+ * Copies of the records are returned so callers can safely remove the passwordHash.
+ * @param {*} records array of user records
+ */
+const memoryUserStore = (records) => {
+  const findById = (id, cb) => {
+    process.nextTick(function () {
+      const record = records.find((record) => record.id === id);
+      if (record) {
+        return cb(null, Object.assign({}, record));
+      }
+      return cb(new Error("User " + id + " does not exist"));
+    });
+  };
+
+  const findByUsername = (username, cb) => {
+    process.nextTick(function () {
+      const record = records.find((record) => record.username === username);
+      if (record) {
+        return cb(null, Object.assign({}, record));
+      }
+      return cb(null, null);
+    });
+  };
+
+  return {
+    findById,
+    findByUsername,
+  };
+};
+
+module.exports = memoryUserStore;
@@ -0,0 +1,58 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const crypto = require("crypto");
+
+/**
+ * Salted password hashing for the user stores. Hashes are held as a single string of the form
+ *   scrypt$<salt as hex>$<derived key as hex>
+ * so that they can be pasted into a user store file. To generate a hash for a user store file run
+ *   npm run hash-password -- <password>
+ */
+const SCHEME = "scrypt";
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a newly generated random salt.
+ * @param {*} password the plaintext password
+ * @returns the hash string to store against the user
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return [SCHEME, salt.toString("hex"), key.toString("hex")].join("$");
+};
+
+/**
+ * Check a supplied password against a stored hash. The callback is called with true if the password matches.
+ * A malformed or missing hash never matches.
+ * @param {*} password the plaintext password supplied at login
+ * @param {*} passwordHash the hash string held in the user store
+ * @param {*} cb callback(err, matches)
+ */
+const verifyPassword = (password, passwordHash, cb) => {
+  const parts = typeof passwordHash === "string" ? passwordHash.split("$") : [];
+  if (parts.length !== 3 || parts[0] !== SCHEME || typeof password !== "string") {
+    return process.nextTick(() => cb(null, false));
+  }
+  const salt = Buffer.from(parts[1], "hex");
+  const expectedKey = Buffer.from(parts[2], "hex");
+  crypto.scrypt(password, salt, expectedKey.length, (err, key) => {
+    if (err) {
+      return cb(err);
+    }
+    cb(null, key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey));
+  });
+};
+
+exports.hashPassword = hashPassword;
+exports.verifyPassword = verifyPassword;
+
+if (require.main === module) {
+  const password = process.argv[2];
+  if (!password) {
+    console.log("Usage: npm run hash-password -- <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
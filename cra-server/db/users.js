@@ -1,66 +1,50 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
-var records = [
+const memoryUserStore = require("./memoryUserStore");
+const passwords = require("./passwords");
 
-{ id: 2, username: 'faithbroker', password: 'admin', displayName: 'Faith Broker', emails: [ { value: 'faith@coco.com' } ], organizationName: 'myOrg' }
-, { id: 4, username: 'calliequartile', password: 'admin', displayName: 'Callie Quartile', emails: [ { value: 'callie@coco.com' } ], organizationName: 'myOrg' }
-, { id: 6, username: 'garygeeke', password: 'admin', displayName: 'Gary Geeke', emails: [ { value: 'gary@coco.com' } ], organizationName: 'myOrg' }
-, { id: 8, username: 'erinoverview', password: 'admin', displayName: 'Erin Overview', emails: [ { value: 'erin@coco.com' } ], organizationName: 'myOrg' }
-, { id: 12, username: 'tanyatidie', password: 'admin', displayName: 'Tanya Tidie', emails: [ { value: 'tanyatidie@coco.com' } ], organizationName: 'myOrg' }
-, { id: 13, username: 'pollytasker', password: 'admin', displayName: 'Polly Tasker', emails: [ { value: 'pollytasker@coco.com' } ], organizationName: 'myOrg' }
-, { id: 14, username: 'tessatube', password: 'admin', displayName: 'Tessa Tube', emails: [ { value: 'tessatube@coco.com' } ], organizationName: 'myOrg' }
-, { id: 15, username: 'ivorpadlock', password: 'admin', displayName: 'Ivor Padlock', emails: [ { value: 'ivorpadlock@coco.com' } ], organizationName: 'myOrg' }
-, { id: 16, username: 'bobnitter', password: 'admin', displayName: 'Bob Nitter', emails: [ { value: 'bobnitter@coco.com' } ], organizationName: 'myOrg' }
-, { id: 17, username: 'sallycounter', password: 'admin', displayName: 'Sally Counter', emails: [ { value: 'sallycounter@coco.com' } ], organizationName: 'myOrg' }
-, { id: 18, username: 'lemmiestage', password: 'admin', displayName: 'Lemmie Stage', emails: [ { value: 'lemmiestage@coco.com' } ], organizationName: 'myOrg' }
-, { id: 19, username: 'harryhopeful', password: 'admin', displayName: 'Harry Hopeful', emails: [ { value: 'harryhopeful@coco.com' } ], organizationName: 'myOrg' }
-, { id: 20, username: 'grantable', password: 'admin', displayName: 'Grant Able', emails: [ { value: 'grantable@coco.com' } ], organizationName: 'myOrg' }
-, { id: 21, username: 'robbierecords', password: 'admin', displayName: 'Robbie Records', emails: [ { value: 'robbierecords@coco.com' } ], organizationName: 'myOrg' }
-, { id: 22, username: 'reggiemint', password: 'admin', displayName: 'Reggie Mint', emails: [ { value: 'reggiemint@coco.com' } ], organizationName: 'myOrg' }
-, { id: 23, username: 'peterprofile', password: 'admin', displayName: 'Peter Profile', emails: [ { value: 'peterprofile@coco.com' } ], organizationName: 'myOrg' }
-, { id: 24, username: 'nancynoah', password: 'admin', displayName: 'Nancy Noah', emails: [ { value: 'nancynoah@coco.com' } ], organizationName: 'myOrg' }
-, { id: 25, username: 'sidneyseeker', password: 'admin', displayName: 'Sidney Seeker', emails: [ { value: 'sidneyseeker@coco.com' } ], organizationName: 'myOrg' }
-, { id: 26, username: 'tomtally', password: 'admin', displayName: 'Tom Tally', emails: [ { value: 'tomtally@coco.com' } ], organizationName: 'myOrg' }
-, { id: 27, username: 'juliestitched', password: 'admin', displayName: 'Julie Stitched', emails: [ { value: 'juliestitched@coco.com' } ], organizationName: 'myOrg' }
-, { id: 28, username: 'designa', password: 'admin', displayName: 'Designa', emails: [ { value: 'designa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 29, username: 'angelacummings', password: 'admin', displayName: 'Angela Cummings', emails: [ { value: 'angelacummings@coco.com' } ], organizationName: 'myOrg' }
-, { id: 30, username: 'jukeskeeper', password: 'admin', displayName: 'Jukes Keeper', emails: [ { value: 'jukeskeeper@coco.com' } ], organizationName: 'myOrg' }
-, { id: 31, username: 'stewfaster', password: 'admin', displayName: 'Stew Faster', emails: [ { value: 'stewfaster@coco.com' } ], organizationName: 'myOrg' }
-, { id: 32, username: 'archiver01', password: 'admin', displayName: 'Archiver 01', emails: [ { value: 'archiver01@coco.com' } ], organizationName: 'myOrg' }
-, { id: 33, username: 'dletl', password: 'admin', displayName: 'Dletl', emails: [ { value: 'dletl@coco.com' } ], organizationName: 'myOrg' }
-, { id: 34, username: 'cocomds1npa', password: 'admin', displayName: 'Coco MDS1 NPA', emails: [ { value: 'cocomds1npa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 35, username: 'cocomds2npa', password: 'admin', displayName: 'Coco MDS2 NPA', emails: [ { value: 'cocomds2npa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 36, username: 'cocomds3npa', password: 'admin', displayName: 'Coco MDS3 NPA', emails: [ { value: 'cocomds3npa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 37, username: 'cocomds4npa', password: 'admin', displayName: 'Coco MDS4 NPA', emails: [ { value: 'cocomds4npa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 38, username: 'cocomds5npa', password: 'admin', displayName: 'Coco MDS5 NPA', emails: [ { value: 'cocomds5npa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 39, username: 'cocomds6npa', password: 'admin', displayName: 'Coco MDS6 NPA', emails: [ { value: 'cocomds6npa@coco.com' } ], organizationName: 'myOrg' }
-, { id: 40, username: 'cocomdsxnpa', password: 'admin', displayName: 'Coco MDSX NPA', emails: [ { value: 'cocomdsxnpa@coco.com' } ], organizationName: 'myOrg' }
+// The demo Coco Pharmaceuticals personas all have the password 'admin'. This is the default user store
+// for a tenant that does not configure one; it is not appropriate for anything other than a demo.
+// Personas without roles are viewers (see authorization.js).
+const demoPasswordHash = passwords.hashPassword("admin");
 
+const records = [
+
+{ id: 2, username: 'faithbroker', passwordHash: demoPasswordHash, roles: [ 'steward' ], displayName: 'Faith Broker', emails: [ { value: 'faith@coco.com' } ], organizationName: 'myOrg' }
+, { id: 4, username: 'calliequartile', passwordHash: demoPasswordHash, displayName: 'Callie Quartile', emails: [ { value: 'callie@coco.com' } ], organizationName: 'myOrg' }
+, { id: 6, username: 'garygeeke', passwordHash: demoPasswordHash, roles: [ 'admin' ], displayName: 'Gary Geeke', emails: [ { value: 'gary@coco.com' } ], organizationName: 'myOrg' }
+, { id: 8, username: 'erinoverview', passwordHash: demoPasswordHash, displayName: 'Erin Overview', emails: [ { value: 'erin@coco.com' } ], organizationName: 'myOrg' }
+, { id: 12, username: 'tanyatidie', passwordHash: demoPasswordHash, displayName: 'Tanya Tidie', emails: [ { value: 'tanyatidie@coco.com' } ], organizationName: 'myOrg' }
+, { id: 13, username: 'pollytasker', passwordHash: demoPasswordHash, displayName: 'Polly Tasker', emails: [ { value: 'pollytasker@coco.com' } ], organizationName: 'myOrg' }
+, { id: 14, username: 'tessatube', passwordHash: demoPasswordHash, displayName: 'Tessa Tube', emails: [ { value: 'tessatube@coco.com' } ], organizationName: 'myOrg' }
+, { id: 15, username: 'ivorpadlock', passwordHash: demoPasswordHash, displayName: 'Ivor Padlock', emails: [ { value: 'ivorpadlock@coco.com' } ], organizationName: 'myOrg' }
+, { id: 16, username: 'bobnitter', passwordHash: demoPasswordHash, displayName: 'Bob Nitter', emails: [ { value: 'bobnitter@coco.com' } ], organizationName: 'myOrg' }
+, { id: 17, username: 'sallycounter', passwordHash: demoPasswordHash, displayName: 'Sally Counter', emails: [ { value: 'sallycounter@coco.com' } ], organizationName: 'myOrg' }
+, { id: 18, username: 'lemmiestage', passwordHash: demoPasswordHash, displayName: 'Lemmie Stage', emails: [ { value: 'lemmiestage@coco.com' } ], organizationName: 'myOrg' }
+, { id: 19, username: 'harryhopeful', passwordHash: demoPasswordHash, displayName: 'Harry Hopeful', emails: [ { value: 'harryhopeful@coco.com' } ], organizationName: 'myOrg' }
+, { id: 20, username: 'grantable', passwordHash: demoPasswordHash, displayName: 'Grant Able', emails: [ { value: 'grantable@coco.com' } ], organizationName: 'myOrg' }
+, { id: 21, username: 'robbierecords', passwordHash: demoPasswordHash, displayName: 'Robbie Records', emails: [ { value: 'robbierecords@coco.com' } ], organizationName: 'myOrg' }
+, { id: 22, username: 'reggiemint', passwordHash: demoPasswordHash, displayName: 'Reggie Mint', emails: [ { value: 'reggiemint@coco.com' } ], organizationName: 'myOrg' }
+, { id: 23, username: 'peterprofile', passwordHash: demoPasswordHash, displayName: 'Peter Profile', emails: [ { value: 'peterprofile@coco.com' } ], organizationName: 'myOrg' }
+, { id: 24, username: 'nancynoah', passwordHash: demoPasswordHash, displayName: 'Nancy Noah', emails: [ { value: 'nancynoah@coco.com' } ], organizationName: 'myOrg' }
+, { id: 25, username: 'sidneyseeker', passwordHash: demoPasswordHash, displayName: 'Sidney Seeker', emails: [ { value: 'sidneyseeker@coco.com' } ], organizationName: 'myOrg' }
+, { id: 26, username: 'tomtally', passwordHash: demoPasswordHash, displayName: 'Tom Tally', emails: [ { value: 'tomtally@coco.com' } ], organizationName: 'myOrg' }
+, { id: 27, username: 'juliestitched', passwordHash: demoPasswordHash, displayName: 'Julie Stitched', emails: [ { value: 'juliestitched@coco.com' } ], organizationName: 'myOrg' }
+, { id: 28, username: 'designa', passwordHash: demoPasswordHash, displayName: 'Designa', emails: [ { value: 'designa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 29, username: 'angelacummings', passwordHash: demoPasswordHash, displayName: 'Angela Cummings', emails: [ { value: 'angelacummings@coco.com' } ], organizationName: 'myOrg' }
+, { id: 30, username: 'jukeskeeper', passwordHash: demoPasswordHash, displayName: 'Jukes Keeper', emails: [ { value: 'jukeskeeper@coco.com' } ], organizationName: 'myOrg' }
+, { id: 31, username: 'stewfaster', passwordHash: demoPasswordHash, displayName: 'Stew Faster', emails: [ { value: 'stewfaster@coco.com' } ], organizationName: 'myOrg' }
+, { id: 32, username: 'archiver01', passwordHash: demoPasswordHash, displayName: 'Archiver 01', emails: [ { value: 'archiver01@coco.com' } ], organizationName: 'myOrg' }
+, { id: 33, username: 'dletl', passwordHash: demoPasswordHash, displayName: 'Dletl', emails: [ { value: 'dletl@coco.com' } ], organizationName: 'myOrg' }
+, { id: 34, username: 'cocomds1npa', passwordHash: demoPasswordHash, displayName: 'Coco MDS1 NPA', emails: [ { value: 'cocomds1npa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 35, username: 'cocomds2npa', passwordHash: demoPasswordHash, displayName: 'Coco MDS2 NPA', emails: [ { value: 'cocomds2npa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 36, username: 'cocomds3npa', passwordHash: demoPasswordHash, displayName: 'Coco MDS3 NPA', emails: [ { value: 'cocomds3npa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 37, username: 'cocomds4npa', passwordHash: demoPasswordHash, displayName: 'Coco MDS4 NPA', emails: [ { value: 'cocomds4npa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 38, username: 'cocomds5npa', passwordHash: demoPasswordHash, displayName: 'Coco MDS5 NPA', emails: [ { value: 'cocomds5npa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 39, username: 'cocomds6npa', passwordHash: demoPasswordHash, displayName: 'Coco MDS6 NPA', emails: [ { value: 'cocomds6npa@coco.com' } ], organizationName: 'myOrg' }
+, { id: 40, username: 'cocomdsxnpa', passwordHash: demoPasswordHash, displayName: 'Coco MDSX NPA', emails: [ { value: 'cocomdsxnpa@coco.com' } ], organizationName: 'myOrg' }
 
-];
 
-exports.findById = function (id, cb) {
-  process.nextTick(function () {
-    console.log("findByUserId");
-    for (var i = 0, len = records.length; i < len; i++) {
-      var record = records[i];
-      if (record.id === id) {
-        return cb(null, Object.assign({}, record));
-      }
-    }
-    return cb(new Error("User " + id + " does not exist"));
-  });
-};
+];
 
-exports.findByUsername = function(username, cb) {
-process.nextTick(function() {
-console.log("findByUsername");
-for (var i = 0, len = records.length; i < len; i++) {
-  var record = records[i];
-  if (record.username === username) {
-    return cb(null, Object.assign({}, record));
-  }
-}
-return cb(null, null);
-});
-}
+module.exports = memoryUserStore(records);
@@ -0,0 +1,60 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const ldap = require("ldapjs");
+
+/**
+ * A stand-in LDAP directory for developing and testing the presentation server's LDAP login without a corporate directory.
+ * It holds some of the Coco Pharmaceuticals personas, each with the password 'admin'. Run it with
+ *   npm run ldap-stand-in
+ * and configure a tenant to use it with
+ *   EGERIA_PRESENTATIONSERVER_LDAP_aaa={"url":"ldap://localhost:1389","bindDN":"cn=admin,dc=coco,dc=com","bindCredentials":"admin","searchBase":"ou=people,dc=coco,dc=com"}
+ * This is not a real directory; never use it outside a development machine.
+ */
+const PORT = process.env.LDAP_STAND_IN_PORT || 1389;
+const SUFFIX = "dc=coco,dc=com";
+const PEOPLE = "ou=people," + SUFFIX;
+const ADMIN_DN = "cn=admin," + SUFFIX;
+const PASSWORD = "admin";
+
+const people = [
+  { uid: "garygeeke", cn: "Gary Geeke", mail: "gary@coco.com" },
+  { uid: "faithbroker", cn: "Faith Broker", mail: "faith@coco.com" },
+  { uid: "calliequartile", cn: "Callie Quartile", mail: "callie@coco.com" },
+  { uid: "erinoverview", cn: "Erin Overview", mail: "erin@coco.com" },
+  { uid: "peterprofile", cn: "Peter Profile", mail: "peterprofile@coco.com" },
+];
+
+const entries = people.map((person) => ({
+  dn: ldap.parseDN("uid=" + person.uid + "," + PEOPLE),
+  attributes: {
+    objectclass: ["top", "person", "inetOrgPerson"],
+    uid: person.uid,
+    cn: person.cn,
+    mail: person.mail,
+    o: "Coco Pharmaceuticals",
+  },
+}));
+
+const server = ldap.createServer();
+
+// the admin (used for searching) and every person can bind with the password
+server.bind(SUFFIX, (req, res, next) => {
+  const known = req.dn.equals(ADMIN_DN) || entries.some((entry) => req.dn.equals(entry.dn));
+  if (!known || req.credentials !== PASSWORD) {
+    return next(new ldap.InvalidCredentialsError());
+  }
+  res.end();
+  return next();
+});
+
+server.search(PEOPLE, (req, res, next) => {
+  entries
+    .filter((entry) => req.filter.matches(entry.attributes))
+    .forEach((entry) => res.send({ dn: entry.dn.toString(), attributes: entry.attributes }));
+  res.end();
+  return next();
+});
+
+server.listen(PORT, () => {
+  console.log("Stand-in LDAP server listening at " + server.url);
+});
@@ -0,0 +1,84 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * Audit log of the operations that change Egeria: every post, put and delete request the presentation server passes on
+ * to a view server or the admin services. Each record is one line of JSON, appended to the file named by the
+ * environment variable EGERIA_PRESENTATIONSERVER_AUDIT_LOG (default ./audit.log), for example
+ *   {"time":"...","correlationId":"...","user":"garygeeke","tenant":"coco","server":"cocoView1",
+ *    "platform":"https://localhost:9443","method":"POST","operation":"/servers/coco/rex/...","status":200}
+ * The file is only ever appended to; rotate and retain it with the platform's tools.
+ */
+const AUDIT_LOG_ENV = "EGERIA_PRESENTATIONSERVER_AUDIT_LOG";
+const mutatingMethods = ["POST", "PUT", "DELETE"];
+
+let fileDescriptor;
+
+/**
+ * Append a record to the audit log, opening it on first use. The record is written before this returns, so records are
+ * not lost if the presentation server stops.
+ * @param {*} record the audit record
+ */
+const writeRecord = (record) => {
+  const filePath = path.resolve(process.env[AUDIT_LOG_ENV] || "./audit.log");
+  try {
+    if (fileDescriptor === undefined) {
+      fileDescriptor = fs.openSync(filePath, "a", 0o600);
+      logger.info("Audit log opened", { file: filePath });
+    }
+    fs.writeSync(fileDescriptor, JSON.stringify(logger.redact(record)) + "\n");
+  } catch (error) {
+    logger.error("Audit log cannot be written", { file: filePath, error, record });
+  }
+};
+
+/**
+ * Middleware factory to write an audit record for each mutating request, once its response is sent.
+ * @param {*} getTenant function(req) returning the tenant the request is for
+ * @param {*} getServer function(req, serverDetails) returning the Egeria server the request operates on
+ */
+const auditMutations = (getTenant, getServer) => (req, res, next) => {
+  if (!mutatingMethods.includes(req.method)) {
+    return next();
+  }
+  res.on("finish", () => {
+    const tenant = getTenant(req);
+    const serverDetails = req.app.get("servers")[tenant] || {};
+    writeRecord({
+      time: new Date().toISOString(),
+      correlationId: req.correlationId,
+      user: req.user ? req.user.username : undefined,
+      tenant,
+      server: getServer(req, serverDetails),
+      platform: serverDetails.remoteURL,
+      method: req.method,
+      operation: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+    });
+  });
+  next();
+};
+
+/**
+ * Middleware to audit requests to a view service, of the form /servers/<tenant>/<view service>/...; the server is the
+ * tenant's view server.
+ */
+const auditViewService = auditMutations(
+  (req) => req.url.split("/")[2],
+  (req, serverDetails) => serverDetails.remoteServerName
+);
+
+/**
+ * Middleware to audit requests to the admin services, where the tenant is the tenantId in the query string or body;
+ * the server is the one named in the url, the one being configured.
+ */
+const auditAdminService = auditMutations(
+  (req) => (req.body && req.body.tenantId) || req.query.tenantId,
+  (req) => (req.path.match(/\/servers\/([^/]+)/) || [])[1]
+);
+
+exports.auditViewService = auditViewService;
+exports.auditAdminService = auditAdminService;
@@ -0,0 +1,232 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/**
+ * Role based authorization. The roles are ordered; each role can do everything the roles before it can.
+ *   viewer   - explore types and instances
+ *   steward  - also author metadata content such as glossaries
+ *   operator - also operate platforms and servers (Dino, platform services)
+ *   admin    - also configure and delete servers (Server Author, admin services)
+ * A user's roles are held on the user record; a user without roles is a viewer.
+ * A tenant can also restrict the tools that are enabled for it (see tenantConfiguration), whatever the user's roles.
+ */
+const roles = ["viewer", "steward", "operator", "admin"];
+
+// the role needed to use each tool, and the view service (the segment after the tenant in /servers/ urls) it calls.
+// An explicit tool is only enabled for tenants that list it in their tools.
+const tools = {
+  "type-explorer": { role: "viewer", viewService: "tex" },
+  "repository-explorer": { role: "viewer", viewService: "rex" },
+  "glossary-author": { role: "steward", viewService: "glossary-author" },
+  "dino": { role: "operator", viewService: "dino" },
+  "server-author": { role: "admin" },
+  // administers every tenant, not just the one the user is logged in to
+  "tenant-admin": { role: "admin", explicit: true },
+};
+
+/**
+ * Get the known roles from a list, ignoring anything that is not a role, so roles can be taken from directory
+ * attributes or identity provider claims that also hold other values.
+ * @param {*} values a role, a list of roles or undefined
+ */
+const toRoles = (values) => {
+  const known = (values === undefined ? [] : [].concat(values)).filter((value) => roles.includes(value));
+  return known.length > 0 ? known : ["viewer"];
+};
+
+/**
+ * Check whether a user has a role, or a role after it.
+ * @param {*} user the logged in user
+ * @param {*} role the role needed
+ */
+const hasRole = (user, role) => {
+  const rank = Math.max(...toRoles(user.roles).map((userRole) => roles.indexOf(userRole)));
+  return rank >= roles.indexOf(role);
+};
+
+// the read-only operations of the view services whose other operations change metadata, by view service. An operation
+// is the part of the url after /users/<user>/. The read-only operations need the role of the tool that calls the view
+// service; any operation that is not listed needs the steward role as well, so new or unexpected operations are not
+// open to viewers.
+const readOnlyOperations = {
+  rex: [
+    "resource-endpoints",
+    "types",
+    "instances/entity",
+    "instances/entity/history",
+    "instances/relationship",
+    "instances/relationship/history",
+    "instances/entities/by-property-value",
+    "instances/entities/by-property",
+    "instances/entities/by-classification",
+    "instances/relationships/by-property-value",
+    "instances/relationships/by-property",
+    "instances/pre-traversal",
+    "instances/traversal",
+  ],
+};
+
+const toolNames = Object.keys(tools);
+const viewServiceNames = toolNames.filter((tool) => tools[tool].viewService).map((tool) => tools[tool].viewService);
+
+/**
+ * Check whether a tenant has any of the tools enabled. A tenant without a tools list has all the tools enabled,
+ * apart from the explicit ones, and services that no tool uses.
+ * @param {*} serverDetails the tenant's configuration
+ * @param {*} toolsToCheck the tools
+ */
+const isEnabled = (serverDetails, toolsToCheck) =>
+  serverDetails.tools
+    ? toolsToCheck.some((tool) => serverDetails.tools.includes(tool))
+    : toolsToCheck.length == 0 || toolsToCheck.some((tool) => !tools[tool].explicit);
+
+/**
+ * The tools a user can use on their tenant, so the client only offers those.
+ * @param {*} user the logged in user
+ * @param {*} serverDetails the configuration of the tenant the user is logged in to
+ */
+const permittedTools = (user, serverDetails) =>
+  toolNames.filter((tool) => hasRole(user, tools[tool].role) && isEnabled(serverDetails, [tool]));
+
+/**
+ * The user's highest role, so the client can offer the operations that need more than a tool's role.
+ * @param {*} user the logged in user
+ */
+const highestRole = (user) => roles[Math.max(...toRoles(user.roles).map((userRole) => roles.indexOf(userRole)))];
+
+/**
+ * Add the permitted tools and the highest role to a copy of the user, as returned to the client.
+ * @param {*} user the logged in user
+ * @param {*} serverDetails the configuration of the tenant the user is logged in to
+ */
+const withPermittedTools = (user, serverDetails) =>
+  Object.assign({}, user, { tools: permittedTools(user, serverDetails), role: highestRole(user) });
+
+/**
+ * The tool that calls a view service, if any.
+ * @param {*} viewService the view service name
+ */
+const toolForViewService = (viewService) => toolNames.find((tool) => tools[tool].viewService === viewService);
+
+/**
+ * The role needed to call a view service. View services no tool is known to use need the admin role.
+ * @param {*} viewService the view service name
+ */
+const roleForViewService = (viewService) => {
+  const tool = toolForViewService(viewService);
+  return tool ? tools[tool].role : "admin";
+};
+
+/**
+ * The operation of a url of the form /servers/<tenant>/<view service>/users/<user>/<operation>, as the view service
+ * sees it: percent-encoded characters are decoded and empty segments (e.g. from a trailing slash) are left out. Returns
+ * null if the operation cannot be decoded.
+ * @param {*} url the request url
+ */
+const operationOfUrl = (url) => {
+  try {
+    return url
+      .split("?")[0]
+      .split("/")
+      .slice(6)
+      .map((segment) => decodeURIComponent(segment))
+      .filter((segment) => segment.length > 0)
+      .join("/");
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The role needed to call an operation of a view service, from a url of the form
+ * /servers/<tenant>/<view service>/users/<user>/<operation>. This is the role of the view service, and for the view
+ * services that change metadata at least steward for any operation that is not read-only (see readOnlyOperations).
+ * @param {*} url the request url
+ */
+const roleForViewServiceOperation = (url) => {
+  const viewService = url.split("?")[0].split("/")[3];
+  const role = roleForViewService(viewService);
+  const readOnly = readOnlyOperations[viewService];
+  if (!readOnly || readOnly.includes(operationOfUrl(url))) {
+    return role;
+  }
+  return roles.indexOf(role) >= roles.indexOf("steward") ? role : "steward";
+};
+
+/**
+ * Middleware factory to authorize a request. The request is rejected with 401 if there is no logged in user, or 403
+ * if the user logged in to a different tenant, does not have the role or none of the tools using the service are
+ * enabled for the tenant.
+ * @param {*} getRole function(req) returning the role the request needs
+ * @param {*} getTenant function(req) returning the tenant the request is for
+ * @param {*} getTools function(req) returning the tools that use the service requested
+ */
+const authorize = (getRole, getTenant, getTools) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).send("Not logged in");
+  }
+  const serverDetails = req.app.get("servers")[req.user.serverName];
+  if (!serverDetails || req.user.serverName !== getTenant(req)) {
+    return res.status(403).send("Not authorized for this server");
+  }
+  if (!hasRole(req.user, getRole(req))) {
+    return res.status(403).send("Not authorized");
+  }
+  if (!isEnabled(serverDetails, getTools(req))) {
+    return res.status(403).send("Not enabled for this server");
+  }
+  next();
+};
+
+/**
+ * Middleware to authorize a request to a view service, of the form /servers/<tenant>/<view service>/...
+ */
+const authorizeViewService = authorize(
+  (req) => roleForViewServiceOperation(req.url),
+  (req) => req.url.split("/")[2],
+  (req) => [].concat(toolForViewService(req.url.split("/")[3]) || [])
+);
+
+/**
+ * The tenant of a request to the admin or platform services - the tenantId in the query string for get requests, or in
+ * the body otherwise, which is the tenant the route handlers forward the request to. A request that names a different
+ * tenant in the other place is ambiguous, so it has no tenant and is rejected.
+ * @param {*} req the request
+ */
+const tenantOfRequest = (req) => {
+  const queryTenant = req.query.tenantId;
+  const bodyTenant = req.body ? req.body.tenantId : undefined;
+  if (queryTenant !== undefined && bodyTenant !== undefined && queryTenant !== bodyTenant) {
+    return undefined;
+  }
+  return req.method === "GET" ? queryTenant : bodyTenant;
+};
+
+/**
+ * Middleware factory to authorize a request to the admin or platform services, where the tenant is the tenantId in the
+ * query string (get requests) or body (see tenantOfRequest).
+ * @param {*} role the role needed
+ * @param {*} serviceTools the tools that use the service
+ */
+const authorizeTenantRole = (role, serviceTools) => authorize(() => role, tenantOfRequest, () => serviceTools);
+
+/**
+ * Middleware factory to authorize a request to the presentation server itself on behalf of a tool, where the tenant is
+ * the first segment of the url (see serverNameMiddleware).
+ * @param {*} tool the tool
+ */
+const authorizeTool = (tool) =>
+  authorize(
+    () => tools[tool].role,
+    (req) => req.query.serverName,
+    () => [tool]
+  );
+
+exports.toolNames = toolNames;
+exports.viewServiceNames = viewServiceNames;
+exports.toRoles = toRoles;
+exports.hasRole = hasRole;
+exports.withPermittedTools = withPermittedTools;
+exports.authorizeViewService = authorizeViewService;
+exports.authorizeTenantRole = authorizeTenantRole;
+exports.authorizeTool = authorizeTool;
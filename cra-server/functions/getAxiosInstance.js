@@ -2,15 +2,17 @@
 /* Copyright Contributors to the ODPi Egeria project. */
 
 const axios = require('axios');
-const https = require("https");
-const fs = require("fs");
-const path = require("path")
-const getServerInfoFromEnv = require('./getServerInfoFromEnv');
-
-const cert = fs.readFileSync(path.join(__dirname, '../../') + "ssl/keys/server.cert");
-const key = fs.readFileSync(path.join(__dirname, '../../') + "ssl/keys/server.key");
-
-const getAxiosInstance = (url) => {
+const { getHttpsAgent } = require("./tlsConfiguration");
+const logger = require("./logger");
+
+/**
+ * Create an axios instance for a view service request, using the configuration of the tenant named in the url,
+ * including its tls configuration (see tlsConfiguration).
+ * @param {*} url the incoming url, of the form /servers/<tenant>/<view service>/...
+ * @param {*} servers the tenants' configuration (see tenantConfiguration)
+ * @param {*} headers headers to send, such as the correlation id (see requestLogger)
+ */
+const getAxiosInstance = (url, servers, headers) => {
 
   try {
 
@@ -18,9 +20,9 @@ const getAxiosInstance = (url) => {
 
     const suppliedServerName = urlArray[2];
     const remainingURL = urlArray.slice(3).join("/");
-    const servers = getServerInfoFromEnv();
-    const urlRoot = servers[suppliedServerName].remoteURL;
-    const remoteServerName = servers[suppliedServerName].remoteServerName;
+    const serverDetails = servers[suppliedServerName];
+    const urlRoot = serverDetails.remoteURL;
+    const remoteServerName = serverDetails.remoteServerName;
     const downStreamURL =
       urlRoot +
       "/servers/" +
@@ -29,18 +31,15 @@ const getAxiosInstance = (url) => {
       remainingURL;
     const instance = axios.create({
       baseURL: downStreamURL,
-      httpsAgent: new https.Agent({
-        // ca: - at some stage add the certificate authority
-        cert: cert,
-        key: key,
-        rejectUnauthorized: false,
-      }),
+      timeout: serverDetails.timeout,
+      headers,
+      httpsAgent: getHttpsAgent(suppliedServerName, serverDetails),
     });
     return instance;
 
   } catch (err) {
     
-    console.log(err);
+    logger.error("Cannot create the request to the view server", { error: err });
     throw err;
 
   }
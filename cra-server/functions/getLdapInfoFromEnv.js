@@ -0,0 +1,17 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const getTenantInfoFromEnv = require("./getTenantInfoFromEnv");
+
+/**
+ * Find the tenants that authenticate against an LDAP directory. Each tenant is configured with an environment variable
+ * whose name ends with the tenant (server) name, for example
+ *   EGERIA_PRESENTATIONSERVER_LDAP_aaa={"url":"ldap://localhost:1389","bindDN":"cn=admin,dc=coco,dc=com","bindCredentials":"admin",
+ *                                       "searchBase":"ou=people,dc=coco,dc=com","searchFilter":"(uid={{username}})"}
+ * url and searchBase are required. The other values are passed through to the LDAP client (ldapauth-fork), apart from
+ * attributes, which maps the user fields the presentation server returns (including roles) onto directory attribute names.
+ * @returns map of tenant name to LDAP details
+ */
+const getLdapInfoFromEnv = () =>
+  getTenantInfoFromEnv("EGERIA_PRESENTATIONSERVER_LDAP_", ["url", "searchBase"], "LDAP");
+
+module.exports = getLdapInfoFromEnv;
@@ -0,0 +1,21 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const getTenantInfoFromEnv = require("./getTenantInfoFromEnv");
+
+/**
+ * Find the tenants that offer single sign-on with an OpenID Connect identity provider. Each tenant is configured with an
+ * environment variable whose name ends with the tenant (server) name, for example
+ *   EGERIA_PRESENTATIONSERVER_OIDC_aaa={"issuer":"https://idp.example.com","clientId":"egeria-ui","clientSecret":"<secret>",
+ *                                       "redirectURI":"https://localhost:8091/aaa/login/oidc/callback"}
+ * issuer, clientId and redirectURI are required. Optional values are
+ *   clientSecret          - omit for a public client
+ *   scope                 - defaults to "openid profile email"
+ *   postLogoutRedirectURI - where the identity provider sends the browser after logout
+ *   label                 - the text of the login page's single sign-on button
+ *   claims                - maps the user fields the presentation server returns (including roles) onto claim names
+ * @returns map of tenant name to identity provider details
+ */
+const getOidcInfoFromEnv = () =>
+  getTenantInfoFromEnv("EGERIA_PRESENTATIONSERVER_OIDC_", ["issuer", "clientId", "redirectURI"], "OpenID Connect");
+
+module.exports = getOidcInfoFromEnv;
@@ -1,8 +1,10 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
+const logger = require("./logger");
 
 const getServerInfoFromEnv = () => {
-  let modifiableServers = {};
+  // no prototype, so a server named __proto__ is kept as a server, to be rejected when the tenants are validated
+  let modifiableServers = Object.create(null);
   // capitals as Windows can be case sensitive.
   const env_prefix = "EGERIA_PRESENTATIONSERVER_SERVER_";
 
@@ -13,16 +15,10 @@ const getServerInfoFromEnv = () => {
       if (envVariable.startsWith(env_prefix)) {
         // Found an environment variable with out prefix
         if (envVariable.length == env_prefix.length - 1) {
-          console.log(
-            "there is no server name specified in the environment Variable envVariable.length=" +
-              envVariable.length +
-              ",env_prefix.length - 1=" +
-              env_prefix.length -
-              1
-          );
+          logger.warn("There is no server name specified in the environment variable", { envVariable });
         } else {
           const serverName = envVariable.substr(env_prefix.length);
-          console.log("Found server name " + serverName);
+          logger.info("Found server name", { serverName });
           const serverDetailsStr = env[envVariable];
           const serverDetails = JSON.parse(serverDetailsStr);
           if (
@@ -31,19 +27,17 @@ const getServerInfoFromEnv = () => {
           ) {
             modifiableServers[serverName] = serverDetails;
           } else {
-            console.log(
-              "Found server environment variable for server " +
-                serverName +
-                ", but the value was not as expected :" +
-                serverDetailsStr
-            );
+            // the value is not logged, as it may hold tls secrets
+            logger.warn("Found server environment variable, but it does not have a remoteURL and remoteServerName", {
+              serverName,
+            });
           }
         }
       }
     } catch (error) {
-      console.log(error);
-      console.log(
-        "Error occured processing environment variables. Ignore and carry on looking for more valid server content."
+      logger.error(
+        "Error occured processing environment variables. Ignore and carry on looking for more valid server content.",
+        { envVariable, error }
       );
     }
   }
@@ -0,0 +1,112 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const crypto = require("crypto");
+const path = require("path");
+const logger = require("./logger");
+
+// capitals as Windows can be case sensitive.
+const env_prefix = "EGERIA_PRESENTATIONSERVER_SESSION_";
+
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 60;
+const DEFAULT_ABSOLUTE_TIMEOUT_MINUTES = 12 * 60;
+
+/**
+ * Create the session store. The store is configured with the environment variable EGERIA_PRESENTATIONSERVER_SESSION_STORE
+ *   {"type":"memory"}                                     - the default; sessions are lost on restart and not shared
+ *   {"type":"file","path":"./sessions"}                   - sessions are kept in files, which replicas can share
+ *   {"type":"module","module":"connect-redis","options":{...}}
+ *                                                         - any express-session store module that exports a function
+ *                                                           taking express-session and returning the store class,
+ *                                                           constructed with the options
+ * @param {*} session express-session
+ * @param {*} storeConfig the parsed store configuration
+ * @param {*} ttlSeconds how long an idle session is kept
+ */
+const createStore = (session, storeConfig, ttlSeconds) => {
+  const type = storeConfig.type || "memory";
+  if (type === "memory") {
+    logger.info("Sessions are held in memory; they will be lost on restart");
+    return new session.MemoryStore();
+  }
+  if (type === "file") {
+    const FileStore = require("session-file-store")(session);
+    const sessionPath = path.resolve(storeConfig.path || "./sessions");
+    logger.info("Sessions are held in files", { path: sessionPath });
+    return new FileStore({ path: sessionPath, ttl: ttlSeconds, retries: 1, logFn: () => {} });
+  }
+  if (type === "module") {
+    if (!storeConfig.module) {
+      throw new Error("Session store of type module configured without a module");
+    }
+    // resolve relative module paths against the current directory rather than this file
+    const modulePath = storeConfig.module.startsWith(".") ? path.resolve(storeConfig.module) : storeConfig.module;
+    const Store = require(modulePath)(session);
+    logger.info("Sessions are held in a module store", { module: storeConfig.module });
+    return new Store(Object.assign({ ttl: ttlSeconds }, storeConfig.options));
+  }
+  throw new Error("Unknown session store type " + type);
+};
+
+/**
+ * Get a timeout in minutes from the environment, as milliseconds.
+ * @param {*} name the environment variable name after the prefix
+ * @param {*} defaultMinutes the timeout if the environment variable is not set
+ */
+const getTimeout = (name, defaultMinutes) => {
+  const value = process.env[env_prefix + name];
+  if (value === undefined) {
+    return defaultMinutes * 60 * 1000;
+  }
+  const minutes = Number(value);
+  if (!(minutes > 0)) {
+    throw new Error(env_prefix + name + " should be a number of minutes, but was " + value);
+  }
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Get the express-session options and the absolute session timeout from the environment.
+ *   EGERIA_PRESENTATIONSERVER_SESSION_SECRET           - the secret that signs the session cookie. Several secrets can be
+ *                                                        supplied, comma separated, to rotate them; the first signs.
+ *                                                        Replicas sharing a store need the same secret.
+ *   EGERIA_PRESENTATIONSERVER_SESSION_STORE            - the session store, see createStore
+ *   EGERIA_PRESENTATIONSERVER_SESSION_IDLE_TIMEOUT     - minutes without a request after which a session ends (default 60)
+ *   EGERIA_PRESENTATIONSERVER_SESSION_ABSOLUTE_TIMEOUT - minutes after login after which a session ends (default 720)
+ *   EGERIA_PRESENTATIONSERVER_SESSION_COOKIE_SECURE    - set to false to allow the cookie over http (default true)
+ * An error is thrown if the configuration is not valid.
+ * @param {*} session express-session
+ * @returns { options, absoluteTimeout }
+ */
+const getSessionOptionsFromEnv = (session) => {
+  const env = process.env;
+  let secret;
+  if (env[env_prefix + "SECRET"]) {
+    secret = env[env_prefix + "SECRET"].split(",");
+  } else {
+    logger.warn(
+      "No " + env_prefix + "SECRET configured; using a random secret, so sessions will not survive a restart or be shared"
+    );
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+  const storeConfig = env[env_prefix + "STORE"] ? JSON.parse(env[env_prefix + "STORE"]) : {};
+  const idleTimeout = getTimeout("IDLE_TIMEOUT", DEFAULT_IDLE_TIMEOUT_MINUTES);
+  const absoluteTimeout = getTimeout("ABSOLUTE_TIMEOUT", DEFAULT_ABSOLUTE_TIMEOUT_MINUTES);
+
+  const options = {
+    secret,
+    store: createStore(session, storeConfig, Math.ceil(idleTimeout / 1000)),
+    resave: false,
+    saveUninitialized: false,
+    // each response pushes the cookie expiry back, so the cookie maxAge is the idle timeout
+    rolling: true,
+    cookie: {
+      httpOnly: true,
+      secure: env[env_prefix + "COOKIE_SECURE"] !== "false",
+      sameSite: "lax",
+      maxAge: idleTimeout,
+    },
+  };
+  return { options, absoluteTimeout };
+};
+
+module.exports = getSessionOptionsFromEnv;
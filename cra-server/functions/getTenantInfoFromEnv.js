@@ -0,0 +1,46 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const logger = require("./logger");
+
+/**
+ * Find per tenant configuration held in environment variables. In the same way as getServerInfoFromEnv, each tenant is
+ * configured with an environment variable whose name is the prefix followed by the tenant (server) name and whose value
+ * is JSON. Values are not logged as they may contain credentials.
+ * @param {*} env_prefix the environment variable prefix, in capitals as Windows can be case sensitive.
+ * @param {*} requiredFields names of the fields that must be present in each value
+ * @param {*} description what is being configured, for the log messages
+ * @returns map of tenant name to the parsed configuration
+ */
+const getTenantInfoFromEnv = (env_prefix, requiredFields, description) => {
+  let modifiableTenants = {};
+
+  const env = process.env;
+
+  for (const envVariable in env) {
+    try {
+      if (envVariable.startsWith(env_prefix)) {
+        if (envVariable.length == env_prefix.length) {
+          logger.warn("There is no server name specified in the " + description + " environment variable", { envVariable });
+        } else {
+          const serverName = envVariable.substr(env_prefix.length);
+          const details = JSON.parse(env[envVariable]);
+          const missingFields = requiredFields.filter((field) => details[field] == undefined);
+          if (missingFields.length == 0) {
+            logger.info("Found " + description + " configuration", { serverName });
+            modifiableTenants[serverName] = details;
+          } else {
+            logger.warn("Found " + description + " environment variable, but it is missing fields", { serverName, missingFields });
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(
+        "Error occured processing " + description + " environment variables. Ignore and carry on looking for more valid content.",
+        { envVariable, error }
+      );
+    }
+  }
+  return modifiableTenants;
+};
+
+module.exports = getTenantInfoFromEnv;
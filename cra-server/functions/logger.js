@@ -0,0 +1,73 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/**
+ * Structured logging. Each entry is written to standard output as one line of JSON, with the time, the level, a
+ * message and any fields, for example
+ *   {"time":"2021-06-01T10:00:00.000Z","level":"info","message":"request","correlationId":"...","status":200}
+ * Being JSON, values supplied by users cannot forge entries. Fields that could hold secrets (passwords, passphrases,
+ * keys, secrets, tokens, cookies, authorization and credentials) are redacted wherever they are, long values are
+ * truncated and errors are reduced to their message, name and code. Request bodies and query strings, which carry
+ * user supplied values such as passwords and search text, are not logged.
+ * The level logged is set by the environment variable EGERIA_PRESENTATIONSERVER_LOG_LEVEL: debug, info (the default),
+ * warn or error.
+ */
+const levels = ["debug", "info", "warn", "error"];
+const LOG_LEVEL_ENV = "EGERIA_PRESENTATIONSERVER_LOG_LEVEL";
+const MAX_VALUE_LENGTH = 1000;
+const REDACTED = "[REDACTED]";
+const secretField = /password|passphrase|secret|token|^key$|cookie|authorization|credential/i;
+
+const configuredLevel = process.env[LOG_LEVEL_ENV] || "info";
+if (!levels.includes(configuredLevel)) {
+  throw new Error(LOG_LEVEL_ENV + " should be one of " + levels.join(", ") + ", but was " + configuredLevel);
+}
+
+/**
+ * Get a value as it can be logged, with secrets redacted and long strings truncated.
+ * @param {*} value the value
+ * @param {*} depth how deep in the logged fields the value is, so cyclic values end
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === "string") {
+    return value.length > MAX_VALUE_LENGTH ? value.slice(0, MAX_VALUE_LENGTH) + "..." : value;
+  }
+  if (value instanceof Error) {
+    const { message, name, code } = value;
+    return redact({ message, name, code }, depth);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth > 5) {
+    return "[...]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  const redacted = {};
+  for (const field in value) {
+    redacted[field] = secretField.test(field) ? REDACTED : redact(value[field], depth + 1);
+  }
+  return redacted;
+};
+
+/**
+ * Write a log entry.
+ * @param {*} level the level
+ * @param {*} message what happened; this should not include user supplied values, which go in the fields
+ * @param {*} fields the values that go with the message
+ */
+const log = (level, message, fields) => {
+  if (levels.indexOf(level) < levels.indexOf(configuredLevel)) {
+    return;
+  }
+  const entry = Object.assign({ time: new Date().toISOString(), level, message }, redact(fields || {}));
+  process.stdout.write(JSON.stringify(entry) + "\n");
+};
+
+exports.redact = redact;
+exports.debug = (message, fields) => log("debug", message, fields);
+exports.info = (message, fields) => log("info", message, fields);
+exports.warn = (message, fields) => log("warn", message, fields);
+exports.error = (message, fields) => log("error", message, fields);
@@ -0,0 +1,124 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const client = require("prom-client");
+const { viewServiceNames } = require("./authorization");
+const { isTenant } = require("./tenantConfiguration");
+
+/**
+ * Prometheus metrics, served by /metrics (see healthRoutes). As well as Node's process metrics there are
+ *   egeria_ui_proxy_request_duration_seconds - histogram of the time taken by requests passed on to Egeria, by tenant,
+ *                                              service, method and status
+ *   egeria_ui_proxy_errors_total             - requests passed on to Egeria that failed (status 400 or more), by
+ *                                              tenant and service
+ *   egeria_ui_active_sessions                - sessions in the session store
+ *   egeria_ui_login_failures_total           - failed logins, by tenant and reason: invalid_credentials, error, sso or
+ *                                              throttled (refused by the login rate limit)
+ * The service is the view service (rex, tex, ...), admin-services or platform-services. Label values come from the
+ * configuration rather than the url, so requests cannot create any number of series: a tenant that is not configured
+ * is "unknown" and a view service no tool uses is "other".
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const proxyDuration = new client.Histogram({
+  name: "egeria_ui_proxy_request_duration_seconds",
+  help: "Time taken by requests passed on to Egeria",
+  labelNames: ["tenant", "service", "method", "status"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const proxyErrors = new client.Counter({
+  name: "egeria_ui_proxy_errors_total",
+  help: "Requests passed on to Egeria that failed",
+  labelNames: ["tenant", "service"],
+  registers: [register],
+});
+
+const loginFailures = new client.Counter({
+  name: "egeria_ui_login_failures_total",
+  help: "Failed logins",
+  labelNames: ["tenant", "reason"],
+  registers: [register],
+});
+
+/**
+ * The tenant label for a tenant name taken from a request.
+ * @param {*} req the request
+ * @param {*} serverName the tenant name
+ */
+const tenantLabel = (req, serverName) => (serverName && isTenant(req.app.get("servers"), serverName) ? serverName : "unknown");
+
+/**
+ * Count a failed login.
+ * @param {*} req the login request, whose serverName query parameter is the tenant (see serverNameMiddleware)
+ * @param {*} reason invalid_credentials, error, sso or throttled
+ */
+const recordLoginFailure = (req, reason) => loginFailures.inc({ tenant: tenantLabel(req, req.query.serverName), reason });
+
+/**
+ * The tenant and service of a request passed on to Egeria, or undefined for other requests.
+ * @param {*} req the request
+ */
+const proxyLabels = (req) => {
+  const segments = req.path.split("/");
+  if (segments[1] === "servers") {
+    const service = viewServiceNames.includes(segments[3]) ? segments[3] : "other";
+    return { tenant: tenantLabel(req, segments[2]), service };
+  }
+  if (segments[1] === "open-metadata" && ["admin-services", "platform-services"].includes(segments[2])) {
+    const tenantId = (req.body && req.body.tenantId) || req.query.tenantId;
+    return { tenant: tenantLabel(req, tenantId), service: segments[2] };
+  }
+  return undefined;
+};
+
+/**
+ * Middleware to measure the requests passed on to Egeria. This needs to be used after serverNameMiddleware.
+ */
+const proxyMetrics = (req, res, next) => {
+  const endTimer = proxyDuration.startTimer();
+  res.on("finish", () => {
+    // the labels are found when the response is sent, so the body with any tenantId has been parsed
+    const labels = proxyLabels(req);
+    if (!labels) {
+      return;
+    }
+    endTimer(Object.assign({ method: req.method, status: res.statusCode }, labels));
+    if (res.statusCode >= 400) {
+      proxyErrors.inc(labels);
+    }
+  });
+  next();
+};
+
+/**
+ * Report the number of sessions in the session store as egeria_ui_active_sessions, if the store can count them.
+ * @param {*} store the express-session store
+ */
+const measureSessions = (store) => {
+  if (typeof store.length !== "function") {
+    return;
+  }
+  new client.Gauge({
+    name: "egeria_ui_active_sessions",
+    help: "Sessions in the session store",
+    registers: [register],
+    collect() {
+      return new Promise((resolve) => {
+        store.length((err, count) => {
+          // a store that cannot count its sessions leaves the gauge as it was
+          if (!err) {
+            this.set(count);
+          }
+          resolve();
+        });
+      });
+    },
+  });
+};
+
+exports.register = register;
+exports.recordLoginFailure = recordLoginFailure;
+exports.proxyMetrics = proxyMetrics;
+exports.measureSessions = measureSessions;
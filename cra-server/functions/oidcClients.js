@@ -0,0 +1,102 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const { Issuer, Strategy } = require("openid-client");
+const { toRoles } = require("./authorization");
+const logger = require("./logger");
+
+// claims used for the user fields when the tenant's OpenID Connect configuration does not map them
+const defaultOidcClaims = {
+  username: "preferred_username",
+  displayName: "name",
+  emails: "email",
+  organizationName: "organization",
+  roles: "roles",
+};
+
+// tenant name to a promise of its OpenID Connect client
+const clients = {};
+
+/**
+ * Get the OpenID Connect client for a tenant. The identity provider's metadata is discovered the first time the client
+ * is needed; if discovery fails it is tried again next time.
+ * @param {*} serverName the tenant name
+ * @param {*} oidcDetails the tenant's identity provider details (see getOidcInfoFromEnv)
+ * @returns a promise of the client
+ */
+const getOidcClient = (serverName, oidcDetails) => {
+  if (!clients[serverName]) {
+    clients[serverName] = Issuer.discover(oidcDetails.issuer)
+      .then((issuer) => {
+        logger.info("Discovered OpenID Connect issuer", { serverName, issuer: oidcDetails.issuer });
+        return new issuer.Client({
+          client_id: oidcDetails.clientId,
+          client_secret: oidcDetails.clientSecret,
+          redirect_uris: [oidcDetails.redirectURI],
+          post_logout_redirect_uris: oidcDetails.postLogoutRedirectURI ? [oidcDetails.postLogoutRedirectURI] : [],
+          response_types: ["code"],
+          token_endpoint_auth_method: oidcDetails.clientSecret ? "client_secret_basic" : "none",
+        });
+      })
+      .catch((error) => {
+        delete clients[serverName];
+        throw error;
+      });
+  }
+  return clients[serverName];
+};
+
+/**
+ * Map the identity provider's claims onto the user shape returned by the /user route.
+ * @param {*} claims the id token claims merged with the userinfo
+ * @param {*} claimNames map of user field to claim name
+ */
+const claimsToUser = (claims, claimNames) => {
+  const asArray = (value) => (value === undefined ? [] : [].concat(value));
+  return {
+    id: claims.sub,
+    username: claims[claimNames.username] || claims.sub,
+    displayName: claims[claimNames.displayName] || claims[claimNames.username] || claims.sub,
+    emails: asArray(claims[claimNames.emails]).map((email) => ({ value: email })),
+    organizationName: claims[claimNames.organizationName],
+    roles: toRoles(claims[claimNames.roles]),
+    provider: "oidc",
+  };
+};
+
+/**
+ * Get the name of the passport strategy that performs the authorization code flow for a tenant, registering the
+ * strategy with passport the first time. The strategy's info carries the id token, which is needed for logout.
+ * @param {*} passport the passport instance
+ * @param {*} serverName the tenant name
+ * @param {*} oidcDetails the tenant's identity provider details (see getOidcInfoFromEnv)
+ * @returns a promise of the strategy name
+ */
+const getOidcStrategyName = (passport, serverName, oidcDetails) => {
+  const strategyName = "oidc-" + serverName;
+  return getOidcClient(serverName, oidcDetails).then((client) => {
+    if (!passport._strategy(strategyName)) {
+      const claimNames = Object.assign({}, defaultOidcClaims, oidcDetails.claims);
+      const params = {
+        redirect_uri: oidcDetails.redirectURI,
+        scope: oidcDetails.scope || "openid profile email",
+      };
+      passport.use(
+        strategyName,
+        new Strategy({ client, params, sessionKey: "oidc:" + serverName }, function (tokenSet, userinfo, done) {
+          // userinfo is only supplied when the identity provider has a userinfo endpoint
+          if (typeof userinfo === "function") {
+            done = userinfo;
+            userinfo = {};
+          }
+          const user = claimsToUser(Object.assign({}, tokenSet.claims(), userinfo), claimNames);
+          user.serverName = serverName;
+          done(null, user, { idToken: tokenSet.id_token });
+        })
+      );
+    }
+    return strategyName;
+  });
+};
+
+exports.getOidcClient = getOidcClient;
+exports.getOidcStrategyName = getOidcStrategyName;
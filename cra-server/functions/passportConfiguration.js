@@ -1,53 +1,145 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
 const LocalStrategy = require("passport-local").Strategy;
+const LdapStrategy = require("passport-ldapauth").Strategy;
 const db = require("../db");
+const passwords = require("../db/passwords");
+const { toRoles } = require("./authorization");
+const { isTenant } = require("./tenantConfiguration");
 
+// directory attributes used for the user fields when the tenant's LDAP configuration does not map them.
+// There is no default roles attribute, so directory users are viewers unless one is configured.
+const defaultLdapAttributes = {
+  username: "uid",
+  displayName: "cn",
+  emails: "mail",
+  organizationName: "o",
+};
+
+/**
+ * Map a directory entry onto the user shape returned by the /user route.
+ * @param {*} entry the directory entry found for the user
+ * @param {*} attributes map of user field to directory attribute name
+ * @param {*} username the username the user logged in with
+ */
+const ldapEntryToUser = (entry, attributes, username) => {
+  // multi valued attributes come back as arrays
+  const asArray = (value) => (value === undefined ? [] : [].concat(value));
+  const first = (value) => asArray(value)[0];
+  return {
+    id: entry.dn,
+    username: first(entry[attributes.username]) || username,
+    displayName: first(entry[attributes.displayName]) || username,
+    emails: asArray(entry[attributes.emails]).map((email) => ({ value: email })),
+    organizationName: first(entry[attributes.organizationName]),
+    roles: toRoles(attributes.roles && entry[attributes.roles]),
+    provider: "ldap",
+  };
+};
 
 const passportConfiguration = (passport) => {
 
   /**
-   * Middleware to configure Passport to use Local strategy 
+   * Middleware to configure Passport to use Local strategy. The user is looked up in the user store configured for the
+   * tenant, which serverNameMiddleware has put in the serverName query parameter.
    */
   passport.use(
-    new LocalStrategy(function (username, password, cb) {
+    new LocalStrategy({ passReqToCallback: true }, function (req, username, password, cb) {
       // console.log("username: " + username);
       // console.log("password: " + password);
-      db.users.findByUsername(username, function (err, user) {
+      const serverName = req.query.serverName;
+      const servers = req.app.get("servers");
+      if (!isTenant(servers, serverName)) {
+        return cb(null, false);
+      }
+      const serverDetails = servers[serverName];
+      const userStore = db.getUserStore(serverDetails);
+      userStore.findByUsername(username, function (err, user) {
         if (err) {
           return cb(err);
         }
         if (!user) {
           return cb(null, false);
         }
-        if (user.password != password) {
-          return cb(null, false);
-        }
-        return cb(null, user);
+        passwords.verifyPassword(password, user.passwordHash, function (err, matches) {
+          if (err) {
+            return cb(err);
+          }
+          if (!matches) {
+            return cb(null, false);
+          }
+          delete user.passwordHash;
+          // remember the tenant so the user can be found in the right user store when deserializing
+          user.serverName = serverName;
+          return cb(null, user);
+        });
       });
     })
   );
+  /**
+   * Middleware to configure Passport to use an LDAP bind strategy, for tenants that have an LDAP directory configured
+   * (see getLdapInfoFromEnv). The directory is chosen per request from the serverName query parameter.
+   */
+  passport.use(
+    new LdapStrategy(
+      function (req, cb) {
+        const ldapDetails = req.app.get("ldapServers")[req.query.serverName];
+        if (!ldapDetails) {
+          return cb(new Error("No LDAP directory is configured for this server"));
+        }
+        // everything other than the attribute mapping is LDAP client configuration
+        const { attributes, ...server } = ldapDetails;
+        if (!server.searchFilter) {
+          server.searchFilter = "(uid={{username}})";
+        }
+        cb(null, { server, passReqToCallback: true });
+      },
+      function (req, entry, cb) {
+        const serverName = req.query.serverName;
+        const ldapDetails = req.app.get("ldapServers")[serverName];
+        const attributes = Object.assign({}, defaultLdapAttributes, ldapDetails.attributes);
+        const user = ldapEntryToUser(entry, attributes, req.body.username || req.query.username);
+        user.serverName = serverName;
+        cb(null, user);
+      }
+    )
+  );
   // Configure Passport authenticated session persistence.
   //
   // In order to restore authentication state across HTTP requests, Passport needs
   // to serialize users into and deserialize users out of the session.  The
   // typical implementation of this is as simple as supplying the user ID when
   // serializing, and querying the user record by ID from the database when
-  // deserializing.
+  // deserializing. User ids are only unique within a user store, so the tenant is serialized too.
+  // Users authenticated by an external provider (such as LDAP) cannot be looked up again, so the whole user is serialized.
   passport.serializeUser(function (user, cb) {
     // console.log("serializeUser called with user " + user);
-    cb(null, user.id);
+    if (user.provider) {
+      cb(null, { serverName: user.serverName, provider: user.provider, user });
+    } else {
+      cb(null, { serverName: user.serverName, id: user.id });
+    }
   });
   /**
-   * Deserialise the user. This means look up the id in the database (db).  
+   * Deserialise the user. This means look up the id in the user store of the tenant the user logged in to.
+   * If the tenant is no longer configured the user is treated as logged out.
    */
-  passport.deserializeUser(function (id, cb) {
-    db.users.findById(id, function (err, user) {
+  passport.deserializeUser(function (req, key, cb) {
+    const serverDetails = req.app.get("servers")[key.serverName];
+    if (!serverDetails) {
+      return cb(null, false);
+    }
+    if (key.provider) {
+      return cb(null, key.user);
+    }
+    db.getUserStore(serverDetails).findById(key.id, function (err, user) {
       // Disabling logging as CodeQL does not like user supplied values being logged.  
       // console.log("passport.deserializeUser user is " + user + ",err is" + err);
       if (err) {
         return cb(err);
       }
+      delete user.passwordHash;
+      user.serverName = key.serverName;
       cb(null, user);
     });
   });
@@ -0,0 +1,50 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const crypto = require("crypto");
+const logger = require("./logger");
+
+// the header that carries the correlation id, on responses and on the requests passed on to the view servers
+const CORRELATION_ID_HEADER = "X-Correlation-ID";
+// a correlation id from the caller is used if it looks like one, so it cannot be used to inject into logs or headers
+const validCorrelationId = /^[A-Za-z0-9._-]{1,64}$/;
+// the orchestrator probes (see healthRoutes) are frequent, so are only logged at debug level
+const probePaths = ["/health", "/ready", "/metrics"];
+
+/**
+ * Middleware to give each request a correlation id, and log the request when its response is sent.
+ * The correlation id is taken from the caller's X-Correlation-ID header, if it has a valid one, or generated. It is put on
+ * req.correlationId, returned in the response's X-Correlation-ID header and sent to the view server (see
+ * getCorrelationHeaders), so one request can be followed through the presentation server and Egeria logs.
+ * The entry logged has the method, the path without the query string, the status, how long the request took, and the
+ * user and tenant if known.
+ * This needs to be used after serverNameMiddleware, so the tenant is known.
+ */
+const requestLogger = (req, res, next) => {
+  const supplied = req.get(CORRELATION_ID_HEADER);
+  req.correlationId = supplied && validCorrelationId.test(supplied) ? supplied : crypto.randomUUID();
+  res.set(CORRELATION_ID_HEADER, req.correlationId);
+  const started = Date.now();
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0];
+    const log = probePaths.includes(path) ? logger.debug : logger.info;
+    log("request", {
+      correlationId: req.correlationId,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      user: req.user ? req.user.username : undefined,
+      tenant: req.user ? req.user.serverName : req.query.serverName,
+    });
+  });
+  next();
+};
+
+/**
+ * The headers to add to a request to a view server or platform, to pass on the correlation id.
+ * @param {*} req the incoming request
+ */
+const getCorrelationHeaders = (req) => ({ [CORRELATION_ID_HEADER]: req.correlationId });
+
+exports.requestLogger = requestLogger;
+exports.getCorrelationHeaders = getCorrelationHeaders;
@@ -0,0 +1,117 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Store of the Repository Explorer sessions users save, so an exploration can be resumed later. Each user has their
+ * own sessions on each tenant, held as JSON files in the folder named by the environment variable
+ * EGERIA_PRESENTATIONSERVER_REX_SESSIONS (default ./rex-sessions), as <folder>/<tenant>/<user>/<session name>.json.
+ * The content of a session is whatever the client saved; the store only checks it is an object.
+ */
+const REX_SESSIONS_ENV = "EGERIA_PRESENTATIONSERVER_REX_SESSIONS";
+const EXTENSION = ".json";
+// the most sessions a user can save on a tenant
+const MAX_SESSIONS = 100;
+
+/**
+ * Encode a user supplied name as a file name. Dots are encoded too, so no name can be . or .. or hidden.
+ * @param {*} name the name
+ */
+const toFileName = (name) => encodeURIComponent(name).replace(/\./g, "%2E");
+
+/**
+ * The folder holding a user's sessions on a tenant.
+ * @param {*} tenant the tenant name
+ * @param {*} username the user name
+ */
+const userFolder = (tenant, username) =>
+  path.join(path.resolve(process.env[REX_SESSIONS_ENV] || "./rex-sessions"), toFileName(tenant), toFileName(username));
+
+/**
+ * List a user's sessions on a tenant, most recently saved first.
+ * @param {*} tenant the tenant name
+ * @param {*} username the user name
+ * @returns list of { name, savedAt }
+ */
+const listSessions = (tenant, username) => {
+  const folder = userFolder(tenant, username);
+  if (!fs.existsSync(folder)) {
+    return [];
+  }
+  return fs
+    .readdirSync(folder)
+    .filter((fileName) => fileName.endsWith(EXTENSION))
+    .map((fileName) => ({
+      name: decodeURIComponent(fileName.slice(0, -EXTENSION.length)),
+      savedAt: fs.statSync(path.join(folder, fileName)).mtime.toISOString(),
+    }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Get a saved session.
+ * @param {*} tenant the tenant name
+ * @param {*} username the user name
+ * @param {*} name the session name
+ * @returns the session, or undefined if there is no session with that name
+ */
+const getSession = (tenant, username, name) => {
+  const filePath = path.join(userFolder(tenant, username), toFileName(name) + EXTENSION);
+  if (!fs.existsSync(filePath)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+};
+
+/**
+ * Check whether a user has saved a session with a name.
+ * @param {*} tenant the tenant name
+ * @param {*} username the user name
+ * @param {*} name the session name
+ */
+const hasSession = (tenant, username, name) =>
+  fs.existsSync(path.join(userFolder(tenant, username), toFileName(name) + EXTENSION));
+
+/**
+ * Save a session, replacing any session with the same name. The file is written under a temporary name and renamed,
+ * so a session being read is never partly written.
+ * @param {*} tenant the tenant name
+ * @param {*} username the user name
+ * @param {*} name the session name
+ * @param {*} session the session content
+ * @returns true if the session replaced one with the same name
+ */
+const saveSession = (tenant, username, name, session) => {
+  const folder = userFolder(tenant, username);
+  const filePath = path.join(folder, toFileName(name) + EXTENSION);
+  const replaced = fs.existsSync(filePath);
+  fs.mkdirSync(folder, { recursive: true, mode: 0o700 });
+  const temporaryPath = filePath + ".tmp";
+  fs.writeFileSync(temporaryPath, JSON.stringify(session), { mode: 0o600 });
+  fs.renameSync(temporaryPath, filePath);
+  return replaced;
+};
+
+/**
+ * Remove a saved session.
+ * @param {*} tenant the tenant name
+ * @param {*} username the user name
+ * @param {*} name the session name
+ * @returns true if there was a session with that name
+ */
+const removeSession = (tenant, username, name) => {
+  const filePath = path.join(userFolder(tenant, username), toFileName(name) + EXTENSION);
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  fs.unlinkSync(filePath);
+  return true;
+};
+
+exports.MAX_SESSIONS = MAX_SESSIONS;
+exports.hasSession = hasSession;
+exports.listSessions = listSessions;
+exports.getSession = getSession;
+exports.saveSession = saveSession;
+exports.removeSession = removeSession;
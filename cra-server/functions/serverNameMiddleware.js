@@ -8,6 +8,7 @@
  * due to the creation of array elements.
  *
  * For urls that start with servers - these are rest calls that need to be passed through to the back end.
+ * Urls that start with open-metadata and user, and the probes health, ready and metrics, are also left as they are.
  * URLs before and after
  *   /   => /
  *   /servers/aaa => /servers/aaa
@@ -18,6 +19,9 @@
  *   /display.ico => /display.ico
  *
  */
+// first segments that are not a tenant name
+const notTenants = ["servers", "open-metadata", "user", "health", "ready", "metrics"];
+
 const serverNameMiddleWare = (req, res, next) => {
 
   // console.log("before " + req.url);
@@ -29,7 +33,7 @@ const serverNameMiddleWare = (req, res, next) => {
     // Disabling logging as CodeQL does not like user supplied values being logged.
     // console.log("segment1 " + segment1);
 
-    if (segment1 != "servers" && segment1 != "open-metadata" && segment1 != "user") {
+    if (!notTenants.includes(segment1)) {
       // in a production scenario we are looking at login, favicon.ico and bundle.js for for now look for those in the last segment
       // TODO once we have development webpack, maybe the client should send a /js/ or a /static/ segment after the servername so we know to keep the subsequent segments.
 
@@ -55,4 +59,5 @@ const serverNameMiddleWare = (req, res, next) => {
 
 }
 
-module.exports = serverNameMiddleWare;
\ No newline at end of file
+module.exports = serverNameMiddleWare;
+module.exports.notTenants = notTenants;
\ No newline at end of file
@@ -0,0 +1,26 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+
+/**
+ * Middleware factory to end sessions a fixed time after login, however active they are (the idle timeout is the cookie
+ * maxAge). The login time is recorded on the first request that finds a logged in user in the session. When the time is
+ * up the session is replaced by an empty one, so the user is no longer logged in.
+ * This needs to be used after the session middleware and before passport's session middleware.
+ * @param {*} absoluteTimeout milliseconds after login that a session ends
+ */
+const sessionTimeout = (absoluteTimeout) => (req, res, next) => {
+  if (!req.session || !req.session.passport || !req.session.passport.user) {
+    return next();
+  }
+  const now = Date.now();
+  if (!req.session.loggedInAt) {
+    req.session.loggedInAt = now;
+    return next();
+  }
+  if (now - req.session.loggedInAt > absoluteTimeout) {
+    return req.session.regenerate((err) => next(err));
+  }
+  next();
+};
+
+module.exports = sessionTimeout;
@@ -0,0 +1,222 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const getServerInfoFromEnv = require("./getServerInfoFromEnv");
+const { toolNames } = require("./authorization");
+const { getTlsAgentOptions } = require("./tlsConfiguration");
+const db = require("../db");
+const logger = require("./logger");
+
+/**
+ * Tenant configuration. Tenants come from the EGERIA_PRESENTATIONSERVER_SERVER_* environment variables
+ * (see getServerInfoFromEnv) and from an optional tenant configuration file, named by the environment variable
+ * EGERIA_PRESENTATIONSERVER_TENANTS_FILE. A tenant in the file replaces an environment variable tenant of the same name.
+ * The file is JSON, or YAML if it ends in .yaml or .yml, for example
+ *   tenants:
+ *     coco:
+ *       displayName: Coco Pharmaceuticals
+ *       remoteServerName: cocoView1
+ *       remoteURL: https://localhost:9443
+ *       timeout: 30000
+ *       tls:
+ *         caFile: /etc/egeria/ca.pem
+ *       tools: [repository-explorer, type-explorer]
+ *       userStore: { type: file, path: /etc/egeria/users.yaml }
+ * The configuration is validated and cached in the app's servers setting, which the routes read on each request.
+ * The file is watched; when it changes it is reloaded, unless the new content is not valid, in which case the previous
+ * configuration is kept. Tenants changed at runtime (see tenantAdminRoutes) are saved to the file, if there is one.
+ */
+const TENANTS_FILE_ENV = "EGERIA_PRESENTATIONSERVER_TENANTS_FILE";
+// how often, in milliseconds, the tenant configuration file is checked for changes
+const WATCH_INTERVAL = 2000;
+// the first url segment of these is not a tenant
+const { notTenants: reservedNames } = require("./serverNameMiddleware");
+// names of properties every object has; assigning one to the map of tenants would not add a tenant
+const propertyNames = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Check whether a name is a tenant. The tenants are held in a plain object, so only its own properties are tenants,
+ * not those it inherits, such as constructor.
+ * @param {*} servers map of tenant name to configuration
+ * @param {*} serverName the name to look for
+ * @returns true if there is a tenant with the name
+ */
+const isTenant = (servers, serverName) => Object.prototype.hasOwnProperty.call(servers, serverName);
+
+/**
+ * Check a tenant's configuration, throwing an error describing the first problem found.
+ * @param {*} serverName the tenant name
+ * @param {*} serverDetails the tenant's configuration
+ */
+const validateTenant = (serverName, serverDetails) => {
+  const problem = (message) => new Error("Tenant " + serverName + " " + message);
+  if (typeof serverName !== "string" || !/^[A-Za-z0-9_.-]+$/.test(serverName) || reservedNames.includes(serverName)) {
+    throw problem("has a name that cannot be used as the first segment of a url");
+  }
+  if (propertyNames.includes(serverName)) {
+    throw problem("has the name of a property every object has, so cannot be used as a tenant name");
+  }
+  if (serverDetails === null || typeof serverDetails !== "object") {
+    throw problem("configuration should be an object");
+  }
+  if (typeof serverDetails.remoteServerName !== "string" || serverDetails.remoteServerName.length == 0) {
+    throw problem("needs a remoteServerName");
+  }
+  let url;
+  try {
+    url = new URL(serverDetails.remoteURL);
+  } catch (error) {
+    throw problem("needs a remoteURL that is a valid url");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw problem("remoteURL should be an https or http url");
+  }
+  if (serverDetails.displayName !== undefined && typeof serverDetails.displayName !== "string") {
+    throw problem("displayName should be a string");
+  }
+  if (serverDetails.timeout !== undefined && !(Number.isInteger(serverDetails.timeout) && serverDetails.timeout > 0)) {
+    throw problem("timeout should be a positive number of milliseconds");
+  }
+  if (serverDetails.tls !== undefined) {
+    if (serverDetails.tls === null || typeof serverDetails.tls !== "object") {
+      throw problem("tls should be an object");
+    }
+    try {
+      getTlsAgentOptions(serverDetails.tls);
+    } catch (error) {
+      throw problem(error.message);
+    }
+  }
+  if (serverDetails.tools !== undefined) {
+    if (!Array.isArray(serverDetails.tools)) {
+      throw problem("tools should be a list");
+    }
+    const unknownTools = serverDetails.tools.filter((tool) => !toolNames.includes(tool));
+    if (unknownTools.length > 0) {
+      throw problem("has unknown tools " + unknownTools.join(", ") + "; the tools are " + toolNames.join(", "));
+    }
+  }
+  try {
+    db.getUserStore(serverDetails);
+  } catch (error) {
+    throw problem("user store is not valid: " + error.message);
+  }
+};
+
+/**
+ * Read the tenants from the tenant configuration file.
+ * @param {*} filePath path of the file
+ * @returns map of tenant name to configuration
+ */
+const readTenantsFile = (filePath) => {
+  const content = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+  const parsed = extension === ".yaml" || extension === ".yml" ? yaml.safeLoad(content) : JSON.parse(content);
+  if (!parsed || parsed.tenants === null || typeof parsed.tenants !== "object" || Array.isArray(parsed.tenants)) {
+    throw new Error("Tenant configuration file " + filePath + " should contain a tenants object");
+  }
+  return parsed.tenants;
+};
+
+/**
+ * Load and validate the tenants from the environment and the tenant configuration file.
+ * An error is thrown if any tenant is not valid.
+ * @returns map of tenant name to configuration
+ */
+const loadTenants = () => {
+  const tenants = getServerInfoFromEnv();
+  const filePath = process.env[TENANTS_FILE_ENV];
+  if (filePath) {
+    const fileTenants = readTenantsFile(path.resolve(filePath));
+    Object.keys(fileTenants).forEach((serverName) => (tenants[serverName] = fileTenants[serverName]));
+  }
+  // each tenant is validated before it is added, so a name such as __proto__ is rejected rather than assigned
+  const servers = {};
+  Object.keys(tenants).forEach((serverName) => {
+    validateTenant(serverName, tenants[serverName]);
+    servers[serverName] = tenants[serverName];
+  });
+  return servers;
+};
+
+/**
+ * Find where each tenant is configured: "file" for the tenant configuration file, "environment" for tenants only
+ * configured by environment variables. Tenants in neither were added at runtime.
+ * @returns map of tenant name to source
+ */
+let environmentTenantNames;
+const getTenantSources = () => {
+  // the environment does not change while the server runs
+  if (!environmentTenantNames) {
+    environmentTenantNames = Object.keys(getServerInfoFromEnv());
+  }
+  const sources = {};
+  environmentTenantNames.forEach((serverName) => (sources[serverName] = "environment"));
+  const filePath = process.env[TENANTS_FILE_ENV];
+  if (filePath && fs.existsSync(filePath)) {
+    Object.keys(readTenantsFile(path.resolve(filePath))).forEach((serverName) => (sources[serverName] = "file"));
+  }
+  return sources;
+};
+
+/**
+ * Save the tenants, apart from those only configured by environment variables, to the tenant configuration file.
+ * The file is replaced in one step, so the watcher never reads a partly written file.
+ * @param {*} servers map of tenant name to configuration
+ * @returns true if saved, false if there is no tenant configuration file
+ */
+const saveTenants = (servers) => {
+  const filePath = process.env[TENANTS_FILE_ENV];
+  if (!filePath) {
+    return false;
+  }
+  const resolvedPath = path.resolve(filePath);
+  const sources = getTenantSources();
+  const tenants = {};
+  Object.keys(servers)
+    .filter((serverName) => sources[serverName] !== "environment")
+    .forEach((serverName) => (tenants[serverName] = servers[serverName]));
+  const extension = path.extname(resolvedPath).toLowerCase();
+  const content =
+    extension === ".yaml" || extension === ".yml"
+      ? yaml.safeDump({ tenants })
+      : JSON.stringify({ tenants }, null, 2);
+  const temporaryPath = resolvedPath + ".tmp";
+  fs.writeFileSync(temporaryPath, content);
+  fs.renameSync(temporaryPath, resolvedPath);
+  return true;
+};
+
+/**
+ * Watch the tenant configuration file, if there is one, and reload the tenants into the app's servers setting
+ * when it changes.
+ * @param {*} app the express app
+ */
+const watchTenants = (app) => {
+  const filePath = process.env[TENANTS_FILE_ENV];
+  if (!filePath) {
+    return;
+  }
+  // polling copes with the file being replaced, as editors and Kubernetes config maps do
+  fs.watchFile(path.resolve(filePath), { interval: WATCH_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+    try {
+      const servers = loadTenants();
+      app.set("servers", servers);
+      logger.info("Reloaded tenant configuration", { tenants: Object.keys(servers) });
+    } catch (error) {
+      logger.error("Tenant configuration not reloaded, keeping the previous configuration", { error });
+    }
+  });
+};
+
+exports.isTenant = isTenant;
+exports.validateTenant = validateTenant;
+exports.loadTenants = loadTenants;
+exports.watchTenants = watchTenants;
+exports.getTenantSources = getTenantSources;
+exports.saveTenants = saveTenants;
@@ -0,0 +1,119 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const fs = require("fs");
+const https = require("https");
+const path = require("path");
+const tls = require("tls");
+const logger = require("./logger");
+
+/**
+ * TLS configuration for the requests the presentation server makes to a tenant's view server and platform.
+ * A tenant's tls configuration can have
+ *   caFile              - a PEM file of the certificate authorities to trust, or a list of them. Without one the
+ *                         platform's certificate needs to be signed by one of Node's trusted certificate authorities.
+ *   ca                  - PEM certificate authorities, as an alternative to caFile
+ *   certFile, keyFile   - PEM files of a client certificate and its key, for platforms that require mutual TLS
+ *   cert, key           - PEM client certificate and key, as an alternative to certFile and keyFile
+ *   pfxFile             - a PKCS#12 file of a client certificate and its key, as an alternative to the above
+ *   passphrase          - the passphrase of the key or PKCS#12 file
+ *   servername          - the name to check the platform's certificate against, if not the host in the remoteURL
+ *   rejectUnauthorized  - set to false to accept any certificate from the platform. This is only for demonstrations:
+ *                         it makes the connection open to interception, so a warning is logged.
+ * Certificates are always verified unless rejectUnauthorized is false.
+ */
+const tlsOptions = ["caFile", "ca", "certFile", "keyFile", "cert", "key", "pfxFile", "passphrase", "servername", "rejectUnauthorized"];
+
+/**
+ * Read a file named in the tls configuration, relative paths being relative to the current directory.
+ * @param {*} filePath path of the file
+ * @param {*} option the tls option naming the file
+ */
+const readTlsFile = (filePath, option) => {
+  if (typeof filePath !== "string") {
+    throw new Error("tls " + option + " should be a file path");
+  }
+  try {
+    return fs.readFileSync(path.resolve(filePath));
+  } catch (error) {
+    throw new Error("tls " + option + " " + filePath + " cannot be read: " + error.message);
+  }
+};
+
+/**
+ * Get the https agent options for a tenant's tls configuration, reading the files it names.
+ * An error is thrown if the configuration is not valid or a file cannot be read.
+ * @param {*} tlsConfig the tenant's tls configuration, which may be undefined
+ * @returns the https agent options
+ */
+const getTlsAgentOptions = (tlsConfig = {}) => {
+  const unknownOptions = Object.keys(tlsConfig).filter((option) => !tlsOptions.includes(option));
+  if (unknownOptions.length > 0) {
+    throw new Error("tls has unknown options " + unknownOptions.join(", ") + "; the options are " + tlsOptions.join(", "));
+  }
+  if (tlsConfig.rejectUnauthorized !== undefined && typeof tlsConfig.rejectUnauthorized !== "boolean") {
+    throw new Error("tls rejectUnauthorized should be true or false");
+  }
+  if (tlsConfig.caFile && tlsConfig.ca) {
+    throw new Error("tls should have caFile or ca, not both");
+  }
+  if (!!(tlsConfig.certFile || tlsConfig.cert) !== !!(tlsConfig.keyFile || tlsConfig.key)) {
+    throw new Error("tls needs both a client certificate and its key");
+  }
+  if (tlsConfig.pfxFile && (tlsConfig.certFile || tlsConfig.cert)) {
+    throw new Error("tls should have a pfxFile or a client certificate and key, not both");
+  }
+  const options = { rejectUnauthorized: tlsConfig.rejectUnauthorized !== false };
+  if (tlsConfig.caFile) {
+    options.ca = [].concat(tlsConfig.caFile).map((caFile) => readTlsFile(caFile, "caFile"));
+  } else if (tlsConfig.ca) {
+    options.ca = tlsConfig.ca;
+  }
+  options.cert = tlsConfig.certFile ? readTlsFile(tlsConfig.certFile, "certFile") : tlsConfig.cert;
+  options.key = tlsConfig.keyFile ? readTlsFile(tlsConfig.keyFile, "keyFile") : tlsConfig.key;
+  if (tlsConfig.pfxFile) {
+    options.pfx = readTlsFile(tlsConfig.pfxFile, "pfxFile");
+  }
+  ["passphrase", "servername"].forEach((option) => {
+    if (tlsConfig[option] !== undefined) {
+      options[option] = tlsConfig[option];
+    }
+  });
+  // check the certificates and keys can be used, so a mistake is found when the configuration is loaded
+  try {
+    tls.createSecureContext(options);
+  } catch (error) {
+    throw new Error("tls certificates or keys cannot be used: " + error.message);
+  }
+  return options;
+};
+
+// tenant name to { tlsConfig, agent }, so the files are not read on every request
+const agents = new Map();
+
+/**
+ * Get the https agent for requests to a tenant's view server and platform. The agent is made again when the tenant's
+ * tls configuration changes; certificate files are read again then.
+ * @param {*} serverName the tenant name
+ * @param {*} serverDetails the tenant's configuration
+ */
+const getHttpsAgent = (serverName, serverDetails) => {
+  const tlsConfig = JSON.stringify(serverDetails.tls || {});
+  const cached = agents.get(serverName);
+  if (cached && cached.tlsConfig === tlsConfig) {
+    return cached.agent;
+  }
+  const options = getTlsAgentOptions(serverDetails.tls);
+  if (!options.rejectUnauthorized) {
+    logger.warn(
+      "Tenant configured with tls rejectUnauthorized false, so the platform's certificate is not verified. " +
+        "Do not use this outside a demonstration.",
+      { tenant: serverName, platform: serverDetails.remoteURL }
+    );
+  }
+  const agent = new https.Agent(options);
+  agents.set(serverName, { tlsConfig, agent });
+  return agent;
+};
+
+exports.getTlsAgentOptions = getTlsAgentOptions;
+exports.getHttpsAgent = getHttpsAgent;
@@ -10,10 +10,18 @@ const https = require("https");
 const app = express();
 require("dotenv").config();
 
-const getServerInfoFromEnv = require('./functions/getServerInfoFromEnv');
+const { loadTenants, watchTenants } = require('./functions/tenantConfiguration');
+const getLdapInfoFromEnv = require('./functions/getLdapInfoFromEnv');
+const getOidcInfoFromEnv = require('./functions/getOidcInfoFromEnv');
 const serverNameMiddleWare = require('./functions/serverNameMiddleware');
 const passportConfiguration = require('./functions/passportConfiguration');
 const loggedIn = require('./functions/loggedIn');
+const getSessionOptionsFromEnv = require('./functions/getSessionOptionsFromEnv');
+const sessionTimeout = require('./functions/sessionTimeout');
+const { requestLogger } = require('./functions/requestLogger');
+const { proxyMetrics, measureSessions } = require('./functions/metrics');
+const healthRoutes = require('./router/healthRoutes');
+const logger = require('./functions/logger');
 
 const router = require('./router/routes');
 
@@ -31,18 +39,32 @@ const options = {
 app.set('key', key);
 app.set('cert', cert);
 
-const servers = getServerInfoFromEnv();
-app.set('servers', servers);
+// the tenants are validated as they are loaded, so a misconfigured tenant stops the server starting
+app.set('servers', loadTenants());
+watchTenants(app);
+app.set('ldapServers', getLdapInfoFromEnv());
+app.set('oidcServers', getOidcInfoFromEnv());
 if (env === 'production') {
   app.use(express.static(path.join(__dirname, '../cra-client/build')));
 }
 // This middleware method takes off the first segment which is the serverName and puts it into a query parameter
 app.use((req, res, next) => serverNameMiddleWare(req, res, next));
+// give each request a correlation id and log it (see requestLogger)
+app.use(requestLogger);
+app.use(proxyMetrics);
+// the orchestrator probes need no session (see healthRoutes)
+app.use(healthRoutes);
 
 // Initialize Passport and restore authentication state, if any, from the
 // session.
-app.use(session({ secret: "cats", resave: false, saveUninitialized: false }));
+// the session store, secret, timeouts and cookie flags are configured by environment variables (see getSessionOptionsFromEnv)
+const sessionOptions = getSessionOptionsFromEnv(session);
+app.use(session(sessionOptions.options));
+measureSessions(sessionOptions.options.store);
+app.use(sessionTimeout(sessionOptions.absoluteTimeout));
 app.use(bodyParser.urlencoded({ extended: true }));
+// saved Repository Explorer sessions hold the whole graph, so can be larger than other requests (see rexSessionRoutes)
+app.use('/rex-sessions', bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.json());
 app.use(passport.initialize());
 app.use(passport.session());
@@ -62,6 +84,6 @@ if (env === 'production') {
 
 // create the https server
 https.createServer(options, app).listen(PORT, () => {
-  console.log(`Server listening on port: ${PORT}`);
-  if (env === 'development') console.log(`React UI listening on port: 3000`);
+  logger.info("Server listening", { port: PORT });
+  if (env === 'development') logger.info("React UI listening", { port: 3000 });
 });
@@ -0,0 +1,92 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+const { getHttpsAgent } = require("../functions/tlsConfiguration");
+const { register } = require("../functions/metrics");
+const logger = require("../functions/logger");
+
+/**
+ * Probes for an orchestrator, which need no login:
+ *   /health  - liveness: the presentation server is running
+ *   /ready   - readiness: every tenant's platform (its remoteURL) can be reached. Only the overall status is answered,
+ *              so the probe does not reveal the tenants; the platforms that cannot be reached are logged.
+ *   /metrics - Prometheus metrics (see metrics.js). The series are labelled with the tenant names, so if the
+ *              environment variable EGERIA_PRESENTATIONSERVER_METRICS_TOKEN is set the scraper must send it as a bearer
+ *              token. Without it /metrics must not be reachable from outside the network the scraper is on.
+ * They are used before the session middleware, so probes do not create sessions.
+ */
+const router = express.Router();
+
+// the longest, in milliseconds, that readiness waits for a platform
+const READY_TIMEOUT = 5000;
+const METRICS_TOKEN_ENV = "EGERIA_PRESENTATIONSERVER_METRICS_TOKEN";
+
+router.get("/health", (req, res) => {
+  res.json({ status: "UP" });
+});
+
+/**
+ * Check a tenant's platform can be reached. Any http response means it can, whatever the status; the platform root is
+ * not an Egeria API.
+ * @param {*} serverName the tenant name
+ * @param {*} serverDetails the tenant's configuration
+ * @returns promise of { reachable, error }
+ */
+const checkPlatform = (serverName, serverDetails) =>
+  Promise.resolve()
+    .then(() =>
+      axios.get(serverDetails.remoteURL, {
+        timeout: Math.min(serverDetails.timeout || READY_TIMEOUT, READY_TIMEOUT),
+        httpsAgent: getHttpsAgent(serverName, serverDetails),
+        validateStatus: () => true,
+      })
+    )
+    .then(() => ({ reachable: true }))
+    .catch((error) => {
+      logger.warn("Platform not reachable", { tenant: serverName, platform: serverDetails.remoteURL, error });
+      return { reachable: false, error: error.code || error.message };
+    });
+
+router.get("/ready", (req, res) => {
+  const servers = req.app.get("servers");
+  const serverNames = Object.keys(servers);
+  Promise.all(serverNames.map((serverName) => checkPlatform(serverName, servers[serverName]))).then((results) => {
+    const ready = results.every((result) => result.reachable);
+    res.status(ready ? 200 : 503).json({ status: ready ? "UP" : "DOWN" });
+  });
+});
+
+/**
+ * Check a request has the metrics token, if one is configured. The hashes of the tokens are compared, as they are the
+ * same length, in a time that does not depend on how much of the token is right.
+ * @param {*} req the request
+ * @returns true if the request may read the metrics
+ */
+const hasMetricsToken = (req) => {
+  const token = process.env[METRICS_TOKEN_ENV];
+  if (!token) {
+    return true;
+  }
+  const authorization = req.get("Authorization") || "";
+  const supplied = authorization.startsWith("Bearer ") ? authorization.substr("Bearer ".length) : "";
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(supplied), hash(token));
+};
+
+router.get("/metrics", (req, res, next) => {
+  if (!hasMetricsToken(req)) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).send("Not authorized");
+  }
+  register
+    .metrics()
+    .then((metrics) => {
+      res.set("Content-Type", register.contentType);
+      res.send(metrics);
+    })
+    .catch(next);
+});
+
+module.exports = router;
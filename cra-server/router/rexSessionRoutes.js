@@ -0,0 +1,110 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const express = require("express");
+const { authorizeTool } = require("../functions/authorization");
+const {
+  MAX_SESSIONS,
+  hasSession,
+  listSessions,
+  getSession,
+  saveSession,
+  removeSession,
+} = require("../functions/rexSessionStore");
+const logger = require("../functions/logger");
+
+/**
+ * Routes to save, list, load and remove the logged in user's Repository Explorer sessions (see rexSessionStore). They
+ * are called as /<tenant>/rex-sessions, so serverNameMiddleware has put the tenant in the serverName query parameter,
+ * and need a user logged in to that tenant who can use the Repository Explorer.
+ *   GET    /rex-sessions            - list the user's sessions, as { sessions: [{ name, savedAt }] }
+ *   GET    /rex-sessions?name=x     - get the session called x
+ *   PUT    /rex-sessions?name=x     - save the body as the session called x, replacing any session with that name
+ *   DELETE /rex-sessions?name=x     - remove the session called x
+ * The session name is a query parameter rather than a path segment because serverNameMiddleware treats some last
+ * segments, such as login, specially.
+ */
+const router = express.Router();
+
+// the longest session name
+const MAX_NAME_LENGTH = 100;
+
+router.use(authorizeTool("repository-explorer"));
+
+/**
+ * Get the session name from a request, answering with an error if it does not have a valid one.
+ * @returns the session name, or undefined if there is none
+ */
+const getName = (req, res) => {
+  const name = req.query.name;
+  if (typeof name !== "string" || name.trim().length == 0 || name.length > MAX_NAME_LENGTH) {
+    res.status(400).send("A session name of up to " + MAX_NAME_LENGTH + " characters is needed");
+    return undefined;
+  }
+  return name;
+};
+
+/**
+ * Answer a request the session store could not complete.
+ */
+const sendStoreError = (req, res, error) => {
+  logger.error("Repository Explorer session store failed", { correlationId: req.correlationId, error });
+  res.status(500).send("The session store could not be used");
+};
+
+router.get("/", (req, res) => {
+  const { serverName, username } = req.user;
+  try {
+    if (req.query.name === undefined) {
+      return res.json({ sessions: listSessions(serverName, username) });
+    }
+    const name = getName(req, res);
+    if (name === undefined) {
+      return;
+    }
+    const session = getSession(serverName, username, name);
+    if (session === undefined) {
+      return res.status(404).send("Session " + name + " not found");
+    }
+    res.json(session);
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+});
+
+router.put("/", (req, res) => {
+  const { serverName, username } = req.user;
+  const name = getName(req, res);
+  if (name === undefined) {
+    return;
+  }
+  if (req.body === null || typeof req.body !== "object" || Array.isArray(req.body)) {
+    return res.status(400).send("A session should be an object");
+  }
+  try {
+    if (!hasSession(serverName, username, name) && listSessions(serverName, username).length >= MAX_SESSIONS) {
+      return res.status(409).send("No more than " + MAX_SESSIONS + " sessions can be saved; remove some first");
+    }
+    const replaced = saveSession(serverName, username, name, req.body);
+    res.status(replaced ? 200 : 201).json({ name });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+});
+
+router.delete("/", (req, res) => {
+  const { serverName, username } = req.user;
+  const name = getName(req, res);
+  if (name === undefined) {
+    return;
+  }
+  try {
+    if (!removeSession(serverName, username, name)) {
+      return res.status(404).send("Session " + name + " not found");
+    }
+    res.sendStatus(200);
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+});
+
+module.exports = router;
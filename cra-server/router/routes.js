@@ -2,13 +2,24 @@
 /* Copyright Contributors to the ODPi Egeria project. */
 const express = require("express");
 const router = express.Router();
-const fs = require("fs");
 const path = require("path");
 const axios = require("axios");
-const https = require("https");
 const rateLimit = require("express-rate-limit");
 
 const getAxiosInstance = require("../functions/getAxiosInstance");
+const { getHttpsAgent } = require("../functions/tlsConfiguration");
+const logger = require("../functions/logger");
+const { getCorrelationHeaders } = require("../functions/requestLogger");
+const { auditViewService, auditAdminService } = require("../functions/auditLog");
+const { recordLoginFailure } = require("../functions/metrics");
+const { getOidcClient, getOidcStrategyName } = require("../functions/oidcClients");
+const {
+  withPermittedTools,
+  authorizeViewService,
+  authorizeTenantRole,
+} = require("../functions/authorization");
+const tenantAdminRoutes = require("./tenantAdminRoutes");
+const rexSessionRoutes = require("./rexSessionRoutes");
 const validateURL = require("../validations/validateURL");
 const validateAdminURL = require("../validations/validateAdminURL");
 
@@ -16,33 +27,44 @@ const validateAdminURL = require("../validations/validateAdminURL");
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  // as the default handler, also counting the throttled login
+  handler: (req, res, next, options) => {
+    recordLoginFailure(req, "throttled");
+    res.status(options.statusCode).send(options.message);
+  },
 });
 
-// used for client authentication (so we can trust the server)
-const keystore = fs.readFileSync(
-  path.join(__dirname, "../../") + "ssl/keystore.p12"
-);
-// server for server authentication (so the server can trust us)
-const truststore = fs.readFileSync(
-  path.join(__dirname, "../../") + "ssl/truststore.p12"
-);
-
-passphrase= 'egeria';
+/**
+ * Answer a request whose downstream call failed. Only the error's message, name and code are logged and sent: an axios
+ * error also holds the request configuration, whose https agent has the tenant's client key, and cannot be serialized.
+ * @param {*} req the request
+ * @param {*} res the response
+ * @param {*} error the error
+ */
+const sendDownstreamError = (req, res, error) => {
+  const { message, name, code } = error;
+  logger.warn("Downstream request failed", { correlationId: req.correlationId, error: { message, name, code } });
+  res.status(400).send({ message, name, code });
+};
 
 /**
  * Middleware to handle post requests that start with /login i.e. the login request. The tenant segment has been removed by previous middleware.
- * The login is performed using passport' local authentication (http://www.passportjs.org/docs/authenticate/).
- * TODO support other authentication style e.g oauth and ldap both of which passport supports.
+ * The login is performed using passport (http://www.passportjs.org/docs/authenticate/); with LDAP authentication if the tenant
+ * has an LDAP directory configured, otherwise with local authentication against the tenant's user store.
+ * Single sign-on logins go through /login/oidc instead.
  */
 router.post("/login", loginLimiter, function (req, res, next) {
-  console.debug("/login");
   // get passport instance from app
   const passport = req.app.get("passport");
-  passport.authenticate("local", function (err, user, next) {
+  const ldapServers = req.app.get("ldapServers");
+  const strategy = ldapServers[req.query.serverName] ? "ldapauth" : "local";
+  passport.authenticate(strategy, function (err, user) {
     if (err) {
+      recordLoginFailure(req, "error");
       return next(err);
     }
     if (!user) {
+      recordLoginFailure(req, "invalid_credentials");
       return res.json({ status: "failed", error: "Invalid credentials" });
     }
 
@@ -52,37 +74,112 @@ router.post("/login", loginLimiter, function (req, res, next) {
         return next(err);
       }
 
-      delete user.password; // <- super secure :)
-
-      return res.json({ status: "success", user });
+      const serverDetails = req.app.get("servers")[user.serverName];
+      return res.json({ status: "success", user: withPermittedTools(user, serverDetails) });
     });
   })(req, res, next);
 });
 
 /**
- * logout - destroy the session
+ * Middleware to handle the OpenID Connect authorization code flow, for tenants with an identity provider configured
+ * (see getOidcInfoFromEnv). A request without an authorization response redirects the browser to the identity provider;
+ * the identity provider redirects back with the authorization response, which passport exchanges for the user.
+ * The user is then logged in with req.logIn in the same way as /login and the browser is sent to the tenant's home page.
+ */
+const oidcLogin = (req, res, next) => {
+  const serverName = req.query.serverName;
+  const oidcDetails = req.app.get("oidcServers")[serverName];
+  if (!oidcDetails) {
+    return res.status(404).send("Single sign-on is not configured for this server");
+  }
+  const passport = req.app.get("passport");
+  getOidcStrategyName(passport, serverName, oidcDetails)
+    .then((strategy) => {
+      passport.authenticate(strategy, function (err, user, info) {
+        if (err) {
+          recordLoginFailure(req, "sso");
+          return next(err);
+        }
+        if (!user) {
+          recordLoginFailure(req, "sso");
+          return res.redirect("/" + serverName + "/login?error=sso");
+        }
+        req.logIn(user, function (err) {
+          if (err) {
+            return next(err);
+          }
+          // kept for logout, rather than on the user, so that it is not sent to the browser
+          req.session.oidcIdToken = info.idToken;
+          return res.redirect("/" + serverName + "/");
+        });
+      })(req, res, next);
+    })
+    .catch(next);
+};
+router.get("/login/oidc", loginLimiter, oidcLogin);
+router.get("/login/oidc/callback", loginLimiter, oidcLogin);
+
+/**
+ * The tenant's display name and the ways a user can log in to it, so the login page knows whether to offer single sign-on.
+ */
+router.get("/login/options", (req, res) => {
+  const serverDetails = req.app.get("servers")[req.query.serverName];
+  const oidcDetails = req.app.get("oidcServers")[req.query.serverName];
+  res.json({
+    displayName: serverDetails ? serverDetails.displayName : undefined,
+    sso: oidcDetails ? { label: oidcDetails.label || "Log in with single sign-on" } : null,
+  });
+});
+
+/**
+ * logout - destroy the session. For a single sign-on user the response contains the identity provider's logout URL,
+ * to which the browser should be sent to end the identity provider's session too (RP-initiated logout).
  */
 router.get("/logout", function (req, res) {
-  console.debug("/logout");
+  const user = req.user;
+  const idToken = req.session.oidcIdToken;
   req.session.destroy(function (err) {
     // https://stackoverflow.com/questions/13758207/why-is-passportjs-in-node-not-removing-session-on-logout
     //  explicity clear the cookie.
     res.clearCookie("connect.sid");
-    res.sendStatus(200);
+    const oidcDetails = user && user.provider === "oidc" && req.app.get("oidcServers")[user.serverName];
+    if (!oidcDetails) {
+      return res.sendStatus(200);
+    }
+    getOidcClient(user.serverName, oidcDetails)
+      .then((client) => {
+        const logoutURL = client.endSessionUrl({
+          id_token_hint: idToken,
+          post_logout_redirect_uri: oidcDetails.postLogoutRedirectURI,
+        });
+        res.json({ logoutURL });
+      })
+      .catch((error) => {
+        // the identity provider does not support logout; the local session has still gone
+        logger.warn("No single sign-on logout URL", { correlationId: req.correlationId, tenant: user.serverName, error });
+        res.sendStatus(200);
+      });
   });
 });
 
 router.get("/user", (req, res) => {
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log('/user');
-  // console.log(req.user);
   if (req.user) {
-    res.json({ user: req.user });
+    res.json({ user: withPermittedTools(req.user, req.app.get("servers")[req.user.serverName]) });
   } else {
     res.json({ user: null });
   }
 });
 
+/**
+ * Tenant administration, called as /<tenant>/tenants.
+ */
+router.use("/tenants", tenantAdminRoutes);
+
+/**
+ * Saved Repository Explorer sessions, called as /<tenant>/rex-sessions.
+ */
+router.use("/rex-sessions", rexSessionRoutes);
+
 const staticJoinedPath = path.join(
   __dirname,
   "../../cra-client/build/index.html"
@@ -97,33 +194,31 @@ const joinedPath = path.join(
  * Process login url,
  */
 router.get("/login", loginLimiter, (req, res) => {
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  //  console.log("/login called " + joinedPath);
   res.sendFile(joinedPath);
 });
 
-router.post("/servers/*", (req, res) => {
+/**
+ * Middleware to proxy post requests that start with /servers.
+ * The outbound call is made with https.
+ * The view service proxies, and the admin and platform service proxies below, only pass on requests from a user
+ * logged in to the tenant with the role the service needs (see authorization.js). They pass on the request's correlation
+ * id (see requestLogger.js), and record the requests that change Egeria in the audit log (see auditLog.js).
+ */
+router.post("/servers/*", authorizeViewService, auditViewService, (req, res) => {
   const incomingUrl = req.url;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log("/servers/* post called " + incomingUrl);
   const body = req.body;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  //console.log("Got body:", body);
   const servers = req.app.get("servers");
   if (validateURL(incomingUrl, servers)) {
-    const instance = getAxiosInstance(incomingUrl);
+    const instance = getAxiosInstance(incomingUrl, servers, getCorrelationHeaders(req));
     instance
       .post("", body)
       .then(function (response) {
-        console.debug("response.data");
-        console.debug(response.data);
         const resBody = response.data;
         res.setHeader("Content-Type", "application/json");
         res.json(resBody);
       })
       .catch(function (error) {
-        console.log(error);
-        res.status(400).send(error);
+        sendDownstreamError(req, res, error);
       })
       .then(function () {
         // always executed
@@ -137,28 +232,21 @@ router.post("/servers/*", (req, res) => {
  * Middleware to proxy put requests that start with /servers.
  * The outbound call is made with https.
  */
-router.put("/servers/*", (req, res) => {
+router.put("/servers/*", authorizeViewService, auditViewService, (req, res) => {
   const incomingUrl = req.url;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  //console.log("/servers/* put called " + incomingUrl);
   const body = req.body;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  //console.log("Got body:", body);
   const servers = req.app.get("servers");
   if (validateURL(incomingUrl, servers)) {
-    const instance = getAxiosInstance(incomingUrl);
+    const instance = getAxiosInstance(incomingUrl, servers, getCorrelationHeaders(req));
     instance
       .put("", body)
       .then(function (response) {
-        console.debug("response.data");
-        console.debug(response.data);
         const resBody = response.data;
         res.setHeader("Content-Type", "application/json");
         res.json(resBody);
       })
       .catch(function (error) {
-        console.log(error);
-        res.status(400).send(error);
+        sendDownstreamError(req, res, error);
       })
       .then(function () {
         // always executed
@@ -172,25 +260,20 @@ router.put("/servers/*", (req, res) => {
  * Middleware to proxy delete requests that start with /servers.
  * The outbound call is made with https.
  */
-router.delete("/servers/*", (req, res) => {
+router.delete("/servers/*", authorizeViewService, auditViewService, (req, res) => {
   const incomingUrl = req.url;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log("/servers/* delete called " + incomingUrl);
   const servers = req.app.get("servers");
   if (validateURL(incomingUrl, servers)) {
-    const instance = getAxiosInstance(incomingUrl);
+    const instance = getAxiosInstance(incomingUrl, servers, getCorrelationHeaders(req));
     instance
       .delete()
       .then(function (response) {
-        console.debug("response.data");
-        console.debug(response.data);
         const resBody = response.data;
         res.setHeader("Content-Type", "application/json");
         res.json(resBody);
       })
       .catch(function (error) {
-        console.log(error);
-        res.status(400).send(error);
+        sendDownstreamError(req, res, error);
       })
       .then(function () {
         // always executed
@@ -204,13 +287,11 @@ router.delete("/servers/*", (req, res) => {
  * Middleware to proxy get requests that start with /servers.
  * The outbound call is made with https.
  */
-router.get("/servers/*", (req, res) => {
+router.get("/servers/*", authorizeViewService, (req, res) => {
   const url = req.url;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log("/servers/* get called " + url);
   const servers = req.app.get("servers");
   if (validateURL(url, servers)) {
-    const instance = getAxiosInstance(url);
+    const instance = getAxiosInstance(url, servers, getCorrelationHeaders(req));
     instance
       .get()
       .then(function (response) {
@@ -219,8 +300,7 @@ router.get("/servers/*", (req, res) => {
         res.json(resBody);
       })
       .catch(function (error) {
-        console.log(error);
-        res.status(400).send(error);
+        sendDownstreamError(req, res, error);
       })
       .then(function () {
         // always executed
@@ -231,25 +311,23 @@ router.get("/servers/*", (req, res) => {
 });
 
 // Handle admin services
-router.get("/open-metadata/admin-services/*", (req, res) => {
+router.get("/open-metadata/admin-services/*", authorizeTenantRole("admin", ["server-author"]), (req, res) => {
   const incomingPath = req.path;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log("/open-metadata/admin-services/* get called " + incomingPath);
   if (!validateAdminURL(incomingPath)) {
     res.status(400).send("Error, invalid supplied URL: " + incomingPath);
     return;
   }
   const servers = req.app.get("servers");
-  const urlRoot = servers[req.query.tenantId].remoteURL;
+  const tenantId = req.query.tenantId;
+  const serverDetails = servers[tenantId];
+  const urlRoot = serverDetails.remoteURL;
   const apiReq = {
     method: "get",
     url: urlRoot + incomingPath,
-    httpsAgent: new https.Agent({
-      ca: truststore,
-      pfx: keystore,
-      passphrase: passphrase
-    }),
+    timeout: serverDetails.timeout,
+    httpsAgent: getHttpsAgent(tenantId, serverDetails),
     headers: {
+      ...getCorrelationHeaders(req),
       "Access-Control-Allow-Origin": "*",
     },
   };
@@ -265,34 +343,30 @@ router.get("/open-metadata/admin-services/*", (req, res) => {
       }
     })
     .catch(function (error) {
-      console.error({ error });
-      res.status(400).send(error);
+      sendDownstreamError(req, res, error);
     });
 });
 
-router.post("/open-metadata/admin-services/*", (req, res) => {
+router.post("/open-metadata/admin-services/*", authorizeTenantRole("admin", ["server-author"]), auditAdminService, (req, res) => {
   const incomingUrl = req.url;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log("/open-metadata/admin-services/* post called " + incomingUrl);
   if (!validateAdminURL(incomingUrl)) {
     res.status(400).send("Error, invalid supplied URL: " + incomingUrl);
     return;
   }
   const { config, tenantId } = req.body;
   const servers = req.app.get("servers");
-  const urlRoot = servers[tenantId].remoteURL;
+  const serverDetails = servers[tenantId];
+  const urlRoot = serverDetails.remoteURL;
   const apiReq = {
     method: "post",
     url: urlRoot + incomingUrl,
+    timeout: serverDetails.timeout,
     headers: {
+      ...getCorrelationHeaders(req),
       "Content-Type": "application/json",
       "Access-Control-Allow-Origin": "*",
     },
-    httpsAgent: new https.Agent({
-      ca: truststore,
-      pfx: keystore,
-      passphrase: passphrase
-    }),
+    httpsAgent: getHttpsAgent(tenantId, serverDetails),
   };
   if (config) apiReq.data = config;
   axios(apiReq)
@@ -306,33 +380,29 @@ router.post("/open-metadata/admin-services/*", (req, res) => {
       res.json(resBody);
     })
     .catch(function (error) {
-      console.debug(error);
-      res.status(400).send(error);
+      sendDownstreamError(req, res, error);
     });
 });
 
-router.delete("/open-metadata/admin-services/*", (req, res) => {
+router.delete("/open-metadata/admin-services/*", authorizeTenantRole("admin", ["server-author"]), auditAdminService, (req, res) => {
   const incomingUrl = req.url;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.debug("/open-metadata/admin-services/* delete called " + incomingUrl);
   if (!validateAdminURL(incomingUrl)) {
     res.status(400).send("Error, invalid supplied URL: " + incomingUrl);
     return;
   }
   const { config, tenantId } = req.body;
   const servers = req.app.get("servers");
-  const urlRoot = servers[tenantId].remoteURL;
+  const serverDetails = servers[tenantId];
+  const urlRoot = serverDetails.remoteURL;
   const apiReq = {
     method: "delete",
     url: urlRoot + incomingUrl,
+    timeout: serverDetails.timeout,
     headers: {
+      ...getCorrelationHeaders(req),
       "Content-Type": "application/json",
     },
-    httpsAgent: new https.Agent({
-      ca: truststore,
-      pfx: keystore,
-      passphrase: passphrase
-    }),
+    httpsAgent: getHttpsAgent(tenantId, serverDetails),
   };
   if (config) apiReq.data = config;
   axios(apiReq)
@@ -346,31 +416,28 @@ router.delete("/open-metadata/admin-services/*", (req, res) => {
       res.json(resBody);
     })
     .catch(function (error) {
-      console.log(error);
-      res.status(400).send(error);
+      sendDownstreamError(req, res, error);
     });
 });
 
 // Handle platform services
-router.get("/open-metadata/platform-services/*", (req, res) => {
+router.get("/open-metadata/platform-services/*", authorizeTenantRole("operator", ["server-author", "dino"]), (req, res) => {
   const incomingPath = req.path;
-  // Disabling logging as CodeQL does not like user supplied values being logged.
-  // console.log("/open-metadata/platform-services/* get called " + incomingPath);
   // TODO: Add validator for platform url
   // if (!(validatePlatformURL(incomingPath))) {
   //   res.status(400).send("Error, invalid supplied URL: " + incomingPath);
   //   return;
   // }
   const servers = req.app.get("servers");
-  const urlRoot = servers[req.query.tenantId].remoteURL;
+  const tenantId = req.query.tenantId;
+  const serverDetails = servers[tenantId];
+  const urlRoot = serverDetails.remoteURL;
   const apiReq = {
     method: "get",
     url: urlRoot + incomingPath,
-    httpsAgent: new https.Agent({
-      ca: truststore,
-      pfx: keystore,
-      passphrase: passphrase
-    }),
+    timeout: serverDetails.timeout,
+    headers: getCorrelationHeaders(req),
+    httpsAgent: getHttpsAgent(tenantId, serverDetails),
   };
   axios(apiReq)
     .then(function (response) {
@@ -382,8 +449,7 @@ router.get("/open-metadata/platform-services/*", (req, res) => {
       }
     })
     .catch(function (error) {
-      console.error({ error });
-      res.status(400).send(error);
+      sendDownstreamError(req, res, error);
     });
 });
 
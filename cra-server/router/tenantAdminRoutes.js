@@ -0,0 +1,157 @@
+/* SPDX-License-Identifier: Apache-2.0 */
+/* Copyright Contributors to the ODPi Egeria project. */
+const express = require("express");
+const { authorizeTool } = require("../functions/authorization");
+const { isTenant, validateTenant, getTenantSources, saveTenants } = require("../functions/tenantConfiguration");
+const logger = require("../functions/logger");
+
+/**
+ * Routes to list, add, update and remove tenants at runtime. They are called as /<tenant>/tenants, so
+ * serverNameMiddleware has put the tenant the user is logged in to in the serverName query parameter, and need a user
+ * with the admin role on a tenant that has the tenant-admin tool enabled.
+ *
+ * The tenants are held in the app's servers setting; each change replaces the whole map, so requests in flight keep
+ * a consistent view. Changes are saved to the tenant configuration file if there is one; otherwise they last until the
+ * server restarts. Tenants only configured by environment variables cannot be changed here.
+ */
+const router = express.Router();
+
+// the tls options that are secrets, and the value shown in their place
+const secretTlsOptions = ["key", "passphrase"];
+const REDACTED = "********";
+
+router.use(authorizeTool("tenant-admin"));
+
+/**
+ * Get a tenant as returned to the client, with its name and where it is configured.
+ * @param {*} name the tenant name
+ * @param {*} serverDetails the tenant's configuration
+ * @param {*} sources map of tenant name to source, from getTenantSources
+ */
+const toTenant = (name, serverDetails, sources) => {
+  const tenant = Object.assign({}, serverDetails, { name, source: sources[name] || "runtime" });
+  if (serverDetails.tls) {
+    tenant.tls = Object.assign({}, serverDetails.tls);
+    secretTlsOptions.filter((option) => tenant.tls[option] !== undefined).forEach((option) => (tenant.tls[option] = REDACTED));
+  }
+  return tenant;
+};
+
+/**
+ * Put back the tenant's tls secrets where an update has them as returned by toTenant, so a tenant can be updated
+ * with the configuration it was listed with.
+ * @param {*} serverDetails the updated configuration
+ * @param {*} previousDetails the configuration being updated
+ */
+const withTlsSecrets = (serverDetails, previousDetails) => {
+  if (!serverDetails.tls || !previousDetails.tls) {
+    return serverDetails;
+  }
+  const tls = Object.assign({}, serverDetails.tls);
+  secretTlsOptions
+    .filter((option) => tls[option] === REDACTED)
+    .forEach((option) => (tls[option] = previousDetails.tls[option]));
+  return Object.assign({}, serverDetails, { tls });
+};
+
+/**
+ * Get a tenant's configuration from a request body, without the name and source that toTenant adds, which are not part
+ * of the configuration.
+ * @param {*} body the request body
+ */
+const configurationOf = (body) => {
+  const serverDetails = Object.assign({}, body);
+  delete serverDetails.name;
+  delete serverDetails.source;
+  return serverDetails;
+};
+
+/**
+ * Replace the tenants and save them, answering with the tenant changed (if any) and whether the change was saved.
+ * A change that cannot be saved is still made, and reported as not persisted.
+ * @param {*} req the request
+ * @param {*} res the response
+ * @param {*} servers the new map of tenant name to configuration
+ * @param {*} status the http status to answer with
+ * @param {*} name the tenant changed
+ */
+const replaceTenants = (req, res, servers, status, name) => {
+  req.app.set("servers", servers);
+  let persisted;
+  try {
+    persisted = saveTenants(servers);
+  } catch (error) {
+    logger.error("Tenant configuration file not saved", { correlationId: req.correlationId, error });
+    persisted = false;
+  }
+  const tenant = isTenant(servers, name) ? toTenant(name, servers[name], getTenantSources()) : undefined;
+  res.status(status).json({ tenant, persisted });
+};
+
+/**
+ * Check a tenant can be changed, answering with an error if it cannot.
+ * @returns true if the tenant can be changed
+ */
+const checkChangeable = (req, res, name) => {
+  if (!isTenant(req.app.get("servers"), name)) {
+    res.status(404).send("Tenant " + name + " not found");
+    return false;
+  }
+  if (getTenantSources()[name] === "environment") {
+    res.status(409).send("Tenant " + name + " is configured by environment variables, so cannot be changed here");
+    return false;
+  }
+  return true;
+};
+
+router.get("/", (req, res) => {
+  const servers = req.app.get("servers");
+  const sources = getTenantSources();
+  res.json({ tenants: Object.keys(servers).map((name) => toTenant(name, servers[name], sources)) });
+});
+
+router.post("/", (req, res) => {
+  const name = req.body.name;
+  const serverDetails = configurationOf(req.body);
+  const servers = req.app.get("servers");
+  if (isTenant(servers, name)) {
+    return res.status(409).send("Tenant " + name + " already exists");
+  }
+  try {
+    validateTenant(name, serverDetails);
+  } catch (error) {
+    return res.status(400).send(error.message);
+  }
+  replaceTenants(req, res, Object.assign({}, servers, { [name]: serverDetails }), 201, name);
+});
+
+router.put("/:name", (req, res) => {
+  const name = req.params.name;
+  // the name is in the url; any name in the body is ignored
+  const updatedDetails = configurationOf(req.body);
+  if (!checkChangeable(req, res, name)) {
+    return;
+  }
+  const serverDetails = withTlsSecrets(updatedDetails, req.app.get("servers")[name]);
+  try {
+    validateTenant(name, serverDetails);
+  } catch (error) {
+    return res.status(400).send(error.message);
+  }
+  replaceTenants(req, res, Object.assign({}, req.app.get("servers"), { [name]: serverDetails }), 200, name);
+});
+
+router.delete("/:name", (req, res) => {
+  const name = req.params.name;
+  if (name === req.user.serverName) {
+    return res.status(409).send("Tenant " + name + " is the tenant you are logged in to, so cannot be removed");
+  }
+  if (!checkChangeable(req, res, name)) {
+    return;
+  }
+  const servers = Object.assign({}, req.app.get("servers"));
+  delete servers[name];
+  replaceTenants(req, res, servers, 200);
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 /* SPDX-License-Identifier: Apache-2.0 */
 /* Copyright Contributors to the ODPi Egeria project. */
+const logger = require("../functions/logger");
 
 const validateURL = (url, servers) => {
   const urlArray = url.split("/");
@@ -13,18 +14,18 @@ const validateURL = (url, servers) => {
     // console.log("Users expected in url " + url);
     isValid = false;
   } else if (urlArray[5].length == 0) {
-    console.log("No user supplied");
+    logger.debug("No user supplied");
     isValid = false;
   } else {
     const suppliedserverName = urlArray[2];
     if (suppliedserverName.length == 0) {
-      console.log("No supplied serverName ");
+      logger.debug("No supplied serverName");
       isValid = false;
     } else {
       // check against environment -which have been parsed into the servers variable
       const serverDetails = servers[suppliedserverName];
       if (serverDetails == null) {
-        console.log("ServerName not configured");
+        logger.debug("ServerName not configured");
         isValid = false;
       } else if (serverDetails.remoteURL == undefined) {
         // Disabling logging as CodeQL does not like user supplied values being logged.